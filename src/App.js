@@ -1,8 +1,5 @@
 // App.js
-import React, { useState, useEffect, useCallback } from 'react';
-import {
-  LEAGUE_START_YEAR, // Import LEAGUE_START_YEAR from config.js
-} from './config';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
 // Import existing components
 import PowerRankings from './lib/PowerRankings';
@@ -14,15 +11,41 @@ import TeamDetailPage from './lib/TeamDetailPage';
 import Head2HeadGrid from './lib/Head2HeadGrid';
 import FinancialTracker from './components/FinancialTracker';
 import Dashboard from './components/Dashboard';
+import LeagueSwitcher from './components/LeagueSwitcher';
+import DataQualityReport from './components/DataQualityReport';
+import GlobalFilterBar from './components/GlobalFilterBar';
+import LineupEfficiency from './components/LineupEfficiency';
+import DraftHistory from './components/DraftHistory';
+import TransactionLedger from './components/TransactionLedger';
+import PlayerHistory from './components/PlayerHistory';
+import KeeperTracker from './components/KeeperTracker';
+import DataExport from './components/DataExport';
+import LiveScoreboard from './components/LiveScoreboard';
+import WeeklyRecap from './components/WeeklyRecap';
+import PlayoffOdds from './components/PlayoffOdds';
 
 // Import Sleeper API functions to fetch league details and historical matchups
 import {
   fetchLeagueDetails,
-  fetchHistoricalMatchups,
-  fetchUsersData,
-  CURRENT_LEAGUE_ID,
-  TEAM_NAME_TO_SLEEPER_ID_MAP, // Used for custom display names
+  fetchHistoricalMatchupsWithReport,
+  fetchSeasonFinalStandings,
+  fetchStandingsHistory,
+  fetchLineupEfficiency,
+  fetchDraftHistory,
+  fetchTransactionLedger,
+  fetchKeeperHistory,
+  fetchPlayoffSimulationInput,
+  fetchManagerDirectory, // Stable manager identities across seasons, renames and aliases
+  SleeperNetworkError,
+  SleeperServerError,
 } from './utils/sleeperApi';
+import { isOffline } from './utils/persistentCache';
+import { loadLeagueRegistry, saveLeagueRegistry, getActiveLeague, updateLeague, getLeagueDataKey } from './utils/leagueRegistry';
+import { getAllManagers, getManagerDisplayName } from './utils/managerIdentity';
+import { getPowerRankingWeights } from './utils/powerRankings';
+import { useHashRoute, buildRouteHash } from './utils/router';
+import { useGlobalFilters, applyMatchupFilters, applyStandingsFilters, getHiddenManagerIds } from './utils/globalFilters';
+import { getLastRegularSeasonWeeks } from './utils/standings';
 
 
 // Define the available tabs and their categories for the dropdown
@@ -33,138 +56,287 @@ const NAV_CATEGORIES = {
     label: 'League Data',
     subTabs: [
       { label: 'League History', tab: 'leagueHistory' },
+      { label: 'Playoff Odds', tab: 'playoffOdds' },
       { label: 'Record Book', tab: 'recordBook' },
+      { label: 'Weekly Recap', tab: 'weeklyRecap' },
       { label: 'DPR Analysis', tab: 'dprAnalysis' },
       { label: 'Luck Rating', tab: 'luckRating' },
       { label: 'Head-to-Head Grid', tab: 'headToHeadGrid' },
+      { label: 'Lineup Efficiency', tab: 'lineupEfficiency' },
+      { label: 'Draft History', tab: 'draftHistory' },
+      { label: 'Transactions', tab: 'transactions' },
+      { label: 'Player History', tab: 'playerHistory' },
+      { label: 'Keepers', tab: 'keepers' },
       { label: 'Financials', tab: 'financials' },
+      { label: 'Export & Import', tab: 'dataExport' },
     ],
   },
-  TEAMS: { // This category will be dynamically populated
+  TEAMS: { // One link per manager identity, built from the manager directory
     label: 'Teams',
     subTabs: [],
   },
 };
 
-// Flattened list of all possible tabs for conditional rendering
+// Flattened list of all possible tabs for conditional rendering. Each is also a route (see router.js).
 const TABS = {
   DASHBOARD: 'dashboard',
   POWER_RANKINGS: 'powerRankings',
   LEAGUE_HISTORY: 'leagueHistory',
+  PLAYOFF_ODDS: 'playoffOdds',
   RECORD_BOOK: 'recordBook',
+  WEEKLY_RECAP: 'weeklyRecap',
   DPR_ANALYSIS: 'dprAnalysis',
   LUCK_RATING: 'luckRating',
   HEAD_TO_HEAD_GRID: 'headToHeadGrid',
+  LINEUP_EFFICIENCY: 'lineupEfficiency',
+  DRAFT_HISTORY: 'draftHistory',
+  TRANSACTIONS: 'transactions',
+  PLAYER_HISTORY: 'playerHistory',
+  KEEPERS: 'keepers',
   FINANCIALS: 'financials',
+  DATA_EXPORT: 'dataExport',
   TEAM_DETAIL: 'teamDetail', // Special tab for individual team pages
 };
 
 const App = () => {
-  const [activeTab, setActiveTab] = useState(TABS.DASHBOARD);
+  const [leagueRegistry, setLeagueRegistry] = useState(loadLeagueRegistry); // Leagues the user has added, and which one is active
+  const activeLeague = getActiveLeague(leagueRegistry);
+  const leagueDataKey = getLeagueDataKey(activeLeague); // Changes only with the settings that decide what's loaded
+  // Navigation lives in the URL hash so views can be linked to and survive a reload
+  const [route, navigate] = useHashRoute();
+  const activeTab = Object.values(TABS).includes(route.tab) ? route.tab : TABS.DASHBOARD;
+  const selectedTeam = activeTab === TABS.TEAM_DETAIL ? route.managerId : null; // managerId shown by TeamDetailPage
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [historicalMatchups, setHistoricalMatchups] = useState([]);
+  const [dataQualityIssues, setDataQualityIssues] = useState([]); // Games that couldn't be attributed to a manager
+  const [seasonStandings, setSeasonStandings] = useState([]); // Final placements per season, from the playoff brackets
+  const [standingsHistory, setStandingsHistory] = useState([]); // Regular season standings per season, with weekly snapshots
+  const [lineupEfficiency, setLineupEfficiency] = useState(null); // Bench points and optimal lineups per team-week and season
+  const [draftHistory, setDraftHistory] = useState(null); // Draft boards, pick values and grades
+  const [transactionLedger, setTransactionLedger] = useState(null); // Every trade, waiver and free-agent move, with trade verdicts
+  const [keeperHistory, setKeeperHistory] = useState(null); // Players kept between seasons and the current rosters
+  const [playoffSimulationInput, setPlayoffSimulationInput] = useState(null); // Current season's standings and remaining schedule; null once the regular season ends
   const [leagueName, setLeagueName] = useState('Fantasy League'); // Default league name
-  const [allTeamNames, setAllTeamNames] = useState([]); // For dynamic team dropdown
-  const [selectedTeam, setSelectedTeam] = useState(null); // For TeamDetailPage
+  const [inProgressWeek, setInProgressWeek] = useState(null); // { year, week } still being played, whose scores aren't final
+  const [offline, setOffline] = useState(isOffline()); // Data is served from the persistent cache while offline
+  const [importedSnapshot, setImportedSnapshot] = useState(null); // A league snapshot shown in place of Sleeper data (see leagueExport.js)
+  const [unavailableDatasets, setUnavailableDatasets] = useState([]); // Optional datasets that failed to load, by label
+
+  // Power ranking weights for the active league (config.js)
+  const powerRankingWeights = useMemo(() => getPowerRankingWeights(activeLeague.leagueId), [activeLeague.leagueId]);
 
-  // State to hold the mapping from Sleeper user_id to display name
-  const [userIdToDisplayNameMap, setUserIdToDisplayNameMap] = useState(new Map());
+  // Manager directory: resolves user IDs, roster IDs per season and aliases to one manager identity
+  const [managerDirectory, setManagerDirectory] = useState(null);
 
-  // Function to get the display team name, using the pre-built map
+  // Global filters (season range, game type, retired managers), applied once here to what the analysis views get
+  const { filters } = useGlobalFilters();
+  const retiredManagerIds = useMemo(() => (
+    new Set(getAllManagers(managerDirectory).filter(manager => manager.isRetired).map(manager => manager.managerId))
+  ), [managerDirectory]);
+  const hiddenManagerIds = useMemo(() => getHiddenManagerIds(filters, retiredManagerIds), [filters, retiredManagerIds]);
+  const filteredMatchups = useMemo(() => applyMatchupFilters(historicalMatchups, filters, {
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+  }), [historicalMatchups, standingsHistory, filters]);
+  const filteredStandingsHistory = useMemo(() => (
+    applyStandingsFilters(standingsHistory, filters, { retiredManagerIds })
+  ), [standingsHistory, filters, retiredManagerIds]);
+  const seasons = useMemo(() => Array.from(new Set(historicalMatchups.map(matchup => matchup.year))).sort((a, b) => a - b), [historicalMatchups]);
+
+  // Function to get the display team name for a managerId, user_id, alias or legacy display name
   const getDisplayTeamName = useCallback((teamIdentifier) => {
-    // teamIdentifier could be a user_id or already a display name from historical data
-    if (userIdToDisplayNameMap.has(teamIdentifier)) {
-      return userIdToDisplayNameMap.get(teamIdentifier);
-    }
-    // Fallback: if it's not a user_id in our map, assume it's already a display name
-    // or a name from a custom data source that needs no further mapping.
-    // This is important for backward compatibility with existing data structures that
-    // might pass names directly.
-    return teamIdentifier;
-  }, [userIdToDisplayNameMap]);
+    // Fallback inside getManagerDisplayName: anything it can't resolve is returned unchanged,
+    // which keeps data sources that pass plain names working.
+    return getManagerDisplayName(managerDirectory, teamIdentifier);
+  }, [managerDirectory]);
 
 
   useEffect(() => {
+    let cancelled = false; // Ignore results from a league the user has already switched away from
+
     const loadAllSleeperData = async () => {
       setLoading(true);
       setError(null);
+      setUnavailableDatasets([]);
+
+      // An imported snapshot already holds everything below, so Sleeper isn't called at all
+      if (importedSnapshot) {
+        const { league, data } = importedSnapshot;
+        setLeagueName(league.name || 'Fantasy League');
+        setInProgressWeek(data.inProgressWeek);
+        setManagerDirectory(data.managerDirectory);
+        setHistoricalMatchups(data.historicalMatchups);
+        setDataQualityIssues(data.dataQualityIssues || []);
+        setSeasonStandings(data.seasonStandings || []);
+        setStandingsHistory(data.standingsHistory || []);
+        setLineupEfficiency(data.lineupEfficiency);
+        setDraftHistory(data.draftHistory);
+        setTransactionLedger(data.transactionLedger);
+        setKeeperHistory(data.keeperHistory);
+        setPlayoffSimulationInput(data.playoffSimulationInput);
+        setLoading(false);
+        return;
+      }
+
       try {
+        const { leagueId, startYear, teamNameOverrides, retiredManagers, managerLinks, ownershipChanges, standingsTiebreakers } = JSON.parse(leagueDataKey);
+
         // 1. Fetch current league details to get the league name
-        const leagueDetails = await fetchLeagueDetails(CURRENT_LEAGUE_ID);
+        const leagueDetails = await fetchLeagueDetails(leagueId);
+        if (cancelled) return;
         if (leagueDetails && leagueDetails.name) {
           setLeagueName(leagueDetails.name);
         } else {
           console.warn("Could not fetch current league details or league name.");
         }
+        const currentWeek = leagueDetails?.status !== 'complete' ? leagueDetails?.settings?.leg : null;
+        setInProgressWeek(currentWeek ? { year: parseInt(leagueDetails.season), week: currentWeek } : null);
 
-        // 2. Fetch all users for the CURRENT league to build the display name map
-        // This map will be used for all historical data as well, assuming user_ids are consistent.
-        const users = await fetchUsersData(CURRENT_LEAGUE_ID);
-        const newUserIdToDisplayNameMap = new Map();
-        users.forEach(user => {
-            // Prioritize custom name from TEAM_NAME_TO_SLEEPER_ID_MAP
-            const customNameEntry = Object.entries(TEAM_NAME_TO_SLEEPER_ID_MAP).find(([, id]) => id === user.user_id);
-            if (customNameEntry) {
-                newUserIdToDisplayNameMap.set(user.user_id, customNameEntry[0]);
-            } else if (user.metadata?.team_name) {
-                newUserIdToDisplayNameMap.set(user.user_id, user.metadata.team_name);
-            } else if (user.display_name) {
-                newUserIdToDisplayNameMap.set(user.user_id, user.display_name);
-            } else if (user.first_name) {
-                newUserIdToDisplayNameMap.set(user.user_id, user.first_name);
-            } else {
-                newUserIdToDisplayNameMap.set(user.user_id, `User ${user.user_id}`);
-            }
-        });
-        setUserIdToDisplayNameMap(newUserIdToDisplayNameMap);
-        console.log("Built userIdToDisplayNameMap:", newUserIdToDisplayNameMap);
+        // 2. Resolve every manager across the league's seasons, applying this league's custom names
+        const directory = await fetchManagerDirectory(leagueId, startYear, { teamNameOverrides, retiredManagers, managerLinks, ownershipChanges });
+        if (cancelled) return;
+        setManagerDirectory(directory);
+        console.log("Built manager directory:", directory);
 
         // 3. Fetch all historical matchups from Sleeper API
         console.log("App.js: Fetching historical matchups from Sleeper API...");
-        const matchups = await fetchHistoricalMatchups(CURRENT_LEAGUE_ID, LEAGUE_START_YEAR);
+        const { matchups, dataQualityIssues: issues } = await fetchHistoricalMatchupsWithReport(leagueId, startYear, { managerDirectory: directory });
+        if (cancelled) return;
         setHistoricalMatchups(matchups);
+        setDataQualityIssues(issues);
         console.log("App.js: Fetched historical matchups:", matchups);
 
-        // 4. Populate dynamic team dropdown
-        const uniqueTeamNames = new Set();
-        // Use the fetched matchups' team names (which are already display names from sleeperApi.js transformation)
-        matchups.forEach(match => {
-            if (match.team1) uniqueTeamNames.add(match.team1);
-            if (match.team2) uniqueTeamNames.add(match.team2);
-        });
-        // Also add current active user display names in case they didn't play in a historical matchup yet
-        users.forEach(user => {
-            const displayName = newUserIdToDisplayNameMap.get(user.user_id);
-            if (displayName) uniqueTeamNames.add(displayName);
+        // 3b. Resolve each season's final standings (champion, runner-up, last place) from the brackets
+        const finalStandings = await fetchSeasonFinalStandings(leagueId, startYear, { managerDirectory: directory });
+        if (cancelled) return;
+        setSeasonStandings(finalStandings);
+
+        // 3c. Regular season standings and seeding, using this league's tiebreakers
+        const standings = await fetchStandingsHistory(leagueId, startYear, {
+          matchups,
+          managerDirectory: directory,
+          ...(standingsTiebreakers ? { tiebreakers: standingsTiebreakers } : {}),
         });
+        if (cancelled) return;
+        setStandingsHistory(standings);
+
+        // The datasets below are optional: each loads on its own, and one failing leaves its view empty
+        // (and is reported above the tabs) while the standings, matchups and records still show
+        const loadOptionalDataset = async (label, load, setData) => {
+          try {
+            const data = await load();
+            if (!cancelled) setData(data);
+            return data;
+          } catch (err) {
+            if (cancelled) return null;
+            console.error(`Error loading ${label} in App.js:`, err);
+            setData(null);
+            setUnavailableDatasets(labels => [...labels, label]);
+            return null;
+          }
+        };
+
+        // 3d. Bench points and optimal lineups from the player-level matchup data
+        await loadOptionalDataset('lineup efficiency', () => fetchLineupEfficiency(leagueId, startYear, { matchups }), setLineupEfficiency);
+        if (cancelled) return;
+
+        // 3e. Draft boards with each pick scored against its slot
+        const drafts = await loadOptionalDataset('drafts', () => fetchDraftHistory(leagueId, startYear, { matchups, managerDirectory: directory }), setDraftHistory);
+        if (cancelled) return;
+        const draftBoards = drafts?.boards || []; // Without them, traded picks and keeper costs go unvalued
 
-        const sortedTeamNames = Array.from(uniqueTeamNames).sort();
-        setAllTeamNames(sortedTeamNames);
+        // 3f. Every season's transactions, with trades valued using the draft boards for traded picks
+        await loadOptionalDataset('transactions', () => fetchTransactionLedger(leagueId, startYear, { matchups, draftBoards, managerDirectory: directory }), setTransactionLedger);
+        if (cancelled) return;
 
-        // Dynamically populate TEAMS subTabs
-        NAV_CATEGORIES.TEAMS.subTabs = sortedTeamNames.map(team => ({
-          label: team,
-          tab: TABS.TEAM_DETAIL, // All team links go to the team detail tab
-          teamName: team,           // Pass the team name for rendering
-        }));
+        // 3g. Players kept from season to season, linking each season's rosters to the last, with keeper costs from the drafts
+        await loadOptionalDataset('keepers', () => fetchKeeperHistory(leagueId, startYear, { matchups, draftBoards, managerDirectory: directory }), setKeeperHistory);
+        if (cancelled) return;
+
+        // 3h. What the playoff odds simulation needs for the current season (run on demand in a Web Worker)
+        await loadOptionalDataset('playoff odds', () => fetchPlayoffSimulationInput(leagueId, startYear, {
+          matchups,
+          managerDirectory: directory,
+          ...(standingsTiebreakers ? { tiebreakers: standingsTiebreakers } : {}),
+        }), setPlayoffSimulationInput);
 
       } catch (err) {
+        if (cancelled) return;
         console.error("Error loading all Sleeper data in App.js:", err);
-        setError("Failed to load league data from Sleeper API. Please check your network connection or Sleeper API status.");
+        if (err instanceof SleeperNetworkError) {
+          setError("Couldn't reach the Sleeper API. Please check your network connection.");
+        } else if (err instanceof SleeperServerError) {
+          setError(err.isRateLimited
+            ? "The Sleeper API is rate limiting requests. Please wait a minute and reload."
+            : `The Sleeper API returned an error (${err.status}). Please check Sleeper API status and try again.`);
+        } else {
+          setError("Failed to load league data from Sleeper API. Please check your network connection or Sleeper API status.");
+        }
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     loadAllSleeperData();
-  }, []); // Empty dependency array means this runs once on mount
+    return () => { cancelled = true; };
+    // Reload whenever a snapshot is imported or closed, or the active league or its data settings change
+  }, [importedSnapshot, leagueDataKey]);
+
+  // Persist registry changes and start the new league on its dashboard
+  const handleRegistryChange = useCallback((newRegistry) => {
+    saveLeagueRegistry(newRegistry);
+    setLeagueRegistry(newRegistry);
+    if (newRegistry.activeLeagueId !== leagueRegistry.activeLeagueId) {
+      setImportedSnapshot(null);
+      navigate({ tab: TABS.DASHBOARD });
+    }
+  }, [leagueRegistry.activeLeagueId, navigate]);
+
+  // Money rules are saved on the active league's registry entry
+  const handleFinancialRulesChange = useCallback((financialRules) => {
+    handleRegistryChange(updateLeague(leagueRegistry, leagueRegistry.activeLeagueId, { financialRules }));
+  }, [leagueRegistry, handleRegistryChange]);
+
+  // Keeper rules too, so each league projects keepers its own way
+  const handleKeeperRulesChange = useCallback((keeperRules) => {
+    handleRegistryChange(updateLeague(leagueRegistry, leagueRegistry.activeLeagueId, { keeperRules }));
+  }, [leagueRegistry, handleRegistryChange]);
 
-  const handleTabChange = useCallback((tab, teamName = null) => {
-    setActiveTab(tab);
-    setSelectedTeam(teamName);
+  // A confirmed takeover links the new manager's Sleeper user to the previous owner's identity
+  const handleTakeoverConfirm = useCallback(({ previousUserId, newUserId }) => {
+    const managerLinks = { ...activeLeague.managerLinks, [newUserId]: previousUserId };
+    handleRegistryChange(updateLeague(leagueRegistry, leagueRegistry.activeLeagueId, { managerLinks }));
+  }, [activeLeague, leagueRegistry, handleRegistryChange]);
+
+  // Track connectivity so we can tell users they're looking at cached data
+  useEffect(() => {
+    const updateOnlineStatus = () => setOffline(isOffline());
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+    return () => {
+      window.removeEventListener('online', updateOnlineStatus);
+      window.removeEventListener('offline', updateOnlineStatus);
+    };
   }, []);
 
+  // Views report their season/week and rivalry selections here so they end up in the URL
+  const handleRouteChange = useCallback((params, options) => {
+    navigate({ ...route, tab: activeTab, ...params }, options);
+  }, [route, activeTab, navigate]);
+
+  // Team links come from the manager directory, one per manager identity
+  const navCategories = useMemo(() => ({
+    ...NAV_CATEGORIES,
+    TEAMS: {
+      ...NAV_CATEGORIES.TEAMS,
+      subTabs: managerDirectory ? getAllManagers(managerDirectory).map(manager => ({
+        label: manager.displayName,
+        tab: TABS.TEAM_DETAIL,
+        managerId: manager.managerId,
+      })) : [],
+    },
+  }), [managerDirectory]);
+
   // Helper to render navigation items
   const renderNavItem = (category) => {
     if (category.subTabs) {
@@ -177,9 +349,8 @@ const App = () => {
             {category.subTabs.map(subTab => (
               <a
                 key={subTab.label} // Use label as key for dynamic sub-tabs
-                href="#"
-                onClick={(e) => { e.preventDefault(); handleTabChange(subTab.tab, subTab.teamName); }}
-                className={`block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 ${activeTab === subTab.tab && selectedTeam === subTab.teamName ? 'bg-gray-100 font-semibold' : ''}`}
+                href={buildRouteHash({ tab: subTab.tab, managerId: subTab.managerId })}
+                className={`block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 ${activeTab === subTab.tab && (subTab.managerId ?? null) === selectedTeam ? 'bg-gray-100 font-semibold' : ''}`}
               >
                 {subTab.label}
               </a>
@@ -191,8 +362,7 @@ const App = () => {
       return (
         <a
           key={category.tab}
-          href="#"
-          onClick={(e) => { e.preventDefault(); handleTabChange(category.tab); }}
+          href={buildRouteHash({ tab: category.tab })}
           className={`text-white px-3 py-2 rounded-md text-sm font-medium ${activeTab === category.tab ? 'bg-blue-700' : 'hover:bg-blue-700'}`}
         >
           {category.label}
@@ -208,13 +378,28 @@ const App = () => {
           <h1 className="text-3xl font-bold mb-2 sm:mb-0">
             {leagueName} Dashboard
           </h1>
-          <nav className="flex space-x-4">
-            {Object.values(NAV_CATEGORIES).map(renderNavItem)}
+          <nav className="flex items-center space-x-4">
+            {Object.values(navCategories).map(renderNavItem)}
+            <LeagueSwitcher registry={leagueRegistry} onRegistryChange={handleRegistryChange} />
           </nav>
         </div>
       </header>
 
       <main className="container mx-auto p-4">
+        {offline && (
+          <div className="mb-4 rounded-md bg-yellow-100 border border-yellow-300 text-yellow-800 px-4 py-2 text-sm">
+            You're offline. Showing league data saved from your last visit.
+          </div>
+        )}
+        {importedSnapshot && (
+          <div className="mb-4 flex flex-wrap justify-between items-center gap-2 rounded-md bg-blue-50 border border-blue-200 text-blue-800 px-4 py-2 text-sm">
+            <span>
+              Showing a snapshot of {importedSnapshot.league.name || importedSnapshot.league.leagueId} exported{' '}
+              {new Date(importedSnapshot.exportedAt).toLocaleDateString()}, not live Sleeper data.
+            </span>
+            <button onClick={() => setImportedSnapshot(null)} className="text-blue-600 hover:underline">Back to live data</button>
+          </div>
+        )}
         {loading ? (
           <div className="flex flex-col items-center justify-center min-h-[200px] text-blue-600">
             <svg className="animate-spin h-10 w-10 text-blue-500 mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -226,62 +411,212 @@ const App = () => {
         ) : error ? (
           <div className="text-center text-red-600 text-lg mt-8">Error: {error}</div>
         ) : (
+          <>
+          {unavailableDatasets.length > 0 && (
+            <div className="mb-4 rounded-md bg-yellow-50 border border-yellow-200 text-yellow-900 px-4 py-2 text-sm">
+              Couldn't load {unavailableDatasets.join(', ')} from Sleeper, so {unavailableDatasets.length === 1 ? 'that view is' : 'those views are'} empty.
+              Everything else loaded; reload the page to try again.
+            </div>
+          )}
+          <DataQualityReport
+            issues={dataQualityIssues}
+            managerDirectory={managerDirectory}
+            getDisplayTeamName={getDisplayTeamName}
+            onTakeoverConfirm={importedSnapshot ? null : handleTakeoverConfirm}
+          />
+          <GlobalFilterBar seasons={seasons} />
           <div className="bg-white p-6 rounded-lg shadow-md">
             {activeTab === TABS.DASHBOARD && (
+              <>
+              {!importedSnapshot && (
+                <LiveScoreboard
+                  leagueId={activeLeague.leagueId}
+                  managerDirectory={managerDirectory}
+                  getDisplayTeamName={getDisplayTeamName}
+                />
+              )}
               <Dashboard
                 getDisplayTeamName={getDisplayTeamName}
               />
+              </>
             )}
             {activeTab === TABS.POWER_RANKINGS && (
               <PowerRankings
-                historicalMatchups={historicalMatchups}
+                historicalMatchups={filteredMatchups}
                 getDisplayTeamName={getDisplayTeamName}
+                standingsHistory={filteredStandingsHistory}
+                hiddenManagerIds={hiddenManagerIds}
+                inProgressWeek={inProgressWeek}
+                powerRankingWeights={powerRankingWeights}
+                season={route.season}
+                week={route.week}
+                onRouteChange={handleRouteChange}
               />
             )}
             {activeTab === TABS.LEAGUE_HISTORY && (
               <LeagueHistory
-                historicalMatchups={historicalMatchups}
+                historicalMatchups={filteredMatchups}
+                seasonStandings={seasonStandings}
+                standingsHistory={filteredStandingsHistory}
+                getDisplayTeamName={getDisplayTeamName}
+              />
+            )}
+            {activeTab === TABS.PLAYOFF_ODDS && (
+              <PlayoffOdds
+                playoffSimulationInput={playoffSimulationInput}
                 getDisplayTeamName={getDisplayTeamName}
               />
             )}
             {activeTab === TABS.RECORD_BOOK && (
               <RecordBook
+                historicalMatchups={filteredMatchups}
+                getDisplayTeamName={getDisplayTeamName}
+                standingsHistory={filteredStandingsHistory}
+                hiddenManagerIds={hiddenManagerIds}
+                inProgressWeek={inProgressWeek}
+              />
+            )}
+            {activeTab === TABS.WEEKLY_RECAP && (
+              <WeeklyRecap
                 historicalMatchups={historicalMatchups}
+                standingsHistory={standingsHistory}
+                transactionLedger={transactionLedger}
+                inProgressWeek={inProgressWeek}
+                leagueName={leagueName}
                 getDisplayTeamName={getDisplayTeamName}
+                season={route.season}
+                week={route.week}
+                onRouteChange={handleRouteChange}
               />
             )}
             {activeTab === TABS.DPR_ANALYSIS && (
               <DPRAnalysis
-                historicalMatchups={historicalMatchups}
+                historicalMatchups={filteredMatchups}
                 getDisplayTeamName={getDisplayTeamName}
+                standingsHistory={filteredStandingsHistory}
+                hiddenManagerIds={hiddenManagerIds}
+                inProgressWeek={inProgressWeek}
+                powerRankingWeights={powerRankingWeights}
+                season={route.season}
+                onRouteChange={handleRouteChange}
               />
             )}
             {activeTab === TABS.LUCK_RATING && (
               <LuckRatingAnalysis
-                historicalMatchups={historicalMatchups}
+                historicalMatchups={filteredMatchups}
                 getDisplayTeamName={getDisplayTeamName}
+                standingsHistory={filteredStandingsHistory}
+                hiddenManagerIds={hiddenManagerIds}
+                inProgressWeek={inProgressWeek}
+                season={route.season}
+                onRouteChange={handleRouteChange}
               />
             )}
             {activeTab === TABS.HEAD_TO_HEAD_GRID && (
               <Head2HeadGrid
+                historicalMatchups={filteredMatchups}
+                getDisplayTeamName={getDisplayTeamName}
+                standingsHistory={filteredStandingsHistory}
+                hiddenManagerIds={hiddenManagerIds}
+                inProgressWeek={inProgressWeek}
+                managerId={route.managerId}
+                opponentId={route.opponentId}
+                onRouteChange={handleRouteChange}
+              />
+            )}
+            {activeTab === TABS.LINEUP_EFFICIENCY && (
+              <LineupEfficiency
+                lineupEfficiency={lineupEfficiency}
+                getDisplayTeamName={getDisplayTeamName}
+                season={route.season}
+                onRouteChange={handleRouteChange}
+              />
+            )}
+            {activeTab === TABS.DRAFT_HISTORY && (
+              <DraftHistory
+                draftHistory={draftHistory}
+                getDisplayTeamName={getDisplayTeamName}
+                season={route.season}
+                onRouteChange={handleRouteChange}
+              />
+            )}
+            {activeTab === TABS.TRANSACTIONS && (
+              <TransactionLedger
+                transactionLedger={transactionLedger}
+                getDisplayTeamName={getDisplayTeamName}
+              />
+            )}
+            {activeTab === TABS.PLAYER_HISTORY && (
+              <PlayerHistory
+                historicalMatchups={historicalMatchups} // Unfiltered: a player's history covers every season
+                draftHistory={draftHistory}
+                transactionLedger={transactionLedger}
+                inProgressWeek={inProgressWeek}
+                getDisplayTeamName={getDisplayTeamName}
+                playerId={route.playerId}
+                onRouteChange={handleRouteChange}
+              />
+            )}
+            {activeTab === TABS.KEEPERS && (
+              <KeeperTracker
+                keeperHistory={keeperHistory}
+                draftHistory={draftHistory}
                 historicalMatchups={historicalMatchups}
+                standingsHistory={standingsHistory}
+                keeperRules={activeLeague.keeperRules}
+                onKeeperRulesChange={handleKeeperRulesChange}
                 getDisplayTeamName={getDisplayTeamName}
+                season={route.season}
+                onRouteChange={handleRouteChange}
               />
             )}
             {activeTab === TABS.FINANCIALS && (
                 <FinancialTracker
                     getDisplayTeamName={getDisplayTeamName}
-                    historicalMatchups={historicalMatchups} // This prop is passed but FinancialTracker will fetch its own transactions
+                    historicalMatchups={historicalMatchups}
+                    transactionLedger={transactionLedger} // Every season's transactions, so FinancialTracker doesn't fetch its own
+                    inProgressWeek={inProgressWeek}
+                    seasonStandings={seasonStandings}
+                    standingsHistory={standingsHistory}
+                    financialRules={activeLeague.financialRules}
+                    onFinancialRulesChange={handleFinancialRulesChange}
+                    season={route.season}
+                    onRouteChange={handleRouteChange}
                 />
             )}
-           {activeTab === TABS.TEAM_DETAIL && selectedTeam && (
-             <TeamDetailPage
-               teamName={selectedTeam}
-               historicalMatchups={historicalMatchups}
-               getMappedTeamName={getDisplayTeamName} // Renamed prop to match getDisplayTeamName
-             />
-           )}
+            {activeTab === TABS.DATA_EXPORT && (
+              <DataExport
+                league={{ leagueId: activeLeague.leagueId, name: leagueName, startYear: activeLeague.startYear, ...importedSnapshot?.league }}
+                data={{
+                  inProgressWeek,
+                  managerDirectory,
+                  historicalMatchups,
+                  dataQualityIssues,
+                  seasonStandings,
+                  standingsHistory,
+                  lineupEfficiency,
+                  draftHistory,
+                  transactionLedger,
+                  keeperHistory,
+                  playoffSimulationInput,
+                }}
+                onSnapshotImport={setImportedSnapshot}
+              />
+            )}
+            {activeTab === TABS.TEAM_DETAIL && selectedTeam && (
+              <TeamDetailPage
+                managerId={selectedTeam}
+                managerDirectory={managerDirectory}
+                historicalMatchups={historicalMatchups} // Unfiltered: a profile always covers the whole career
+                standingsHistory={standingsHistory}
+                seasonStandings={seasonStandings}
+                transactionLedger={transactionLedger}
+                inProgressWeek={inProgressWeek}
+                getDisplayTeamName={getDisplayTeamName}
+              />
+            )}
           </div>
+          </>
         )}
       </main>
 
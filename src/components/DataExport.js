@@ -0,0 +1,94 @@
+// src/components/DataExport.js
+import React, { useState } from 'react';
+import {
+  downloadFile,
+  exportDraftsCsv,
+  exportMatchupsCsv,
+  exportRecordsCsv,
+  exportStandingsCsv,
+  exportTransactionsCsv,
+  LeagueSnapshotError,
+  parseLeagueSnapshot,
+  serializeLeagueSnapshot,
+} from '../utils/leagueExport';
+import { buildRecordBook } from '../utils/recordBook';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+
+const buttonClass = 'border border-gray-300 rounded-md px-3 py-1 text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Downloads the league's history as CSV files or a JSON snapshot, and imports a snapshot to browse
+ * instead of the live Sleeper data. Exports always cover the full history, ignoring the global filters.
+ * @param {Object} league `{ leagueId, name, startYear }` of the league being shown.
+ * @param {Object} data Everything App loaded, keyed like its state (see serializeLeagueSnapshot).
+ * @param {Function} onSnapshotImport Called with a parsed snapshot to show it in place of Sleeper data.
+ */
+const DataExport = ({ league, data, onSnapshotImport }) => {
+  const [importError, setImportError] = useState(null);
+  const { historicalMatchups, standingsHistory, seasonStandings, transactionLedger, draftHistory, inProgressWeek } = data;
+  const lastRegularSeasonWeeks = getLastRegularSeasonWeeks(standingsHistory);
+  const buildRecords = () => buildRecordBook(historicalMatchups, { lastRegularSeasonWeeks, inProgressWeek });
+
+  const csvExports = [
+    { label: 'Matchups', fileName: 'league-matchups.csv', available: historicalMatchups.length > 0, build: () => exportMatchupsCsv(historicalMatchups, { lastRegularSeasonWeeks }) },
+    { label: 'Standings', fileName: 'league-standings.csv', available: standingsHistory.length > 0, build: () => exportStandingsCsv(standingsHistory, seasonStandings) },
+    { label: 'Records', fileName: 'league-records.csv', available: historicalMatchups.length > 0, build: () => exportRecordsCsv(buildRecords()) },
+    { label: 'Transactions', fileName: 'league-transactions.csv', available: Boolean(transactionLedger), build: () => exportTransactionsCsv(transactionLedger) },
+    { label: 'Drafts', fileName: 'league-drafts.csv', available: Boolean(draftHistory), build: () => exportDraftsCsv(draftHistory) },
+  ];
+
+  const exportSnapshot = () => {
+    const snapshot = serializeLeagueSnapshot({ league, data, recordBook: buildRecords() });
+    downloadFile(snapshot, `league-history-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  };
+
+  const importSnapshot = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Picking the same file again should import it again
+    if (!file) return;
+    setImportError(null);
+    try {
+      onSnapshotImport(parseLeagueSnapshot(await file.text()));
+    } catch (error) {
+      console.error('Failed to import league snapshot:', error);
+      // Anything other than a LeagueSnapshotError (e.g. the file couldn't be read) has no message worth showing
+      setImportError(error instanceof LeagueSnapshotError ? error.message : 'Something went wrong reading it.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <h2 className="text-2xl font-bold text-blue-700">Export & Import</h2>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">CSV</h3>
+        <p className="text-sm text-gray-600 mb-2">One file per dataset, for spreadsheets.</p>
+        <div className="flex flex-wrap gap-2">
+          {csvExports.map(({ label, fileName, available, build }) => (
+            <button key={label} disabled={!available} onClick={() => downloadFile(build(), fileName, 'text/csv')} className={buttonClass}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Snapshot</h3>
+        <p className="text-sm text-gray-600 mb-2">
+          A single JSON file with everything loaded from Sleeper. Keep one each season: it can be imported below
+          to browse the league's history even after Sleeper no longer has it.
+        </p>
+        <button onClick={exportSnapshot} disabled={historicalMatchups.length === 0} className={buttonClass}>Export snapshot</button>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Import a Snapshot</h3>
+        <p className="text-sm text-gray-600 mb-2">Shows a saved snapshot in place of the live Sleeper data until you return to it.</p>
+        <input type="file" accept="application/json,.json" onChange={importSnapshot} className="text-sm" />
+        {importError && <p className="mt-2 text-sm text-red-700">Couldn't import that file: {importError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default DataExport;
@@ -0,0 +1,93 @@
+// src/components/DataQualityReport.js
+import React, { useState } from 'react';
+
+/**
+ * Roster takeovers found between seasons (see detectRosterTakeovers) whose managers are still tracked
+ * separately, each of which the commissioner can confirm as one continuing franchise.
+ */
+const TakeoverSuggestions = ({ takeovers, getDisplayTeamName, onConfirm }) => (
+  <div className="mb-4 rounded-md bg-blue-50 border border-blue-200 text-blue-900 px-4 py-2 text-sm">
+    <p className="mb-1">
+      {takeovers.length === 1 ? 'A team was' : `${takeovers.length} teams were`} taken over by a new manager between seasons.
+      Confirm a takeover to track both managers' seasons as one franchise.
+    </p>
+    <ul className="space-y-1">
+      {takeovers.map(takeover => (
+        <li key={`${takeover.year}-${takeover.rosterId}`} className="flex justify-between items-center">
+          <span>
+            {takeover.year}: {getDisplayTeamName(takeover.newUserId)} took over Roster {takeover.rosterId} from {getDisplayTeamName(takeover.previousUserId)}
+          </span>
+          <button onClick={() => onConfirm(takeover)} className="text-blue-700 hover:underline font-medium ml-4">Same franchise</button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+/**
+ * Lists games from Sleeper that could not be attributed to a manager (dropped from history)
+ * or were credited to an orphaned-team placeholder, and suggests linking the managers of rosters
+ * taken over between seasons when `onTakeoverConfirm` is given.
+ */
+const DataQualityReport = ({ issues, managerDirectory, getDisplayTeamName, onTakeoverConfirm }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  // Takeovers already linked (see managerLinks) resolve both users to the same manager
+  const takeovers = onTakeoverConfirm && managerDirectory ? (managerDirectory.takeovers || []).filter(takeover => (
+    managerDirectory.userIdToManagerId.get(takeover.previousUserId) !== managerDirectory.userIdToManagerId.get(takeover.newUserId)
+  )) : [];
+  const takeoverSuggestions = takeovers.length > 0 && (
+    <TakeoverSuggestions takeovers={takeovers} getDisplayTeamName={getDisplayTeamName} onConfirm={onTakeoverConfirm} />
+  );
+
+  if (!issues || issues.length === 0) return takeoverSuggestions || null;
+
+  const droppedCount = issues.filter(issue => !issue.attributed).length;
+  const placeholderCount = issues.length - droppedCount;
+
+  return (
+    <>
+    {takeoverSuggestions}
+    <div className="mb-4 rounded-md bg-orange-50 border border-orange-200 text-orange-900 px-4 py-2 text-sm">
+      <div className="flex justify-between items-center">
+        <p>
+          {droppedCount > 0 && <span>{droppedCount} game{droppedCount === 1 ? '' : 's'} could not be attributed and {droppedCount === 1 ? 'is' : 'are'} missing from league history. </span>}
+          {placeholderCount > 0 && <span>{placeholderCount} game{placeholderCount === 1 ? ' was' : 's were'} credited to an orphaned team.</span>}
+        </p>
+        <button onClick={() => setExpanded(!expanded)} className="text-orange-700 hover:underline font-medium ml-4">
+          {expanded ? 'Hide details' : 'View details'}
+        </button>
+      </div>
+
+      {expanded && (
+        <table className="min-w-full mt-2 text-xs">
+          <thead>
+            <tr className="text-left text-orange-700">
+              <th className="py-1 pr-4">Season</th>
+              <th className="py-1 pr-4">Week</th>
+              <th className="py-1 pr-4">Rosters</th>
+              <th className="py-1 pr-4">Points</th>
+              <th className="py-1 pr-4">Status</th>
+              <th className="py-1">Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {issues.map((issue, index) => (
+              <tr key={`${issue.year}-${issue.week}-${issue.matchupId}-${index}`} className="border-t border-orange-100">
+                <td className="py-1 pr-4">{issue.year}</td>
+                <td className="py-1 pr-4">{issue.week}</td>
+                <td className="py-1 pr-4">{issue.rosterIds.map(rosterId => `Roster ${rosterId}`).join(' vs ')}</td>
+                <td className="py-1 pr-4">{issue.points.map(points => (points ?? 0).toFixed(2)).join(' - ')}</td>
+                <td className="py-1 pr-4">{issue.attributed ? 'Kept' : 'Dropped'}</td>
+                <td className="py-1">{issue.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+    </>
+  );
+};
+
+export default DataQualityReport;
@@ -0,0 +1,173 @@
+// src/components/DraftHistory.js
+import React, { useMemo, useState } from 'react';
+
+const GRADE_COLORS = {
+  A: 'bg-green-100 text-green-800',
+  B: 'bg-lime-100 text-lime-800',
+  C: 'bg-gray-100 text-gray-800',
+  D: 'bg-orange-100 text-orange-800',
+  F: 'bg-red-100 text-red-800',
+};
+
+const formatValue = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Shade a board cell by how far the pick beat (green) or missed (red) its slot
+const getValueColor = (value) => {
+  if (value >= 50) return 'bg-green-200';
+  if (value >= 15) return 'bg-green-50';
+  if (value <= -50) return 'bg-red-200';
+  if (value <= -15) return 'bg-red-50';
+  return 'bg-white';
+};
+
+const PickTable = ({ title, picks, getDisplayTeamName }) => (
+  <div>
+    <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-600 border-b">
+          <th className="py-2 pr-4">Season</th>
+          <th className="py-2 pr-4">Pick</th>
+          <th className="py-2 pr-4">Player</th>
+          <th className="py-2 pr-4">Team</th>
+          <th className="py-2 pr-4 text-right">Points</th>
+          <th className="py-2 text-right">vs. Slot</th>
+        </tr>
+      </thead>
+      <tbody>
+        {picks.map(pick => (
+          <tr key={`${pick.year}-${pick.pickNo}`} className="border-b border-gray-100">
+            <td className="py-1 pr-4">{pick.year}</td>
+            <td className="py-1 pr-4">R{pick.round}, #{pick.pickNo}</td>
+            <td className="py-1 pr-4">{pick.playerName} <span className="text-gray-500">{pick.position}</span></td>
+            <td className="py-1 pr-4">{getDisplayTeamName(pick.managerId)}</td>
+            <td className="py-1 pr-4 text-right">{pick.seasonPoints.toFixed(1)}</td>
+            <td className="py-1 text-right font-semibold">{formatValue(pick.valueOverSlot)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Draft boards by season, the best and worst picks all-time, and each manager's draft grade by year.
+ * The board shown is the route's `season` (the picked draft, when a season had more than one).
+ */
+const DraftHistory = ({ draftHistory, getDisplayTeamName, season, onRouteChange }) => {
+  const boards = draftHistory?.boards || [];
+  const [selectedDraftId, setSelectedDraftId] = useState(null);
+  const seasonBoards = boards.filter(b => b.year === season);
+  const board = seasonBoards.find(b => b.draftId === selectedDraftId) || seasonBoards[0] || boards[boards.length - 1];
+  const selectDraft = (draftId) => {
+    setSelectedDraftId(draftId);
+    onRouteChange({ season: boards.find(b => b.draftId === draftId)?.year ?? null }, { replace: true });
+  };
+
+  // Grid of picks by round and draft slot
+  const rows = useMemo(() => {
+    if (!board) return [];
+    const grid = [];
+    board.picks.forEach(pick => {
+      if (!grid[pick.round - 1]) grid[pick.round - 1] = [];
+      grid[pick.round - 1][pick.slot - 1] = pick;
+    });
+    return grid;
+  }, [board]);
+
+  // Grades as manager rows by season columns
+  const { gradeYears, gradeRows } = useMemo(() => {
+    const grades = draftHistory?.grades || [];
+    const years = Array.from(new Set(grades.map(grade => grade.year))).sort((a, b) => a - b);
+    const byManager = new Map();
+    grades.forEach(grade => {
+      if (!byManager.has(grade.managerId)) byManager.set(grade.managerId, {});
+      byManager.get(grade.managerId)[grade.year] = grade;
+    });
+    return { gradeYears: years, gradeRows: Array.from(byManager.entries()) };
+  }, [draftHistory]);
+
+  if (!board) {
+    return <div className="text-center text-gray-600 mt-8">No completed drafts were found for this league.</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-blue-700">Draft Board</h2>
+          <select
+            value={board.draftId}
+            onChange={(e) => selectDraft(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {boards.map(b => <option key={b.draftId} value={b.draftId}>{b.year} ({b.type})</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">
+          Each pick shows the player's regular season points and how that compares to what the slot usually returns. Traded picks are marked with ⇄, keepers with K.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs border-collapse">
+            <tbody>
+              {rows.map((round, roundIndex) => (
+                <tr key={roundIndex}>
+                  <th className="py-1 pr-2 text-gray-600 text-left">R{roundIndex + 1}</th>
+                  {Array.from({ length: board.teams }, (_, slotIndex) => {
+                    const pick = round?.[slotIndex];
+                    if (!pick) return <td key={slotIndex} className="border border-gray-200 p-1" />;
+                    return (
+                      <td key={slotIndex} className={`border border-gray-200 p-1 align-top ${getValueColor(pick.valueOverSlot)}`}>
+                        <div className="font-semibold">{pick.playerName}</div>
+                        <div className="text-gray-600">{pick.position} · {getDisplayTeamName(pick.managerId)}{pick.isTraded ? ' ⇄' : ''}{pick.isKeeper ? ' K' : ''}</div>
+                        <div>{pick.seasonPoints.toFixed(1)} ({formatValue(pick.valueOverSlot)})</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <PickTable title="Best Picks All-Time" picks={draftHistory.bestPicks} getDisplayTeamName={getDisplayTeamName} />
+        <PickTable title="Worst Picks All-Time" picks={draftHistory.worstPicks} getDisplayTeamName={getDisplayTeamName} />
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Draft Grades</h3>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Team</th>
+              {gradeYears.map(year => <th key={year} className="py-2 pr-4 text-center">{year}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {gradeRows.map(([managerId, gradesByYear]) => (
+              <tr key={managerId} className="border-b border-gray-100">
+                <td className="py-1 pr-4">{getDisplayTeamName(managerId)}</td>
+                {gradeYears.map(year => {
+                  const grade = gradesByYear[year];
+                  return (
+                    <td key={year} className="py-1 pr-4 text-center">
+                      {grade && (
+                        <span className={`inline-block rounded px-2 ${GRADE_COLORS[grade.grade]}`} title={`${formatValue(grade.totalValue)} points vs. slot`}>
+                          {grade.grade}
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DraftHistory;
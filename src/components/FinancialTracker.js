@@ -0,0 +1,243 @@
+// src/components/FinancialTracker.js
+import React, { useMemo, useState } from 'react';
+import { TRANSACTION_TYPES } from '../utils/transactionLedger';
+import {
+  buildFinancialLedger,
+  exportFinancialLedgerCsv,
+  getRulesForSeason,
+  getSeasonOverrides,
+  normalizeFinancialRules,
+} from '../utils/financials';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { downloadFile } from '../utils/leagueExport';
+
+const DEFAULT_RULES_KEY = 'default';
+
+const TRANSACTION_FEE_LABELS = {
+  [TRANSACTION_TYPES.TRADE]: 'Per trade',
+  [TRANSACTION_TYPES.WAIVER]: 'Per waiver claim',
+  [TRANSACTION_TYPES.FREE_AGENT]: 'Per free-agent add',
+};
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+/**
+ * Editor for one set of rules (the league default or one season's overrides).
+ */
+const RulesEditor = ({ rules, onSave, onReset, resetLabel }) => {
+  const [draft, setDraft] = useState(rules);
+  const setNumber = (field, value) => setDraft({ ...draft, [field]: parseFloat(value) || 0 });
+  const setFee = (type, value) => setDraft({ ...draft, transactionFees: { ...draft.transactionFees, [type]: parseFloat(value) || 0 } });
+  const payoutPlaces = Object.keys(draft.payouts).map(Number).sort((a, b) => a - b);
+
+  const setPayout = (place, value) => setDraft({ ...draft, payouts: { ...draft.payouts, [place]: parseFloat(value) || 0 } });
+  const removePayout = (place) => {
+    const payouts = { ...draft.payouts };
+    delete payouts[place];
+    setDraft({ ...draft, payouts });
+  };
+  const addPayout = () => setPayout((payoutPlaces[payoutPlaces.length - 1] || 0) + 1, 0);
+
+  const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm w-24';
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="flex justify-between items-center">
+          Entry fee
+          <input type="number" min="0" className={inputClass} value={draft.entryFee} onChange={(e) => setNumber('entryFee', e.target.value)} />
+        </label>
+        {Object.entries(TRANSACTION_FEE_LABELS).map(([type, label]) => (
+          <label key={type} className="flex justify-between items-center">
+            {label}
+            <input type="number" min="0" className={inputClass} value={draft.transactionFees[type] || 0} onChange={(e) => setFee(type, e.target.value)} />
+          </label>
+        ))}
+        <label className="flex justify-between items-center">
+          Weekly high score bonus
+          <input type="number" min="0" className={inputClass} value={draft.weeklyHighScoreBonus} onChange={(e) => setNumber('weeklyHighScoreBonus', e.target.value)} />
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={draft.weeklyHighScoreRegularSeasonOnly} onChange={(e) => setDraft({ ...draft, weeklyHighScoreRegularSeasonOnly: e.target.checked })} />
+          High score bonus in the regular season only
+        </label>
+      </div>
+
+      <div>
+        <div className="font-semibold mb-1">Payouts by final place</div>
+        {payoutPlaces.map(place => (
+          <div key={place} className="flex items-center gap-2 mb-1">
+            <span className="w-16">#{place}</span>
+            <input type="number" min="0" className={inputClass} value={draft.payouts[place]} onChange={(e) => setPayout(place, e.target.value)} />
+            <button onClick={() => removePayout(place)} className="text-red-600 hover:underline">Remove</button>
+          </div>
+        ))}
+        <button onClick={addPayout} className="text-blue-600 hover:underline">Add payout</button>
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={() => onSave(draft)} className="bg-blue-600 text-white rounded-md px-3 py-1 hover:bg-blue-700">Save rules</button>
+        {onReset && <button onClick={onReset} className="text-gray-600 hover:underline">{resetLabel}</button>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * League dues and payouts: all-time and per-season balances, the entry-by-entry ledger,
+ * an editor for the league's money rules and CSV/JSON export. The season ledger shown follows the route's `season`.
+ */
+const FinancialTracker = ({
+  getDisplayTeamName,
+  historicalMatchups,
+  transactionLedger,
+  inProgressWeek,
+  seasonStandings = [],
+  standingsHistory = [],
+  financialRules,
+  onFinancialRulesChange,
+  season,
+  onRouteChange,
+}) => {
+  const rules = useMemo(() => normalizeFinancialRules(financialRules), [financialRules]);
+  const years = seasonStandings.map(season => season.year).sort((a, b) => b - a);
+  const selectedYear = years.includes(season) ? season : years[0] || null;
+  const [rulesKey, setRulesKey] = useState(DEFAULT_RULES_KEY);
+
+  const ledger = useMemo(() => buildFinancialLedger({
+    financialRules: rules,
+    seasonStandings,
+    matchups: historicalMatchups,
+    transactions: transactionLedger?.transactions || [],
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [rules, seasonStandings, standingsHistory, historicalMatchups, transactionLedger, inProgressWeek]);
+
+  const seasonBalances = ledger.seasonBalances.filter(balance => balance.year === selectedYear);
+  const seasonEntries = ledger.entries.filter(entry => entry.year === selectedYear);
+
+  const saveRules = (editedRules) => {
+    if (rulesKey === DEFAULT_RULES_KEY) {
+      onFinancialRulesChange({ ...rules, default: editedRules });
+    } else {
+      onFinancialRulesChange({ ...rules, seasons: { ...rules.seasons, [rulesKey]: getSeasonOverrides(rules, editedRules) } });
+    }
+  };
+  const resetSeasonRules = () => {
+    const seasons = { ...rules.seasons };
+    delete seasons[rulesKey];
+    onFinancialRulesChange({ ...rules, seasons });
+  };
+  const editedRules = rulesKey === DEFAULT_RULES_KEY ? rules.default : getRulesForSeason(rules, parseInt(rulesKey));
+
+  const exportCsv = () => downloadFile(exportFinancialLedgerCsv(ledger, getDisplayTeamName), 'league-financials.csv', 'text/csv');
+  const exportJson = () => downloadFile(JSON.stringify({ rules, ...ledger }, null, 2), 'league-financials.json', 'application/json');
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-blue-700">Financials</h2>
+        <div className="flex gap-2 text-sm">
+          <button onClick={exportCsv} className="border border-gray-300 rounded-md px-3 py-1 hover:bg-gray-50">Export CSV</button>
+          <button onClick={exportJson} className="border border-gray-300 rounded-md px-3 py-1 hover:bg-gray-50">Export JSON</button>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">All-Time Balances</h3>
+        {ledger.allTimeBalances.length === 0 ? (
+          <p className="text-sm text-gray-600">No money has changed hands yet. Set the league's rules below.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4 text-right">Paid In</th>
+                <th className="py-2 pr-4 text-right">Won</th>
+                <th className="py-2 text-right">Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.allTimeBalances.map(balance => (
+                <tr key={balance.managerId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{getDisplayTeamName(balance.managerId)}</td>
+                  <td className="py-1 pr-4 text-right">{formatMoney(balance.owed)}</td>
+                  <td className="py-1 pr-4 text-right">{formatMoney(balance.won)}</td>
+                  <td className={`py-1 text-right font-semibold ${balance.net >= 0 ? 'text-green-700' : 'text-red-700'}`}>{formatMoney(balance.net)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {years.length > 0 && (
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Season Ledger</h3>
+            <select value={selectedYear || ''} onChange={(e) => onRouteChange({ season: parseInt(e.target.value) }, { replace: true })} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              {years.map(year => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </div>
+          <table className="min-w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4 text-right">Paid In</th>
+                <th className="py-2 pr-4 text-right">Won</th>
+                <th className="py-2 text-right">Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {seasonBalances.map(balance => (
+                <tr key={balance.managerId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{getDisplayTeamName(balance.managerId)}</td>
+                  <td className="py-1 pr-4 text-right">{formatMoney(balance.owed)}</td>
+                  <td className="py-1 pr-4 text-right">{formatMoney(balance.won)}</td>
+                  <td className="py-1 text-right font-semibold">{formatMoney(balance.net)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <details className="text-sm">
+            <summary className="cursor-pointer text-blue-600">All {seasonEntries.length} entries</summary>
+            <table className="min-w-full mt-2">
+              <tbody>
+                {seasonEntries.map((entry, index) => (
+                  <tr key={index} className="border-b border-gray-100">
+                    <td className="py-1 pr-4">{entry.week ? `Week ${entry.week}` : ''}</td>
+                    <td className="py-1 pr-4">{getDisplayTeamName(entry.managerId)}</td>
+                    <td className="py-1 pr-4">{entry.description}</td>
+                    <td className="py-1 text-right">{formatMoney(entry.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </div>
+      )}
+
+      {onFinancialRulesChange && (
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-semibold text-gray-800">Rules</h3>
+            <select value={rulesKey} onChange={(e) => setRulesKey(e.target.value)} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+              <option value={DEFAULT_RULES_KEY}>League default</option>
+              {years.map(year => (
+                <option key={year} value={year}>{year}{rules.seasons[year] ? ' (custom)' : ''}</option>
+              ))}
+            </select>
+          </div>
+          <RulesEditor
+            key={`${rulesKey}-${JSON.stringify(editedRules)}`}
+            rules={editedRules}
+            onSave={saveRules}
+            onReset={rulesKey !== DEFAULT_RULES_KEY && rules.seasons[rulesKey] ? resetSeasonRules : null}
+            resetLabel="Use league default for this season"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FinancialTracker;
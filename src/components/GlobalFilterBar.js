@@ -0,0 +1,51 @@
+// src/components/GlobalFilterBar.js
+import React from 'react';
+import { GAME_TYPES, hasActiveFilters, useGlobalFilters } from '../utils/globalFilters';
+
+const GAME_TYPE_LABELS = {
+  [GAME_TYPES.ALL]: 'All games',
+  [GAME_TYPES.REGULAR_SEASON]: 'Regular season',
+  [GAME_TYPES.PLAYOFFS]: 'Playoffs',
+};
+
+/**
+ * Controls for the app-wide filters (season range, game type, retired managers).
+ * @param {Array<number>} seasons Every season in the league's history, oldest first.
+ */
+const GlobalFilterBar = ({ seasons }) => {
+  const { filters, setFilters, resetFilters } = useGlobalFilters();
+  const selectClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+  const toSeasonValue = (value) => (value === '' ? null : parseInt(value));
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3 rounded-md bg-white shadow-sm px-4 py-2 text-sm">
+      <span className="font-semibold text-gray-700">Filters</span>
+      <label className="flex items-center gap-1">
+        From
+        <select value={filters.fromSeason ?? ''} onChange={(e) => setFilters({ fromSeason: toSeasonValue(e.target.value) })} className={selectClass}>
+          <option value="">First season</option>
+          {seasons.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        To
+        <select value={filters.toSeason ?? ''} onChange={(e) => setFilters({ toSeason: toSeasonValue(e.target.value) })} className={selectClass}>
+          <option value="">Latest season</option>
+          {seasons.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+      </label>
+      <select value={filters.gameType} onChange={(e) => setFilters({ gameType: e.target.value })} className={selectClass}>
+        {Object.entries(GAME_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <label className="flex items-center gap-1" title="Hiding retired managers hides their rows; their games still count for their opponents">
+        <input type="checkbox" checked={filters.includeRetired} onChange={(e) => setFilters({ includeRetired: e.target.checked })} />
+        Include retired managers
+      </label>
+      {hasActiveFilters(filters) && (
+        <button onClick={resetFilters} className="text-blue-600 hover:underline">Clear filters</button>
+      )}
+    </div>
+  );
+};
+
+export default GlobalFilterBar;
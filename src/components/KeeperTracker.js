@@ -0,0 +1,230 @@
+// src/components/KeeperTracker.js
+import React, { useMemo, useState } from 'react';
+import { KEEPER_SOURCES, normalizeKeeperRules, projectKeeperOptions } from '../utils/keepers';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+
+const OPTIONS_SHOWN = 8; // Per manager, best first
+
+const SOURCE_LABELS = {
+  [KEEPER_SOURCES.KEEPER_PICK]: 'Keeper pick',
+  [KEEPER_SOURCES.ROSTER_KEEPER]: 'Roster keeper',
+  [KEEPER_SOURCES.CARRIED_OVER]: 'Carried over',
+};
+
+const formatValue = (value) => (value == null ? '–' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}`);
+const valueClass = (value) => {
+  if (value == null) return '';
+  return value >= 0 ? 'text-green-700' : 'text-red-700';
+};
+
+// Blank inputs mean "no limit" / "use the last round"
+const parseOptionalNumber = (value) => (value === '' ? null : parseInt(value) || 0);
+
+/**
+ * Editor for the league's keeper rules.
+ */
+const KeeperRulesEditor = ({ rules, onSave }) => {
+  const [draft, setDraft] = useState(rules);
+  const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm w-24';
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="flex justify-between items-center">
+          Keepers per manager
+          <input type="number" min="0" className={inputClass} value={draft.maxKeepers} onChange={(e) => setDraft({ ...draft, maxKeepers: parseInt(e.target.value) || 0 })} />
+        </label>
+        <label className="flex justify-between items-center">
+          Rounds earlier per season kept
+          <input type="number" min="0" className={inputClass} value={draft.roundPenalty} onChange={(e) => setDraft({ ...draft, roundPenalty: parseInt(e.target.value) || 0 })} />
+        </label>
+        <label className="flex justify-between items-center">
+          Undrafted player's round
+          <input type="number" min="1" placeholder="Last" className={inputClass} value={draft.undraftedRound ?? ''} onChange={(e) => setDraft({ ...draft, undraftedRound: parseOptionalNumber(e.target.value) })} />
+        </label>
+        <label className="flex justify-between items-center">
+          Seasons a player may be kept
+          <input type="number" min="1" placeholder="No limit" className={inputClass} value={draft.maxYearsKept ?? ''} onChange={(e) => setDraft({ ...draft, maxYearsKept: parseOptionalNumber(e.target.value) })} />
+        </label>
+      </div>
+      <button onClick={() => onSave(draft)} className="bg-blue-600 text-white rounded-md px-3 py-1 hover:bg-blue-700">Save rules</button>
+    </div>
+  );
+};
+
+/**
+ * Keeper and dynasty tracking: every player kept between seasons with their round cost and what they returned,
+ * each manager's keeper totals, and next season's projected keeper options under the league's keeper rules.
+ * The keeper season shown follows the route's `season`.
+ */
+const KeeperTracker = ({
+  keeperHistory,
+  draftHistory,
+  historicalMatchups,
+  standingsHistory,
+  keeperRules,
+  onKeeperRulesChange,
+  getDisplayTeamName,
+  season,
+  onRouteChange,
+}) => {
+  const rules = useMemo(() => normalizeKeeperRules(keeperRules), [keeperRules]);
+
+  const projections = useMemo(() => projectKeeperOptions({
+    keeperHistory,
+    draftBoards: draftHistory?.boards || [],
+    matchups: historicalMatchups || [],
+    keeperRules: rules,
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+  }), [keeperHistory, draftHistory, historicalMatchups, standingsHistory, rules]);
+
+  if (!keeperHistory) {
+    return <div className="text-center text-gray-600 mt-8">No keeper data has been loaded for this league.</div>;
+  }
+
+  const keeperYears = [...new Set(keeperHistory.keepers.map(keeper => keeper.year))].sort((a, b) => b - a);
+  const selectedYear = keeperYears.includes(season) ? season : keeperYears[0];
+  const seasonKeepers = keeperHistory.keepers
+    .filter(keeper => keeper.year === selectedYear)
+    .sort((a, b) => (b.valueOverCost ?? b.seasonPoints) - (a.valueOverCost ?? a.seasonPoints));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-blue-700 mb-2">Keepers</h2>
+        <p className="text-sm text-gray-600">
+          Players carried from one season to the next, found by linking each season's rosters to the last. Value compares
+          a keeper's regular season points with what the round they cost usually returns in that year's draft.
+        </p>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Projected Keeper Options for {keeperHistory.year + 1}</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Up to {rules.maxKeepers} per manager. Costs follow the {keeperHistory.year} draft; recommended keepers (★) are the
+          best eligible values.
+        </p>
+        <div className="grid gap-4 md:grid-cols-2">
+          {projections.map(({ managerId, options }) => (
+            <div key={managerId} className="border border-gray-200 rounded-md p-3">
+              <div className="font-semibold mb-1">{getDisplayTeamName(managerId)}</div>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-1 pr-2">Player</th>
+                    <th className="py-1 pr-2 text-right">Cost</th>
+                    <th className="py-1 pr-2 text-right">Points</th>
+                    <th className="py-1 text-right">Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {options.slice(0, OPTIONS_SHOWN).map(option => (
+                    <tr key={option.playerId} className={`border-b border-gray-100 ${option.isRecommended ? 'bg-green-50 font-semibold' : ''} ${option.isEligible ? '' : 'text-gray-400'}`}>
+                      <td className="py-1 pr-2" title={option.ineligibleReason || undefined}>
+                        {option.isRecommended ? '★ ' : ''}{option.name} <span className="text-gray-500 font-normal">{option.position}</span>
+                        {option.yearsKept > 0 && <span className="text-xs text-gray-500 font-normal"> · kept {option.yearsKept}×</span>}
+                      </td>
+                      <td className="py-1 pr-2 text-right">{option.isEligible ? `R${option.costRound}` : 'Ineligible'}</td>
+                      <td className="py-1 pr-2 text-right">{option.seasonPoints.toFixed(1)}</td>
+                      <td className={`py-1 text-right ${option.isEligible ? valueClass(option.valueOverCost) : ''}`}>{formatValue(option.valueOverCost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold text-gray-800">Keepers by Season</h3>
+          {keeperYears.length > 0 && (
+            <select
+              value={selectedYear}
+              onChange={(e) => onRouteChange({ season: parseInt(e.target.value) }, { replace: true })}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {keeperYears.map(year => <option key={year} value={year}>{year}</option>)}
+            </select>
+          )}
+        </div>
+        {seasonKeepers.length === 0 ? (
+          <p className="text-sm text-gray-600">No players have been kept between seasons yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Player</th>
+                  <th className="py-2 pr-4">Team</th>
+                  <th className="py-2 pr-4">How</th>
+                  <th className="py-2 pr-4 text-right">Cost</th>
+                  <th className="py-2 pr-4 text-right">Seasons Kept</th>
+                  <th className="py-2 pr-4 text-right">Season Points</th>
+                  <th className="py-2 pr-4 text-right">Points Started</th>
+                  <th className="py-2 text-right">Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {seasonKeepers.map(keeper => (
+                  <tr key={`${keeper.managerId}-${keeper.playerId}`} className="border-b border-gray-100">
+                    <td className="py-1 pr-4">{keeper.name} <span className="text-gray-500">{keeper.position}</span></td>
+                    <td className="py-1 pr-4">
+                      {getDisplayTeamName(keeper.managerId)}
+                      {keeper.previousManagerId && keeper.previousManagerId !== keeper.managerId && (
+                        <span className="text-xs text-gray-500"> (from {getDisplayTeamName(keeper.previousManagerId)})</span>
+                      )}
+                    </td>
+                    <td className="py-1 pr-4 text-gray-600">{SOURCE_LABELS[keeper.source]}</td>
+                    <td className="py-1 pr-4 text-right">{keeper.costRound != null ? `R${keeper.costRound}` : '–'}</td>
+                    <td className="py-1 pr-4 text-right">{keeper.yearsKept}</td>
+                    <td className="py-1 pr-4 text-right">{keeper.seasonPoints.toFixed(1)}</td>
+                    <td className="py-1 pr-4 text-right">{keeper.pointsStarted.toFixed(1)}</td>
+                    <td className={`py-1 text-right font-semibold ${valueClass(keeper.valueOverCost)}`}>{formatValue(keeper.valueOverCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {keeperHistory.managerTotals.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Manager Totals</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4 text-right">Keepers</th>
+                <th className="py-2 pr-4 text-right">Season Points</th>
+                <th className="py-2 pr-4 text-right">Points Started</th>
+                <th className="py-2 text-right">Value Over Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keeperHistory.managerTotals.map(totals => (
+                <tr key={totals.managerId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{getDisplayTeamName(totals.managerId)}</td>
+                  <td className="py-1 pr-4 text-right">{totals.keepers}</td>
+                  <td className="py-1 pr-4 text-right">{totals.seasonPoints.toFixed(1)}</td>
+                  <td className="py-1 pr-4 text-right">{totals.pointsStarted.toFixed(1)}</td>
+                  <td className={`py-1 text-right font-semibold ${valueClass(totals.valueOverCost)}`}>{formatValue(totals.valueOverCost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {onKeeperRulesChange && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Keeper Rules</h3>
+          <KeeperRulesEditor key={JSON.stringify(rules)} rules={rules} onSave={onKeeperRulesChange} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeeperTracker;
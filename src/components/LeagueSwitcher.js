@@ -0,0 +1,316 @@
+// src/components/LeagueSwitcher.js
+import React, { useState, useEffect } from 'react';
+import {
+  getActiveLeague,
+  setActiveLeague,
+  addLeague,
+  updateLeague,
+  removeLeague,
+  resolveLeagueEntry,
+  findLeaguesByUsername,
+} from '../utils/leagueRegistry';
+import { fetchUsersData } from '../utils/sleeperApi';
+
+const EMPTY_OWNERSHIP_CHANGE = { year: '', rosterId: '', userId: '', fromWeek: '', toWeek: '' };
+
+// An ownership change row as edited (all strings) to the registry's shape, or null if it's incomplete.
+// An empty week leaves that end open (see buildManagerDirectory).
+const toOwnershipChange = ({ year, rosterId, userId, fromWeek, toWeek }) => {
+  if (!parseInt(year) || !parseInt(rosterId) || !userId) return null;
+  return {
+    year: parseInt(year),
+    rosterId: parseInt(rosterId),
+    userId,
+    ...(parseInt(fromWeek) ? { fromWeek: parseInt(fromWeek) } : {}),
+    ...(parseInt(toWeek) ? { toWeek: parseInt(toWeek) } : {}),
+  };
+};
+
+/**
+ * Header control for switching between registered leagues, adding a league by ID or by
+ * Sleeper username, and editing the active league's start year, team-name overrides and the
+ * mid-season ownership changes Sleeper doesn't record.
+ */
+const LeagueSwitcher = ({ registry, onRegistryChange }) => {
+  const activeLeague = getActiveLeague(registry);
+  const [showManager, setShowManager] = useState(false);
+  const [leagueIdInput, setLeagueIdInput] = useState('');
+  const [usernameInput, setUsernameInput] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [leagueUsers, setLeagueUsers] = useState([]);
+  const [startYearInput, setStartYearInput] = useState('');
+  const [nameInputs, setNameInputs] = useState({}); // user_id -> custom team name being edited
+  const [ownershipInputs, setOwnershipInputs] = useState([]); // Ownership changes being edited
+
+  // Load the active league's users so their team names can be overridden
+  useEffect(() => {
+    if (!showManager) return;
+    let cancelled = false;
+    setStartYearInput(activeLeague.startYear ? String(activeLeague.startYear) : '');
+    const overrideNames = {};
+    Object.entries(activeLeague.teamNameOverrides).forEach(([name, userId]) => {
+      if (!overrideNames[userId]) overrideNames[userId] = name; // First entry is the primary name; the rest are aliases
+    });
+    setNameInputs(overrideNames);
+    setOwnershipInputs(activeLeague.ownershipChanges.map(change => ({
+      ...EMPTY_OWNERSHIP_CHANGE,
+      ...Object.fromEntries(Object.entries(change).map(([field, value]) => [field, String(value)])),
+    })));
+    fetchUsersData(activeLeague.leagueId)
+      .then(users => { if (!cancelled) setLeagueUsers(users); })
+      .catch(() => { if (!cancelled) setLeagueUsers([]); });
+    return () => { cancelled = true; };
+  }, [showManager, activeLeague.leagueId, activeLeague.startYear, activeLeague.teamNameOverrides, activeLeague.ownershipChanges]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error('League registry action failed:', error);
+      setMessage('Could not reach Sleeper. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddLeague = (leagueId) => runAction(async () => {
+    const entry = await resolveLeagueEntry(leagueId);
+    if (!entry) {
+      setMessage(`No Sleeper league found with ID ${leagueId}.`);
+      return;
+    }
+    onRegistryChange(addLeague(registry, entry));
+    setLeagueIdInput('');
+    setSearchResults([]);
+    setMessage(`Added ${entry.name}.`);
+  });
+
+  const handleSearch = () => runAction(async () => {
+    const leagues = await findLeaguesByUsername(usernameInput);
+    if (leagues === null) {
+      setMessage(`No Sleeper user named "${usernameInput}".`);
+      setSearchResults([]);
+      return;
+    }
+    setSearchResults(leagues);
+    if (leagues.length === 0) setMessage(`${usernameInput} isn't in any leagues this season.`);
+  });
+
+  const handleSaveSettings = () => {
+    // Replace each user's primary name and keep their aliases (additional names for the same user).
+    // The first name per user is the one displayed, so the edited primaries go in before the aliases.
+    const teamNameOverrides = {};
+    Object.entries(nameInputs).forEach(([userId, name]) => {
+      if (name && name.trim()) teamNameOverrides[name.trim()] = userId;
+    });
+    const primaryNames = new Set();
+    Object.entries(activeLeague.teamNameOverrides).forEach(([name, userId]) => {
+      if (!primaryNames.has(userId)) {
+        primaryNames.add(userId);
+        return;
+      }
+      if (!(name in teamNameOverrides)) teamNameOverrides[name] = userId;
+    });
+    onRegistryChange(updateLeague(registry, activeLeague.leagueId, {
+      startYear: startYearInput ? parseInt(startYearInput) : null,
+      teamNameOverrides,
+      ownershipChanges: ownershipInputs.map(toOwnershipChange).filter(Boolean),
+    }));
+    setMessage('League settings saved.');
+  };
+
+  const setOwnershipInput = (index, field, value) => {
+    setOwnershipInputs(ownershipInputs.map((change, i) => (i === index ? { ...change, [field]: value } : change)));
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center space-x-2">
+        <select
+          value={activeLeague.leagueId}
+          onChange={(e) => onRegistryChange(setActiveLeague(registry, e.target.value))}
+          className="text-gray-800 text-sm rounded-md px-2 py-1"
+        >
+          {registry.leagues.map(league => (
+            <option key={league.leagueId} value={league.leagueId}>{league.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowManager(!showManager)}
+          className="text-white hover:text-blue-200 text-sm font-medium"
+        >
+          {showManager ? 'Close' : 'Manage Leagues'}
+        </button>
+      </div>
+
+      {showManager && (
+        <div className="absolute right-0 mt-2 w-96 rounded-md shadow-lg bg-white text-gray-800 ring-1 ring-black ring-opacity-5 z-20 p-4 space-y-4">
+          {message && <p className="text-sm text-blue-700">{message}</p>}
+
+          <div>
+            <h3 className="text-sm font-semibold mb-1">Add a league by ID</h3>
+            <div className="flex space-x-2">
+              <input
+                value={leagueIdInput}
+                onChange={(e) => setLeagueIdInput(e.target.value)}
+                placeholder="Sleeper league ID"
+                className="flex-1 border rounded-md px-2 py-1 text-sm"
+              />
+              <button
+                disabled={busy || !leagueIdInput.trim()}
+                onClick={() => handleAddLeague(leagueIdInput.trim())}
+                className="bg-blue-600 text-white text-sm rounded-md px-3 py-1 disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold mb-1">Find leagues by Sleeper username</h3>
+            <div className="flex space-x-2">
+              <input
+                value={usernameInput}
+                onChange={(e) => setUsernameInput(e.target.value)}
+                placeholder="Sleeper username"
+                className="flex-1 border rounded-md px-2 py-1 text-sm"
+              />
+              <button
+                disabled={busy || !usernameInput.trim()}
+                onClick={handleSearch}
+                className="bg-blue-600 text-white text-sm rounded-md px-3 py-1 disabled:opacity-50"
+              >
+                Search
+              </button>
+            </div>
+            {searchResults.length > 0 && (
+              <ul className="mt-2 divide-y text-sm">
+                {searchResults.map(league => (
+                  <li key={league.leagueId} className="flex justify-between items-center py-1">
+                    <span>{league.name} <span className="text-gray-500">({league.season}, {league.totalRosters} teams)</span></span>
+                    <button
+                      disabled={busy}
+                      onClick={() => handleAddLeague(league.leagueId)}
+                      className="text-blue-600 hover:underline"
+                    >
+                      Add
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold mb-1">{activeLeague.name} settings</h3>
+            <label className="block text-xs text-gray-600 mb-2">
+              First season to include
+              <input
+                type="number"
+                value={startYearInput}
+                onChange={(e) => setStartYearInput(e.target.value)}
+                placeholder="All seasons"
+                className="block w-full border rounded-md px-2 py-1 text-sm mt-1"
+              />
+            </label>
+            <p className="text-xs text-gray-600 mb-1">Team name overrides</p>
+            <div className="max-h-48 overflow-y-auto space-y-1">
+              {leagueUsers.map(user => (
+                <div key={user.user_id} className="flex items-center space-x-2 text-sm">
+                  <span className="w-32 truncate text-gray-500">{user.display_name}</span>
+                  <input
+                    value={nameInputs[user.user_id] || ''}
+                    onChange={(e) => setNameInputs({ ...nameInputs, [user.user_id]: e.target.value })}
+                    placeholder={user.metadata?.team_name || user.display_name}
+                    className="flex-1 border rounded-md px-2 py-1"
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-600 mt-2 mb-1">Mid-season ownership changes</p>
+            <div className="max-h-48 overflow-y-auto space-y-1">
+              {ownershipInputs.map((change, index) => (
+                <div key={index} className="flex items-center space-x-1 text-sm">
+                  <input
+                    type="number"
+                    value={change.year}
+                    onChange={(e) => setOwnershipInput(index, 'year', e.target.value)}
+                    placeholder="Season"
+                    className="w-16 border rounded-md px-1 py-1"
+                  />
+                  <input
+                    type="number"
+                    value={change.rosterId}
+                    onChange={(e) => setOwnershipInput(index, 'rosterId', e.target.value)}
+                    placeholder="Roster"
+                    className="w-14 border rounded-md px-1 py-1"
+                  />
+                  <select
+                    value={change.userId}
+                    onChange={(e) => setOwnershipInput(index, 'userId', e.target.value)}
+                    className="flex-1 min-w-0 border rounded-md px-1 py-1"
+                  >
+                    <option value="">Manager</option>
+                    {change.userId && !leagueUsers.some(user => user.user_id === change.userId) && (
+                      <option value={change.userId}>{change.userId}</option>
+                    )}
+                    {leagueUsers.map(user => <option key={user.user_id} value={user.user_id}>{user.display_name}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    value={change.fromWeek}
+                    onChange={(e) => setOwnershipInput(index, 'fromWeek', e.target.value)}
+                    placeholder="From"
+                    title="First week run by this manager (empty for the start of the season)"
+                    className="w-12 border rounded-md px-1 py-1"
+                  />
+                  <input
+                    type="number"
+                    value={change.toWeek}
+                    onChange={(e) => setOwnershipInput(index, 'toWeek', e.target.value)}
+                    placeholder="To"
+                    title="Last week run by this manager (empty for the rest of the season)"
+                    className="w-12 border rounded-md px-1 py-1"
+                  />
+                  <button
+                    onClick={() => setOwnershipInputs(ownershipInputs.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setOwnershipInputs([...ownershipInputs, EMPTY_OWNERSHIP_CHANGE])}
+              className="text-blue-600 text-sm hover:underline"
+            >
+              Add ownership change
+            </button>
+            <div className="flex justify-between mt-2">
+              <button
+                onClick={handleSaveSettings}
+                className="bg-blue-600 text-white text-sm rounded-md px-3 py-1"
+              >
+                Save
+              </button>
+              <button
+                disabled={registry.leagues.length <= 1}
+                onClick={() => onRegistryChange(removeLeague(registry, activeLeague.leagueId))}
+                className="text-red-600 text-sm hover:underline disabled:opacity-50"
+              >
+                Remove league
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeagueSwitcher;
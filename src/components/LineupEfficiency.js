@@ -0,0 +1,109 @@
+// src/components/LineupEfficiency.js
+import React, { useMemo } from 'react';
+
+const WORST_WEEKS_SHOWN = 10;
+
+const formatPoints = (points) => points.toFixed(2);
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Manager efficiency per team and season (points scored vs. the optimal lineup), plus the
+ * single weeks where the most points were left on the bench. The route's `season` narrows both to one season.
+ */
+const LineupEfficiency = ({ lineupEfficiency, getDisplayTeamName, season, onRouteChange }) => {
+  const selectedYear = season ?? 'all';
+
+  const years = useMemo(() => (
+    Array.from(new Set((lineupEfficiency?.seasons || []).map(season => season.year))).sort((a, b) => b - a)
+  ), [lineupEfficiency]);
+
+  const { seasons, worstWeeks } = useMemo(() => {
+    const matchesYear = row => selectedYear === 'all' || row.year === parseInt(selectedYear);
+    return {
+      seasons: (lineupEfficiency?.seasons || []).filter(matchesYear),
+      worstWeeks: (lineupEfficiency?.weeks || [])
+        .filter(matchesYear)
+        .sort((a, b) => b.pointsLeftOnBench - a.pointsLeftOnBench)
+        .slice(0, WORST_WEEKS_SHOWN),
+    };
+  }, [lineupEfficiency, selectedYear]);
+
+  if (!lineupEfficiency || lineupEfficiency.seasons.length === 0) {
+    return <div className="text-center text-gray-600 mt-8">No lineup data is available for this league yet.</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-blue-700">Lineup Efficiency</h2>
+        <select
+          value={selectedYear}
+          onChange={(e) => onRouteChange({ season: e.target.value === 'all' ? null : parseInt(e.target.value) }, { replace: true })}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value="all">All Seasons</option>
+          {years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Efficiency is points scored divided by the best lineup that could have been started from the same roster.
+      </p>
+
+      <table className="min-w-full text-sm mb-8">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-2 pr-4">Team</th>
+            <th className="py-2 pr-4">Season</th>
+            <th className="py-2 pr-4 text-right">Efficiency</th>
+            <th className="py-2 pr-4 text-right">Points</th>
+            <th className="py-2 pr-4 text-right">Optimal</th>
+            <th className="py-2 pr-4 text-right">Bench Points</th>
+            <th className="py-2 text-right">Left on Bench</th>
+          </tr>
+        </thead>
+        <tbody>
+          {seasons.map(season => (
+            <tr key={`${season.year}-${season.managerId}`} className="border-b border-gray-100">
+              <td className="py-1 pr-4">{getDisplayTeamName(season.managerId)}</td>
+              <td className="py-1 pr-4">{season.year}</td>
+              <td className="py-1 pr-4 text-right">{formatPercent(season.efficiency)}</td>
+              <td className="py-1 pr-4 text-right">{formatPoints(season.actualPoints)}</td>
+              <td className="py-1 pr-4 text-right">{formatPoints(season.optimalPoints)}</td>
+              <td className="py-1 pr-4 text-right">{formatPoints(season.benchPoints)}</td>
+              <td className="py-1 text-right font-semibold">{formatPoints(season.pointsLeftOnBench)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Most Points Left on the Bench in a Week</h3>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-2 pr-4">Team</th>
+            <th className="py-2 pr-4">Season</th>
+            <th className="py-2 pr-4">Week</th>
+            <th className="py-2 pr-4 text-right">Points</th>
+            <th className="py-2 pr-4 text-right">Optimal</th>
+            <th className="py-2 text-right">Left on Bench</th>
+          </tr>
+        </thead>
+        <tbody>
+          {worstWeeks.map(week => (
+            <tr key={`${week.year}-${week.week}-${week.managerId}`} className="border-b border-gray-100">
+              <td className="py-1 pr-4">{getDisplayTeamName(week.managerId)}</td>
+              <td className="py-1 pr-4">{week.year}</td>
+              <td className="py-1 pr-4">{week.week}</td>
+              <td className="py-1 pr-4 text-right">{formatPoints(week.actualPoints)}</td>
+              <td className="py-1 pr-4 text-right">{formatPoints(week.optimalPoints)}</td>
+              <td className="py-1 text-right font-semibold">{formatPoints(week.pointsLeftOnBench)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LineupEfficiency;
@@ -0,0 +1,154 @@
+// src/components/LiveScoreboard.js
+import React, { useEffect, useState } from 'react';
+import { fetchLiveScoreboard } from '../utils/sleeperApi';
+import { isWithinGameWindow } from '../utils/liveScoreboard';
+import { LIVE_SCOREBOARD_SETTINGS } from '../config';
+
+const STATUS = {
+  LIVE: 'live', // Polling during a game window
+  WAITING: 'waiting', // Outside the game windows; only the clock is checked
+  HIDDEN: 'hidden', // The browser tab is hidden
+};
+
+const STATUS_LABELS = {
+  [STATUS.LIVE]: 'Live',
+  [STATUS.WAITING]: 'Updates resume when games are on',
+  [STATUS.HIDDEN]: 'Paused',
+};
+
+const formatPercent = (probability) => `${Math.round(probability * 100)}%`;
+
+const LiveSide = ({ side, getDisplayTeamName, alignRight }) => (
+  <div className={`flex-1 ${alignRight ? 'text-right' : ''}`}>
+    <div className="font-semibold text-gray-800">{getDisplayTeamName(side.managerId)}</div>
+    <div className="text-2xl font-bold text-blue-700">{side.score.toFixed(2)}</div>
+    <div className="text-xs text-gray-600">
+      Proj. {side.projectedScore.toFixed(2)} &middot; {side.playersToPlay.length} to play
+    </div>
+  </div>
+);
+
+/**
+ * Scores for the week being played, refreshed on an interval (LIVE_SCOREBOARD_SETTINGS in config.js) while
+ * games are on and the tab is visible. Shows nothing outside the season.
+ * @param {string} leagueId The current season's league ID.
+ * @param {Object} managerDirectory The manager directory, for attributing rosters.
+ * @param {Function} getDisplayTeamName Maps a managerId to its display name.
+ */
+const LiveScoreboard = ({ leagueId, managerDirectory, getDisplayTeamName }) => {
+  const [scoreboard, setScoreboard] = useState(null);
+  const [status, setStatus] = useState(STATUS.LIVE);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!managerDirectory) return undefined;
+    const { pollIntervalMs, gameWindows } = LIVE_SCOREBOARD_SETTINGS;
+    let cancelled = false;
+    let timer = null;
+    let inFlight = false;
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(poll, pollIntervalMs);
+    };
+
+    const refresh = async () => {
+      inFlight = true;
+      try {
+        const live = await fetchLiveScoreboard(leagueId, { managerDirectory });
+        if (cancelled) return false;
+        setScoreboard(live);
+        setUpdatedAt(new Date());
+        setError(null);
+        return Boolean(live);
+      } catch (err) {
+        if (cancelled) return false;
+        console.error("Failed to refresh the live scoreboard:", err);
+        setError("Couldn't refresh live scores. Retrying shortly.");
+        return true;
+      } finally {
+        inFlight = false;
+      }
+    };
+
+    // Each tick checks the tab and the clock first, so nothing is requested while no one is watching or no games are on
+    const poll = async ({ force = false } = {}) => {
+      clearTimeout(timer);
+      timer = null;
+      if (cancelled || inFlight) return;
+      if (document.hidden) {
+        setStatus(STATUS.HIDDEN);
+        return; // Restarted by the visibilitychange listener
+      }
+      if (!force && !isWithinGameWindow(new Date(), gameWindows)) {
+        setStatus(STATUS.WAITING);
+        schedule();
+        return;
+      }
+      setStatus(STATUS.LIVE);
+      const isInSeason = await refresh();
+      if (!cancelled && isInSeason) schedule(); // Out of season: stop for good
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearTimeout(timer);
+        timer = null;
+        setStatus(STATUS.HIDDEN);
+      } else {
+        poll();
+      }
+    };
+
+    // Always load the week once, even outside a game window, so the latest scores are shown
+    poll({ force: true });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [leagueId, managerDirectory]);
+
+  if (!scoreboard) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-2xl font-bold text-blue-700">Week {scoreboard.week} Scoreboard</h2>
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          {status === STATUS.LIVE && <span className="inline-block h-2 w-2 rounded-full bg-red-500 animate-pulse" />}
+          <span>{STATUS_LABELS[status]}</span>
+          {updatedAt && <span>&middot; Updated {updatedAt.toLocaleTimeString()}</span>}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-700 mb-2">{error}</p>}
+      <div className="grid gap-4 md:grid-cols-2">
+        {scoreboard.matchups.map(matchup => (
+          <div key={matchup.matchupId ?? matchup.teams[0].rosterId} className="border border-gray-200 rounded-md p-3">
+            <div className="flex gap-4">
+              {matchup.teams.map((side, index) => (
+                <LiveSide key={side.rosterId} side={side} getDisplayTeamName={getDisplayTeamName} alignRight={index > 0} />
+              ))}
+            </div>
+            {matchup.teams.length === 2 && matchup.teams[0].winProbability != null && (
+              <div className="mt-2">
+                <div className="flex h-2 rounded-full overflow-hidden bg-gray-200">
+                  <div className="bg-blue-600" style={{ width: formatPercent(matchup.teams[0].winProbability) }} />
+                  <div className="bg-orange-400 flex-1" />
+                </div>
+                <div className="flex justify-between text-xs text-gray-600 mt-1">
+                  <span>{formatPercent(matchup.teams[0].winProbability)} to win</span>
+                  <span>{formatPercent(matchup.teams[1].winProbability)} to win</span>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LiveScoreboard;
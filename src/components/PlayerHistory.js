@@ -0,0 +1,178 @@
+// src/components/PlayerHistory.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchNFLPlayers, getSleeperPlayerHeadshotUrl } from '../utils/sleeperApi';
+import { buildPlayerHistory, buildPlayerIndex, describePlayerEvent, searchPlayers } from '../utils/playerHistory';
+import { buildRouteHash } from '../utils/router';
+
+const formatWeeks = ({ from, to }) => (from.week === to.week ? `Wk ${from.week}` : `Wk ${from.week}–${to.week}`);
+
+/**
+ * Player search and history: every league roster a player was on by season and week, the points they
+ * scored in each manager's starting lineup, and how each manager acquired and dropped them.
+ * The selected player comes from the route (`playerId`).
+ */
+const PlayerHistory = ({ historicalMatchups, draftHistory, transactionLedger, inProgressWeek, getDisplayTeamName, playerId, onRouteChange }) => {
+  const [query, setQuery] = useState('');
+  const [playersById, setPlayersById] = useState({});
+
+  // Names, positions and NFL teams; draft and transaction names are searched until these load
+  useEffect(() => {
+    let cancelled = false;
+    fetchNFLPlayers()
+      .then(players => { if (!cancelled) setPlayersById(players || {}); })
+      .catch(error => console.error("Failed to load NFL players for player history:", error));
+    return () => { cancelled = true; };
+  }, []);
+
+  const playerIndex = useMemo(() => buildPlayerIndex({
+    matchups: historicalMatchups || [],
+    draftBoards: draftHistory?.boards,
+    transactions: transactionLedger?.transactions,
+    playersById,
+    inProgressWeek,
+  }), [historicalMatchups, draftHistory, transactionLedger, playersById, inProgressWeek]);
+
+  const results = useMemo(() => searchPlayers(playerIndex, query), [playerIndex, query]);
+
+  const history = useMemo(() => (playerId ? buildPlayerHistory({
+    playerId,
+    matchups: historicalMatchups || [],
+    draftBoards: draftHistory?.boards,
+    transactions: transactionLedger?.transactions,
+    inProgressWeek,
+  }) : null), [playerId, historicalMatchups, draftHistory, transactionLedger, inProgressWeek]);
+
+  const player = playerIndex.find(entry => entry.playerId === playerId);
+  const selectPlayer = (selectedId) => {
+    setQuery('');
+    onRouteChange({ playerId: selectedId });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Player History</h2>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search for any player in league history"
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm w-full"
+        />
+        {query.trim() && results.length === 0 && <p className="text-sm text-gray-600 mt-2">No players match.</p>}
+        {results.length > 0 && (
+          <ul className="border border-gray-200 rounded-md mt-1 divide-y divide-gray-100 text-sm">
+            {results.map(result => (
+              <li key={result.playerId}>
+                <button onClick={() => selectPlayer(result.playerId)} className="w-full text-left px-3 py-1 hover:bg-gray-50">
+                  {result.name} <span className="text-gray-500">{[result.position, result.nflTeam].filter(Boolean).join(' · ')}</span>
+                  <span className="float-right text-gray-500">{result.weeks} weeks rostered</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {playerId && !history && <p className="text-center text-gray-600">This player has never been on a roster in this league.</p>}
+
+      {history && (
+        <>
+          <div className="flex items-center gap-4">
+            <img src={getSleeperPlayerHeadshotUrl(playerId)} alt="" className="h-16 w-16 rounded-full border border-gray-200 object-cover" />
+            <div>
+              <h3 className="text-xl font-bold text-gray-800">{player?.name || playerId}</h3>
+              <p className="text-sm text-gray-600">
+                {[player?.position, player?.nflTeam].filter(Boolean).join(' · ')}
+                {player?.position || player?.nflTeam ? ' · ' : ''}
+                {history.totals.weeks} weeks on {history.totals.managers} {history.totals.managers === 1 ? 'roster' : 'rosters'},
+                {' '}{history.totals.starts} starts, {history.totals.pointsStarted.toFixed(2)} points started
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">By Manager</h3>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Team</th>
+                  <th className="py-2 pr-4">Seasons</th>
+                  <th className="py-2 pr-4 text-right">Weeks</th>
+                  <th className="py-2 pr-4 text-right">Starts</th>
+                  <th className="py-2 pr-4 text-right">Points Started</th>
+                  <th className="py-2 text-right">Per Start</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.managers.map(entry => (
+                  <tr key={entry.managerId} className="border-b border-gray-100">
+                    <td className="py-1 pr-4">
+                      <a href={buildRouteHash({ tab: 'teamDetail', managerId: entry.managerId })} className="text-blue-600 hover:underline">
+                        {getDisplayTeamName(entry.managerId)}
+                      </a>
+                    </td>
+                    <td className="py-1 pr-4 text-gray-600">{entry.seasons.join(', ')}</td>
+                    <td className="py-1 pr-4 text-right">{entry.weeks}</td>
+                    <td className="py-1 pr-4 text-right">{entry.starts}</td>
+                    <td className="py-1 pr-4 text-right font-semibold">{entry.pointsStarted.toFixed(2)}</td>
+                    <td className="py-1 text-right">{entry.starts > 0 ? (entry.pointsStarted / entry.starts).toFixed(2) : '–'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Rosters by Season</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4">Season</th>
+                    <th className="py-2 pr-4">Weeks</th>
+                    <th className="py-2 pr-4">Team</th>
+                    <th className="py-2 pr-4">Acquired</th>
+                    <th className="py-2 pr-4">Left</th>
+                    <th className="py-2 pr-4 text-right">Starts</th>
+                    <th className="py-2 text-right">Points Started</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...history.stints].reverse().map(stint => (
+                    <tr key={`${stint.year}-${stint.from.week}-${stint.managerId}`} className="border-b border-gray-100">
+                      <td className="py-1 pr-4">{stint.year}</td>
+                      <td className="py-1 pr-4">{formatWeeks(stint)}</td>
+                      <td className="py-1 pr-4">{getDisplayTeamName(stint.managerId)}</td>
+                      <td className="py-1 pr-4 text-gray-600">{stint.acquisition ? describePlayerEvent(stint.acquisition, getDisplayTeamName) : 'Unknown'}</td>
+                      <td className="py-1 pr-4 text-gray-600">{stint.departure ? `Wk ${stint.departure.week}: ${describePlayerEvent(stint.departure, getDisplayTeamName)}` : '–'}</td>
+                      <td className="py-1 pr-4 text-right">{stint.starts}/{stint.weeks}</td>
+                      <td className="py-1 text-right">{stint.pointsStarted.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Draft and Transaction Log</h3>
+            {history.events.length === 0 ? (
+              <p className="text-sm text-gray-600">Never drafted or moved in a transaction.</p>
+            ) : (
+              <ul className="text-sm text-gray-700 space-y-0.5">
+                {[...history.events].reverse().map((event, index) => (
+                  <li key={event.transactionId || `draft-${event.year}-${index}`}>
+                    <span className="text-gray-500">{event.year} {event.week > 0 ? `Wk ${event.week}` : 'Draft'}:</span> {describePlayerEvent(event, getDisplayTeamName)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayerHistory;
@@ -0,0 +1,150 @@
+// src/components/PlayoffOdds.js
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_SIMULATION_COUNT } from '../utils/playoffSimulator';
+import { simulatePlayoffOdds } from '../utils/playoffOddsClient';
+
+const SIMULATION_COUNTS = [1000, 5000, DEFAULT_SIMULATION_COUNT, 25000];
+
+const parseSeed = (text) => {
+  const seed = parseInt(text, 10);
+  return Number.isNaN(seed) ? undefined : seed;
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+// Shades a probability cell from white (0%) to blue (100%)
+const oddsStyle = (value) => ({ backgroundColor: `rgba(37, 99, 235, ${(value * 0.6).toFixed(3)})` });
+
+/**
+ * Monte Carlo playoff, bye and last-seed odds with projected final records and seed
+ * distributions for the current season. Simulations run in a Web Worker.
+ */
+const PlayoffOdds = ({ playoffSimulationInput, getDisplayTeamName }) => {
+  const [simulations, setSimulations] = useState(DEFAULT_SIMULATION_COUNT);
+  const [seedText, setSeedText] = useState('');
+  const [run, setRun] = useState({ seed: undefined }); // The seed committed by the last Re-run; a new object re-runs
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!playoffSimulationInput) return undefined;
+    let cancelled = false;
+
+    setRunning(true);
+    setError(null);
+    const { promise, cancel } = simulatePlayoffOdds({ ...playoffSimulationInput, simulations, seed: run.seed });
+    promise
+      .then(simulation => { if (!cancelled) setResult(simulation); })
+      .catch(err => {
+        console.error("Playoff simulation failed:", err);
+        if (!cancelled) setError("Couldn't simulate the rest of the season.");
+      })
+      .finally(() => { if (!cancelled) setRunning(false); });
+    return () => {
+      cancelled = true;
+      cancel();
+    };
+    // Re-run only when the input changes or the user asks; editing the seed field alone doesn't re-run
+  }, [playoffSimulationInput, simulations, run]);
+
+  if (!playoffSimulationInput) {
+    return <div className="text-center text-gray-600 mt-8">The regular season is over, so there are no playoff odds to simulate.</div>;
+  }
+
+  const { year, week, settings } = playoffSimulationInput;
+  const seedCount = result ? result.teams.length : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-2xl font-bold text-blue-700">{year} Playoff Odds</h2>
+        <div className="flex items-center gap-2 text-sm">
+          <select value={simulations} onChange={(e) => setSimulations(parseInt(e.target.value))} className="border border-gray-300 rounded-md px-2 py-1">
+            {SIMULATION_COUNTS.map(count => <option key={count} value={count}>{count.toLocaleString()} seasons</option>)}
+          </select>
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="Random seed"
+            value={seedText}
+            onChange={(e) => setSeedText(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 w-28"
+          />
+          <button onClick={() => setRun({ seed: parseSeed(seedText) })} disabled={running} className="bg-blue-600 text-white rounded-md px-3 py-1 hover:bg-blue-700 disabled:opacity-50">
+            {running ? 'Simulating...' : 'Re-run'}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        Plays out the rest of the regular season from week {week}, drawing each team's weekly score from its scoring so far
+        (weighted toward the manager's past seasons early on). {settings.playoffTeams} teams make the playoffs.
+        {result && ` Seed ${result.seed}, ${result.simulations.toLocaleString()} simulated seasons.`}
+      </p>
+
+      {error && <div className="text-red-600 text-sm">{error}</div>}
+
+      {result && (
+        <>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4 text-right">Record</th>
+                <th className="py-2 pr-4 text-right">Projected</th>
+                <th className="py-2 pr-4 text-right">Avg. Seed</th>
+                <th className="py-2 pr-4 text-right">Playoffs</th>
+                <th className="py-2 pr-4 text-right">Bye</th>
+                <th className="py-2 text-right" title="Finishing the regular season as the lowest seed">Last Seed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.teams.map(team => (
+                <tr key={team.rosterId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{getDisplayTeamName(team.managerId) || team.team}</td>
+                  <td className="py-1 pr-4 text-right">{formatRecord(team)}</td>
+                  <td className="py-1 pr-4 text-right">{team.projectedWins.toFixed(1)}-{team.projectedLosses.toFixed(1)}</td>
+                  <td className="py-1 pr-4 text-right">{team.averageSeed.toFixed(1)}</td>
+                  <td className="py-1 pr-4 text-right font-semibold">{formatPercent(team.playoffOdds)}</td>
+                  <td className="py-1 pr-4 text-right">{formatPercent(team.byeOdds)}</td>
+                  <td className="py-1 text-right">{formatPercent(team.lastSeedOdds)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Seed Distribution</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="text-gray-600">
+                    <th className="py-1 pr-2 text-left">Team</th>
+                    {Array.from({ length: seedCount }, (_, index) => (
+                      <th key={index} className={`py-1 px-1 text-center ${index === settings.playoffTeams - 1 ? 'border-r-2 border-gray-400' : ''}`}>{index + 1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.teams.map(team => (
+                    <tr key={team.rosterId} className="border-t border-gray-100">
+                      <td className="py-1 pr-2 font-semibold">{getDisplayTeamName(team.managerId) || team.team}</td>
+                      {team.seedOdds.map((odds, index) => (
+                        <td key={index} style={oddsStyle(odds)} className={`py-1 px-1 text-center ${index === settings.playoffTeams - 1 ? 'border-r-2 border-gray-400' : ''}`}>
+                          {odds >= 0.005 ? `${Math.round(odds * 100)}%` : ''}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffOdds;
@@ -0,0 +1,82 @@
+// src/components/RatingChart.js
+import React, { useState } from 'react';
+
+const WIDTH = 720;
+const HEIGHT = 320;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 48 };
+
+const COLORS = [
+  '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#db2777',
+  '#0891b2', '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#9333ea',
+  '#b91c1c', '#15803d',
+];
+
+/**
+ * Line chart of each team's rating by week, drawn as plain SVG. Hovering a legend entry
+ * highlights that team's line.
+ * @param {Array<Object>} series From getRatingHistory: `{ managerId, points: [{ week, rating }] }`.
+ */
+const RatingChart = ({ series, getDisplayTeamName }) => {
+  const [highlighted, setHighlighted] = useState(null);
+
+  const allPoints = series.flatMap(line => line.points);
+  if (allPoints.length === 0) return null;
+
+  const weeks = allPoints.map(point => point.week);
+  const ratings = allPoints.map(point => point.rating);
+  const minWeek = Math.min(...weeks);
+  const maxWeek = Math.max(...weeks);
+  const minRating = Math.min(...ratings, 1) - 0.05;
+  const maxRating = Math.max(...ratings, 1) + 0.05;
+
+  const x = (week) => PADDING.left + (maxWeek === minWeek ? 0.5 : (week - minWeek) / (maxWeek - minWeek)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (rating) => PADDING.top + (1 - (rating - minRating) / (maxRating - minRating)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const yTicks = Array.from({ length: 5 }, (_, index) => minRating + ((maxRating - minRating) * index) / 4);
+  const xTicks = Array.from({ length: maxWeek - minWeek + 1 }, (_, index) => minWeek + index);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#6b7280">{tick.toFixed(2)}</text>
+          </g>
+        ))}
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(1)} y2={y(1)} stroke="#9ca3af" strokeDasharray="4 4" />
+        {xTicks.map(week => (
+          <text key={week} x={x(week)} y={HEIGHT - PADDING.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">{week}</text>
+        ))}
+        {series.map((line, index) => {
+          const isDimmed = highlighted && highlighted !== line.managerId;
+          return (
+            <polyline
+              key={line.managerId}
+              points={line.points.map(point => `${x(point.week)},${y(point.rating)}`).join(' ')}
+              fill="none"
+              stroke={COLORS[index % COLORS.length]}
+              strokeWidth={highlighted === line.managerId ? 3 : 2}
+              opacity={isDimmed ? 0.15 : 1}
+            />
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs mt-2">
+        {series.map((line, index) => (
+          <span
+            key={line.managerId}
+            className="flex items-center gap-1 cursor-default"
+            onMouseEnter={() => setHighlighted(line.managerId)}
+            onMouseLeave={() => setHighlighted(null)}
+          >
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: COLORS[index % COLORS.length] }} />
+            {getDisplayTeamName(line.managerId)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RatingChart;
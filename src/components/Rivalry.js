@@ -0,0 +1,97 @@
+// src/components/Rivalry.js
+import React from 'react';
+import { MEETING_TYPES } from '../utils/headToHead';
+
+const MEETING_TYPE_LABELS = {
+  [MEETING_TYPES.REGULAR_SEASON]: 'Regular Season',
+  [MEETING_TYPES.PLAYOFFS]: 'Playoffs',
+  [MEETING_TYPES.CONSOLATION]: 'Consolation',
+};
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+/**
+ * One rivalry between two managers: the series summary and every meeting in order.
+ * `rivalry` is the pair from getRivalry, from `managerId`'s side.
+ */
+const Rivalry = ({ rivalry, managerId, opponentId, getDisplayTeamName }) => {
+  const name = getDisplayTeamName(managerId);
+  const opponentName = getDisplayTeamName(opponentId);
+
+  if (!rivalry) {
+    return <div className="text-center text-gray-600 mt-4">{name} and {opponentName} have never played each other.</div>;
+  }
+
+  const { longestStreak, currentStreak, lastMeeting, biggestBlowout } = rivalry;
+  const streakHolder = (streak) => (streak.result === 'W' ? name : opponentName);
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <div className="text-xl font-bold text-gray-800">{name} vs. {opponentName}</div>
+        <div className="text-4xl font-bold text-blue-700 my-2">{formatRecord(rivalry)}</div>
+        <div className="text-sm text-gray-600">
+          {rivalry.games} meetings · average margin {formatSigned(rivalry.averageMargin)} for {name}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+        {Object.entries(MEETING_TYPE_LABELS).map(([type, label]) => (
+          <div key={type} className="border border-gray-200 rounded-md p-3 text-center">
+            <div className="text-gray-600">{label}</div>
+            <div className="text-lg font-semibold">{formatRecord(rivalry.splits[type])}</div>
+          </div>
+        ))}
+      </div>
+
+      <ul className="text-sm space-y-1">
+        {longestStreak && (
+          <li><span className="font-semibold">Longest streak:</span> {streakHolder(longestStreak)}, {longestStreak.length} straight from {longestStreak.startYear} week {longestStreak.startWeek}</li>
+        )}
+        {currentStreak && (
+          <li><span className="font-semibold">Current streak:</span> {streakHolder(currentStreak)} has won {currentStreak.length} straight</li>
+        )}
+        {lastMeeting && (
+          <li><span className="font-semibold">Last meeting:</span> {lastMeeting.year} week {lastMeeting.week}, {lastMeeting.score.toFixed(2)} - {lastMeeting.opponentScore.toFixed(2)}</li>
+        )}
+        {biggestBlowout && (
+          <li>
+            <span className="font-semibold">Biggest blowout:</span> {biggestBlowout.margin > 0 ? name : opponentName} by {Math.abs(biggestBlowout.margin).toFixed(2)}
+            {' '}({biggestBlowout.year} week {biggestBlowout.week})
+          </li>
+        )}
+      </ul>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-2 pr-4">Season</th>
+            <th className="py-2 pr-4">Week</th>
+            <th className="py-2 pr-4">Type</th>
+            <th className="py-2 pr-4 text-right">{name}</th>
+            <th className="py-2 pr-4 text-right">{opponentName}</th>
+            <th className="py-2 text-right">Margin</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rivalry.meetings.map(meeting => (
+            <tr key={`${meeting.year}-${meeting.week}`} className="border-b border-gray-100">
+              <td className="py-1 pr-4">{meeting.year}</td>
+              <td className="py-1 pr-4">{meeting.week}</td>
+              <td className="py-1 pr-4">
+                {MEETING_TYPE_LABELS[meeting.type]}
+                {meeting.finalSeedingGame === 1 && ' (Championship)'}
+              </td>
+              <td className={`py-1 pr-4 text-right ${meeting.result === 'W' ? 'font-semibold text-green-700' : ''}`}>{meeting.score.toFixed(2)}</td>
+              <td className={`py-1 pr-4 text-right ${meeting.result === 'L' ? 'font-semibold text-green-700' : ''}`}>{meeting.opponentScore.toFixed(2)}</td>
+              <td className="py-1 text-right">{formatSigned(meeting.margin)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default Rivalry;
@@ -0,0 +1,151 @@
+// src/components/TransactionLedger.js
+import React, { useMemo, useState } from 'react';
+import { TRANSACTION_TYPES, searchTransactions } from '../utils/transactionLedger';
+
+const TYPE_LABELS = {
+  [TRANSACTION_TYPES.TRADE]: 'Trade',
+  [TRANSACTION_TYPES.WAIVER]: 'Waiver',
+  [TRANSACTION_TYPES.FREE_AGENT]: 'Free Agent',
+  [TRANSACTION_TYPES.COMMISSIONER]: 'Commissioner',
+};
+
+const formatPick = (pick) => `${pick.season} Round ${pick.round}${pick.playerName ? ` (${pick.playerName})` : ''}`;
+
+const TradeCard = ({ trade, getDisplayTeamName }) => (
+  <div className="border border-gray-200 rounded-md p-3">
+    <div className="flex justify-between text-sm text-gray-600 mb-2">
+      <span>{trade.year} · Week {trade.week}</span>
+      <span className={trade.winnerManagerId ? 'font-semibold text-blue-700' : ''}>
+        {trade.verdict}{trade.hasUnresolvedPicks ? ' (picks still to be drafted)' : ''}
+      </span>
+    </div>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {trade.sides.map(side => (
+        <div key={side.rosterId} className={`rounded p-2 ${side.managerId === trade.winnerManagerId ? 'bg-green-50' : 'bg-gray-50'}`}>
+          <div className="font-semibold mb-1">{getDisplayTeamName(side.managerId)} received</div>
+          <ul className="text-sm">
+            {side.players.map(player => (
+              <li key={player.playerId}>{player.name} <span className="text-gray-500">{player.position}</span> · {player.points.toFixed(1)} pts</li>
+            ))}
+            {side.picks.map((pick, index) => (
+              <li key={`pick-${index}`}>{formatPick(pick)} · {pick.points.toFixed(1)} pts</li>
+            ))}
+            {side.faabReceived > 0 && <li>${side.faabReceived} FAAB</li>}
+          </ul>
+          <div className="text-sm font-semibold mt-1">{side.points.toFixed(1)} points started</div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Searchable trade history with verdicts, the full waiver/free-agent log, and per-manager totals.
+ */
+const TransactionLedger = ({ transactionLedger, getDisplayTeamName }) => {
+  const [query, setQuery] = useState('');
+  const [typeFilter, setTypeFilter] = useState(TRANSACTION_TYPES.TRADE);
+
+  const results = useMemo(() => {
+    if (!transactionLedger) return [];
+    const entries = typeFilter === TRANSACTION_TYPES.TRADE
+      ? transactionLedger.trades
+      : transactionLedger.transactions.filter(transaction => typeFilter === 'all' || transaction.type === typeFilter);
+    return searchTransactions(entries, query);
+  }, [transactionLedger, typeFilter, query]);
+
+  if (!transactionLedger) {
+    return <div className="text-center text-gray-600 mt-8">No transactions have been loaded for this league.</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Transactions</h2>
+        <div className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by player or team"
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm flex-grow"
+          />
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value={TRANSACTION_TYPES.TRADE}>Trades</option>
+            <option value={TRANSACTION_TYPES.WAIVER}>Waivers</option>
+            <option value={TRANSACTION_TYPES.FREE_AGENT}>Free Agents</option>
+            <option value="all">All Transactions</option>
+          </select>
+        </div>
+
+        {results.length === 0 && <p className="text-sm text-gray-600">No transactions match.</p>}
+        {typeFilter === TRANSACTION_TYPES.TRADE ? (
+          <div className="space-y-3">
+            {results.map(trade => <TradeCard key={trade.transactionId} trade={trade} getDisplayTeamName={getDisplayTeamName} />)}
+          </div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Season</th>
+                <th className="py-2 pr-4">Week</th>
+                <th className="py-2 pr-4">Type</th>
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4">Added</th>
+                <th className="py-2 pr-4">Dropped</th>
+                <th className="py-2 text-right">Bid</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.flatMap(transaction => transaction.sides.map(side => (
+                <tr key={`${transaction.transactionId}-${side.rosterId}`} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{transaction.year}</td>
+                  <td className="py-1 pr-4">{transaction.week}</td>
+                  <td className="py-1 pr-4">{TYPE_LABELS[transaction.type] || transaction.type}</td>
+                  <td className="py-1 pr-4">{getDisplayTeamName(side.managerId)}</td>
+                  <td className="py-1 pr-4">{side.adds.map(player => player.name).join(', ')}</td>
+                  <td className="py-1 pr-4">{side.drops.map(player => player.name).join(', ')}</td>
+                  <td className="py-1 text-right">{transaction.faabBid != null ? `$${transaction.faabBid}` : ''}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Manager Totals</h3>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Team</th>
+              <th className="py-2 pr-4 text-right">Trades</th>
+              <th className="py-2 pr-4 text-right">Trade Points +/-</th>
+              <th className="py-2 pr-4 text-right">Waiver Claims</th>
+              <th className="py-2 pr-4 text-right">FAAB Spent</th>
+              <th className="py-2 text-right">Free Agent Adds</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactionLedger.managerTotals.map(totals => (
+              <tr key={totals.managerId} className="border-b border-gray-100">
+                <td className="py-1 pr-4">{getDisplayTeamName(totals.managerId)}</td>
+                <td className="py-1 pr-4 text-right">{totals.trades}</td>
+                <td className="py-1 pr-4 text-right">{totals.tradePointsGained >= 0 ? '+' : ''}{totals.tradePointsGained.toFixed(1)}</td>
+                <td className="py-1 pr-4 text-right">{totals.waiverClaims}</td>
+                <td className="py-1 pr-4 text-right">${totals.faabSpent}</td>
+                <td className="py-1 text-right">{totals.freeAgentAdds}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TransactionLedger;
@@ -0,0 +1,102 @@
+// src/components/WeeklyRecap.js
+import React, { useMemo, useState } from 'react';
+import { buildRecordBook } from '../utils/recordBook';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { buildWeeklyRecap, getRecapSections, renderRecapHtml, renderRecapMarkdown } from '../utils/weeklyRecap';
+import { downloadFile } from '../utils/leagueExport';
+import { isCompletedWeek } from '../utils/matchupModel';
+
+const buttonClass = 'border border-gray-300 rounded-md px-3 py-1 hover:bg-gray-50';
+
+/**
+ * The weekly recap for a chosen week, shown in the app and exportable as Markdown or HTML.
+ * The season and week come from the route (`season`, `week`) and default to the latest completed week.
+ */
+const WeeklyRecap = ({ historicalMatchups, standingsHistory, transactionLedger, inProgressWeek, leagueName, getDisplayTeamName, season: selectedYear, week: selectedWeek, onRouteChange }) => {
+  const [copied, setCopied] = useState(false);
+
+  const recordBook = useMemo(() => buildRecordBook(historicalMatchups || [], {
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek]);
+
+  // Completed weeks by season; the week still being played isn't recapped yet
+  const weeksBySeason = useMemo(() => {
+    const weeks = new Map();
+    (historicalMatchups || []).forEach(matchup => {
+      if (!isCompletedWeek(matchup, inProgressWeek)) return;
+      const { year, week } = matchup;
+      if (!weeks.has(year)) weeks.set(year, new Set());
+      weeks.get(year).add(week);
+    });
+    return new Map(Array.from(weeks, ([year, yearWeeks]) => [year, [...yearWeeks].sort((a, b) => a - b)]));
+  }, [historicalMatchups, inProgressWeek]);
+
+  const years = [...weeksBySeason.keys()].sort((a, b) => a - b);
+  const year = weeksBySeason.has(selectedYear) ? selectedYear : years[years.length - 1];
+  const weeks = weeksBySeason.get(year) || [];
+  const week = weeks.includes(selectedWeek) ? selectedWeek : weeks[weeks.length - 1];
+
+  const recap = useMemo(() => (year && week ? buildWeeklyRecap({
+    year,
+    week,
+    matchups: historicalMatchups,
+    standingsHistory,
+    recordBook,
+    transactionLedger,
+  }) : null), [year, week, historicalMatchups, standingsHistory, recordBook, transactionLedger]);
+
+  if (!recap) {
+    return <div className="text-center text-gray-600 mt-8">No completed weeks to recap yet.</div>;
+  }
+
+  const renderOptions = { leagueName, getTeamName: getDisplayTeamName };
+  const fileName = `recap-${year}-week-${week}`;
+  const copyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(renderRecapMarkdown(recap, renderOptions));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy the recap:', error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-2xl font-bold text-blue-700">Weekly Recap</h2>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <select
+            value={year}
+            onChange={(e) => onRouteChange({ season: parseInt(e.target.value), week: null }, { replace: true })}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {[...years].reverse().map(entry => <option key={entry} value={entry}>{entry}</option>)}
+          </select>
+          <select value={week} onChange={(e) => onRouteChange({ season: year, week: parseInt(e.target.value) }, { replace: true })} className="border border-gray-300 rounded-md px-2 py-1">
+            {weeks.map(entry => <option key={entry} value={entry}>Week {entry}</option>)}
+          </select>
+          <button onClick={copyMarkdown} className={buttonClass}>{copied ? 'Copied!' : 'Copy Markdown'}</button>
+          <button onClick={() => downloadFile(renderRecapMarkdown(recap, renderOptions), `${fileName}.md`, 'text/markdown')} className={buttonClass}>Export Markdown</button>
+          <button onClick={() => downloadFile(renderRecapHtml(recap, renderOptions), `${fileName}.html`, 'text/html')} className={buttonClass}>Export HTML</button>
+        </div>
+      </div>
+
+      <h3 className="text-xl font-semibold text-gray-800">{leagueName}: {year} Week {week} Recap</h3>
+      {getRecapSections(recap, getDisplayTeamName).map(section => {
+        const List = section.ordered ? 'ol' : 'ul';
+        return (
+          <div key={section.title}>
+            <h4 className="text-lg font-semibold text-gray-800 mb-1">{section.title}</h4>
+            <List className={`${section.ordered ? 'list-decimal' : 'list-disc'} pl-6 text-sm text-gray-700 space-y-0.5`}>
+              {section.lines.map(line => <li key={line}>{line}</li>)}
+            </List>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WeeklyRecap;
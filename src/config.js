@@ -5,6 +5,7 @@
 
 // The year your league started. Used for fetching historical data from Sleeper.
 // IMPORTANT: Adjust this to your league's actual first season year.
+// This applies to the default league; leagues added in the app keep their own start year (see leagueRegistry.js).
 export const LEAGUE_START_YEAR = 2021;
 
 // Custom team name mappings (Optional: for use if you want to map names from historical matchups to custom display names)
@@ -17,3 +18,34 @@ export const NICKNAME_TO_SLEEPER_USER = {
   // You can still define specific overrides here if needed, but the primary mapping
   // should be in sleeperApi.js for consistency with Sleeper user IDs.
 };
+
+// Power ranking (DPR) weights. Each component is an index where the league average is 1.0
+// (see powerRankings.js), and the rating is their weighted average, so weights are relative.
+//   - pointsScored: points per game
+//   - winPct: win percentage, including median results
+//   - allPlay: record against every team, every week
+//   - recentForm: points per game over the last `recentFormWeeks` weeks
+export const DEFAULT_POWER_RANKING_WEIGHTS = {
+  pointsScored: 0.4,
+  winPct: 0.25,
+  allPlay: 0.25,
+  recentForm: 0.1,
+  recentFormWeeks: 3,
+};
+
+// Per-league overrides of any of the weights above, keyed by the league ID the league was added with.
+// Example: { '1234567890': { winPct: 0.4, allPlay: 0.1 } }
+export const POWER_RANKING_WEIGHTS_BY_LEAGUE = {};
+
+// Live scoreboard on the Dashboard. During the current week's games Sleeper is polled every
+// `pollIntervalMs`; outside the game windows (and while the browser tab is hidden) polling stops.
+// Windows are in US Eastern time: `day` is 0 (Sunday) to 6, hours may be fractional (9.5 = 9:30).
+export const LIVE_SCOREBOARD_SETTINGS = {
+  pollIntervalMs: 60 * 1000,
+  gameWindows: [
+    { day: 4, startHour: 20, endHour: 24 }, // Thursday night
+    { day: 6, startHour: 13, endHour: 24 }, // Saturday, late in the season
+    { day: 0, startHour: 9.5, endHour: 24 }, // Sunday, from the early international games through Sunday night
+    { day: 1, startHour: 19, endHour: 24 }, // Monday night
+  ],
+};
@@ -0,0 +1,106 @@
+// src/lib/DPRAnalysis.js
+import React, { useMemo } from 'react';
+import { buildPowerRankings, getCareerRatings, RATING_COMPONENTS } from '../utils/powerRankings';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { hideManagerRows } from '../utils/globalFilters';
+
+const COMPONENT_LABELS = {
+  pointsScored: 'Points',
+  winPct: 'Win %',
+  allPlay: 'All-Play',
+  recentForm: 'Form',
+};
+
+// Highlights ratings above (green) and below (red) an average team
+const ratingClass = (rating) => (rating >= 1 ? 'text-green-700' : 'text-red-700');
+
+/**
+ * DPR by season: every manager's end-of-regular-season rating with its components, plus career
+ * averages across seasons. The season shown comes from the route and changes through `onRouteChange`.
+ * Managers in `hiddenManagerIds` are rated but not listed.
+ */
+const DPRAnalysis = ({ historicalMatchups, getDisplayTeamName, standingsHistory, hiddenManagerIds, inProgressWeek, powerRankingWeights, season: selectedYear, onRouteChange }) => {
+  const powerRankings = useMemo(() => buildPowerRankings(historicalMatchups || [], {
+    weights: powerRankingWeights,
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek, powerRankingWeights]);
+  const careers = useMemo(() => getCareerRatings(powerRankings), [powerRankings]);
+
+  if (powerRankings.seasons.length === 0) {
+    return <div className="text-center text-gray-600 mt-8">No regular season games have been played yet.</div>;
+  }
+
+  const years = powerRankings.seasons.map(season => season.year);
+  const year = years.includes(selectedYear) ? selectedYear : years[years.length - 1];
+  const season = powerRankings.seasons.find(entry => entry.year === year);
+  const finalWeek = season.weeks[season.weeks.length - 1];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-blue-700">DPR Analysis</h2>
+          <select value={year} onChange={(e) => onRouteChange({ season: parseInt(e.target.value) }, { replace: true })} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+            {[...years].reverse().map(entry => <option key={entry} value={entry}>{entry}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">{year} ratings after week {finalWeek.week}. Each component is an index where 1.000 is league average.</p>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Rank</th>
+              <th className="py-2 pr-4">Team</th>
+              {RATING_COMPONENTS.map(component => <th key={component} className="py-2 pr-4 text-right">{COMPONENT_LABELS[component]}</th>)}
+              <th className="py-2 text-right">DPR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {hideManagerRows(finalWeek.rankings, hiddenManagerIds).map(entry => (
+              <tr key={entry.managerId} className="border-b border-gray-100">
+                <td className="py-1 pr-4">{entry.rank}</td>
+                <td className="py-1 pr-4">{getDisplayTeamName(entry.managerId)}</td>
+                {RATING_COMPONENTS.map(component => (
+                  <td key={component} className="py-1 pr-4 text-right">{entry.components[component].toFixed(3)}</td>
+                ))}
+                <td className={`py-1 text-right font-semibold ${ratingClass(entry.rating)}`}>{entry.rating.toFixed(3)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Career DPR</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Team</th>
+                <th className="py-2 pr-4 text-right">Average</th>
+                <th className="py-2 pr-4 text-right">Best</th>
+                {years.map(entry => <th key={entry} className="py-2 pr-2 text-right">{entry}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {hideManagerRows(careers, hiddenManagerIds).map(career => (
+                <tr key={career.managerId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">{getDisplayTeamName(career.managerId)}</td>
+                  <td className={`py-1 pr-4 text-right font-semibold ${ratingClass(career.averageRating)}`}>{career.averageRating.toFixed(3)}</td>
+                  <td className="py-1 pr-4 text-right">{career.bestRating.toFixed(3)} ({career.bestYear})</td>
+                  {years.map(entry => (
+                    <td key={entry} className="py-1 pr-2 text-right text-gray-700">
+                      {career.seasons[entry] != null ? career.seasons[entry].toFixed(3) : '–'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DPRAnalysis;
@@ -0,0 +1,105 @@
+// src/lib/Head2HeadGrid.js
+import React, { useMemo } from 'react';
+import { buildHeadToHeadRecords, getRivalry } from '../utils/headToHead';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import Rivalry from '../components/Rivalry';
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+// Green when the row manager leads the series, red when they trail
+const cellClass = ({ wins, losses }) => {
+  if (wins > losses) return 'bg-green-100 text-green-800';
+  if (wins < losses) return 'bg-red-100 text-red-800';
+  return 'bg-gray-50 text-gray-700';
+};
+
+/**
+ * All-time head-to-head grid for every pair of managers. Picking a cell (or two managers)
+ * opens that rivalry with every meeting listed. The open rivalry is the route's `managerId`/`opponentId` pair,
+ * so it can be linked to and the back button returns to the grid. Managers in `hiddenManagerIds` are left off the grid.
+ */
+const Head2HeadGrid = ({ historicalMatchups, getDisplayTeamName, standingsHistory, hiddenManagerIds, inProgressWeek, managerId: routeManagerId, opponentId: routeOpponentId, onRouteChange }) => {
+  const selectPair = (managerId, opponentId, options) => onRouteChange({ managerId, opponentId }, options);
+
+  const headToHead = useMemo(() => buildHeadToHeadRecords(historicalMatchups || [], {
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek]);
+
+  const managerIds = useMemo(() => (
+    [...headToHead.managerIds]
+      .filter(managerId => !hiddenManagerIds?.has(managerId))
+      .sort((a, b) => getDisplayTeamName(a).localeCompare(getDisplayTeamName(b)))
+  ), [headToHead, hiddenManagerIds, getDisplayTeamName]);
+
+  if (managerIds.length === 0) {
+    return <div className="text-center text-gray-600 mt-8">No head-to-head games have been played yet.</div>;
+  }
+
+  const managerSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+      {managerIds.map(managerId => <option key={managerId} value={managerId}>{getDisplayTeamName(managerId)}</option>)}
+    </select>
+  );
+
+  if (routeManagerId && routeOpponentId) {
+    const managerId = routeManagerId;
+    const opponentId = routeOpponentId;
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <button onClick={() => selectPair(null, null)} className="text-blue-600 hover:underline text-sm">&larr; Back to grid</button>
+          <div className="flex items-center gap-2">
+            {managerSelect(managerId, id => selectPair(id, opponentId, { replace: true }))}
+            <span className="text-gray-600 text-sm">vs.</span>
+            {managerSelect(opponentId, id => selectPair(managerId, id, { replace: true }))}
+          </div>
+        </div>
+        <Rivalry
+          rivalry={getRivalry(headToHead, managerId, opponentId)}
+          managerId={managerId}
+          opponentId={opponentId}
+          getDisplayTeamName={getDisplayTeamName}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-blue-700 mb-2">Head-to-Head Grid</h2>
+      <p className="text-sm text-gray-600 mb-4">Each cell is the row manager's all-time record against the column manager. Click a cell for the full rivalry.</p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-gray-600">
+              <th className="py-1 pr-2 text-left">Team</th>
+              {managerIds.map(managerId => <th key={managerId} className="py-1 px-1 text-center">{getDisplayTeamName(managerId)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {managerIds.map(managerId => (
+              <tr key={managerId} className="border-t border-gray-100">
+                <td className="py-1 pr-2 font-semibold whitespace-nowrap">{getDisplayTeamName(managerId)}</td>
+                {managerIds.map(opponentId => {
+                  if (opponentId === managerId) return <td key={opponentId} className="bg-gray-200" />;
+                  const rivalry = getRivalry(headToHead, managerId, opponentId);
+                  return (
+                    <td key={opponentId} className={`py-1 px-1 text-center ${rivalry ? `cursor-pointer hover:ring-1 hover:ring-blue-400 ${cellClass(rivalry)}` : 'text-gray-400'}`}
+                      onClick={rivalry ? () => selectPair(managerId, opponentId) : undefined}
+                      title={rivalry ? `Avg. margin ${rivalry.averageMargin.toFixed(2)}` : undefined}
+                    >
+                      {rivalry ? formatRecord(rivalry) : '–'}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Head2HeadGrid;
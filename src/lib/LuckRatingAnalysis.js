@@ -0,0 +1,108 @@
+// src/lib/LuckRatingAnalysis.js
+import React, { useMemo } from 'react';
+import { buildLuckAnalysis } from '../utils/luckAnalysis';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { hideManagerRows } from '../utils/globalFilters';
+
+const ALL_TIME = 'allTime';
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+/**
+ * Luck ratings (actual wins vs. all-play expected wins) and the schedule-swap matrix,
+ * per season or all-time. The route's `season` picks the season (none means all-time). Managers in
+ * `hiddenManagerIds` still count in everyone's all-play records but get no row or column.
+ */
+const LuckRatingAnalysis = ({ historicalMatchups, getDisplayTeamName, standingsHistory, hiddenManagerIds, inProgressWeek, season, onRouteChange }) => {
+  const analysis = useMemo(() => buildLuckAnalysis(historicalMatchups || [], {
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek]);
+
+  const years = Object.keys(analysis.seasons).map(Number).sort((a, b) => b - a);
+  const selectedSeason = years.includes(season) ? season : ALL_TIME;
+  const view = selectedSeason === ALL_TIME ? analysis.allTime : analysis.seasons[selectedSeason];
+
+  const teams = view ? hideManagerRows(view.teams, hiddenManagerIds) : [];
+  if (teams.length === 0) {
+    return <div className="text-center text-gray-600 mt-8">No regular season games to analyze yet.</div>;
+  }
+
+  const managerIds = teams.map(team => team.managerId);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-blue-700">Luck Rating</h2>
+          <select value={selectedSeason} onChange={(e) => onRouteChange({ season: e.target.value === ALL_TIME ? null : parseInt(e.target.value) }, { replace: true })} className="border border-gray-300 rounded-md px-2 py-1 text-sm">
+            <option value={ALL_TIME}>All-Time</option>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Expected wins count each week as the share of teams a score would have beaten. Luck is actual wins minus expected wins.
+        </p>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Team</th>
+              <th className="py-2 pr-4 text-right">Record</th>
+              <th className="py-2 pr-4 text-right">All-Play</th>
+              <th className="py-2 pr-4 text-right">All-Play %</th>
+              <th className="py-2 pr-4 text-right">Expected Wins</th>
+              <th className="py-2 text-right">Luck</th>
+            </tr>
+          </thead>
+          <tbody>
+            {teams.map(team => (
+              <tr key={team.managerId} className="border-b border-gray-100">
+                <td className="py-1 pr-4">{getDisplayTeamName(team.managerId)}</td>
+                <td className="py-1 pr-4 text-right">{formatRecord(team.actual)}</td>
+                <td className="py-1 pr-4 text-right">{formatRecord(team.allPlay)}</td>
+                <td className="py-1 pr-4 text-right">{(team.allPlayPct * 100).toFixed(1)}%</td>
+                <td className="py-1 pr-4 text-right">{team.expectedWins.toFixed(2)}</td>
+                <td className={`py-1 text-right font-semibold ${team.luck >= 0 ? 'text-green-700' : 'text-red-700'}`}>{formatSigned(team.luck)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Schedule Swap</h3>
+        <p className="text-sm text-gray-600 mb-2">
+          Each row is a team's scores played against the schedule of the team in each column. The highlighted diagonal is the real record.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-gray-600">
+                <th className="py-1 pr-2 text-left">Team \ Schedule</th>
+                {managerIds.map(managerId => <th key={managerId} className="py-1 px-1 text-center">{getDisplayTeamName(managerId)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {managerIds.map(managerId => (
+                <tr key={managerId} className="border-t border-gray-100">
+                  <td className="py-1 pr-2 font-semibold">{getDisplayTeamName(managerId)}</td>
+                  {managerIds.map(scheduleOwnerId => {
+                    const record = view.scheduleSwap[managerId]?.[scheduleOwnerId];
+                    return (
+                      <td key={scheduleOwnerId} className={`py-1 px-1 text-center ${managerId === scheduleOwnerId ? 'bg-blue-100 font-semibold' : ''}`}>
+                        {record ? formatRecord(record) : '–'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LuckRatingAnalysis;
@@ -0,0 +1,95 @@
+// src/lib/PowerRankings.js
+import React, { useMemo } from 'react';
+import { buildPowerRankings, getRatingHistory, RATING_COMPONENTS } from '../utils/powerRankings';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { hideManagerRows } from '../utils/globalFilters';
+import RatingChart from '../components/RatingChart';
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+const MovementArrow = ({ movement }) => {
+  if (movement == null || movement === 0) return <span className="text-gray-400">–</span>;
+  return movement > 0
+    ? <span className="text-green-600">▲{movement}</span>
+    : <span className="text-red-600">▼{-movement}</span>;
+};
+
+/**
+ * Weekly power rankings with week-over-week movement and a chart of every team's rating through the season.
+ * The season and week shown come from the route (`season`, `week`); picking others goes through `onRouteChange`.
+ * Managers in `hiddenManagerIds` are rated but not listed.
+ */
+const PowerRankings = ({ historicalMatchups, getDisplayTeamName, standingsHistory, hiddenManagerIds, inProgressWeek, powerRankingWeights, season: selectedYear, week: selectedWeek, onRouteChange }) => {
+  const powerRankings = useMemo(() => buildPowerRankings(historicalMatchups || [], {
+    weights: powerRankingWeights,
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek, powerRankingWeights]);
+
+  if (!powerRankings.latest) {
+    return <div className="text-center text-gray-600 mt-8">No regular season games have been played yet.</div>;
+  }
+
+  const season = powerRankings.seasons.find(entry => entry.year === selectedYear) || powerRankings.seasons[powerRankings.seasons.length - 1];
+  const { year } = season;
+  const weekEntry = season.weeks.find(entry => entry.week === selectedWeek) || season.weeks[season.weeks.length - 1];
+  const { weights } = powerRankings;
+  const weightTotal = RATING_COMPONENTS.reduce((sum, component) => sum + (weights[component] || 0), 0) || 1;
+  const share = (component) => `${Math.round(((weights[component] || 0) / weightTotal) * 100)}%`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-2xl font-bold text-blue-700">Power Rankings</h2>
+        <div className="flex gap-2 text-sm">
+          <select
+            value={year}
+            onChange={(e) => onRouteChange({ season: parseInt(e.target.value), week: null }, { replace: true })}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {[...powerRankings.seasons].reverse().map(entry => <option key={entry.year} value={entry.year}>{entry.year}</option>)}
+          </select>
+          <select value={weekEntry.week} onChange={(e) => onRouteChange({ season: year, week: parseInt(e.target.value) }, { replace: true })} className="border border-gray-300 rounded-md px-2 py-1">
+            {season.weeks.map(entry => <option key={entry.week} value={entry.week}>Week {entry.week}</option>)}
+          </select>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        Ratings are relative to an average team (1.000): points per game {share('pointsScored')}, win % {share('winPct')},
+        all-play {share('allPlay')} and the last {weights.recentFormWeeks} weeks' scoring {share('recentForm')}.
+      </p>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-2 pr-4">Rank</th>
+            <th className="py-2 pr-4"></th>
+            <th className="py-2 pr-4">Team</th>
+            <th className="py-2 pr-4 text-right">Record</th>
+            <th className="py-2 pr-4 text-right">PPG</th>
+            <th className="py-2 text-right">Rating</th>
+          </tr>
+        </thead>
+        <tbody>
+          {hideManagerRows(weekEntry.rankings, hiddenManagerIds).map(entry => (
+            <tr key={entry.managerId} className="border-b border-gray-100">
+              <td className="py-1 pr-4 font-semibold">{entry.rank}</td>
+              <td className="py-1 pr-4 text-xs"><MovementArrow movement={entry.movement} /></td>
+              <td className="py-1 pr-4">{getDisplayTeamName(entry.managerId)}</td>
+              <td className="py-1 pr-4 text-right">{formatRecord(entry.record)}</td>
+              <td className="py-1 pr-4 text-right">{entry.pointsPerGame.toFixed(2)}</td>
+              <td className="py-1 text-right font-semibold">{entry.rating.toFixed(3)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">{year} Rating by Week</h3>
+        <RatingChart series={hideManagerRows(getRatingHistory(season), hiddenManagerIds)} getDisplayTeamName={getDisplayTeamName} />
+      </div>
+    </div>
+  );
+};
+
+export default PowerRankings;
@@ -0,0 +1,142 @@
+// src/lib/RecordBook.js
+import React, { useMemo, useState } from 'react';
+import { buildRecordBook, getRecordsBrokenInWeek, RECORD_CATEGORIES, RECORD_DEFINITIONS } from '../utils/recordBook';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { hideManagerRows } from '../utils/globalFilters';
+
+const CATEGORY_LABELS = {
+  [RECORD_CATEGORIES.GAME]: 'Game Records',
+  [RECORD_CATEGORIES.STREAK]: 'Streaks',
+  [RECORD_CATEGORIES.SEASON]: 'Season Records',
+  [RECORD_CATEGORIES.PLAYOFF]: 'Playoff Records',
+  [RECORD_CATEGORIES.CAREER]: 'Career Records',
+};
+
+const RECENT_BREAKS_SHOWN = 15;
+
+const formatWhen = ({ year, week }) => {
+  if (!year) return 'All-time';
+  return week ? `${year} Wk ${week}` : `${year}`;
+};
+
+/**
+ * League record book: each record's holder and runners-up by category, the records broken in the
+ * latest week and a timeline of every record change. Entries held by managers in `hiddenManagerIds` are left out,
+ * so the best shown entry leads each record.
+ */
+const RecordBook = ({ historicalMatchups, getDisplayTeamName, standingsHistory, hiddenManagerIds, inProgressWeek }) => {
+  const [category, setCategory] = useState(RECORD_CATEGORIES.GAME);
+
+  const recordBook = useMemo(() => buildRecordBook(historicalMatchups || [], {
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [historicalMatchups, standingsHistory, inProgressWeek]);
+
+  if (!recordBook.lastWeek) {
+    return <div className="text-center text-gray-600 mt-8">No completed games yet, so there are no records to show.</div>;
+  }
+
+  const { year: latestYear, week: latestWeek } = recordBook.lastWeek;
+  const isShown = (entry) => !hiddenManagerIds?.has(entry.managerId);
+  const brokenThisWeek = getRecordsBrokenInWeek(recordBook, latestYear, latestWeek).filter(entry => isShown(entry.holder));
+  const labels = new Map(RECORD_DEFINITIONS.map(definition => [definition.id, definition.label]));
+  const recentBreaks = recordBook.history.filter(entry => entry.previous && isShown(entry.holder)).slice(-RECENT_BREAKS_SHOWN).reverse();
+  const records = recordBook.records
+    .filter(record => record.category === category)
+    .map(record => {
+      const [holder = null, ...runnersUp] = hideManagerRows([record.holder, ...record.runnersUp].filter(Boolean), hiddenManagerIds);
+      return { ...record, holder, runnersUp };
+    });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-blue-700 mb-2">Record Book</h2>
+        <div className="rounded-md bg-blue-50 border border-blue-200 px-4 py-3 text-sm">
+          <div className="font-semibold text-blue-800 mb-1">Records broken in {latestYear} week {latestWeek}</div>
+          {brokenThisWeek.length === 0 ? (
+            <p className="text-gray-600">No records fell this week.</p>
+          ) : (
+            <ul className="list-disc list-inside space-y-1">
+              {brokenThisWeek.map(entry => (
+                <li key={entry.recordId}>
+                  <span className="font-semibold">{entry.label}:</span> {getDisplayTeamName(entry.holder.managerId)} ({entry.holder.display}),
+                  {' '}previously {getDisplayTeamName(entry.previous.managerId)} ({entry.previous.display})
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setCategory(value)}
+              className={`px-3 py-1 rounded-md text-sm ${category === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="space-y-4">
+          {records.map(record => (
+            <div key={record.id} className="border border-gray-200 rounded-md p-3">
+              <div className="flex justify-between items-baseline">
+                <h3 className="font-semibold text-gray-800">{record.label}</h3>
+                {record.holder && <span className="text-lg font-bold text-blue-700">{record.holder.display}</span>}
+              </div>
+              {record.holder ? (
+                <>
+                  <div className="text-sm text-gray-700">
+                    {getDisplayTeamName(record.holder.managerId)} · {formatWhen(record.holder)}
+                    {record.holder.detail && <span className="text-gray-500"> · {record.holder.detail}</span>}
+                  </div>
+                  {record.runnersUp.length > 0 && (
+                    <table className="min-w-full text-xs mt-2 text-gray-600">
+                      <tbody>
+                        {record.runnersUp.map((entry, index) => (
+                          <tr key={entry.key}>
+                            <td className="pr-2 w-6">{index + 2}.</td>
+                            <td className="pr-2">{getDisplayTeamName(entry.managerId)}</td>
+                            <td className="pr-2 text-right">{entry.display}</td>
+                            <td className="pr-2">{formatWhen(entry)}</td>
+                            <td className="text-gray-500">{entry.detail}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              ) : (
+                <div className="text-sm text-gray-500">Not set yet.</div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {recentBreaks.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Recently Broken</h3>
+          <table className="min-w-full text-sm">
+            <tbody>
+              {recentBreaks.map(entry => (
+                <tr key={`${entry.recordId}-${entry.year}-${entry.week}`} className="border-b border-gray-100">
+                  <td className="py-1 pr-4 whitespace-nowrap">{formatWhen(entry)}</td>
+                  <td className="py-1 pr-4">{labels.get(entry.recordId)}</td>
+                  <td className="py-1 pr-4">{getDisplayTeamName(entry.holder.managerId)} ({entry.holder.display})</td>
+                  <td className="py-1 text-gray-500">over {getDisplayTeamName(entry.previous.managerId)} ({entry.previous.display})</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordBook;
@@ -0,0 +1,240 @@
+// src/lib/TeamDetailPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchNFLPlayers, getSleeperAvatarUrl } from '../utils/sleeperApi';
+import { buildManagerProfile } from '../utils/managerProfile';
+import { getLastRegularSeasonWeeks } from '../utils/standings';
+import { buildRouteHash } from '../utils/router';
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+const formatPlace = (place) => {
+  if (place == null) return '–';
+  if (place % 100 >= 11 && place % 100 <= 13) return `${place}th`;
+  return `${place}${{ 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th'}`;
+};
+
+const getPlayerName = (playerId, playersById) => {
+  const player = playersById[playerId];
+  if (!player) return playerId;
+  return `${player.first_name || ''} ${player.last_name || ''}`.trim() || playerId;
+};
+
+const StatCard = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-md p-3 text-center">
+    <div className="text-xs uppercase text-gray-500">{label}</div>
+    <div className="text-xl font-bold text-gray-800">{value}</div>
+  </div>
+);
+
+const GamesTable = ({ title, games, getDisplayTeamName }) => (
+  <div>
+    <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
+    <table className="min-w-full text-sm">
+      <tbody>
+        {games.map(game => (
+          <tr key={`${game.year}-${game.week}`} className="border-b border-gray-100">
+            <td className="py-1 pr-4 text-gray-600">{game.year} Wk {game.week}{game.playoffs ? ' (Playoffs)' : ''}</td>
+            <td className="py-1 pr-4 font-semibold">{game.score.toFixed(2)}</td>
+            <td className="py-1 pr-4">{game.result} vs. {getDisplayTeamName(game.opponentId)}</td>
+            <td className="py-1 text-right text-gray-600">{game.opponentScore.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * A manager's career profile: avatar and names, season-by-season results, career totals, best and worst
+ * games, most-rostered players, trade partners and head-to-head records. Works for any manager in the
+ * directory, including retired ones.
+ */
+const TeamDetailPage = ({ managerId, managerDirectory, historicalMatchups, standingsHistory, seasonStandings, transactionLedger, inProgressWeek, getDisplayTeamName }) => {
+  const [playersById, setPlayersById] = useState({});
+
+  // Player names for the most-rostered list; IDs are shown until they load
+  useEffect(() => {
+    let cancelled = false;
+    fetchNFLPlayers()
+      .then(players => { if (!cancelled) setPlayersById(players || {}); })
+      .catch(error => console.error("Failed to load NFL players for the manager profile:", error));
+    return () => { cancelled = true; };
+  }, []);
+
+  const profile = useMemo(() => buildManagerProfile({
+    managerId,
+    managerDirectory,
+    matchups: historicalMatchups || [],
+    standingsHistory,
+    seasonStandings,
+    transactionLedger,
+    lastRegularSeasonWeeks: getLastRegularSeasonWeeks(standingsHistory),
+    inProgressWeek,
+  }), [managerId, managerDirectory, historicalMatchups, standingsHistory, seasonStandings, transactionLedger, inProgressWeek]);
+
+  if (!profile) {
+    return <div className="text-center text-gray-600 mt-8">No manager found for this page.</div>;
+  }
+
+  const { manager, seasons, career } = profile;
+  const formerNames = manager.nameHistory.map(entry => entry.name).filter(name => name !== manager.displayName);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-8">
+      <div className="flex items-center gap-4">
+        <img src={getSleeperAvatarUrl(manager.avatar)} alt="" className="h-16 w-16 rounded-full border border-gray-200" />
+        <div>
+          <h2 className="text-2xl font-bold text-blue-700">
+            {manager.displayName}
+            {manager.isRetired && <span className="ml-2 align-middle text-xs font-semibold uppercase bg-gray-200 text-gray-700 rounded px-2 py-0.5">Retired</span>}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {seasons.length > 0 ? `${seasons[0].year}–${seasons[seasons.length - 1].year}` : 'No seasons played'}
+            {formerNames.length > 0 && ` · Formerly ${[...new Set(formerNames)].join(', ')}`}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-3">
+        <StatCard label="Record" value={formatRecord(career)} />
+        <StatCard label="Win %" value={career.winPct.toFixed(3)} />
+        <StatCard label="Points" value={career.pointsFor.toFixed(0)} />
+        <StatCard label="Playoffs" value={`${career.playoffAppearances}/${career.seasons}`} />
+        <StatCard label="Playoff Record" value={formatRecord(career.playoffRecord)} />
+        <StatCard label="Titles" value={career.titles.length > 0 ? `${career.titles.length} (${career.titles.join(', ')})` : 0} />
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Season by Season</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Season</th>
+                <th className="py-2 pr-4 text-right">Record</th>
+                <th className="py-2 pr-4 text-right">Seed</th>
+                <th className="py-2 pr-4 text-right">Points For</th>
+                <th className="py-2 pr-4 text-right">Points Against</th>
+                <th className="py-2 pr-4 text-right">Playoffs</th>
+                <th className="py-2 text-right">Finish</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...seasons].reverse().map(season => (
+                <tr key={season.year} className={`border-b border-gray-100 ${season.isChampion ? 'bg-yellow-50 font-semibold' : ''}`}>
+                  <td className="py-1 pr-4">{season.year}</td>
+                  <td className="py-1 pr-4 text-right">{formatRecord(season)}</td>
+                  <td className="py-1 pr-4 text-right">{season.seed ?? '–'}</td>
+                  <td className="py-1 pr-4 text-right">{season.pointsFor.toFixed(2)}</td>
+                  <td className="py-1 pr-4 text-right">{season.pointsAgainst.toFixed(2)}</td>
+                  <td className="py-1 pr-4 text-right">{season.madePlayoffs ? formatRecord(season.playoffRecord) : '–'}</td>
+                  <td className="py-1 text-right">{season.isComplete ? formatPlace(season.place) : 'In progress'}{season.isChampion ? ' 🏆' : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {career.averageFinish != null && (
+          <p className="text-xs text-gray-500 mt-1">Best finish {formatPlace(career.bestFinish)}, average {career.averageFinish.toFixed(1)}.</p>
+        )}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <GamesTable title="Best Games" games={profile.bestGames} getDisplayTeamName={getDisplayTeamName} />
+        <GamesTable title="Worst Games" games={profile.worstGames} getDisplayTeamName={getDisplayTeamName} />
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Most-Rostered Players</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Player</th>
+                <th className="py-2 pr-4 text-right">Weeks</th>
+                <th className="py-2 pr-4 text-right">Starts</th>
+                <th className="py-2 text-right">Points Started</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profile.mostRostered.map(player => (
+                <tr key={player.playerId} className="border-b border-gray-100">
+                  <td className="py-1 pr-4">
+                    <a href={buildRouteHash({ tab: 'playerHistory', playerId: player.playerId })} className="text-blue-600 hover:underline">
+                      {getPlayerName(player.playerId, playersById)}
+                    </a>
+                    {' '}<span className="text-xs text-gray-500">{player.seasons.join(', ')}</span>
+                  </td>
+                  <td className="py-1 pr-4 text-right">{player.weeks}</td>
+                  <td className="py-1 pr-4 text-right">{player.starts}</td>
+                  <td className="py-1 text-right">{player.pointsStarted.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">Trade Partners</h3>
+          {profile.tradePartners.length === 0 ? (
+            <p className="text-sm text-gray-600">No trades yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Team</th>
+                  <th className="py-2 pr-4 text-right">Trades</th>
+                  <th className="py-2 pr-4 text-right">Points Gained</th>
+                  <th className="py-2 text-right">Last Trade</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.tradePartners.map(partner => (
+                  <tr key={partner.managerId} className="border-b border-gray-100">
+                    <td className="py-1 pr-4">{getDisplayTeamName(partner.managerId)}</td>
+                    <td className="py-1 pr-4 text-right">{partner.trades}</td>
+                    <td className={`py-1 pr-4 text-right ${partner.pointsGained >= 0 ? 'text-green-700' : 'text-red-700'}`}>{partner.pointsGained.toFixed(1)}</td>
+                    <td className="py-1 text-right text-gray-600">{partner.lastTrade.year} Wk {partner.lastTrade.week}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Head-to-Head</h3>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Opponent</th>
+              <th className="py-2 pr-4 text-right">Record</th>
+              <th className="py-2 pr-4 text-right">Avg. Margin</th>
+              <th className="py-2 text-right">Last Meeting</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profile.headToHead.map(pair => (
+              <tr key={pair.opponentId} className="border-b border-gray-100">
+                <td className="py-1 pr-4">
+                  <a href={buildRouteHash({ tab: 'teamDetail', managerId: pair.opponentId })} className="text-blue-600 hover:underline">
+                    {getDisplayTeamName(pair.opponentId)}
+                  </a>
+                </td>
+                <td className="py-1 pr-4 text-right">
+                  <a href={buildRouteHash({ tab: 'headToHeadGrid', managerId, opponentId: pair.opponentId })} className="hover:underline">
+                    {formatRecord(pair)}
+                  </a>
+                </td>
+                <td className={`py-1 pr-4 text-right ${pair.averageMargin >= 0 ? 'text-green-700' : 'text-red-700'}`}>{pair.averageMargin.toFixed(2)}</td>
+                <td className="py-1 text-right text-gray-600">{pair.lastMeeting ? `${pair.lastMeeting.year} Wk ${pair.lastMeeting.week}` : '–'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TeamDetailPage;
@@ -0,0 +1,161 @@
+// src/utils/draftAnalysis.js
+
+// Draft boards and pick value. A pick is scored by the player's regular season fantasy points for
+// the league that season (points scored on any roster, starting or on the bench, from the matchup
+// data) against what that draft slot "should" produce: the points of the player who ranked at
+// that slot among everyone taken in the draft. Pick 5 is expected to return the 5th-best season.
+
+import { getManagerIdForRoster, getManagerDisplayName } from './managerIdentity';
+
+// Grades by how far a manager's total pick value sits from the draft's average, in standard deviations
+const GRADE_THRESHOLDS = [
+  { grade: 'A', minZScore: 1 },
+  { grade: 'B', minZScore: 0.33 },
+  { grade: 'C', minZScore: -0.33 },
+  { grade: 'D', minZScore: -1 },
+  { grade: 'F', minZScore: -Infinity },
+];
+
+/**
+ * Totals each player's regular season fantasy points for one season of a league.
+ * @param {Array<Object>} matchups Normalized matchups with player-level data (see matchupModel.js).
+ * @param {number} year The season year.
+ * @param {number} lastRegularSeasonWeek The last regular season week (see getStandingsSettings).
+ * @returns {Map<string, number>} Map of player ID to season points.
+ */
+export function computePlayerSeasonPoints(matchups, year, lastRegularSeasonWeek) {
+  const points = new Map();
+  matchups.forEach(matchup => {
+    if (matchup.year !== year || matchup.week > lastRegularSeasonWeek) return;
+    (matchup.teams || []).forEach(side => {
+      Object.entries(side.playersPoints || {}).forEach(([playerId, playerPoints]) => {
+        points.set(playerId, (points.get(playerId) || 0) + (playerPoints || 0));
+      });
+    });
+  });
+  return points;
+}
+
+const getPlayerDetails = (pick, playersById) => {
+  const player = playersById[pick.player_id] || {};
+  const metadata = pick.metadata || {};
+  const firstName = player.first_name || metadata.first_name || '';
+  const lastName = player.last_name || metadata.last_name || '';
+  return {
+    playerName: `${firstName} ${lastName}`.trim() || pick.player_id,
+    position: player.position || metadata.position || null,
+    nflTeam: player.team || metadata.team || null,
+  };
+};
+
+/**
+ * Resolves one draft's picks to players and managers and scores each pick against its slot.
+ * @param {Object} params
+ * @param {number} params.year The season year.
+ * @param {Object} params.draft The draft object from fetchLeagueDrafts.
+ * @param {Array<Object>} params.picks The result of fetchDraftPicks.
+ * @param {Array<Object>} params.tradedPicks The result of fetchDraftTradedPicks.
+ * @param {Object} params.managerDirectory The lineage's manager directory (see managerIdentity.js).
+ * @param {Object} params.playersById The result of fetchNFLPlayers.
+ * @param {Map<string, number>} params.playerSeasonPoints The result of computePlayerSeasonPoints.
+ * @returns {Object} `{ year, draftId, type, rounds, teams, picks }`. Each pick has `pickNo`, `round`, `slot`,
+ * `rosterId`, `originalRosterId`, `isTraded`, `managerId`, `team`, `playerId`, `playerName`, `position`,
+ * `nflTeam`, `isKeeper`, `seasonPoints`, `expectedPoints` and `valueOverSlot`.
+ */
+export function buildDraftBoard({ year, draft, picks, tradedPicks = [], managerDirectory, playersById = {}, playerSeasonPoints }) {
+  const slotToRosterId = draft.slot_to_roster_id || {};
+
+  // The points each pick number is expected to return: the nth-best season among drafted players
+  const expectedBySlot = picks
+    .map(pick => playerSeasonPoints.get(pick.player_id) || 0)
+    .sort((a, b) => b - a);
+
+  const boardPicks = [...picks]
+    .sort((a, b) => a.pick_no - b.pick_no)
+    .map(pick => {
+      const originalRosterId = slotToRosterId[pick.draft_slot] ?? pick.roster_id;
+      const isTraded = originalRosterId !== pick.roster_id || tradedPicks.some(traded => (
+        traded.round === pick.round && traded.roster_id === originalRosterId && traded.owner_id === pick.roster_id
+      ));
+      const managerId = getManagerIdForRoster(managerDirectory, year, pick.roster_id);
+      const seasonPoints = playerSeasonPoints.get(pick.player_id) || 0;
+      const expectedPoints = expectedBySlot[pick.pick_no - 1] ?? 0;
+
+      return {
+        pickNo: pick.pick_no,
+        round: pick.round,
+        slot: pick.draft_slot,
+        rosterId: pick.roster_id,
+        originalRosterId,
+        isTraded,
+        managerId,
+        team: managerId ? getManagerDisplayName(managerDirectory, managerId) : `Unknown Team (${pick.roster_id})`,
+        playerId: pick.player_id,
+        ...getPlayerDetails(pick, playersById),
+        isKeeper: Boolean(pick.is_keeper),
+        seasonPoints,
+        expectedPoints,
+        valueOverSlot: seasonPoints - expectedPoints,
+      };
+    });
+
+  return {
+    year,
+    draftId: draft.draft_id,
+    type: draft.type,
+    rounds: draft.settings?.rounds || boardPicks.reduce((max, pick) => Math.max(max, pick.round), 0),
+    teams: draft.settings?.teams || Object.keys(slotToRosterId).length,
+    picks: boardPicks,
+  };
+}
+
+/**
+ * Grades each manager's draft by the total value of their picks relative to the rest of that draft.
+ * Keeper picks are left out, since the manager didn't choose them at the slot.
+ * @param {Array<Object>} boards Draft boards from buildDraftBoard.
+ * @returns {Array<Object>} `{ year, draftId, managerId, team, picks, totalValue, averageValue, grade }`,
+ * ordered by year then best total value.
+ */
+export function computeDraftGrades(boards) {
+  return boards.flatMap(board => {
+    const byManager = new Map();
+    board.picks.forEach(pick => {
+      if (pick.isKeeper || !pick.managerId) return;
+      if (!byManager.has(pick.managerId)) {
+        byManager.set(pick.managerId, { year: board.year, draftId: board.draftId, managerId: pick.managerId, team: pick.team, picks: 0, totalValue: 0 });
+      }
+      const entry = byManager.get(pick.managerId);
+      entry.picks++;
+      entry.totalValue += pick.valueOverSlot;
+    });
+
+    const entries = Array.from(byManager.values());
+    const mean = entries.reduce((sum, entry) => sum + entry.totalValue, 0) / (entries.length || 1);
+    const deviation = Math.sqrt(entries.reduce((sum, entry) => sum + (entry.totalValue - mean) ** 2, 0) / (entries.length || 1));
+
+    return entries
+      .map(entry => {
+        const zScore = deviation > 0 ? (entry.totalValue - mean) / deviation : 0;
+        return {
+          ...entry,
+          averageValue: entry.picks > 0 ? entry.totalValue / entry.picks : 0,
+          grade: GRADE_THRESHOLDS.find(threshold => zScore >= threshold.minZScore).grade,
+        };
+      })
+      .sort((a, b) => b.totalValue - a.totalValue);
+  }).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Finds the best and worst picks across every draft by value over slot.
+ * @param {Array<Object>} boards Draft boards from buildDraftBoard.
+ * @param {number} [count=10] How many of each to return.
+ * @returns {{best: Array<Object>, worst: Array<Object>}} Picks with their draft `year` added.
+ */
+export function getBestAndWorstPicks(boards, count = 10) {
+  const allPicks = boards.flatMap(board => board.picks
+    .filter(pick => !pick.isKeeper)
+    .map(pick => ({ ...pick, year: board.year })));
+  const sorted = [...allPicks].sort((a, b) => b.valueOverSlot - a.valueOverSlot);
+  return { best: sorted.slice(0, count), worst: sorted.slice(-count).reverse() };
+}
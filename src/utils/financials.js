@@ -0,0 +1,211 @@
+// src/utils/financials.js
+
+// League dues and payouts. Money rules live on each league's registry entry (see leagueRegistry.js)
+// as `{ default, seasons }`, where `seasons[year]` overrides any of the default rules for that year.
+// The ledger turns those rules plus league data (transactions, weekly scores, final placements)
+// into dated entries: negative amounts are money a manager owes, positive amounts money they win.
+
+import { TRANSACTION_TYPES } from './transactionLedger';
+import { isCompletedWeek } from './matchupModel';
+import { toCsv } from './leagueExport';
+
+export const FINANCIAL_CATEGORIES = {
+  ENTRY_FEE: 'entryFee',
+  TRANSACTION_FEE: 'transactionFee',
+  WEEKLY_HIGH_SCORE: 'weeklyHighScore',
+  PAYOUT: 'payout',
+};
+
+export const DEFAULT_FINANCIAL_RULES = {
+  entryFee: 0,
+  transactionFees: {
+    [TRANSACTION_TYPES.TRADE]: 0,
+    [TRANSACTION_TYPES.WAIVER]: 0,
+    [TRANSACTION_TYPES.FREE_AGENT]: 0,
+  },
+  weeklyHighScoreBonus: 0,
+  weeklyHighScoreRegularSeasonOnly: true,
+  payouts: {}, // Final place -> amount, e.g. { 1: 500, 2: 200 }
+};
+
+/**
+ * Fills in a league's financial rules, for loading from storage.
+ * @param {Object} [financialRules] `{ default, seasons }`; either part may be missing.
+ * @returns {{default: Object, seasons: Object}} The complete rules.
+ */
+export function normalizeFinancialRules(financialRules = {}) {
+  return {
+    default: { ...DEFAULT_FINANCIAL_RULES, ...(financialRules?.default || {}) },
+    seasons: { ...(financialRules?.seasons || {}) },
+  };
+}
+
+/**
+ * Resolves the rules in effect for one season.
+ * @param {Object} financialRules The league's `{ default, seasons }` rules.
+ * @param {number} year The season year.
+ * @returns {Object} The season's rules.
+ */
+export function getRulesForSeason(financialRules, year) {
+  const { default: defaults, seasons } = normalizeFinancialRules(financialRules);
+  const overrides = seasons[year] || {};
+  return {
+    ...defaults,
+    ...overrides,
+    transactionFees: { ...defaults.transactionFees, ...(overrides.transactionFees || {}) },
+    payouts: { ...defaults.payouts, ...(overrides.payouts || {}) },
+  };
+}
+
+/**
+ * Finds the rules that differ from the league default, to save as a season's overrides. Only those are
+ * stored, so later changes to the default still reach the season.
+ * @param {Object} financialRules The league's `{ default, seasons }` rules.
+ * @param {Object} seasonRules The complete rules wanted for the season.
+ * @returns {Object} The overrides; a payout dropped from the default is overridden with 0.
+ */
+export function getSeasonOverrides(financialRules, seasonRules) {
+  const { default: defaults } = normalizeFinancialRules(financialRules);
+  const overrides = {};
+  Object.keys(DEFAULT_FINANCIAL_RULES).forEach(field => {
+    if (field !== 'transactionFees' && field !== 'payouts' && seasonRules[field] !== defaults[field]) overrides[field] = seasonRules[field];
+  });
+
+  const transactionFees = {};
+  Object.entries(seasonRules.transactionFees || {}).forEach(([type, fee]) => {
+    if (fee !== (defaults.transactionFees[type] || 0)) transactionFees[type] = fee;
+  });
+  if (Object.keys(transactionFees).length > 0) overrides.transactionFees = transactionFees;
+
+  const payouts = {};
+  const seasonPayouts = seasonRules.payouts || {};
+  new Set([...Object.keys(defaults.payouts), ...Object.keys(seasonPayouts)]).forEach(place => {
+    const payout = Number(seasonPayouts[place]) || 0;
+    if (payout !== (Number(defaults.payouts[place]) || 0)) payouts[place] = payout;
+  });
+  if (Object.keys(payouts).length > 0) overrides.payouts = payouts;
+
+  return overrides;
+}
+
+// What a side got in a transaction: players, then (in trades) draft picks and FAAB
+const describeReceived = (side) => [
+  ...side.adds.map(player => player.name),
+  ...(side.picksReceived || []).map(pick => `${pick.season} round ${pick.round} pick`),
+  ...(side.faabReceived ? [`$${side.faabReceived} FAAB`] : []),
+].join(', ') || 'nothing';
+
+/**
+ * Builds the money ledger for every season.
+ * @param {Object} params
+ * @param {Object} params.financialRules The league's `{ default, seasons }` rules.
+ * @param {Array<Object>} params.seasonStandings Final standings per season (see buildSeasonFinalStandings); also
+ * decides which seasons and managers are included.
+ * @param {Array<Object>} params.matchups Normalized matchups, for weekly high scores.
+ * @param {Array<Object>} [params.transactions] Completed transactions from the transaction ledger.
+ * @param {Object} [params.lastRegularSeasonWeeks] Map of year to last regular season week, for the
+ * regular-season-only high score rule. Without it, games outside the playoff brackets count as regular season.
+ * @param {{year: number, week: number}|null} [params.inProgressWeek] The week still being played, which pays no high score bonus yet.
+ * @returns {{entries: Array<Object>, seasonBalances: Array<Object>, allTimeBalances: Array<Object>}} Ledger entries
+ * `{ year, week, managerId, team, category, description, amount }`, each manager's `{ year, managerId, team, owed, won, net }`
+ * per season, and `{ managerId, team, owed, won, net }` all-time.
+ */
+export function buildFinancialLedger({ financialRules, seasonStandings, matchups, transactions = [], lastRegularSeasonWeeks = {}, inProgressWeek = null }) {
+  const entries = [];
+  const addEntry = (entry) => {
+    if (entry.amount !== 0) entries.push(entry);
+  };
+
+  seasonStandings.forEach(season => {
+    const { year } = season;
+    const rules = getRulesForSeason(financialRules, year);
+    const teamsByManager = new Map(season.standings.filter(team => team.managerId).map(team => [team.managerId, team.team]));
+
+    // Entry fees
+    teamsByManager.forEach((team, managerId) => {
+      addEntry({ year, week: null, managerId, team, category: FINANCIAL_CATEGORIES.ENTRY_FEE, description: 'Entry fee', amount: -rules.entryFee });
+    });
+
+    // Transaction fees: every side of a trade pays, and waiver and free-agent fees are charged to managers who added a player
+    transactions
+      .filter(transaction => transaction.year === year)
+      .forEach(transaction => {
+        const fee = rules.transactionFees[transaction.type] || 0;
+        const isTrade = transaction.type === TRANSACTION_TYPES.TRADE;
+        transaction.sides.forEach(side => {
+          if (!side.managerId || (!isTrade && side.adds.length === 0)) return;
+          addEntry({ year, week: transaction.week, managerId: side.managerId, team: side.team, category: FINANCIAL_CATEGORIES.TRANSACTION_FEE, description: `${transaction.type.replace('_', ' ')}: ${describeReceived(side)}`, amount: -fee });
+        });
+      });
+
+    // Weekly high score bonus, split on ties
+    if (rules.weeklyHighScoreBonus > 0) {
+      const lastRegularSeasonWeek = lastRegularSeasonWeeks[year];
+      const isRegularSeason = (matchup) => (lastRegularSeasonWeek ? matchup.week <= lastRegularSeasonWeek : !matchup.bracket);
+      const scoresByWeek = new Map();
+      matchups
+        .filter(matchup => matchup.year === year && isCompletedWeek(matchup, inProgressWeek) && (!rules.weeklyHighScoreRegularSeasonOnly || isRegularSeason(matchup)))
+        .forEach(matchup => {
+          (matchup.teams || []).forEach(side => {
+            if (!scoresByWeek.has(matchup.week)) scoresByWeek.set(matchup.week, []);
+            scoresByWeek.get(matchup.week).push(side);
+          });
+        });
+      scoresByWeek.forEach((sides, week) => {
+        const highScore = Math.max(...sides.map(side => side.score));
+        if (highScore <= 0) return;
+        const winners = sides.filter(side => side.score === highScore);
+        winners.forEach(side => {
+          addEntry({ year, week, managerId: side.managerId, team: side.team, category: FINANCIAL_CATEGORIES.WEEKLY_HIGH_SCORE, description: `Week ${week} high score (${highScore.toFixed(2)})`, amount: rules.weeklyHighScoreBonus / winners.length });
+        });
+      });
+    }
+
+    // Payouts by final place, once the season is decided
+    if (season.isComplete) {
+      season.standings.forEach(team => {
+        const payout = Number(rules.payouts[team.place]) || 0;
+        if (!team.managerId || payout === 0) return;
+        addEntry({ year, week: null, managerId: team.managerId, team: team.team, category: FINANCIAL_CATEGORIES.PAYOUT, description: `Finished #${team.place}`, amount: payout });
+      });
+    }
+  });
+
+  const summarize = (keyOf, base) => {
+    const balances = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      if (!balances.has(key)) balances.set(key, { ...base(entry), owed: 0, won: 0, net: 0 });
+      const balance = balances.get(key);
+      if (entry.amount < 0) balance.owed -= entry.amount;
+      else balance.won += entry.amount;
+      balance.net += entry.amount;
+    });
+    return Array.from(balances.values()).sort((a, b) => b.net - a.net);
+  };
+
+  return {
+    entries,
+    seasonBalances: summarize(entry => `${entry.year}-${entry.managerId}`, entry => ({ year: entry.year, managerId: entry.managerId, team: entry.team })),
+    allTimeBalances: summarize(entry => entry.managerId, entry => ({ managerId: entry.managerId, team: entry.team })),
+  };
+}
+
+/**
+ * Exports ledger entries as CSV.
+ * @param {Object} ledger The result of buildFinancialLedger.
+ * @param {Function} [getTeamName] Maps a managerId to the name to export. Defaults to each entry's team.
+ * @returns {string} CSV text with a header row.
+ */
+export function exportFinancialLedgerCsv(ledger, getTeamName) {
+  const header = ['Season', 'Week', 'Team', 'Category', 'Description', 'Amount'];
+  const rows = ledger.entries.map(entry => [
+    entry.year,
+    entry.week,
+    getTeamName ? getTeamName(entry.managerId) : entry.team,
+    entry.category,
+    entry.description,
+    entry.amount.toFixed(2),
+  ]);
+  return toCsv(header, rows);
+}
@@ -0,0 +1,73 @@
+// src/utils/financials.test.js
+import { buildFinancialLedger, FINANCIAL_CATEGORIES, getRulesForSeason, getSeasonOverrides } from './financials';
+import { TRANSACTION_TYPES } from './transactionLedger';
+
+const side = (managerId, changes = {}) => ({ managerId, team: `Team ${managerId}`, adds: [], drops: [], picksReceived: [], picksSent: [], faabReceived: 0, faabSent: 0, ...changes });
+
+const seasonStandings = [{ year: 2023, standings: [{ managerId: 'A', team: 'Team A', place: 1 }, { managerId: 'B', team: 'Team B', place: 2 }] }];
+const financialRules = {
+  default: { transactionFees: { [TRANSACTION_TYPES.TRADE]: 5, [TRANSACTION_TYPES.WAIVER]: 1, [TRANSACTION_TYPES.FREE_AGENT]: 1 } },
+};
+
+const getFees = (transactions) => buildFinancialLedger({ financialRules, seasonStandings, matchups: [], transactions })
+  .entries.filter(entry => entry.category === FINANCIAL_CATEGORIES.TRANSACTION_FEE);
+
+describe('transaction fees', () => {
+  test('every side of a trade pays, including a side that only receives picks', () => {
+    const fees = getFees([{
+      year: 2023,
+      week: 3,
+      type: TRANSACTION_TYPES.TRADE,
+      sides: [
+        side('A', { adds: [{ playerId: '1', name: 'Star Player' }], picksSent: [{ season: 2024, round: 1 }] }),
+        side('B', { drops: [{ playerId: '1', name: 'Star Player' }], picksReceived: [{ season: 2024, round: 1 }] }),
+      ],
+    }]);
+
+    expect(fees.map(fee => [fee.managerId, fee.amount])).toEqual([['A', -5], ['B', -5]]);
+    expect(fees[1].description).toBe('trade: 2024 round 1 pick');
+  });
+
+  test('waiver fees are only charged to the manager who added a player', () => {
+    const fees = getFees([{
+      year: 2023,
+      week: 4,
+      type: TRANSACTION_TYPES.WAIVER,
+      sides: [side('A', { adds: [{ playerId: '2', name: 'Backup' }] }), side('B', { drops: [{ playerId: '3', name: 'Cut' }] })],
+    }]);
+
+    expect(fees.map(fee => fee.managerId)).toEqual(['A']);
+  });
+});
+
+describe('weekly high score bonus', () => {
+  const matchup = (week, scoreA, scoreB) => ({ year: 2023, week, teams: [{ managerId: 'A', team: 'Team A', score: scoreA }, { managerId: 'B', team: 'Team B', score: scoreB }] });
+
+  test('is not paid for the week still being played', () => {
+    const bonuses = buildFinancialLedger({
+      financialRules: { default: { weeklyHighScoreBonus: 10 } },
+      seasonStandings,
+      matchups: [matchup(1, 120, 100), matchup(2, 40.5, 52.25)],
+      inProgressWeek: { year: 2023, week: 2 },
+    }).entries.filter(entry => entry.category === FINANCIAL_CATEGORIES.WEEKLY_HIGH_SCORE);
+
+    expect(bonuses.map(bonus => [bonus.week, bonus.managerId])).toEqual([[1, 'A']]);
+  });
+});
+
+describe('getSeasonOverrides', () => {
+  const rules = { default: { entryFee: 50, transactionFees: { [TRANSACTION_TYPES.TRADE]: 5 }, payouts: { 1: 300, 2: 100 } } };
+
+  test('keeps only the fields that differ from the default', () => {
+    const seasonRules = { ...getRulesForSeason(rules, 2023), entryFee: 60, payouts: { 1: 300 } };
+
+    expect(getSeasonOverrides(rules, seasonRules)).toEqual({ entryFee: 60, payouts: { 2: 0 } });
+  });
+
+  test('later changes to the default still reach the season', () => {
+    const overrides = getSeasonOverrides(rules, { ...getRulesForSeason(rules, 2023), entryFee: 60 });
+    const changed = { default: { ...rules.default, weeklyHighScoreBonus: 20 }, seasons: { 2023: overrides } };
+
+    expect(getRulesForSeason(changed, 2023)).toMatchObject({ entryFee: 60, weeklyHighScoreBonus: 20 });
+  });
+});
@@ -0,0 +1,177 @@
+// src/utils/globalFilters.js
+
+// App-wide filters that scope the analysis views: a season range, which games count (all, regular
+// season or playoffs) and whether retired managers are shown. The filters live in one context
+// (FilterProvider, around App) and are saved to localStorage so they survive navigation and reloads.
+// App applies them once to the matchups and standings it hands to the views, and passes the managers
+// whose rows are hidden.
+
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { isHeadToHead } from './matchupModel';
+
+const FILTERS_STORAGE_KEY = 'fantasyLeagueHistory.globalFilters';
+
+export const GAME_TYPES = {
+  ALL: 'all',
+  REGULAR_SEASON: 'regularSeason',
+  PLAYOFFS: 'playoffs',
+};
+
+export const DEFAULT_FILTERS = {
+  fromSeason: null, // Inclusive; null means from the first season
+  toSeason: null, // Inclusive; null means through the latest season
+  gameType: GAME_TYPES.ALL,
+  includeRetired: true,
+};
+
+/**
+ * Fills in stored filters, dropping anything unrecognized.
+ * @param {Object} [filters] Partial filters.
+ * @returns {Object} Complete filters.
+ */
+export function normalizeFilters(filters = {}) {
+  const toSeason = (value) => (Number.isInteger(value) ? value : null);
+  return {
+    fromSeason: toSeason(filters?.fromSeason),
+    toSeason: toSeason(filters?.toSeason),
+    gameType: Object.values(GAME_TYPES).includes(filters?.gameType) ? filters.gameType : DEFAULT_FILTERS.gameType,
+    includeRetired: filters?.includeRetired !== false,
+  };
+}
+
+const loadFilters = () => {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(FILTERS_STORAGE_KEY);
+    if (stored) return normalizeFilters(JSON.parse(stored));
+  } catch (error) {
+    console.warn('Failed to load the saved filters, using the defaults:', error);
+  }
+  return { ...DEFAULT_FILTERS };
+};
+
+const saveFilters = (filters) => {
+  try {
+    localStorage.setItem(FILTERS_STORAGE_KEY, JSON.stringify(filters));
+  } catch (error) {
+    console.warn('Failed to save the filters:', error);
+  }
+};
+
+/**
+ * Whether any filter differs from the defaults.
+ * @param {Object} filters The filters.
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+}
+
+/**
+ * Whether a season falls inside the filters' season range.
+ * @param {Object} filters The filters.
+ * @param {number} year The season.
+ * @returns {boolean}
+ */
+export function isSeasonInRange(filters, year) {
+  return (filters.fromSeason == null || year >= filters.fromSeason) && (filters.toSeason == null || year <= filters.toSeason);
+}
+
+/**
+ * Applies the filters to normalized matchups.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} filters The filters.
+ * @param {Object} [options]
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks),
+ * for telling regular season games from playoff games. Seasons without an entry treat bracket games as the postseason.
+ * @returns {Array<Object>} The matchups that pass, unchanged. Games involving retired managers are always kept, since
+ * they're real results for their opponents; views hide retired managers' own rows (see hideManagerRows).
+ */
+export function applyMatchupFilters(matchups, filters, { lastRegularSeasonWeeks = {} } = {}) {
+  if (!hasActiveFilters(filters)) return matchups;
+  return matchups.filter(matchup => {
+    if (!isSeasonInRange(filters, matchup.year)) return false;
+
+    if (filters.gameType !== GAME_TYPES.ALL) {
+      const lastRegularSeasonWeek = lastRegularSeasonWeeks[matchup.year];
+      const isRegularSeason = lastRegularSeasonWeek ? matchup.week <= lastRegularSeasonWeek : !matchup.bracket;
+      if (filters.gameType === GAME_TYPES.REGULAR_SEASON && !isRegularSeason) return false;
+      if (filters.gameType === GAME_TYPES.PLAYOFFS && !(isHeadToHead(matchup) && matchup.playoffs)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Applies the season range and retired-manager filter to regular season standings. The game type
+ * doesn't apply: standings are regular season by definition.
+ * @param {Array<Object>} standingsHistory The result of fetchStandingsHistory.
+ * @param {Object} filters The filters.
+ * @param {Object} [options]
+ * @param {Set<string>} [options.retiredManagerIds] Manager IDs of retired managers.
+ * @returns {Array<Object>} The seasons in range, with retired managers' rows removed when they're hidden.
+ */
+export function applyStandingsFilters(standingsHistory, filters, { retiredManagerIds = new Set() } = {}) {
+  if (!hasActiveFilters(filters)) return standingsHistory;
+  return standingsHistory
+    .filter(season => isSeasonInRange(filters, season.year))
+    .map(season => (filters.includeRetired ? season : {
+      ...season,
+      standings: { ...season.standings, standings: season.standings.standings.filter(team => !retiredManagerIds.has(team.managerId)) },
+    }));
+}
+
+/**
+ * The managers whose rows the filters hide.
+ * @param {Object} filters The filters.
+ * @param {Set<string>} retiredManagerIds Manager IDs of retired managers.
+ * @returns {Set<string>} The retired managers when they're hidden, otherwise an empty set.
+ */
+export function getHiddenManagerIds(filters, retiredManagerIds) {
+  return filters.includeRetired ? new Set() : retiredManagerIds;
+}
+
+/**
+ * Leaves out the rows of hidden managers.
+ * @param {Array<Object>} rows Rows with a `managerId`.
+ * @param {Set<string>} [hiddenManagerIds] From getHiddenManagerIds.
+ * @returns {Array<Object>} The rows still shown.
+ */
+export function hideManagerRows(rows, hiddenManagerIds) {
+  if (!hiddenManagerIds || hiddenManagerIds.size === 0) return rows;
+  return rows.filter(row => !hiddenManagerIds.has(row.managerId));
+}
+
+const FilterContext = createContext(null);
+
+/**
+ * Holds the global filters for everything inside it and saves every change.
+ */
+export const FilterProvider = ({ children }) => {
+  const [filters, setFiltersState] = useState(loadFilters);
+
+  const setFilters = useCallback((changes) => {
+    setFiltersState(current => {
+      const next = normalizeFilters({ ...current, ...changes });
+      saveFilters(next);
+      return next;
+    });
+  }, []);
+  const resetFilters = useCallback(() => setFilters(DEFAULT_FILTERS), [setFilters]);
+  const value = useMemo(() => ({ filters, setFilters, resetFilters }), [filters, setFilters, resetFilters]);
+
+  return (
+    <FilterContext.Provider value={value}>
+      {children}
+    </FilterContext.Provider>
+  );
+};
+
+/**
+ * The global filters from the nearest FilterProvider.
+ * @returns {{filters: Object, setFilters: Function, resetFilters: Function}} `setFilters` takes the fields to change.
+ */
+export function useGlobalFilters() {
+  const context = useContext(FilterContext);
+  if (!context) throw new Error('useGlobalFilters must be used inside a FilterProvider');
+  return context;
+}
@@ -0,0 +1,27 @@
+// src/utils/globalFilters.test.js
+import { applyMatchupFilters, DEFAULT_FILTERS, getHiddenManagerIds, hideManagerRows } from './globalFilters';
+
+const game = (year, team1ManagerId, team2ManagerId) => ({ year, week: 1, team1ManagerId, team2ManagerId, teams: [{ managerId: team1ManagerId }, { managerId: team2ManagerId }] });
+
+describe('retired managers', () => {
+  const filters = { ...DEFAULT_FILTERS, includeRetired: false };
+  const retiredManagerIds = new Set(['R']);
+
+  test('hiding them keeps the games they played, which count for their opponents', () => {
+    const matchups = [game(2022, 'A', 'R'), game(2023, 'A', 'B')];
+    expect(applyMatchupFilters(matchups, filters)).toEqual(matchups);
+  });
+
+  test('hiding them removes only their rows', () => {
+    const rows = [{ managerId: 'A' }, { managerId: 'R' }, { managerId: 'B' }];
+    expect(hideManagerRows(rows, getHiddenManagerIds(filters, retiredManagerIds))).toEqual([{ managerId: 'A' }, { managerId: 'B' }]);
+    expect(hideManagerRows(rows, getHiddenManagerIds(DEFAULT_FILTERS, retiredManagerIds))).toBe(rows);
+  });
+});
+
+describe('applyMatchupFilters', () => {
+  test('keeps only the seasons in range', () => {
+    const matchups = [game(2021, 'A', 'B'), game(2022, 'A', 'B'), game(2023, 'A', 'B')];
+    expect(applyMatchupFilters(matchups, { ...DEFAULT_FILTERS, fromSeason: 2022, toSeason: 2022 }).map(matchup => matchup.year)).toEqual([2022]);
+  });
+});
@@ -0,0 +1,146 @@
+// src/utils/headToHead.js
+
+// Head-to-head rivalries between every pair of managers, keyed by stable manager identity
+// (see managerIdentity.js). Each pair is stored from both sides, so `pairs[a][b]` reads as
+// "a's record against b". Consolation bracket games count toward the all-time record but
+// belong to neither the regular season nor the playoff split.
+
+import { isCompletedWeek, isHeadToHead } from './matchupModel';
+
+export const MEETING_TYPES = {
+  REGULAR_SEASON: 'regularSeason',
+  PLAYOFFS: 'playoffs',
+  CONSOLATION: 'consolation',
+};
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+
+const createPair = (managerId, opponentId) => ({
+  managerId,
+  opponentId,
+  ...emptyRecord(),
+  splits: {
+    [MEETING_TYPES.REGULAR_SEASON]: emptyRecord(),
+    [MEETING_TYPES.PLAYOFFS]: emptyRecord(),
+    [MEETING_TYPES.CONSOLATION]: emptyRecord(),
+  },
+  pointsFor: 0,
+  pointsAgainst: 0,
+  meetings: [],
+});
+
+/**
+ * Finishes a pair's summary from its chronological meetings.
+ * @param {Object} pair A pair from createPair with its meetings filled in.
+ * @returns {Object} The pair with `games`, `averageMargin`, `longestStreak`, `currentStreak`, `lastMeeting` and `biggestBlowout`.
+ */
+const summarizePair = (pair) => {
+  const { meetings } = pair;
+  let longestStreak = null;
+  let streak = null;
+  let biggestBlowout = null;
+
+  meetings.forEach(meeting => {
+    if (meeting.result === 'T') {
+      streak = null;
+    } else if (streak && streak.result === meeting.result) {
+      streak.length++;
+    } else {
+      streak = { result: meeting.result, length: 1, startYear: meeting.year, startWeek: meeting.week };
+    }
+    if (streak && (!longestStreak || streak.length > longestStreak.length)) longestStreak = { ...streak };
+
+    const margin = Math.abs(meeting.margin);
+    if (meeting.result !== 'T' && (!biggestBlowout || margin > Math.abs(biggestBlowout.margin))) biggestBlowout = meeting;
+  });
+
+  const games = meetings.length;
+  return {
+    ...pair,
+    games,
+    averageMargin: games > 0 ? (pair.pointsFor - pair.pointsAgainst) / games : 0,
+    // Streak results are from this manager's side: 'W' means they won every game in it
+    longestStreak,
+    currentStreak: streak,
+    lastMeeting: games > 0 ? meetings[games - 1] : null,
+    biggestBlowout,
+  };
+};
+
+/**
+ * Builds head-to-head records for every pair of managers who have played each other.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} [options]
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * Seasons without an entry count every game outside the brackets as regular season.
+ * @param {{year: number, week: number}} [options.inProgressWeek] A week whose scores aren't final yet; it and later
+ * weeks of that season are skipped.
+ * @returns {{managerIds: Array<string>, pairs: Object}} `pairs[managerId][opponentId]` has the W-L-T record, `splits` by
+ * MEETING_TYPES, `pointsFor`, `pointsAgainst`, `games`, `averageMargin`, `longestStreak` and `currentStreak`
+ * (`{ result, length, startYear, startWeek }`), `lastMeeting`, `biggestBlowout` and every meeting in order
+ * (`{ year, week, type, score, opponentScore, margin, result, team, opponentTeam, playoffRound, finalSeedingGame }`).
+ */
+export function buildHeadToHeadRecords(matchups, { lastRegularSeasonWeeks = {}, inProgressWeek = null } = {}) {
+  const pairs = {};
+  const getPair = (managerId, opponentId) => {
+    if (!pairs[managerId]) pairs[managerId] = {};
+    if (!pairs[managerId][opponentId]) pairs[managerId][opponentId] = createPair(managerId, opponentId);
+    return pairs[managerId][opponentId];
+  };
+
+  const games = matchups
+    .filter(matchup => isHeadToHead(matchup) && matchup.team1ManagerId && matchup.team2ManagerId && matchup.team1ManagerId !== matchup.team2ManagerId)
+    .filter(matchup => isCompletedWeek(matchup, inProgressWeek))
+    .sort((a, b) => a.year - b.year || a.week - b.week);
+
+  games.forEach(game => {
+    const lastRegularSeasonWeek = lastRegularSeasonWeeks[game.year];
+    const isRegularSeason = lastRegularSeasonWeek ? game.week <= lastRegularSeasonWeek : !game.bracket;
+    const type = isRegularSeason ? MEETING_TYPES.REGULAR_SEASON : game.playoffs ? MEETING_TYPES.PLAYOFFS : MEETING_TYPES.CONSOLATION;
+
+    [
+      [game.team1ManagerId, game.team1, game.team1Score, game.team2ManagerId, game.team2, game.team2Score],
+      [game.team2ManagerId, game.team2, game.team2Score, game.team1ManagerId, game.team1, game.team1Score],
+    ].forEach(([managerId, team, score, opponentId, opponentTeam, opponentScore]) => {
+      const pair = getPair(managerId, opponentId);
+      const result = score > opponentScore ? 'W' : score < opponentScore ? 'L' : 'T';
+      const key = result === 'W' ? 'wins' : result === 'L' ? 'losses' : 'ties';
+      pair[key]++;
+      pair.splits[type][key]++;
+      pair.pointsFor += score;
+      pair.pointsAgainst += opponentScore;
+      pair.meetings.push({
+        year: game.year,
+        week: game.week,
+        type,
+        score,
+        opponentScore,
+        margin: score - opponentScore,
+        result,
+        team,
+        opponentTeam,
+        playoffRound: game.playoffRound || null,
+        finalSeedingGame: game.finalSeedingGame || null,
+      });
+    });
+  });
+
+  Object.values(pairs).forEach(opponents => {
+    Object.keys(opponents).forEach(opponentId => {
+      opponents[opponentId] = summarizePair(opponents[opponentId]);
+    });
+  });
+
+  return { managerIds: Object.keys(pairs).sort(), pairs };
+}
+
+/**
+ * Looks up one rivalry from a manager's side.
+ * @param {Object} headToHead The result of buildHeadToHeadRecords.
+ * @param {string} managerId The manager.
+ * @param {string} opponentId Their opponent.
+ * @returns {Object|null} The pair summary, or null if they've never played.
+ */
+export function getRivalry(headToHead, managerId, opponentId) {
+  return headToHead.pairs[managerId]?.[opponentId] || null;
+}
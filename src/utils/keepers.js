@@ -0,0 +1,252 @@
+// src/utils/keepers.js
+
+// Keeper and dynasty tracking. Sleeper gives each season its own league ID and rosters, so players
+// carried from one season to the next are found by linking consecutive seasons' rosters through the
+// manager directory: a player on a manager's final roster who is back on that manager's team the next
+// season as a keeper pick, a roster keeper or (in dynasty leagues) undrafted on their week 1 roster
+// was kept. A keeper's cost is the draft round spent on them, and their value is measured like a draft
+// pick's (see draftAnalysis.js): regular season points against what that round usually returns.
+// Keeper rules live on each league's registry entry (see leagueRegistry.js) and drive next season's
+// projected keeper options.
+
+import { computePlayerSeasonPoints } from './draftAnalysis';
+import { getManagerIdForRoster } from './managerIdentity';
+
+export const KEEPER_SOURCES = {
+  KEEPER_PICK: 'keeperPick', // Drafted with Sleeper's keeper flag, at a round cost
+  ROSTER_KEEPER: 'rosterKeeper', // Listed in the roster's keepers
+  CARRIED_OVER: 'carriedOver', // Dynasty: on the roster again without being drafted
+};
+
+export const DEFAULT_KEEPER_RULES = {
+  maxKeepers: 3, // Keepers each manager may carry into a season
+  roundPenalty: 1, // Rounds earlier a keeper costs for each further season kept
+  undraftedRound: null, // Cost of a player nobody drafted; null uses the draft's last round
+  maxYearsKept: null, // Seasons in a row a player may be kept; null for no limit
+};
+
+// Sleeper's league type setting
+const DYNASTY_LEAGUE_TYPE = 2;
+
+/**
+ * Fills in a league's keeper rules, for loading from storage.
+ * @param {Object} [keeperRules] Any of the DEFAULT_KEEPER_RULES fields.
+ * @returns {Object} The complete rules.
+ */
+export function normalizeKeeperRules(keeperRules = {}) {
+  return { ...DEFAULT_KEEPER_RULES, ...(keeperRules || {}) };
+}
+
+const getPlayerLabel = (playerId, playersById) => {
+  const player = playersById[playerId];
+  if (!player) return { playerId, name: playerId, position: null };
+  const name = `${player.first_name || ''} ${player.last_name || ''}`.trim() || playerId;
+  return { playerId, name, position: player.position || null };
+};
+
+// Average regular season points of the non-keeper picks in each round of a season's drafts
+const getRoundExpectations = (boards) => {
+  const rounds = new Map();
+  boards.forEach(board => board.picks.forEach(pick => {
+    if (pick.isKeeper) return;
+    const round = rounds.get(pick.round) || { points: 0, picks: 0 };
+    rounds.set(pick.round, { points: round.points + pick.seasonPoints, picks: round.picks + 1 });
+  }));
+  return new Map(Array.from(rounds, ([round, { points, picks }]) => [round, points / picks]));
+};
+
+// Players on each manager's roster in a season's first week, from the matchups' per-player points
+const getOpeningRosters = (matchups, year) => {
+  const yearMatchups = matchups.filter(matchup => matchup.year === year);
+  if (yearMatchups.length === 0) return new Map();
+  const firstWeek = Math.min(...yearMatchups.map(matchup => matchup.week));
+  const rosters = new Map();
+  yearMatchups.filter(matchup => matchup.week === firstWeek).forEach(matchup => {
+    (matchup.teams || []).forEach(side => {
+      if (side.managerId) rosters.set(side.managerId, new Set(Object.keys(side.playersPoints || {})));
+    });
+  });
+  return rosters;
+};
+
+// Points a player scored in a manager's starting lineup during one season
+const getStartedPoints = (matchups, year, playerId, managerId) => matchups.reduce((sum, matchup) => {
+  if (matchup.year !== year) return sum;
+  const side = (matchup.teams || []).find(team => team.managerId === managerId);
+  if (!side || !(side.starters || []).includes(playerId)) return sum;
+  return sum + (side.playersPoints?.[playerId] || 0);
+}, 0);
+
+/**
+ * Links consecutive seasons' rosters to find every kept player.
+ * @param {Object} params
+ * @param {Array<Object>} params.seasons `{ year, leagueDetails, rosters }` per season, oldest first (see fetchLineageSeasons).
+ * @param {Array<Object>} params.draftBoards Boards from fetchDraftHistory.
+ * @param {Array<Object>} params.matchups Normalized matchups with player-level data, all seasons.
+ * @param {Object} params.managerDirectory The lineage's manager directory.
+ * @param {Object} [params.playersById] The result of fetchNFLPlayers.
+ * @param {Object} [params.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * @returns {Array<Object>} One entry per player kept in a season: `{ year, managerId, previousManagerId, playerId, name,
+ * position, source, costRound, yearsKept, seasonPoints, pointsStarted, expectedPoints, valueOverCost }`. `source` is one
+ * of KEEPER_SOURCES; `costRound`, `expectedPoints` and `valueOverCost` are null when no round was paid.
+ */
+export function findKeptPlayers({ seasons, draftBoards, matchups, managerDirectory, playersById = {}, lastRegularSeasonWeeks = {} }) {
+  const keepers = [];
+  for (let i = 1; i < seasons.length; i++) {
+    const previous = seasons[i - 1];
+    const { year, leagueDetails, rosters } = seasons[i];
+    if (previous.year !== year - 1) continue; // A gap in the lineage breaks the link
+
+    // Who held each player at the end of last season
+    const previousOwners = new Map();
+    (previous.rosters || []).forEach(roster => {
+      const managerId = getManagerIdForRoster(managerDirectory, previous.year, roster.roster_id);
+      (roster.players || []).forEach(playerId => previousOwners.set(playerId, managerId));
+    });
+
+    const boards = draftBoards.filter(board => board.year === year);
+    const draftedPlayerIds = new Set(boards.flatMap(board => board.picks.map(pick => pick.playerId)));
+    const kept = new Map(); // `${managerId}-${playerId}` -> keeper
+    const addKeeper = (managerId, playerId, source, costRound = null) => {
+      const key = `${managerId}-${playerId}`;
+      if (!managerId || !previousOwners.has(playerId) || kept.has(key)) return;
+      kept.set(key, { year, managerId, previousManagerId: previousOwners.get(playerId), playerId, source, costRound });
+    };
+
+    boards.forEach(board => board.picks
+      .filter(pick => pick.isKeeper)
+      .forEach(pick => addKeeper(pick.managerId, pick.playerId, KEEPER_SOURCES.KEEPER_PICK, pick.round)));
+    (rosters || []).forEach(roster => {
+      const managerId = getManagerIdForRoster(managerDirectory, year, roster.roster_id);
+      (roster.keepers || []).forEach(playerId => addKeeper(managerId, playerId, KEEPER_SOURCES.ROSTER_KEEPER));
+    });
+    if (leagueDetails?.settings?.type === DYNASTY_LEAGUE_TYPE) {
+      getOpeningRosters(matchups, year).forEach((playerIds, managerId) => {
+        playerIds.forEach(playerId => {
+          if (!draftedPlayerIds.has(playerId) && previousOwners.get(playerId) === managerId) {
+            addKeeper(managerId, playerId, KEEPER_SOURCES.CARRIED_OVER);
+          }
+        });
+      });
+    }
+
+    const lastRegularSeasonWeek = lastRegularSeasonWeeks[year] ?? Infinity;
+    const seasonPoints = computePlayerSeasonPoints(matchups, year, lastRegularSeasonWeek);
+    const expectations = getRoundExpectations(boards);
+    kept.forEach(keeper => {
+      const previousKeep = keepers.find(entry => entry.year === year - 1 && entry.managerId === keeper.managerId && entry.playerId === keeper.playerId);
+      const points = seasonPoints.get(keeper.playerId) || 0;
+      const expectedPoints = keeper.costRound != null ? expectations.get(keeper.costRound) ?? null : null;
+      keepers.push({
+        ...keeper,
+        ...getPlayerLabel(keeper.playerId, playersById),
+        yearsKept: (previousKeep?.yearsKept || 0) + 1,
+        seasonPoints: points,
+        pointsStarted: getStartedPoints(matchups, year, keeper.playerId, keeper.managerId),
+        expectedPoints,
+        valueOverCost: expectedPoints != null ? points - expectedPoints : null,
+      });
+    });
+  }
+  return keepers;
+}
+
+/**
+ * Totals each manager's keepers: how many, the points they returned and their value over cost.
+ * @param {Array<Object>} keepers The result of findKeptPlayers.
+ * @returns {Array<Object>} `{ managerId, keepers, seasonPoints, pointsStarted, valueOverCost }`, best value first.
+ */
+export function summarizeKeepersByManager(keepers) {
+  const totals = new Map();
+  keepers.forEach(keeper => {
+    const entry = totals.get(keeper.managerId) || { managerId: keeper.managerId, keepers: 0, seasonPoints: 0, pointsStarted: 0, valueOverCost: 0 };
+    entry.keepers++;
+    entry.seasonPoints += keeper.seasonPoints;
+    entry.pointsStarted += keeper.pointsStarted;
+    entry.valueOverCost += keeper.valueOverCost || 0;
+    totals.set(keeper.managerId, entry);
+  });
+  return Array.from(totals.values()).sort((a, b) => b.valueOverCost - a.valueOverCost);
+}
+
+/**
+ * Lists a season's rosters by manager, the players each could keep into the next season.
+ * @param {Object} params
+ * @param {number} params.year The season year.
+ * @param {Array<Object>} params.rosters The season's rosters from fetchRostersData.
+ * @param {Object} params.managerDirectory The lineage's manager directory.
+ * @param {Object} [params.playersById] The result of fetchNFLPlayers.
+ * @returns {Array<Object>} `{ managerId, rosterId, players }`, where players are `{ playerId, name, position }`.
+ */
+export function buildKeeperRosters({ year, rosters, managerDirectory, playersById = {} }) {
+  return rosters
+    .map(roster => ({
+      managerId: getManagerIdForRoster(managerDirectory, year, roster.roster_id),
+      rosterId: roster.roster_id,
+      players: (roster.players || []).map(playerId => getPlayerLabel(playerId, playersById)),
+    }))
+    .filter(roster => roster.managerId);
+}
+
+/**
+ * Projects each manager's keeper options for next season from their current roster and the league's keeper rules.
+ * A player costs the round they were drafted in this season (by anyone), a kept player that round less the
+ * round penalty, and an undrafted player the rules' undrafted round. Options are valued by this season's regular
+ * season points against what their cost round returned in this season's draft.
+ * @param {Object} params
+ * @param {Object} params.keeperHistory The result of fetchKeeperHistory.
+ * @param {Array<Object>} params.draftBoards Boards from fetchDraftHistory.
+ * @param {Array<Object>} params.matchups Normalized matchups with player-level data, all seasons.
+ * @param {Object} [params.keeperRules] The league's keeper rules (see DEFAULT_KEEPER_RULES).
+ * @param {Object} [params.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * @returns {Array<Object>} `{ managerId, options }` per current roster. Options are `{ playerId, name, position, costRound,
+ * yearsKept, seasonPoints, expectedPoints, valueOverCost, isEligible, ineligibleReason, isRecommended }`, eligible
+ * and best value first; the best `maxKeepers` eligible options with positive value are recommended.
+ */
+export function projectKeeperOptions({ keeperHistory, draftBoards, matchups, keeperRules, lastRegularSeasonWeeks = {} }) {
+  if (!keeperHistory?.currentRosters) return [];
+  const rules = normalizeKeeperRules(keeperRules);
+  const { year, keepers, currentRosters } = keeperHistory;
+
+  const boards = draftBoards.filter(board => board.year === year);
+  const picksByPlayer = new Map(boards.flatMap(board => board.picks.map(pick => [pick.playerId, pick])));
+  const lastRound = boards.reduce((max, board) => Math.max(max, board.rounds), 0) || null;
+  const expectations = getRoundExpectations(boards);
+  const seasonPoints = computePlayerSeasonPoints(matchups, year, lastRegularSeasonWeeks[year] ?? Infinity);
+
+  return currentRosters.map(({ managerId, players }) => {
+    const options = players.map(player => {
+      const pick = picksByPlayer.get(player.playerId);
+      const keptThisSeason = keepers.find(keeper => keeper.year === year && keeper.managerId === managerId && keeper.playerId === player.playerId);
+      const yearsKept = keptThisSeason?.yearsKept || 0;
+
+      let costRound = rules.undraftedRound ?? lastRound;
+      if (pick) costRound = pick.isKeeper || keptThisSeason ? pick.round - rules.roundPenalty : pick.round;
+
+      let ineligibleReason = null;
+      if (costRound == null) ineligibleReason = 'No draft to set a cost';
+      else if (costRound < 1) ineligibleReason = 'Cost would be earlier than round 1';
+      else if (rules.maxYearsKept != null && yearsKept >= rules.maxYearsKept) ineligibleReason = `Already kept ${yearsKept} ${yearsKept === 1 ? 'season' : 'seasons'}`;
+
+      const points = seasonPoints.get(player.playerId) || 0;
+      const expectedPoints = costRound != null ? expectations.get(costRound) ?? null : null;
+      return {
+        ...player,
+        costRound,
+        yearsKept,
+        seasonPoints: points,
+        expectedPoints,
+        valueOverCost: expectedPoints != null ? points - expectedPoints : null,
+        isEligible: !ineligibleReason,
+        ineligibleReason,
+        isRecommended: false,
+      };
+    }).sort((a, b) => (b.isEligible - a.isEligible) || (b.valueOverCost ?? -Infinity) - (a.valueOverCost ?? -Infinity) || b.seasonPoints - a.seasonPoints);
+
+    options
+      .filter(option => option.isEligible && option.valueOverCost > 0)
+      .slice(0, rules.maxKeepers)
+      .forEach(option => { option.isRecommended = true; });
+    return { managerId, options };
+  });
+}
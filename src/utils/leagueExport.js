@@ -0,0 +1,316 @@
+// src/utils/leagueExport.js
+
+// Exports of the league history we build from Sleeper: CSV files of matchups, standings, records,
+// transactions and drafts for spreadsheets, and a versioned JSON snapshot of everything the app
+// loads. A snapshot can be imported back in place of the Sleeper API, so the league's history
+// survives Sleeper purging old leagues and can be archived each season.
+
+import { getMatchupResults } from './matchupModel';
+
+export const SNAPSHOT_FORMAT = 'fantasy-league-history-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+// Everything a snapshot holds under `data`, i.e. what App loads from Sleeper
+const SNAPSHOT_DATA_KEYS = [
+  'inProgressWeek',
+  'managerDirectory',
+  'historicalMatchups',
+  'dataQualityIssues',
+  'seasonStandings',
+  'standingsHistory',
+  'lineupEfficiency',
+  'draftHistory',
+  'transactionLedger',
+  'keeperHistory',
+  'playoffSimulationInput',
+];
+
+/**
+ * A snapshot file that can't be imported: not JSON, not a snapshot, or from a newer version of the app.
+ */
+export class LeagueSnapshotError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'LeagueSnapshotError';
+    if (cause) this.cause = cause;
+  }
+}
+
+const toCsvValue = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text, quoting values that contain commas, quotes or newlines.
+ * @param {Array<string>} header Column names.
+ * @param {Array<Array<*>>} rows One array of values per row; null and undefined become empty cells.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\n');
+}
+
+/**
+ * Offers generated content to the browser as a file download.
+ * @param {string} content The file contents.
+ * @param {string} fileName The suggested file name.
+ * @param {string} mimeType E.g. 'text/csv'.
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const getGameType = (matchup, lastRegularSeasonWeeks) => {
+  const lastRegularSeasonWeek = lastRegularSeasonWeeks[matchup.year];
+  const isRegularSeason = lastRegularSeasonWeek ? matchup.week <= lastRegularSeasonWeek : !matchup.bracket;
+  if (isRegularSeason) return 'Regular season';
+  return matchup.playoffs ? 'Playoffs' : 'Consolation';
+};
+
+const formatMedianResult = ({ wins, losses, ties }) => {
+  if (wins) return 'W';
+  if (losses) return 'L';
+  return ties ? 'T' : null;
+};
+
+/**
+ * Matchups as CSV, one row per team per game so byes and multi-team matchups fit the same columns.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} [options]
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * @returns {string} The CSV text.
+ */
+export function exportMatchupsCsv(matchups, { lastRegularSeasonWeeks = {} } = {}) {
+  const header = ['Season', 'Week', 'Game Type', 'Matchup Type', 'Team', 'Manager ID', 'Score', 'Opponent', 'Opponent Score', 'Result', 'Median Result'];
+  const rows = matchups.flatMap(matchup => {
+    const results = getMatchupResults(matchup);
+    return results.map(result => {
+      const opponents = results.filter(other => other !== result);
+      const { wins, losses, ties } = result.headToHead;
+      return [
+        matchup.year,
+        matchup.week,
+        getGameType(matchup, lastRegularSeasonWeeks),
+        matchup.matchupType,
+        result.team,
+        result.managerId,
+        result.score,
+        opponents.map(opponent => opponent.team).join(' / '),
+        opponents.length === 1 ? opponents[0].score : null,
+        opponents.length > 0 ? `${wins}-${losses}${ties ? `-${ties}` : ''}` : null,
+        formatMedianResult(result.median),
+      ];
+    });
+  });
+  return toCsv(header, rows);
+}
+
+/**
+ * Each season's final regular season standings as CSV, with the final place from the playoffs where it's decided.
+ * @param {Array<Object>} standingsHistory The result of fetchStandingsHistory.
+ * @param {Array<Object>} [seasonStandings] The result of fetchSeasonFinalStandings.
+ * @returns {string} The CSV text.
+ */
+export function exportStandingsCsv(standingsHistory, seasonStandings = []) {
+  const header = ['Season', 'Seed', 'Team', 'Manager ID', 'Division', 'Wins', 'Losses', 'Ties', 'Win %', 'Points For', 'Points Against', 'Made Playoffs', 'Final Place'];
+  const rows = standingsHistory.flatMap(season => {
+    const finalPlaces = new Map((seasonStandings.find(entry => entry.year === season.year)?.standings || [])
+      .map(team => [team.rosterId, team.place]));
+    return season.standings.standings.map(team => [
+      season.year,
+      team.seed,
+      team.team,
+      team.managerId,
+      team.divisionName,
+      team.wins,
+      team.losses,
+      team.ties,
+      team.winPct.toFixed(3),
+      team.pointsFor.toFixed(2),
+      team.pointsAgainst.toFixed(2),
+      team.madePlayoffs ? 'Yes' : 'No',
+      finalPlaces.get(team.rosterId) ?? null,
+    ]);
+  });
+  return toCsv(header, rows);
+}
+
+/**
+ * The record book as CSV: each record's holder (rank 1) followed by its runners-up.
+ * @param {Object} recordBook The result of buildRecordBook.
+ * @returns {string} The CSV text.
+ */
+export function exportRecordsCsv(recordBook) {
+  const header = ['Category', 'Record', 'Rank', 'Team', 'Manager ID', 'Value', 'Season', 'Week', 'Detail'];
+  const rows = recordBook.records.flatMap(record => (
+    [record.holder, ...record.runnersUp].filter(Boolean).map((entry, index) => [
+      record.category,
+      record.label,
+      index + 1,
+      entry.team,
+      entry.managerId,
+      entry.display,
+      entry.year,
+      entry.week,
+      entry.detail,
+    ])
+  ));
+  return toCsv(header, rows);
+}
+
+const formatPicks = (picks) => picks.map(pick => `${pick.season} round ${pick.round}`).join('; ');
+
+/**
+ * Every transaction as CSV, one row per team involved.
+ * @param {Object} transactionLedger The result of buildTransactionLedger.
+ * @returns {string} The CSV text.
+ */
+export function exportTransactionsCsv(transactionLedger) {
+  const header = ['Season', 'Week', 'Type', 'Transaction ID', 'Team', 'Manager ID', 'Adds', 'Drops', 'Picks Received', 'Picks Sent', 'FAAB Bid', 'FAAB Received', 'FAAB Sent'];
+  const rows = [...transactionLedger.transactions].reverse().flatMap(transaction => (
+    transaction.sides.map(side => [
+      transaction.year,
+      transaction.week,
+      transaction.type,
+      transaction.transactionId,
+      side.team,
+      side.managerId,
+      side.adds.map(player => player.name).join('; '),
+      side.drops.map(player => player.name).join('; '),
+      formatPicks(side.picksReceived),
+      formatPicks(side.picksSent),
+      side.adds.length > 0 ? transaction.faabBid : null,
+      side.faabReceived || null,
+      side.faabSent || null,
+    ])
+  ));
+  return toCsv(header, rows);
+}
+
+/**
+ * Every draft pick as CSV.
+ * @param {Object} draftHistory The result of fetchDraftHistory.
+ * @returns {string} The CSV text.
+ */
+export function exportDraftsCsv(draftHistory) {
+  const header = ['Season', 'Draft ID', 'Pick', 'Round', 'Slot', 'Team', 'Manager ID', 'Player', 'Position', 'NFL Team', 'Keeper', 'Traded Pick', 'Season Points', 'Expected Points', 'Value Over Slot'];
+  const rows = draftHistory.boards.flatMap(board => board.picks.map(pick => [
+    board.year,
+    board.draftId,
+    pick.pickNo,
+    pick.round,
+    pick.slot,
+    pick.team,
+    pick.managerId,
+    pick.playerName,
+    pick.position,
+    pick.nflTeam,
+    pick.isKeeper ? 'Yes' : 'No',
+    pick.isTraded ? 'Yes' : 'No',
+    pick.seasonPoints.toFixed(2),
+    pick.expectedPoints.toFixed(2),
+    pick.valueOverSlot.toFixed(2),
+  ]));
+  return toCsv(header, rows);
+}
+
+// JSON has no Map, Set or Infinity (open-ended ownership periods), so they're written as tagged objects
+const encodeValue = (key, value) => {
+  if (value instanceof Map) return { $map: Array.from(value.entries()) };
+  if (value instanceof Set) return { $set: Array.from(value) };
+  if (typeof value === 'number' && !Number.isFinite(value)) return { $number: String(value) };
+  return value;
+};
+
+const decodeValue = (key, value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length !== 1) return value;
+  if (keys[0] === '$map') return new Map(value.$map);
+  if (keys[0] === '$set') return new Set(value.$set);
+  if (keys[0] === '$number') return Number(value.$number);
+  return value;
+};
+
+/**
+ * Serializes everything the app loaded for a league as a versioned JSON snapshot.
+ * @param {Object} params
+ * @param {Object} params.league `{ leagueId, name, startYear }`.
+ * @param {Object} params.data The loaded data, keyed like App's state: `inProgressWeek`, `managerDirectory`,
+ * `historicalMatchups`, `dataQualityIssues`, `seasonStandings`, `standingsHistory`, `lineupEfficiency`,
+ * `draftHistory`, `transactionLedger`, `keeperHistory` and `playoffSimulationInput`.
+ * @param {Object} [params.recordBook] The record book (see buildRecordBook). Its records are included for
+ * readers of the archive; importing recomputes them from the matchups.
+ * @returns {string} The snapshot JSON.
+ */
+export function serializeLeagueSnapshot({ league, data, recordBook = null }) {
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    league,
+    data: Object.fromEntries(SNAPSHOT_DATA_KEYS.map(key => [key, data[key] ?? null])),
+    records: recordBook ? recordBook.records : null,
+  };
+  return JSON.stringify(snapshot, encodeValue);
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isArrayOf = (value, isEntry) => Array.isArray(value) && value.every(isEntry);
+const hasArrays = (value, keys) => isObject(value) && keys.every(key => Array.isArray(value[key]));
+const isOptional = (isValid) => (value) => value == null || isValid(value);
+
+// What each entry under `data` must look like for the views that read it. Everything but the manager
+// directory and matchups may be null: those datasets are optional when loading from Sleeper too.
+const SNAPSHOT_DATA_SHAPES = {
+  inProgressWeek: isOptional(value => Number.isInteger(value.year) && Number.isInteger(value.week)),
+  managerDirectory: (value) => isObject(value)
+    && ['managers', 'userIdToManagerId', 'rosterOwners', 'ownershipPeriods', 'nameIndex'].every(key => value[key] instanceof Map),
+  historicalMatchups: (value) => isArrayOf(value, matchup => (
+    isObject(matchup) && Number.isInteger(matchup.year) && Number.isInteger(matchup.week) && Array.isArray(matchup.teams)
+  )),
+  dataQualityIssues: isOptional(value => isArrayOf(value, isObject)),
+  seasonStandings: isOptional(value => isArrayOf(value, season => isObject(season) && Array.isArray(season.standings))),
+  standingsHistory: isOptional(value => isArrayOf(value, isObject)),
+  lineupEfficiency: isOptional(value => hasArrays(value, ['weeks', 'seasons'])),
+  draftHistory: isOptional(value => hasArrays(value, ['boards', 'grades', 'bestPicks', 'worstPicks'])),
+  transactionLedger: isOptional(value => hasArrays(value, ['transactions', 'trades', 'managerTotals'])),
+  keeperHistory: isOptional(value => hasArrays(value, ['keepers', 'managerTotals', 'currentRosters'])),
+  playoffSimulationInput: isOptional(value => hasArrays(value, ['teams', 'remainingGames']) && isObject(value.settings)),
+};
+
+/**
+ * Reads a snapshot written by serializeLeagueSnapshot, restoring the data to the shapes the app uses.
+ * @param {string} text The snapshot JSON.
+ * @returns {Object} `{ format, version, exportedAt, league, data, records }`.
+ * @throws {LeagueSnapshotError} When the text isn't a snapshot this version of the app can read, or any of its
+ * data is missing or malformed.
+ */
+export function parseLeagueSnapshot(text) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text, decodeValue);
+  } catch (error) {
+    throw new LeagueSnapshotError('The file is not valid JSON.', { cause: error });
+  }
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new LeagueSnapshotError('The file is not a league history snapshot.');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+    throw new LeagueSnapshotError(`The snapshot is version ${snapshot.version}, but this app only reads snapshots up to version ${SNAPSHOT_VERSION}.`);
+  }
+  if (!snapshot.league?.leagueId || !isObject(snapshot.data)) {
+    throw new LeagueSnapshotError('The snapshot is missing its league or matchup data.');
+  }
+  const invalidKeys = SNAPSHOT_DATA_KEYS.filter(key => !SNAPSHOT_DATA_SHAPES[key](snapshot.data[key]));
+  if (invalidKeys.length > 0) {
+    throw new LeagueSnapshotError(`The snapshot's ${invalidKeys.join(', ')} ${invalidKeys.length === 1 ? 'is' : 'are'} missing or malformed.`);
+  }
+  return snapshot;
+}
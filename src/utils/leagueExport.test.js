@@ -0,0 +1,55 @@
+// src/utils/leagueExport.test.js
+import { LeagueSnapshotError, parseLeagueSnapshot, serializeLeagueSnapshot } from './leagueExport';
+
+const managerDirectory = {
+  managers: new Map([['u1', {
+    managerId: 'u1',
+    displayName: 'Team A',
+    userIds: ['u1'],
+    aliases: ['Team A', 'The A Team'],
+    nameHistory: [{ year: 2023, name: 'Team A' }],
+    rosterIdsBySeason: { 2023: 1 },
+    seasons: [2023],
+    coOwnerUserIds: [],
+    avatar: null,
+    isRetired: false,
+    isActive: true,
+    isOrphan: false,
+  }]]),
+  userIdToManagerId: new Map([['u1', 'u1']]),
+  rosterOwners: new Map([['2023-1', 'u1']]),
+  ownershipPeriods: new Map([['2023-1', [{ fromWeek: 1, toWeek: Infinity, managerId: 'u1' }]]]),
+  nameIndex: new Map([['team a', 'u1']]),
+  takeovers: [{ year: 2023, rosterId: 2, previousUserId: 'u2', newUserId: 'u3' }],
+};
+
+const data = {
+  inProgressWeek: { year: 2023, week: 5 },
+  managerDirectory,
+  historicalMatchups: [{ year: 2023, week: 1, teams: [{ managerId: 'u1', score: 101.5 }] }],
+  seasonStandings: [{ year: 2022, standings: [] }],
+  transactionLedger: { transactions: [], trades: [], managerTotals: [] },
+};
+
+const serialize = (changes = {}) => serializeLeagueSnapshot({ league: { leagueId: '123', name: 'League' }, data: { ...data, ...changes } });
+
+describe('parseLeagueSnapshot', () => {
+  test("restores the manager directory's Maps and open-ended ownership periods", () => {
+    const snapshot = parseLeagueSnapshot(serialize());
+
+    expect(snapshot.data.managerDirectory).toEqual(managerDirectory);
+    expect(snapshot.data.historicalMatchups).toEqual(data.historicalMatchups);
+    expect(snapshot.data.draftHistory).toBeNull();
+  });
+
+  test('rejects a snapshot whose optional datasets have the wrong shape', () => {
+    const text = serialize({ transactionLedger: { transactions: 'none' }, keeperHistory: [] });
+
+    expect(() => parseLeagueSnapshot(text)).toThrow(LeagueSnapshotError);
+    expect(() => parseLeagueSnapshot(text)).toThrow("The snapshot's transactionLedger, keeperHistory are missing or malformed.");
+  });
+
+  test('rejects a snapshot without a usable manager directory', () => {
+    expect(() => parseLeagueSnapshot(serialize({ managerDirectory: { managers: {} } }))).toThrow('managerDirectory is missing or malformed');
+  });
+});
@@ -0,0 +1,221 @@
+// src/utils/leagueRegistry.js
+
+// Registry of the Sleeper leagues this app can display. Each entry keeps its own settings
+// (start year, team-name overrides, retired managers, manager links, ownership changes, standings tiebreakers,
+// financial rules, keeper rules) and the registry is saved to localStorage so added leagues and the active selection survive reloads.
+// The league configured in sleeperApi.js/config.js is seeded as the first entry.
+
+import { LEAGUE_START_YEAR } from '../config';
+import {
+  CURRENT_LEAGUE_ID,
+  TEAM_NAME_TO_SLEEPER_ID_MAP,
+  RETIRED_MANAGERS,
+  fetchLeagueDetails,
+  fetchNFLState,
+  fetchUserByUsername,
+  fetchUserLeagues,
+} from './sleeperApi';
+import { normalizeFinancialRules } from './financials';
+import { normalizeKeeperRules } from './keepers';
+
+const REGISTRY_STORAGE_KEY = 'fantasyLeagueHistory.leagueRegistry';
+
+/**
+ * Creates a registry entry with every setting filled in.
+ * @param {Object} league
+ * @param {string} league.leagueId The Sleeper league ID for the most recent season of the league.
+ * @param {string} [league.name] Display name, usually the Sleeper league name.
+ * @param {number|null} [league.startYear] First season to include. Null includes every season in the lineage.
+ * @param {Object} [league.teamNameOverrides] Map of custom team name to Sleeper user ID.
+ * @param {Array<string>} [league.retiredManagers] Sleeper user IDs of managers who have left the league.
+ * @param {Object} [league.managerLinks] Map of user ID to the user ID whose manager identity it shares
+ * (e.g. a new owner continuing an orphaned team's history). See managerIdentity.js.
+ * @param {Array<Object>} [league.ownershipChanges] Mid-season ownership changes Sleeper doesn't record,
+ * as `{ year, rosterId, userId, fromWeek, toWeek }`. See managerIdentity.js.
+ * @param {Array<string>|null} [league.standingsTiebreakers] Tiebreakers for seeding, in order (TIEBREAKERS
+ * in standings.js). Null uses Sleeper's default of points for.
+ * @param {Object} [league.financialRules] Dues and payouts as `{ default, seasons }`. See financials.js.
+ * @param {Object} [league.keeperRules] Keeper limits and round costs. See keepers.js.
+ * @returns {Object} The registry entry.
+ */
+export function createLeagueEntry({
+  leagueId,
+  name,
+  startYear = null,
+  teamNameOverrides = {},
+  retiredManagers = [],
+  managerLinks = {},
+  ownershipChanges = [],
+  standingsTiebreakers = null,
+  financialRules,
+  keeperRules,
+}) {
+  return {
+    leagueId: String(leagueId),
+    name: name || `League ${leagueId}`,
+    startYear: startYear ? parseInt(startYear) : null,
+    teamNameOverrides: { ...teamNameOverrides },
+    retiredManagers: [...retiredManagers],
+    managerLinks: { ...managerLinks },
+    ownershipChanges: ownershipChanges.map(change => ({ ...change })),
+    standingsTiebreakers: standingsTiebreakers ? [...standingsTiebreakers] : null,
+    financialRules: normalizeFinancialRules(financialRules),
+    keeperRules: normalizeKeeperRules(keeperRules),
+  };
+}
+
+const createDefaultRegistry = () => ({
+  activeLeagueId: CURRENT_LEAGUE_ID,
+  leagues: [
+    createLeagueEntry({
+      leagueId: CURRENT_LEAGUE_ID,
+      startYear: LEAGUE_START_YEAR,
+      teamNameOverrides: TEAM_NAME_TO_SLEEPER_ID_MAP,
+      retiredManagers: Array.from(RETIRED_MANAGERS),
+    }),
+  ],
+});
+
+/**
+ * Loads the league registry from localStorage, falling back to the default league.
+ * @returns {{activeLeagueId: string, leagues: Array<Object>}} The registry.
+ */
+export function loadLeagueRegistry() {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(REGISTRY_STORAGE_KEY);
+    if (stored) {
+      const registry = JSON.parse(stored);
+      if (Array.isArray(registry.leagues) && registry.leagues.length > 0) {
+        return {
+          activeLeagueId: registry.activeLeagueId || registry.leagues[0].leagueId,
+          leagues: registry.leagues.map(createLeagueEntry),
+        };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load the league registry, using the default league:', error);
+  }
+  return createDefaultRegistry();
+}
+
+/**
+ * Saves the league registry to localStorage.
+ * @param {Object} registry The registry to save.
+ */
+export function saveLeagueRegistry(registry) {
+  try {
+    localStorage.setItem(REGISTRY_STORAGE_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.warn('Failed to save the league registry:', error);
+  }
+}
+
+/**
+ * Returns the active league's entry.
+ * @param {Object} registry The registry.
+ * @returns {Object} The active league entry (the first league if the active ID is unknown).
+ */
+export function getActiveLeague(registry) {
+  return registry.leagues.find(league => league.leagueId === registry.activeLeagueId) || registry.leagues[0];
+}
+
+/**
+ * Adds a league to the registry, or replaces it if already present, and makes it active.
+ * @param {Object} registry The registry.
+ * @param {Object} entry A league entry from createLeagueEntry.
+ * @returns {Object} The updated registry.
+ */
+export function addLeague(registry, entry) {
+  const leagues = registry.leagues.some(league => league.leagueId === entry.leagueId)
+    ? registry.leagues.map(league => (league.leagueId === entry.leagueId ? entry : league))
+    : [...registry.leagues, entry];
+  return { activeLeagueId: entry.leagueId, leagues };
+}
+
+/**
+ * The settings that decide what is loaded for a league, as a string that only changes when one of them
+ * does. Rules that views apply to loaded data (financial and keeper rules) aren't part of it.
+ * @param {Object} league A registry entry.
+ * @returns {string} The key.
+ */
+export function getLeagueDataKey(league) {
+  const { leagueId, startYear, teamNameOverrides, retiredManagers, managerLinks, ownershipChanges, standingsTiebreakers } = league;
+  return JSON.stringify({ leagueId, startYear, teamNameOverrides, retiredManagers, managerLinks, ownershipChanges, standingsTiebreakers });
+}
+
+/**
+ * Updates settings for one league. Settings that aren't changed keep their existing objects, so saving
+ * one setting (e.g. financial rules) doesn't look like a change to the others.
+ * @param {Object} registry The registry.
+ * @param {string} leagueId The league to update.
+ * @param {Object} changes Fields to change on the entry.
+ * @returns {Object} The updated registry.
+ */
+export function updateLeague(registry, leagueId, changes) {
+  return {
+    ...registry,
+    leagues: registry.leagues.map(league => {
+      if (league.leagueId !== leagueId) return league;
+      const entry = createLeagueEntry({ ...league, ...changes });
+      return Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, key in changes ? value : league[key] ?? value]));
+    }),
+  };
+}
+
+/**
+ * Removes a league. The last remaining league can't be removed.
+ * @param {Object} registry The registry.
+ * @param {string} leagueId The league to remove.
+ * @returns {Object} The updated registry.
+ */
+export function removeLeague(registry, leagueId) {
+  if (registry.leagues.length <= 1) return registry;
+  const leagues = registry.leagues.filter(league => league.leagueId !== leagueId);
+  const activeLeagueId = registry.activeLeagueId === leagueId ? leagues[0].leagueId : registry.activeLeagueId;
+  return { activeLeagueId, leagues };
+}
+
+/**
+ * Switches the active league.
+ * @param {Object} registry The registry.
+ * @param {string} leagueId The league to activate.
+ * @returns {Object} The updated registry.
+ */
+export function setActiveLeague(registry, leagueId) {
+  if (!registry.leagues.some(league => league.leagueId === leagueId)) return registry;
+  return { ...registry, activeLeagueId: leagueId };
+}
+
+/**
+ * Builds a registry entry for a league ID, using Sleeper's league details for its name.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {Object} [settings] Optional `startYear`, `teamNameOverrides` and `retiredManagers`.
+ * @returns {Promise<Object|null>} The new entry, or null if Sleeper has no such league.
+ */
+export async function resolveLeagueEntry(leagueId, settings = {}) {
+  const leagueDetails = await fetchLeagueDetails(String(leagueId).trim());
+  if (!leagueDetails) return null;
+  return createLeagueEntry({ ...settings, leagueId: leagueDetails.league_id, name: leagueDetails.name });
+}
+
+/**
+ * Finds the leagues a Sleeper user is in for the current (or a given) season.
+ * @param {string} username The Sleeper username.
+ * @param {number} [season] The season to search. Defaults to Sleeper's current league season.
+ * @returns {Promise<Array<Object>|null>} `{ leagueId, name, season, totalRosters }` per league, or null if the user doesn't exist.
+ */
+export async function findLeaguesByUsername(username, season) {
+  const user = await fetchUserByUsername(username);
+  if (!user) return null;
+
+  const nflState = season ? null : await fetchNFLState();
+  const searchSeason = season || nflState?.league_season || nflState?.season || new Date().getFullYear();
+  const leagues = await fetchUserLeagues(user.user_id, searchSeason);
+
+  return leagues.map(league => ({
+    leagueId: league.league_id,
+    name: league.name,
+    season: parseInt(league.season),
+    totalRosters: league.total_rosters,
+  }));
+}
@@ -0,0 +1,47 @@
+// src/utils/leagueRegistry.test.js
+import { createLeagueEntry, getLeagueDataKey, updateLeague } from './leagueRegistry';
+
+const createRegistry = () => ({
+  activeLeagueId: '1',
+  leagues: [
+    createLeagueEntry({
+      leagueId: '1',
+      name: 'Test League',
+      startYear: 2020,
+      teamNameOverrides: { 'The Champs': 'user-1' },
+      retiredManagers: ['user-2'],
+      managerLinks: { 'user-3': 'user-1' },
+      standingsTiebreakers: ['headToHead', 'pointsFor'],
+    }),
+  ],
+});
+
+describe('updateLeague', () => {
+  test('keeps settings that are not changed by reference', () => {
+    const registry = createRegistry();
+    const [before] = registry.leagues;
+    const [after] = updateLeague(registry, '1', { financialRules: { default: { entryFee: 50 } } }).leagues;
+
+    expect(after.financialRules.default.entryFee).toBe(50);
+    ['teamNameOverrides', 'retiredManagers', 'managerLinks', 'ownershipChanges', 'standingsTiebreakers', 'keeperRules'].forEach(key => {
+      expect(after[key]).toBe(before[key]);
+    });
+  });
+
+  test('a rules change does not change the key that triggers a reload', () => {
+    const registry = createRegistry();
+    const key = getLeagueDataKey(registry.leagues[0]);
+    const withMoneyRules = updateLeague(registry, '1', { financialRules: { default: { entryFee: 50 } } });
+    const withKeeperRules = updateLeague(withMoneyRules, '1', { keeperRules: { maxKeepers: 2 } });
+
+    expect(getLeagueDataKey(withKeeperRules.leagues[0])).toBe(key);
+  });
+
+  test('a data setting change does change the key', () => {
+    const registry = createRegistry();
+    const updated = updateLeague(registry, '1', { startYear: 2021 });
+
+    expect(getLeagueDataKey(updated.leagues[0])).not.toBe(getLeagueDataKey(registry.leagues[0]));
+    expect(updated.leagues[0].startYear).toBe(2021);
+  });
+});
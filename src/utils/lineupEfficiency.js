@@ -0,0 +1,159 @@
+// src/utils/lineupEfficiency.js
+
+// Lineup analysis from the player-level data on normalized matchups (`starters`, `startersPoints`,
+// `playersPoints` on each side; see matchupModel.js). For each team-week it works out bench points
+// and the best lineup the manager could have started given the season's `roster_positions`, and
+// rolls those up into a "manager efficiency" percentage per team and season.
+
+// Positions each Sleeper lineup slot accepts. Slots not listed here (BN, IR, TAXI) aren't starting slots.
+export const SLOT_ELIGIBILITY = {
+  QB: ['QB'],
+  RB: ['RB'],
+  WR: ['WR'],
+  TE: ['TE'],
+  K: ['K'],
+  DEF: ['DEF'],
+  DL: ['DL', 'DE', 'DT'],
+  LB: ['LB'],
+  DB: ['DB', 'CB', 'S'],
+  FLEX: ['RB', 'WR', 'TE'],
+  WRRB_FLEX: ['RB', 'WR'],
+  REC_FLEX: ['WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  IDP_FLEX: ['DL', 'DE', 'DT', 'LB', 'DB', 'CB', 'S'],
+};
+
+// Sleeper fills empty lineup slots with this player ID
+const EMPTY_SLOT = '0';
+
+/**
+ * Returns the starting slots from a season's `roster_positions`.
+ * @param {Array<string>} rosterPositions The league's `roster_positions`.
+ * @returns {Array<string>} The starting slots, in lineup order.
+ */
+export function getStartingSlots(rosterPositions = []) {
+  return rosterPositions.filter(slot => SLOT_ELIGIBILITY[slot]);
+}
+
+/**
+ * Returns the positions a player can be started at.
+ * @param {string} playerId The Sleeper player ID (team abbreviation for defenses).
+ * @param {Object} playersById The result of fetchNFLPlayers.
+ * @returns {Array<string>} The player's fantasy positions.
+ */
+export function getPlayerPositions(playerId, playersById = {}) {
+  const player = playersById[playerId];
+  if (player) {
+    if (Array.isArray(player.fantasy_positions) && player.fantasy_positions.length > 0) return player.fantasy_positions;
+    if (player.position) return [player.position];
+  }
+  // Team defenses use the team abbreviation as their ID
+  return /^[A-Z]{2,3}$/.test(playerId) ? ['DEF'] : [];
+}
+
+/**
+ * Finds the highest-scoring legal lineup from the players on a roster. Slots are filled from the
+ * most restrictive (fewest eligible positions) to the least, each with the best remaining player.
+ * That greedy fill is optimal whenever each flex slot accepts a superset of the narrower slots,
+ * which covers the usual Sleeper lineups.
+ * @param {Object} playersPoints Map of player ID to points scored that week.
+ * @param {Array<string>} slots Starting slots from getStartingSlots.
+ * @param {Object} playersById The result of fetchNFLPlayers.
+ * @returns {{points: number, lineup: Array<{slot: string, playerId: string|null, points: number}>}}
+ */
+export function computeOptimalLineup(playersPoints = {}, slots, playersById) {
+  const available = Object.entries(playersPoints)
+    .map(([playerId, points]) => ({ playerId, points: points || 0, positions: getPlayerPositions(playerId, playersById) }))
+    .sort((a, b) => b.points - a.points);
+  const used = new Set();
+
+  const slotOrder = slots
+    .map((slot, index) => ({ slot, index }))
+    .sort((a, b) => SLOT_ELIGIBILITY[a.slot].length - SLOT_ELIGIBILITY[b.slot].length);
+
+  const lineup = new Array(slots.length);
+  slotOrder.forEach(({ slot, index }) => {
+    const eligible = SLOT_ELIGIBILITY[slot];
+    const best = available.find(player => !used.has(player.playerId) && player.positions.some(position => eligible.includes(position)));
+    if (best) used.add(best.playerId);
+    lineup[index] = { slot, playerId: best ? best.playerId : null, points: best ? best.points : 0 };
+  });
+
+  return { points: lineup.reduce((sum, entry) => sum + entry.points, 0), lineup };
+}
+
+/**
+ * Analyzes one team's lineup for one week.
+ * @param {Object} side A side from a normalized matchup's `teams`.
+ * @param {Array<string>} rosterPositions The season's `roster_positions`.
+ * @param {Object} playersById The result of fetchNFLPlayers.
+ * @returns {Object|null} `{ actualPoints, optimalPoints, benchPoints, pointsLeftOnBench, efficiency, optimalLineup }`,
+ * or null if the week has no player-level data.
+ */
+export function analyzeLineup(side, rosterPositions, playersById) {
+  const playersPoints = side.playersPoints || {};
+  if (Object.keys(playersPoints).length === 0) return null;
+
+  const starters = new Set((side.starters || []).filter(playerId => playerId && playerId !== EMPTY_SLOT));
+  const actualPoints = side.startersPoints && side.startersPoints.length > 0
+    ? side.startersPoints.reduce((sum, points) => sum + (points || 0), 0)
+    : Array.from(starters).reduce((sum, playerId) => sum + (playersPoints[playerId] || 0), 0);
+  const benchPoints = Object.entries(playersPoints)
+    .filter(([playerId]) => !starters.has(playerId))
+    .reduce((sum, [, points]) => sum + (points || 0), 0);
+
+  const optimal = computeOptimalLineup(playersPoints, getStartingSlots(rosterPositions), playersById);
+  // The optimal lineup can never score less than what was actually started
+  const optimalPoints = Math.max(optimal.points, actualPoints);
+
+  return {
+    actualPoints,
+    optimalPoints,
+    benchPoints,
+    pointsLeftOnBench: optimalPoints - actualPoints,
+    efficiency: optimalPoints > 0 ? actualPoints / optimalPoints : 1,
+    optimalLineup: optimal.lineup,
+  };
+}
+
+/**
+ * Analyzes every team-week in a set of matchups and summarizes each team's seasons.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} rosterPositionsByYear Map of season year to that season's `roster_positions`.
+ * @param {Object} playersById The result of fetchNFLPlayers.
+ * @returns {{weeks: Array<Object>, seasons: Array<Object>}} Per team-week rows (`year`, `week`, `managerId`,
+ * `team`, `rosterId` plus the analyzeLineup fields) and per team-season totals with an overall `efficiency`,
+ * sorted by most points left on the bench.
+ */
+export function buildLineupEfficiency(matchups, rosterPositionsByYear, playersById) {
+  const weeks = [];
+  matchups.forEach(matchup => {
+    const rosterPositions = rosterPositionsByYear[matchup.year];
+    if (!rosterPositions) return;
+    (matchup.teams || []).forEach(side => {
+      const analysis = analyzeLineup(side, rosterPositions, playersById);
+      if (!analysis) return;
+      weeks.push({ year: matchup.year, week: matchup.week, managerId: side.managerId, team: side.team, rosterId: side.rosterId, ...analysis });
+    });
+  });
+
+  const seasonTotals = new Map();
+  weeks.forEach(row => {
+    const key = `${row.year}-${row.managerId}`;
+    if (!seasonTotals.has(key)) {
+      seasonTotals.set(key, { year: row.year, managerId: row.managerId, team: row.team, weeks: 0, actualPoints: 0, optimalPoints: 0, benchPoints: 0, pointsLeftOnBench: 0 });
+    }
+    const totals = seasonTotals.get(key);
+    totals.weeks++;
+    totals.actualPoints += row.actualPoints;
+    totals.optimalPoints += row.optimalPoints;
+    totals.benchPoints += row.benchPoints;
+    totals.pointsLeftOnBench += row.pointsLeftOnBench;
+  });
+
+  const seasons = Array.from(seasonTotals.values())
+    .map(totals => ({ ...totals, efficiency: totals.optimalPoints > 0 ? totals.actualPoints / totals.optimalPoints : 1 }))
+    .sort((a, b) => b.pointsLeftOnBench - a.pointsLeftOnBench);
+
+  return { weeks, seasons };
+}
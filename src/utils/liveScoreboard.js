@@ -0,0 +1,118 @@
+// src/utils/liveScoreboard.js
+
+// The current week's matchups while games are being played: each side's score so far, the starters
+// still to play, a projected final from those starters' projections, and the chance each side wins.
+// Sleeper doesn't say which NFL games have kicked off, so a starter who hasn't scored yet and is
+// projected to is counted as still to play; starters who have scored count as done.
+
+import { MATCHUP_TYPES } from './matchupModel';
+
+const EMPTY_SLOT = '0'; // Sleeper's placeholder for an unfilled starting slot
+const GAME_WINDOW_TIME_ZONE = 'America/New_York';
+
+// A starter's final score is treated as normally distributed around their projection, with this
+// spread per projected point (fantasy scores are noisy: a 10-point projection is often 5 or 15)
+const PROJECTION_SPREAD_RATIO = 0.5;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Whether a moment falls in one of the NFL game windows, which are given in US Eastern time.
+ * @param {Date} date The moment to check.
+ * @param {Array<Object>} gameWindows `{ day, startHour, endHour }` entries, where `day` is 0 (Sunday) to 6
+ * and hours may be fractional (see LIVE_SCOREBOARD_SETTINGS in config.js).
+ * @returns {boolean}
+ */
+export function isWithinGameWindow(date, gameWindows) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: GAME_WINDOW_TIME_ZONE,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const day = WEEKDAYS.indexOf(parts.weekday);
+  const hour = parseInt(parts.hour) + parseInt(parts.minute) / 60;
+  return gameWindows.some(window => window.day === day && hour >= window.startHour && hour < window.endHour);
+}
+
+/**
+ * A player's projected fantasy points under a league's scoring, from Sleeper's projected stats.
+ * @param {Object} [stats] Projected stats keyed like the league's scoring settings (e.g. `pass_yd`, `rec`).
+ * @param {Object} [scoringSettings] The league's `scoring_settings`.
+ * @returns {number} The projected points; 0 when the player has no projection (e.g. on a bye).
+ */
+export function getProjectedPoints(stats, scoringSettings = {}) {
+  if (!stats) return 0;
+  const points = Object.entries(scoringSettings).reduce((sum, [stat, value]) => sum + (stats[stat] || 0) * value, 0);
+  return points || stats.pts_ppr || 0;
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, accurate to about 1e-7)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const getRemainingVariance = (side) => (
+  side.playersToPlay.reduce((sum, player) => sum + (player.projectedPoints * PROJECTION_SPREAD_RATIO) ** 2, 0)
+);
+
+// Chance the first side finishes ahead, splitting ties evenly
+const getWinProbability = (side, opponent) => {
+  const variance = getRemainingVariance(side) + getRemainingVariance(opponent);
+  const lead = side.projectedScore - opponent.projectedScore;
+  if (variance === 0) {
+    if (lead === 0) return 0.5;
+    return lead > 0 ? 1 : 0;
+  }
+  return normalCdf(lead / Math.sqrt(variance));
+};
+
+const buildLiveSide = (side, projections, scoringSettings) => {
+  const playersToPlay = [];
+  side.starters.forEach((playerId, index) => {
+    if (!playerId || playerId === EMPTY_SLOT) return;
+    const points = side.startersPoints[index] ?? side.playersPoints[playerId] ?? 0;
+    const projectedPoints = getProjectedPoints(projections[playerId], scoringSettings);
+    if (points === 0 && projectedPoints > 0) playersToPlay.push({ playerId, projectedPoints });
+  });
+  const remainingProjection = playersToPlay.reduce((sum, player) => sum + player.projectedPoints, 0);
+
+  return {
+    managerId: side.managerId,
+    team: side.team,
+    rosterId: side.rosterId,
+    score: side.score,
+    playersToPlay,
+    remainingProjection,
+    projectedScore: side.score + remainingProjection,
+  };
+};
+
+/**
+ * Adds live details to the current week's normalized matchups.
+ * @param {Array<Object>} matchups The week's normalized matchups (see normalizeWeekMatchups).
+ * @param {Object} params
+ * @param {Object} params.projections Map of player ID to projected stats (see fetchPlayerProjections).
+ * @param {Object} params.scoringSettings The league's `scoring_settings`.
+ * @returns {Array<Object>} `{ matchupId, matchupType, teams }`, where each team has `managerId`, `team`, `rosterId`,
+ * `score`, `playersToPlay` (`{ playerId, projectedPoints }`), `remainingProjection`, `projectedScore` and
+ * `winProbability` (null outside head-to-head games).
+ */
+export function buildLiveMatchups(matchups, { projections = {}, scoringSettings = {} }) {
+  return matchups.map(matchup => {
+    const sides = matchup.teams.map(side => buildLiveSide(side, projections, scoringSettings));
+    const isHeadToHeadGame = matchup.matchupType === MATCHUP_TYPES.HEAD_TO_HEAD;
+    return {
+      matchupId: matchup.matchupId,
+      matchupType: matchup.matchupType,
+      teams: sides.map((side, index) => ({
+        ...side,
+        winProbability: isHeadToHeadGame ? getWinProbability(side, sides[1 - index]) : null,
+      })),
+    };
+  });
+}
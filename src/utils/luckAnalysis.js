@@ -0,0 +1,171 @@
+// src/utils/luckAnalysis.js
+
+// Luck from regular season head-to-head scores. Each week a team's all-play record is how it
+// would have done against every other team that week; its expected wins are that record's win
+// share, and luck is actual wins minus expected wins. The schedule-swap matrix replays each
+// manager's scores against every other manager's opponents.
+
+import { isCompletedWeek, isHeadToHead } from './matchupModel';
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+
+const addResult = (record, score, opponentScore) => {
+  if (score > opponentScore) record.wins++;
+  else if (score < opponentScore) record.losses++;
+  else record.ties++;
+};
+
+/**
+ * Collects each regular season week's head-to-head games.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} lastRegularSeasonWeeks Map of year to last regular season week. Seasons without an entry
+ * use every game outside the playoff brackets.
+ * @returns {Map<string, {year: number, week: number, games: Array<Object>}>} Keyed by `${year}-${week}`.
+ */
+const groupRegularSeasonWeeks = (matchups, lastRegularSeasonWeeks, inProgressWeek) => {
+  const weeks = new Map();
+  matchups.forEach(matchup => {
+    if (!isHeadToHead(matchup) || !matchup.team1ManagerId || !matchup.team2ManagerId) return;
+    if (!isCompletedWeek(matchup, inProgressWeek)) return;
+    const lastRegularSeasonWeek = lastRegularSeasonWeeks[matchup.year];
+    if (lastRegularSeasonWeek ? matchup.week > lastRegularSeasonWeek : matchup.bracket) return;
+
+    const key = `${matchup.year}-${matchup.week}`;
+    if (!weeks.has(key)) weeks.set(key, { year: matchup.year, week: matchup.week, games: [] });
+    weeks.get(key).games.push(matchup);
+  });
+  return weeks;
+};
+
+/**
+ * Builds the schedule-swap matrix for a set of weeks.
+ * @param {Array<Object>} weeks Week groups from groupRegularSeasonWeeks.
+ * @returns {Object} Map of managerId to (managerId whose schedule was played -> record).
+ */
+const buildScheduleSwap = (weeks) => {
+  const matrix = {};
+  const getRecord = (managerId, scheduleOwnerId) => {
+    if (!matrix[managerId]) matrix[managerId] = {};
+    if (!matrix[managerId][scheduleOwnerId]) matrix[managerId][scheduleOwnerId] = emptyRecord();
+    return matrix[managerId][scheduleOwnerId];
+  };
+
+  weeks.forEach(({ games }) => {
+    const scores = new Map();
+    const opponents = new Map();
+    games.forEach(game => {
+      scores.set(game.team1ManagerId, game.team1Score);
+      scores.set(game.team2ManagerId, game.team2Score);
+      opponents.set(game.team1ManagerId, game.team2ManagerId);
+      opponents.set(game.team2ManagerId, game.team1ManagerId);
+    });
+
+    scores.forEach((score, managerId) => {
+      opponents.forEach((opponentId, scheduleOwnerId) => {
+        // Taking over a schedule that faces you means playing that schedule's owner instead
+        const actualOpponent = opponentId === managerId ? scheduleOwnerId : opponentId;
+        addResult(getRecord(managerId, scheduleOwnerId), score, scores.get(actualOpponent));
+      });
+    });
+  });
+  return matrix;
+};
+
+/**
+ * Summarizes all-play, expected wins and luck for a set of weeks.
+ * @param {Array<Object>} weeks Week groups from groupRegularSeasonWeeks.
+ * @param {Array<Object>} weeklyRows Receives one row per manager-week.
+ * @returns {Array<Object>} One row per manager, sorted luckiest first.
+ */
+const summarizeLuck = (weeks, weeklyRows) => {
+  const totals = new Map();
+  weeks.forEach(({ year, week, games }) => {
+    const sides = games.flatMap(game => [
+      { managerId: game.team1ManagerId, team: game.team1, score: game.team1Score, opponentScore: game.team2Score },
+      { managerId: game.team2ManagerId, team: game.team2, score: game.team2Score, opponentScore: game.team1Score },
+    ]);
+
+    sides.forEach(side => {
+      const allPlay = emptyRecord();
+      sides.forEach(other => {
+        if (other !== side) addResult(allPlay, side.score, other.score);
+      });
+      const expectedWins = sides.length > 1 ? (allPlay.wins + allPlay.ties / 2) / (sides.length - 1) : 0;
+      const actual = emptyRecord();
+      addResult(actual, side.score, side.opponentScore);
+      const actualWins = actual.wins + actual.ties / 2;
+
+      if (weeklyRows) {
+        weeklyRows.push({ year, week, managerId: side.managerId, team: side.team, score: side.score, allPlay, expectedWins, actualWins, luck: actualWins - expectedWins });
+      }
+
+      if (!totals.has(side.managerId)) {
+        totals.set(side.managerId, { managerId: side.managerId, team: side.team, games: 0, actual: emptyRecord(), allPlay: emptyRecord(), expectedWins: 0 });
+      }
+      const total = totals.get(side.managerId);
+      total.games++;
+      ['wins', 'losses', 'ties'].forEach(key => {
+        total.actual[key] += actual[key];
+        total.allPlay[key] += allPlay[key];
+      });
+      total.expectedWins += expectedWins;
+    });
+  });
+
+  return Array.from(totals.values())
+    .map(total => {
+      const allPlayGames = total.allPlay.wins + total.allPlay.losses + total.allPlay.ties;
+      const actualWins = total.actual.wins + total.actual.ties / 2;
+      return {
+        ...total,
+        allPlayPct: allPlayGames > 0 ? (total.allPlay.wins + total.allPlay.ties / 2) / allPlayGames : 0,
+        luck: actualWins - total.expectedWins,
+      };
+    })
+    .sort((a, b) => b.luck - a.luck);
+};
+
+/**
+ * Computes the luck model per season and all-time.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} [options]
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * @param {{year: number, week: number}|null} [options.inProgressWeek] The week still being played, left out.
+ * @returns {{seasons: Object, allTime: Object, weekly: Array<Object>}} `seasons[year]` and `allTime` are
+ * `{ teams, scheduleSwap }`: per-manager `{ managerId, team, games, actual, allPlay, allPlayPct, expectedWins, luck }`
+ * and the schedule-swap matrix (`scheduleSwap[managerId][scheduleOwnerId]` is a W-L-T record). `weekly` has one row
+ * per manager-week.
+ */
+export function buildLuckAnalysis(matchups, { lastRegularSeasonWeeks = {}, inProgressWeek = null } = {}) {
+  const weeks = Array.from(groupRegularSeasonWeeks(matchups, lastRegularSeasonWeeks, inProgressWeek).values())
+    .sort((a, b) => a.year - b.year || a.week - b.week);
+
+  const weekly = [];
+  const seasons = {};
+  Array.from(new Set(weeks.map(week => week.year))).forEach(year => {
+    const seasonWeeks = weeks.filter(week => week.year === year);
+    seasons[year] = { teams: summarizeLuck(seasonWeeks, weekly), scheduleSwap: buildScheduleSwap(seasonWeeks) };
+  });
+
+  // All-time swaps add up each season, so only managers who shared a season are compared
+  const allTimeSwap = {};
+  Object.values(seasons).forEach(({ scheduleSwap }) => {
+    Object.entries(scheduleSwap).forEach(([managerId, row]) => {
+      if (!allTimeSwap[managerId]) allTimeSwap[managerId] = {};
+      Object.entries(row).forEach(([scheduleOwnerId, record]) => {
+        const total = allTimeSwap[managerId][scheduleOwnerId] || emptyRecord();
+        allTimeSwap[managerId][scheduleOwnerId] = {
+          wins: total.wins + record.wins,
+          losses: total.losses + record.losses,
+          ties: total.ties + record.ties,
+        };
+      });
+    });
+  });
+
+  return {
+    seasons,
+    allTime: { teams: summarizeLuck(weeks, null), scheduleSwap: allTimeSwap },
+    weekly,
+  };
+}
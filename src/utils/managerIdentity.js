@@ -0,0 +1,317 @@
+// src/utils/managerIdentity.js
+
+// Resolves the people behind Sleeper rosters into stable manager identities. A manager keeps
+// the same `managerId` across seasons, team-name changes and aliases, so historical stats can
+// be keyed on the manager instead of on whatever display name a season happened to use.
+// By default a manager is one Sleeper user; a league's `managerLinks` can fold additional
+// user IDs into an existing manager (e.g. someone who took over an orphaned roster, or a
+// manager who switched Sleeper accounts).
+// Rosters are attributed to their owner, falling back to a co-owner, and rosters with nobody
+// in charge are attributed to a placeholder "orphaned team" manager so their games aren't lost.
+
+const ORPHAN_MANAGER_PREFIX = 'orphan-';
+
+/**
+ * Picks the name Sleeper would show for a user, ignoring any custom overrides.
+ * @param {Object} user A Sleeper user object.
+ * @returns {string} The user's team name, display name or first name.
+ */
+export const getSleeperUserName = (user) => (
+  user.metadata?.team_name || user.display_name || user.first_name || `User ${user.user_id}`
+);
+
+/**
+ * Key used to look up who owned a roster in a given season.
+ * @param {number} year The season year.
+ * @param {number} rosterId The Sleeper roster ID.
+ * @returns {string}
+ */
+const toRosterKey = (year, rosterId) => `${year}-${rosterId}`;
+
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Whether a managerId belongs to an orphaned-roster placeholder rather than a real Sleeper user.
+ * @param {string} managerId The managerId to check.
+ * @returns {boolean}
+ */
+export const isOrphanManagerId = (managerId) => String(managerId).startsWith(ORPHAN_MANAGER_PREFIX);
+
+/**
+ * Follows managerLinks until reaching a user ID that isn't linked any further.
+ * @param {string} userId A Sleeper user ID.
+ * @param {Object} managerLinks Map of user ID to the user ID whose identity it should share.
+ * @returns {string} The canonical user ID, which is used as the managerId.
+ */
+const resolveCanonicalUserId = (userId, managerLinks) => {
+  const visited = new Set();
+  let current = userId;
+  while (managerLinks[current] && !visited.has(current)) {
+    visited.add(current);
+    current = managerLinks[current];
+  }
+  return current;
+};
+
+/**
+ * Finds rosters whose owner changed between consecutive seasons while the previous owner left
+ * the league, i.e. a new manager taking over an orphaned team. Useful for suggesting managerLinks.
+ * @param {Array<Object>} seasons `{ year, users, rosters }` for each season, oldest first.
+ * @returns {Array<Object>} `{ year, rosterId, previousUserId, newUserId }` for each takeover.
+ */
+export function detectRosterTakeovers(seasons) {
+  const takeovers = [];
+  for (let i = 1; i < seasons.length; i++) {
+    const previous = seasons[i - 1];
+    const current = seasons[i];
+    const currentOwners = new Set(current.rosters.map(roster => roster.owner_id).filter(Boolean));
+    const previousOwners = new Set(previous.rosters.map(roster => roster.owner_id).filter(Boolean));
+    const previousOwnerByRoster = new Map(previous.rosters.map(roster => [roster.roster_id, roster.owner_id]));
+
+    current.rosters.forEach(roster => {
+      const previousUserId = previousOwnerByRoster.get(roster.roster_id);
+      const newUserId = roster.owner_id;
+      if (previousUserId && newUserId && previousUserId !== newUserId &&
+          !currentOwners.has(previousUserId) && !previousOwners.has(newUserId)) {
+        takeovers.push({ year: current.year, rosterId: roster.roster_id, previousUserId, newUserId });
+      }
+    });
+  }
+  return takeovers;
+}
+
+/**
+ * Builds the manager directory for a league lineage.
+ * @param {Array<Object>} seasons `{ year, leagueId, users, rosters }` for each season, oldest first.
+ * @param {Object} [options]
+ * @param {Object} [options.teamNameOverrides] Map of custom team name to Sleeper user ID. When a user
+ * has several entries, the first is their display name and the rest are aliases.
+ * @param {Array<string>|Set<string>} [options.retiredManagers] User IDs of managers who have left the league.
+ * @param {Object} [options.managerLinks] Map of user ID to the user ID whose identity it should share.
+ * @param {Array<Object>} [options.ownershipChanges] Mid-season ownership changes Sleeper doesn't record:
+ * `{ year, rosterId, userId, fromWeek, toWeek }` means userId ran the roster from fromWeek through toWeek
+ * (either end may be omitted). Outside those weeks the roster's Sleeper owner is used.
+ * @returns {Object} The directory: `{ managers, userIdToManagerId, rosterOwners, ownershipPeriods, nameIndex, takeovers }`.
+ */
+export function buildManagerDirectory(seasons, { teamNameOverrides = {}, retiredManagers = [], managerLinks = {}, ownershipChanges = [] } = {}) {
+  const managers = new Map();
+  const userIdToManagerId = new Map();
+  const rosterOwners = new Map();
+  const ownershipPeriods = new Map(); // roster key -> [{ fromWeek, toWeek, managerId }]
+  const coOwnedManagers = new Map(); // co-owner user ID -> managerId of the roster they co-own
+  const retiredUserIds = new Set(retiredManagers);
+
+  // Custom names keyed by canonical manager, in the order they were configured
+  const overrideNamesByManager = new Map();
+  Object.entries(teamNameOverrides).forEach(([name, userId]) => {
+    const managerId = resolveCanonicalUserId(userId, managerLinks);
+    if (!overrideNamesByManager.has(managerId)) overrideNamesByManager.set(managerId, []);
+    overrideNamesByManager.get(managerId).push(name);
+  });
+
+  const getOrCreateManager = (userId) => {
+    const managerId = resolveCanonicalUserId(userId, managerLinks);
+    userIdToManagerId.set(userId, managerId);
+    if (!managers.has(managerId)) {
+      managers.set(managerId, {
+        managerId,
+        displayName: null,
+        userIds: [],
+        aliases: [],
+        nameHistory: [], // { year, name } as Sleeper showed it each season
+        rosterIdsBySeason: {},
+        seasons: [],
+        coOwnerUserIds: [],
+        avatar: null,
+        isRetired: false,
+        isActive: false,
+        isOrphan: false,
+      });
+    }
+    const manager = managers.get(managerId);
+    if (!manager.userIds.includes(userId)) manager.userIds.push(userId);
+    return manager;
+  };
+
+  // One placeholder per roster slot, so an orphaned team keeps a single history across seasons
+  const getOrCreateOrphanManager = (rosterId) => {
+    const managerId = `${ORPHAN_MANAGER_PREFIX}${rosterId}`;
+    if (!managers.has(managerId)) {
+      const name = `Orphaned Team (Roster ${rosterId})`;
+      managers.set(managerId, {
+        managerId,
+        displayName: name,
+        userIds: [],
+        aliases: [name],
+        nameHistory: [],
+        rosterIdsBySeason: {},
+        seasons: [],
+        coOwnerUserIds: [],
+        avatar: null,
+        isRetired: false,
+        isActive: false,
+        isOrphan: true,
+      });
+    }
+    return managers.get(managerId);
+  };
+
+  const addAlias = (manager, name) => {
+    if (name && !manager.aliases.includes(name)) manager.aliases.push(name);
+  };
+
+  const latestYear = seasons.reduce((max, season) => Math.max(max, season.year), -Infinity);
+
+  const recordRosterSeason = (manager, year, rosterId) => {
+    if (manager.rosterIdsBySeason[year] == null) manager.rosterIdsBySeason[year] = rosterId;
+    if (!manager.seasons.includes(year)) manager.seasons.push(year);
+    if (year === latestYear) manager.isActive = true;
+  };
+
+  seasons.forEach(({ year, users, rosters }) => {
+    const usersById = new Map(users.map(user => [user.user_id, user]));
+
+    users.forEach(user => {
+      const manager = getOrCreateManager(user.user_id);
+      const seasonName = getSleeperUserName(user);
+      const lastName = manager.nameHistory[manager.nameHistory.length - 1];
+      if (!lastName || lastName.name !== seasonName) {
+        manager.nameHistory.push({ year, name: seasonName });
+      }
+      addAlias(manager, seasonName);
+      addAlias(manager, user.display_name);
+      if (user.avatar) manager.avatar = user.avatar; // Later seasons overwrite earlier ones
+    });
+
+    rosters.forEach(roster => {
+      const coOwners = (roster.co_owners || []).filter(Boolean);
+      const ownerUserId = roster.owner_id || coOwners[0] || null;
+      const manager = ownerUserId ? getOrCreateManager(ownerUserId) : getOrCreateOrphanManager(roster.roster_id);
+      rosterOwners.set(toRosterKey(year, roster.roster_id), manager.managerId);
+      recordRosterSeason(manager, year, roster.roster_id);
+      if (ownerUserId && !usersById.has(ownerUserId)) addAlias(manager, `User ${ownerUserId}`);
+
+      coOwners.filter(userId => userId !== ownerUserId).forEach(userId => {
+        if (!manager.coOwnerUserIds.includes(userId)) manager.coOwnerUserIds.push(userId);
+        if (!coOwnedManagers.has(userId)) coOwnedManagers.set(userId, manager.managerId);
+      });
+    });
+  });
+
+  // Mid-season ownership changes take precedence over the roster's end-of-season owner for their weeks
+  ownershipChanges.forEach(({ year, rosterId, userId, fromWeek = 1, toWeek = Infinity }) => {
+    const manager = getOrCreateManager(userId);
+    const rosterKey = toRosterKey(year, rosterId);
+    if (!ownershipPeriods.has(rosterKey)) ownershipPeriods.set(rosterKey, []);
+    ownershipPeriods.get(rosterKey).push({ fromWeek, toWeek, managerId: manager.managerId });
+    recordRosterSeason(manager, year, rosterId);
+  });
+
+  // Co-owners who never ran a roster of their own resolve to the team they co-own
+  coOwnedManagers.forEach((managerId, userId) => {
+    const ownRecord = managers.get(userIdToManagerId.get(userId));
+    if (ownRecord && ownRecord.seasons.length > 0) return;
+    if (ownRecord && ownRecord.managerId !== managerId) {
+      ownRecord.aliases.forEach(alias => addAlias(managers.get(managerId), alias));
+      managers.delete(ownRecord.managerId);
+    }
+    userIdToManagerId.set(userId, managerId);
+  });
+
+  // Settle each manager's display name: custom override first, then their most recent Sleeper name
+  managers.forEach(manager => {
+    if (manager.isOrphan) return;
+    const overrideNames = overrideNamesByManager.get(manager.managerId) || [];
+    overrideNames.forEach(name => addAlias(manager, name));
+    const latestSleeperName = manager.nameHistory[manager.nameHistory.length - 1]?.name;
+    manager.displayName = overrideNames[0] || latestSleeperName || `User ${manager.managerId}`;
+    manager.isRetired = manager.userIds.some(userId => retiredUserIds.has(userId));
+  });
+
+  // Name lookups for legacy data that identifies teams by display string
+  const nameIndex = new Map();
+  managers.forEach(manager => {
+    manager.aliases.forEach(alias => {
+      const key = normalizeName(alias);
+      if (!nameIndex.has(key)) nameIndex.set(key, manager.managerId);
+    });
+  });
+  managers.forEach(manager => nameIndex.set(normalizeName(manager.displayName), manager.managerId));
+
+  return {
+    managers,
+    userIdToManagerId,
+    rosterOwners,
+    ownershipPeriods,
+    nameIndex,
+    takeovers: detectRosterTakeovers(seasons),
+  };
+}
+
+/**
+ * Resolves any identifier (manager ID, Sleeper user ID, display name or alias) to a managerId.
+ * @param {Object} directory The result of buildManagerDirectory.
+ * @param {string} identifier The identifier to resolve.
+ * @returns {string|null} The managerId, or null if unknown.
+ */
+export function resolveManagerId(directory, identifier) {
+  if (!directory || identifier == null) return null;
+  if (directory.managers.has(identifier)) return identifier;
+  if (directory.userIdToManagerId.has(identifier)) return directory.userIdToManagerId.get(identifier);
+  return directory.nameIndex.get(normalizeName(identifier)) || null;
+}
+
+/**
+ * Returns the manager record for any identifier.
+ * @param {Object} directory The result of buildManagerDirectory.
+ * @param {string} identifier A manager ID, user ID, display name or alias.
+ * @returns {Object|null} The manager record.
+ */
+export function getManager(directory, identifier) {
+  const managerId = resolveManagerId(directory, identifier);
+  return managerId ? directory.managers.get(managerId) : null;
+}
+
+/**
+ * Returns the managerId running a roster in a given season (and week, for mid-season ownership changes).
+ * Orphaned rosters resolve to their placeholder manager.
+ * @param {Object} directory The result of buildManagerDirectory.
+ * @param {number} year The season year.
+ * @param {number} rosterId The Sleeper roster ID.
+ * @param {number} [week] The week, to apply mid-season ownership changes.
+ * @returns {string|null} The managerId, or null if the roster isn't part of that season.
+ */
+export function getManagerIdForRoster(directory, year, rosterId, week) {
+  if (!directory) return null;
+  const rosterKey = toRosterKey(year, rosterId);
+  if (week != null && directory.ownershipPeriods?.has(rosterKey)) {
+    const period = directory.ownershipPeriods.get(rosterKey).find(({ fromWeek, toWeek }) => week >= fromWeek && week <= toWeek);
+    if (period) return period.managerId;
+  }
+  return directory.rosterOwners.get(rosterKey) || null;
+}
+
+/**
+ * Returns the display name for any identifier, or the identifier itself if it can't be resolved.
+ * @param {Object} directory The result of buildManagerDirectory.
+ * @param {string} identifier A manager ID, user ID, display name or alias.
+ * @returns {string} The manager's display name.
+ */
+export function getManagerDisplayName(directory, identifier) {
+  return getManager(directory, identifier)?.displayName || identifier;
+}
+
+/**
+ * Lists every manager in the directory, sorted by display name.
+ * @param {Object} directory The result of buildManagerDirectory.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRetired=true] Whether to include managers in the retired list.
+ * @returns {Array<Object>} Manager records.
+ */
+export function getAllManagers(directory, { includeRetired = true } = {}) {
+  if (!directory) return [];
+  return Array.from(directory.managers.values())
+    .filter(manager => manager.seasons.length > 0) // League members who never owned a roster aren't managers
+    .filter(manager => includeRetired || !manager.isRetired)
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
@@ -0,0 +1,180 @@
+// src/utils/managerProfile.js
+
+// A manager's career profile: every season's record, finish and points, career totals, playoff
+// appearances and titles, their best and worst games, the players they've rostered most, who they
+// trade with and how they fare against every opponent. Built per manager identity (see
+// managerIdentity.js), so renamed, merged and retired managers all get one complete history.
+
+import { getManager } from './managerIdentity';
+import { getMatchupResults, isCompletedWeek, isHeadToHead } from './matchupModel';
+import { buildHeadToHeadRecords } from './headToHead';
+
+const GAMES_SHOWN = 5;
+const PLAYERS_SHOWN = 10;
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+const addRecord = (record, { wins, losses, ties }) => {
+  record.wins += wins;
+  record.losses += losses;
+  record.ties += ties;
+};
+const getWinPct = ({ wins, losses, ties }) => {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+};
+
+const getResult = ({ wins, losses }) => {
+  if (wins) return 'W';
+  return losses ? 'L' : 'T';
+};
+
+// One entry per season the manager ran a roster: regular season standing plus final place
+const buildSeasons = (managerId, manager, standingsHistory, seasonStandings, playoffRecords) => (
+  [...manager.seasons].sort((a, b) => a - b).map(year => {
+    const standing = standingsHistory.find(season => season.year === year)?.standings.standings
+      .find(team => team.managerId === managerId);
+    const final = seasonStandings.find(season => season.year === year);
+    const place = final?.standings.find(team => team.managerId === managerId)?.place ?? null;
+    return {
+      year,
+      wins: standing?.wins ?? 0,
+      losses: standing?.losses ?? 0,
+      ties: standing?.ties ?? 0,
+      pointsFor: standing?.pointsFor ?? 0,
+      pointsAgainst: standing?.pointsAgainst ?? 0,
+      seed: standing?.seed ?? null,
+      madePlayoffs: Boolean(standing?.madePlayoffs),
+      playoffRecord: playoffRecords.get(year) || emptyRecord(),
+      place: final?.isComplete ? place : null,
+      isComplete: Boolean(final?.isComplete),
+      isChampion: Boolean(final?.isComplete) && place === 1,
+    };
+  })
+);
+
+const buildCareer = (seasons) => {
+  const career = { ...emptyRecord(), pointsFor: 0, pointsAgainst: 0, playoffRecord: emptyRecord() };
+  seasons.forEach(season => {
+    addRecord(career, season);
+    addRecord(career.playoffRecord, season.playoffRecord);
+    career.pointsFor += season.pointsFor;
+    career.pointsAgainst += season.pointsAgainst;
+  });
+  const finishes = seasons.filter(season => season.place != null).map(season => season.place);
+  return {
+    ...career,
+    seasons: seasons.length,
+    winPct: getWinPct(career),
+    playoffAppearances: seasons.filter(season => season.madePlayoffs).length,
+    titles: seasons.filter(season => season.isChampion).map(season => season.year),
+    runnerUps: seasons.filter(season => season.isComplete && season.place === 2).map(season => season.year),
+    bestFinish: finishes.length > 0 ? Math.min(...finishes) : null,
+    averageFinish: finishes.length > 0 ? finishes.reduce((sum, place) => sum + place, 0) / finishes.length : null,
+  };
+};
+
+// Weeks on the roster come from Sleeper's per-player points, which cover the bench as well as starters
+const buildMostRostered = (games) => {
+  const players = new Map();
+  games.forEach(({ matchup, side }) => {
+    const starters = new Set(side.starters || []);
+    Object.entries(side.playersPoints || {}).forEach(([playerId, points]) => {
+      if (!players.has(playerId)) players.set(playerId, { playerId, weeks: 0, starts: 0, pointsStarted: 0, seasons: new Set() });
+      const player = players.get(playerId);
+      player.weeks++;
+      player.seasons.add(matchup.year);
+      if (starters.has(playerId)) {
+        player.starts++;
+        player.pointsStarted += points;
+      }
+    });
+  });
+  return Array.from(players.values())
+    .map(player => ({ ...player, seasons: [...player.seasons].sort((a, b) => a - b) }))
+    .sort((a, b) => b.weeks - a.weeks || b.pointsStarted - a.pointsStarted)
+    .slice(0, PLAYERS_SHOWN);
+};
+
+const buildTradePartners = (managerId, transactionLedger) => {
+  const partners = new Map();
+  (transactionLedger?.trades || []).forEach(trade => {
+    const ownSide = trade.sides.find(side => side.managerId === managerId);
+    if (!ownSide) return;
+    const opponentPoints = trade.sides.filter(side => side !== ownSide).reduce((sum, side) => sum + side.points, 0);
+    trade.sides.forEach(side => {
+      if (side === ownSide || !side.managerId) return;
+      const partner = partners.get(side.managerId) || { managerId: side.managerId, trades: 0, pointsGained: 0, lastTrade: null };
+      partner.trades++;
+      partner.pointsGained += ownSide.points - opponentPoints;
+      if (!partner.lastTrade || trade.year > partner.lastTrade.year || (trade.year === partner.lastTrade.year && trade.week > partner.lastTrade.week)) {
+        partner.lastTrade = { year: trade.year, week: trade.week };
+      }
+      partners.set(side.managerId, partner);
+    });
+  });
+  return Array.from(partners.values()).sort((a, b) => b.trades - a.trades || b.pointsGained - a.pointsGained);
+};
+
+/**
+ * Builds a manager's career profile.
+ * @param {Object} params
+ * @param {string} params.managerId The manager's stable ID (see managerIdentity.js).
+ * @param {Object} params.managerDirectory The manager directory.
+ * @param {Array<Object>} params.matchups Normalized matchups, all seasons.
+ * @param {Array<Object>} params.standingsHistory The result of fetchStandingsHistory.
+ * @param {Array<Object>} params.seasonStandings The result of fetchSeasonFinalStandings.
+ * @param {Object} [params.transactionLedger] The result of buildTransactionLedger, for trade partners.
+ * @param {Object} [params.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * @param {{year: number, week: number}|null} [params.inProgressWeek] The week still being played, left out.
+ * @returns {Object|null} `{ manager, seasons, career, bestGames, worstGames, mostRostered, tradePartners, headToHead }`,
+ * or null for an unknown manager. Games are `{ year, week, score, opponentId, opponentScore, result, playoffs }`;
+ * `mostRostered` entries are `{ playerId, weeks, starts, pointsStarted, seasons }`; `headToHead` holds each
+ * opponent's pair from buildHeadToHeadRecords, most played first.
+ */
+export function buildManagerProfile({ managerId, managerDirectory, matchups, standingsHistory, seasonStandings, transactionLedger, lastRegularSeasonWeeks = {}, inProgressWeek = null }) {
+  const manager = getManager(managerDirectory, managerId);
+  if (!manager) return null;
+
+  const games = [];
+  const playoffRecords = new Map();
+  matchups.filter(matchup => isCompletedWeek(matchup, inProgressWeek)).forEach(matchup => {
+    const results = getMatchupResults(matchup);
+    const index = results.findIndex(result => result.managerId === managerId);
+    if (index === -1) return;
+    const result = results[index];
+    const opponent = isHeadToHead(matchup) ? results[1 - index] : null;
+    games.push({ matchup, side: matchup.teams?.[index] || {}, result, opponent });
+
+    if (matchup.playoffs && opponent) {
+      if (!playoffRecords.has(matchup.year)) playoffRecords.set(matchup.year, emptyRecord());
+      addRecord(playoffRecords.get(matchup.year), result.headToHead);
+    }
+  });
+
+  const scoredGames = games
+    .filter(game => game.opponent)
+    .map(({ matchup, result, opponent }) => ({
+      year: matchup.year,
+      week: matchup.week,
+      score: result.score,
+      opponentId: opponent.managerId,
+      opponentScore: opponent.score,
+      result: getResult(result.headToHead),
+      playoffs: Boolean(matchup.playoffs),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const seasons = buildSeasons(managerId, manager, standingsHistory, seasonStandings, playoffRecords);
+  const headToHead = buildHeadToHeadRecords(matchups, { lastRegularSeasonWeeks, inProgressWeek });
+
+  return {
+    manager,
+    seasons,
+    career: buildCareer(seasons),
+    bestGames: scoredGames.slice(0, GAMES_SHOWN),
+    worstGames: scoredGames.slice(-GAMES_SHOWN).reverse(),
+    mostRostered: buildMostRostered(games),
+    tradePartners: buildTradePartners(managerId, transactionLedger),
+    headToHead: Object.values(headToHead.pairs[managerId] || {}).sort((a, b) => b.games - a.games),
+  };
+}
@@ -0,0 +1,199 @@
+// src/utils/matchupModel.js
+
+// Normalized matchup model. Every game in `historicalMatchups` has a `matchupType`:
+//   - 'head-to-head': the usual two-team game, with team1/team2 fields filled in
+//   - 'bye': a single team with no opponent that week (team2 fields are null)
+//   - 'multi-team': three or more teams sharing a matchup_id; each team plays every other
+// All types list their sides in `teams`. Leagues with Sleeper's "vs. league median" setting
+// (`league_average_match`) also get a median result for each team in regular season weeks.
+// Each side keeps Sleeper's player-level lineup data (`starters`, `startersPoints`, `playersPoints`)
+// for lineup analysis (see lineupEfficiency.js).
+
+export const MATCHUP_TYPES = {
+  HEAD_TO_HEAD: 'head-to-head',
+  BYE: 'bye',
+  MULTI_TEAM: 'multi-team',
+};
+
+/**
+ * Whether a league season awards an extra result against the weekly league median.
+ * @param {Object} settings The league `settings` object from Sleeper.
+ * @returns {boolean}
+ */
+export function usesMedianScoring(settings = {}) {
+  return settings.league_average_match === 1;
+}
+
+/**
+ * Computes the median of a list of scores.
+ * @param {Array<number>} scores The scores.
+ * @returns {number|null} The median, or null for an empty list.
+ */
+export function computeMedian(scores) {
+  if (scores.length === 0) return null;
+  const sorted = [...scores].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+const compareScores = (score, otherScore) => {
+  if (score > otherScore) return 'W';
+  if (score < otherScore) return 'L';
+  return 'T';
+};
+
+/**
+ * Whether a matchup's week has finished, i.e. it's before the week still being played. Analyses leave
+ * that week out because its scores are live.
+ * @param {{year: number, week: number}} matchup A normalized matchup (or anything with `year` and `week`).
+ * @param {{year: number, week: number}|null} inProgressWeek The week still being played, if any.
+ * @returns {boolean}
+ */
+export function isCompletedWeek(matchup, inProgressWeek) {
+  return !inProgressWeek || matchup.year !== inProgressWeek.year || matchup.week < inProgressWeek.week;
+}
+
+/**
+ * Whether a matchup is a regular two-team game.
+ * @param {Object} matchup A normalized matchup.
+ * @returns {boolean}
+ */
+export function isHeadToHead(matchup) {
+  return (matchup.matchupType || MATCHUP_TYPES.HEAD_TO_HEAD) === MATCHUP_TYPES.HEAD_TO_HEAD;
+}
+
+/**
+ * Normalizes one week of raw Sleeper matchup entries into games.
+ * @param {Array<Object>} entries The result of fetchMatchupsForWeek.
+ * @param {Object} context
+ * @param {number} context.year The season year.
+ * @param {number} context.week The week.
+ * @param {boolean} context.isPlayoffWeek Whether the week is in the playoffs.
+ * @param {boolean} context.usesMedian Whether the season awards median results (see usesMedianScoring).
+ * @param {Set<number>} [context.playoffByeRosterIds] Rosters with a playoff bye this week. In playoff weeks
+ * only these unmatched rosters get a bye record; other unmatched rosters have simply been eliminated.
+ * @param {Function} context.resolveSide Maps a raw entry to `{ team, managerId, userId, rosterId }`, or null
+ * if no manager can be found for its roster.
+ * @param {Function} context.reportIssue Called with `(matchupId, entries, reason, attributed)` for games
+ * that are dropped or credited to a placeholder.
+ * @returns {Array<Object>} The week's normalized matchups.
+ */
+export function normalizeWeekMatchups(entries, { year, week, isPlayoffWeek, usesMedian, playoffByeRosterIds = new Set(), resolveSide, reportIssue }) {
+  // Sleeper only plays the median during the regular season
+  const leagueMedian = usesMedian && !isPlayoffWeek
+    ? computeMedian(entries.map(entry => entry.points || 0))
+    : null;
+
+  // Group entries by matchup_id; unmatched (null) entries are each their own group
+  const groups = [];
+  const groupsById = new Map();
+  entries.forEach(entry => {
+    if (entry.matchup_id == null) {
+      groups.push({ matchupId: null, entries: [entry] });
+      return;
+    }
+    if (!groupsById.has(entry.matchup_id)) {
+      const group = { matchupId: entry.matchup_id, entries: [] };
+      groupsById.set(entry.matchup_id, group);
+      groups.push(group);
+    }
+    groupsById.get(entry.matchup_id).entries.push(entry);
+  });
+
+  const matchups = [];
+  groups.forEach(({ matchupId, entries: groupEntries }) => {
+    if (groupEntries.length === 1 && isPlayoffWeek && !playoffByeRosterIds.has(groupEntries[0].roster_id)) {
+      return; // Eliminated or non-playoff team with nothing scheduled
+    }
+
+    const sides = groupEntries.map(resolveSide);
+    if (sides.some(side => !side)) {
+      reportIssue(matchupId, groupEntries, 'Roster is missing from the season\'s rosters, so no manager could be found', false);
+      return;
+    }
+
+    const teams = sides.map((side, index) => {
+      const entry = groupEntries[index];
+      const score = entry.points || 0;
+      return {
+        ...side,
+        score,
+        medianResult: leagueMedian === null ? null : compareScores(score, leagueMedian),
+        starters: entry.starters || [],
+        startersPoints: entry.starters_points || [],
+        playersPoints: entry.players_points || {},
+      };
+    });
+
+    let matchupType = MATCHUP_TYPES.HEAD_TO_HEAD;
+    if (teams.length === 1) matchupType = MATCHUP_TYPES.BYE;
+    if (teams.length > 2) matchupType = MATCHUP_TYPES.MULTI_TEAM;
+
+    const [team1, team2] = teams;
+    matchups.push({
+      year,
+      week,
+      matchupId,
+      matchupType,
+      teams,
+      leagueMedian,
+      team1: team1.team,
+      team2: team2 ? team2.team : null,
+      team1Score: team1.score,
+      team2Score: team2 ? team2.score : null,
+      team1MedianResult: team1.medianResult,
+      team2MedianResult: team2 ? team2.medianResult : null,
+      team1RosterId: team1.rosterId,
+      team2RosterId: team2 ? team2.rosterId : null,
+      team1UserId: team1.userId, // null for orphaned rosters
+      team2UserId: team2 ? team2.userId : null,
+      team1ManagerId: team1.managerId, // Stable identity; key stats on these rather than on team1/team2
+      team2ManagerId: team2 ? team2.managerId : null,
+    });
+  });
+
+  return matchups;
+}
+
+/**
+ * Breaks a normalized matchup into one result per team, counting the head-to-head game(s) and,
+ * where the league plays the median, the median result. These are the wins and losses Sleeper
+ * shows in its standings.
+ * @param {Object} matchup A normalized matchup.
+ * @returns {Array<Object>} `{ managerId, team, rosterId, score, wins, losses, ties, headToHead, median, opponentIds }` per team.
+ */
+export function getMatchupResults(matchup) {
+  const teams = matchup.teams || [
+    { team: matchup.team1, managerId: matchup.team1ManagerId, rosterId: matchup.team1RosterId, score: matchup.team1Score, medianResult: matchup.team1MedianResult ?? null },
+    { team: matchup.team2, managerId: matchup.team2ManagerId, rosterId: matchup.team2RosterId, score: matchup.team2Score, medianResult: matchup.team2MedianResult ?? null },
+  ];
+
+  return teams.map((side, index) => {
+    const headToHead = { wins: 0, losses: 0, ties: 0 };
+    const opponents = teams.filter((_, otherIndex) => otherIndex !== index);
+    opponents.forEach(opponent => {
+      const result = compareScores(side.score, opponent.score);
+      if (result === 'W') headToHead.wins++;
+      else if (result === 'L') headToHead.losses++;
+      else headToHead.ties++;
+    });
+
+    const median = { wins: 0, losses: 0, ties: 0 };
+    if (side.medianResult === 'W') median.wins++;
+    else if (side.medianResult === 'L') median.losses++;
+    else if (side.medianResult === 'T') median.ties++;
+
+    return {
+      managerId: side.managerId,
+      team: side.team,
+      rosterId: side.rosterId,
+      score: side.score,
+      wins: headToHead.wins + median.wins,
+      losses: headToHead.losses + median.losses,
+      ties: headToHead.ties + median.ties,
+      headToHead,
+      median,
+      opponentIds: opponents.map(opponent => opponent.managerId),
+    };
+  });
+}
@@ -0,0 +1,174 @@
+// src/utils/persistentCache.js
+
+// Persistent storage for cached Sleeper API responses. Records are kept in memory for the
+// current session and written through to a pluggable storage adapter (IndexedDB in the
+// browser) so they survive reloads and can be served when the network is unavailable.
+// Deciding how long a record stays fresh is left to the caller (see sleeperApi.js).
+
+const DEFAULT_DB_NAME = 'fantasy-league-history';
+const DEFAULT_STORE_NAME = 'sleeperResponses';
+
+/**
+ * Creates a storage adapter that only keeps records in memory. Used when IndexedDB is unavailable
+ * (e.g. private browsing or tests).
+ * @returns {Object} An adapter with async `get`, `set`, `delete`, `clear` and `keys` methods.
+ */
+export function createMemoryStorageAdapter() {
+  const store = new Map();
+  return {
+    name: 'memory',
+    get: async (key) => store.get(key),
+    set: async (key, record) => { store.set(key, record); },
+    delete: async (key) => { store.delete(key); },
+    clear: async () => { store.clear(); },
+    keys: async () => Array.from(store.keys()),
+  };
+}
+
+/**
+ * Creates a storage adapter backed by IndexedDB.
+ * @param {Object} [options]
+ * @param {string} [options.dbName] The IndexedDB database name.
+ * @param {string} [options.storeName] The object store name.
+ * @returns {Object} An adapter with async `get`, `set`, `delete`, `clear` and `keys` methods.
+ */
+export function createIndexedDBStorageAdapter({ dbName = DEFAULT_DB_NAME, storeName = DEFAULT_STORE_NAME } = {}) {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs a single request against the object store and resolves with its result.
+  const runRequest = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+    get: (key) => runRequest('readonly', store => store.get(key)),
+    set: (key, record) => runRequest('readwrite', store => store.put(record, key)).then(() => undefined),
+    delete: (key) => runRequest('readwrite', store => store.delete(key)).then(() => undefined),
+    clear: () => runRequest('readwrite', store => store.clear()).then(() => undefined),
+    keys: () => runRequest('readonly', store => store.getAllKeys()),
+  };
+}
+
+const createDefaultAdapter = () => (
+  typeof indexedDB !== 'undefined' ? createIndexedDBStorageAdapter() : createMemoryStorageAdapter()
+);
+
+let storageAdapter = createDefaultAdapter();
+const memoryRecords = new Map(); // Session-level copy so repeated reads don't hit storage
+
+/**
+ * Replaces the storage adapter used for persistence. Clears the in-memory copy so records
+ * are re-read from the new adapter.
+ * @param {Object} adapter An adapter with async `get`, `set`, `delete`, `clear` and `keys` methods.
+ */
+export function setStorageAdapter(adapter) {
+  storageAdapter = adapter;
+  memoryRecords.clear();
+}
+
+const toStorageKey = (namespace, key) => `${namespace}:${key}`;
+
+/**
+ * Reads a cached record regardless of its age.
+ * @param {string} namespace The cache namespace (one per Sleeper endpoint).
+ * @param {string} key The key within the namespace.
+ * @returns {Promise<{data: *, timestamp: number}|null>} The record, or null if nothing is cached.
+ */
+export async function readCacheRecord(namespace, key) {
+  const storageKey = toStorageKey(namespace, key);
+  if (memoryRecords.has(storageKey)) {
+    return memoryRecords.get(storageKey);
+  }
+  try {
+    const record = await storageAdapter.get(storageKey);
+    if (record) {
+      memoryRecords.set(storageKey, record);
+      return record;
+    }
+  } catch (error) {
+    console.warn(`Failed to read "${storageKey}" from ${storageAdapter.name} cache:`, error);
+  }
+  return null;
+}
+
+/**
+ * Writes a record to the cache, stamped with the current time.
+ * @param {string} namespace The cache namespace.
+ * @param {string} key The key within the namespace.
+ * @param {*} data The data to cache. Must be structured-cloneable for IndexedDB.
+ * @returns {Promise<void>}
+ */
+export async function writeCacheRecord(namespace, key, data) {
+  const storageKey = toStorageKey(namespace, key);
+  const record = { data, timestamp: Date.now() };
+  memoryRecords.set(storageKey, record);
+  try {
+    await storageAdapter.set(storageKey, record);
+  } catch (error) {
+    // Persistence is best-effort; the in-memory copy still serves this session.
+    console.warn(`Failed to persist "${storageKey}" to ${storageAdapter.name} cache:`, error);
+  }
+}
+
+/**
+ * Removes cached records, either for one namespace or everything.
+ * @param {string} [namespace] Only clear this namespace. Clears all records when omitted.
+ * @returns {Promise<void>}
+ */
+export async function clearCache(namespace) {
+  const prefix = namespace ? toStorageKey(namespace, '') : '';
+  Array.from(memoryRecords.keys())
+    .filter(storageKey => storageKey.startsWith(prefix))
+    .forEach(storageKey => memoryRecords.delete(storageKey));
+  try {
+    if (!namespace) {
+      await storageAdapter.clear();
+      return;
+    }
+    const keys = await storageAdapter.keys();
+    await Promise.all(keys.filter(storageKey => storageKey.startsWith(prefix)).map(storageKey => storageAdapter.delete(storageKey)));
+  } catch (error) {
+    console.warn(`Failed to clear ${storageAdapter.name} cache:`, error);
+  }
+}
+
+/**
+ * Whether a cached record is still within its allowed age.
+ * @param {{timestamp: number}|null} record A cache record.
+ * @param {number} maxAgeMs Maximum age in milliseconds. Infinity means the record never expires.
+ * @returns {boolean}
+ */
+export function isRecordFresh(record, maxAgeMs) {
+  return Boolean(record) && Date.now() - record.timestamp < maxAgeMs;
+}
+
+/**
+ * Whether the browser reports that it has no network connection.
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
@@ -0,0 +1,233 @@
+// src/utils/playerHistory.js
+
+// Player history: every league roster an NFL player has been on, week by week, the points they
+// scored in each manager's starting lineup, and how each manager got and lost them (draft, waiver,
+// free agency or trade). Roster weeks come from Sleeper's per-player matchup points, which cover
+// the bench as well as starters; acquisitions and departures come from draft boards (see
+// draftAnalysis.js) and the transaction ledger (see transactionLedger.js).
+
+import { TRANSACTION_TYPES } from './transactionLedger';
+import { isCompletedWeek } from './matchupModel';
+
+export const DRAFT_EVENT = 'draft'; // Event type for draft picks, alongside TRANSACTION_TYPES
+
+const SEARCH_RESULTS_SHOWN = 20;
+
+const compareTime = (a, b) => (a.year !== b.year ? a.year - b.year : a.week - b.week);
+
+const getPlayerDetails = (playerId, playersById, fallback = {}) => {
+  const player = playersById[playerId];
+  const name = player ? `${player.first_name || ''} ${player.last_name || ''}`.trim() : '';
+  return {
+    name: name || fallback.name || playerId,
+    position: player?.position || fallback.position || null,
+    nflTeam: player?.team || fallback.nflTeam || null,
+  };
+};
+
+/**
+ * Lists every player who has appeared on a league roster, been drafted or moved in a transaction.
+ * @param {Object} params
+ * @param {Array<Object>} params.matchups Normalized matchups with player-level data.
+ * @param {Array<Object>} [params.draftBoards] Boards from fetchDraftHistory.
+ * @param {Array<Object>} [params.transactions] Transactions from buildTransactionLedger.
+ * @param {Object} [params.playersById] The result of fetchNFLPlayers. Draft and transaction names are used until it loads.
+ * @param {{year: number, week: number}|null} [params.inProgressWeek] The week still being played, left out.
+ * @returns {Array<Object>} `{ playerId, name, position, nflTeam, weeks }`, where `weeks` counts weeks on any league roster.
+ */
+export function buildPlayerIndex({ matchups, draftBoards = [], transactions = [], playersById = {}, inProgressWeek = null }) {
+  const weeks = new Map();
+  const knownNames = new Map();
+  matchups.filter(matchup => isCompletedWeek(matchup, inProgressWeek)).forEach(matchup => {
+    (matchup.teams || []).forEach(side => {
+      Object.keys(side.playersPoints || {}).forEach(playerId => weeks.set(playerId, (weeks.get(playerId) || 0) + 1));
+    });
+  });
+  draftBoards.forEach(board => board.picks.forEach(pick => {
+    knownNames.set(pick.playerId, { name: pick.playerName, position: pick.position, nflTeam: pick.nflTeam });
+  }));
+  transactions.forEach(transaction => transaction.sides.forEach(side => {
+    [...side.adds, ...side.drops].forEach(player => {
+      if (!knownNames.has(player.playerId)) knownNames.set(player.playerId, { name: player.name, position: player.position });
+    });
+  }));
+
+  const playerIds = new Set([...weeks.keys(), ...knownNames.keys()]);
+  return Array.from(playerIds, playerId => ({
+    playerId,
+    ...getPlayerDetails(playerId, playersById, knownNames.get(playerId)),
+    weeks: weeks.get(playerId) || 0,
+  }));
+}
+
+/**
+ * Finds players by name, the most-rostered first.
+ * @param {Array<Object>} index The result of buildPlayerIndex.
+ * @param {string} query The search text.
+ * @param {number} [limit=20] How many players to return.
+ * @returns {Array<Object>} The matching index entries.
+ */
+export function searchPlayers(index, query, limit = SEARCH_RESULTS_SHOWN) {
+  const text = (query || '').trim().toLowerCase();
+  if (!text) return [];
+  return index
+    .filter(player => player.name.toLowerCase().includes(text))
+    .sort((a, b) => b.weeks - a.weeks || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// Draft picks and transaction moves involving the player, oldest first. Draft picks sort before week 1.
+const buildEvents = (playerId, draftBoards, transactions) => {
+  const draftEvents = draftBoards.flatMap(board => board.picks
+    .filter(pick => pick.playerId === playerId)
+    .map(pick => ({
+      type: DRAFT_EVENT,
+      year: board.year,
+      week: 0,
+      managerId: pick.managerId,
+      round: pick.round,
+      pickNo: pick.pickNo,
+      isKeeper: pick.isKeeper,
+    })));
+
+  const transactionEvents = transactions.flatMap(transaction => {
+    const addedBy = transaction.sides.find(side => side.adds.some(player => player.playerId === playerId));
+    const droppedBy = transaction.sides.find(side => side.drops.some(player => player.playerId === playerId));
+    if (!addedBy && !droppedBy) return [];
+    return [{
+      type: transaction.type,
+      transactionId: transaction.transactionId,
+      year: transaction.year,
+      week: transaction.week,
+      createdAt: transaction.createdAt,
+      addedBy: addedBy?.managerId ?? null,
+      droppedBy: droppedBy?.managerId ?? null,
+      faabBid: addedBy ? transaction.faabBid : null,
+    }];
+  });
+
+  return [...draftEvents, ...transactionEvents]
+    .sort((a, b) => compareTime(a, b) || (a.createdAt || 0) - (b.createdAt || 0));
+};
+
+// Consecutive weeks on one manager's roster within a season; a gap week or a new season starts a new stint
+const buildStints = (weeks) => {
+  const stints = [];
+  weeks.forEach(entry => {
+    const current = stints[stints.length - 1];
+    if (current && current.managerId === entry.managerId && current.year === entry.year && current.to.week === entry.week - 1) {
+      current.to = { year: entry.year, week: entry.week };
+      current.weeks++;
+    } else {
+      stints.push({ managerId: entry.managerId, year: entry.year, from: { year: entry.year, week: entry.week }, to: { year: entry.year, week: entry.week }, weeks: 1, starts: 0, pointsStarted: 0 });
+    }
+    const stint = stints[stints.length - 1];
+    if (entry.started) {
+      stint.starts++;
+      stint.pointsStarted += entry.points;
+    }
+  });
+  return stints;
+};
+
+// The latest move that season putting the player on the manager's roster by the stint's first week
+const findAcquisition = (stint, events) => events
+  .filter(event => event.year === stint.year && event.week <= stint.from.week && (
+    event.type === DRAFT_EVENT ? event.managerId === stint.managerId : event.addedBy === stint.managerId
+  ))
+  .pop() || null;
+
+// The first move that season taking the player off the manager's roster from the stint's last week on
+const findDeparture = (stint, events) => events
+  .find(event => event.type !== DRAFT_EVENT && event.year === stint.year && event.week >= stint.to.week && event.droppedBy === stint.managerId) || null;
+
+const buildManagerTotals = (stints) => {
+  const totals = new Map();
+  stints.forEach(stint => {
+    const entry = totals.get(stint.managerId) || { managerId: stint.managerId, weeks: 0, starts: 0, pointsStarted: 0, seasons: new Set() };
+    entry.weeks += stint.weeks;
+    entry.starts += stint.starts;
+    entry.pointsStarted += stint.pointsStarted;
+    entry.seasons.add(stint.year);
+    totals.set(stint.managerId, entry);
+  });
+  return Array.from(totals.values())
+    .map(entry => ({ ...entry, seasons: [...entry.seasons].sort((a, b) => a - b) }))
+    .sort((a, b) => b.pointsStarted - a.pointsStarted || b.weeks - a.weeks);
+};
+
+/**
+ * Builds one player's league history.
+ * @param {Object} params
+ * @param {string} params.playerId The Sleeper player ID.
+ * @param {Array<Object>} params.matchups Normalized matchups with player-level data, all seasons.
+ * @param {Array<Object>} [params.draftBoards] Boards from fetchDraftHistory.
+ * @param {Array<Object>} [params.transactions] Transactions from buildTransactionLedger.
+ * @param {{year: number, week: number}|null} [params.inProgressWeek] The week still being played, left out.
+ * @returns {Object|null} `{ playerId, weeks, stints, managers, events, totals }`, or null when the player has never
+ * been in the league. `weeks` holds `{ year, week, managerId, started, points }` for every week rostered; `stints`
+ * are runs of those weeks with one manager, each with the `acquisition` and `departure` events (null when unknown
+ * or still rostered); `managers` totals weeks, starts and points started per manager; `events` are draft picks
+ * (`type` 'draft') and transactions (`type` from TRANSACTION_TYPES, with `addedBy` and `droppedBy`), oldest first.
+ */
+export function buildPlayerHistory({ playerId, matchups, draftBoards = [], transactions = [], inProgressWeek = null }) {
+  const weeks = [];
+  matchups.filter(matchup => isCompletedWeek(matchup, inProgressWeek)).forEach(matchup => {
+    (matchup.teams || []).forEach(side => {
+      if (!side.playersPoints || !(playerId in side.playersPoints)) return;
+      weeks.push({
+        year: matchup.year,
+        week: matchup.week,
+        managerId: side.managerId,
+        started: (side.starters || []).includes(playerId),
+        points: side.playersPoints[playerId] || 0,
+      });
+    });
+  });
+  weeks.sort(compareTime);
+
+  const events = buildEvents(playerId, draftBoards, transactions);
+  if (weeks.length === 0 && events.length === 0) return null;
+
+  const stints = buildStints(weeks).map(stint => ({
+    ...stint,
+    acquisition: findAcquisition(stint, events),
+    departure: findDeparture(stint, events),
+  }));
+
+  return {
+    playerId,
+    weeks,
+    stints,
+    managers: buildManagerTotals(stints),
+    events,
+    totals: {
+      weeks: weeks.length,
+      starts: weeks.filter(entry => entry.started).length,
+      pointsStarted: weeks.reduce((sum, entry) => sum + (entry.started ? entry.points : 0), 0),
+      managers: new Set(weeks.map(entry => entry.managerId)).size,
+    },
+  };
+}
+
+/**
+ * Describes how a player moved in an event, for display.
+ * @param {Object} event An entry from buildPlayerHistory's `events`, `acquisition` or `departure`.
+ * @param {Function} getTeamName Maps a managerId to the name to show.
+ * @returns {string} E.g. "Drafted by Team A (round 2, pick 14)" or "Traded from Team A to Team B".
+ */
+export function describePlayerEvent(event, getTeamName) {
+  if (event.type === DRAFT_EVENT) {
+    return `${event.isKeeper ? 'Kept' : 'Drafted'} by ${getTeamName(event.managerId)} (round ${event.round}, pick ${event.pickNo})`;
+  }
+  if (event.type === TRANSACTION_TYPES.TRADE) {
+    return `Traded from ${getTeamName(event.droppedBy)} to ${getTeamName(event.addedBy)}`;
+  }
+  const moves = [];
+  if (event.addedBy) {
+    const how = event.type === TRANSACTION_TYPES.WAIVER ? 'Claimed off waivers' : 'Added';
+    moves.push(`${how} by ${getTeamName(event.addedBy)}${event.faabBid ? ` for $${event.faabBid}` : ''}`);
+  }
+  if (event.droppedBy) moves.push(`${moves.length > 0 ? 'dropped' : 'Dropped'} by ${getTeamName(event.droppedBy)}`);
+  return moves.join(', ');
+}
@@ -0,0 +1,266 @@
+// src/utils/playoffBrackets.js
+
+// Resolves Sleeper's winners/losers bracket data into playoff rounds, bracket types
+// and final placements. Everything here is pure: callers fetch the brackets, league
+// details and rosters (see sleeperApi.js) and pass them in.
+
+import { getManagerIdForRoster, getManagerDisplayName } from './managerIdentity';
+
+export const BRACKET_TYPES = {
+  WINNERS: 'winners',
+  LOSERS: 'losers',
+  CONSOLATION: 'consolation', // Placement games inside the winners bracket (3rd, 5th...)
+};
+
+// Sleeper league setting values
+const PLAYOFF_ROUND_TYPE_TWO_WEEK_CHAMPIONSHIP = 1;
+const PLAYOFF_ROUND_TYPE_TWO_WEEKS_PER_ROUND = 2;
+const LOSER_BRACKET_TYPE_TOILET_BOWL = 1; // Losers advance, so the final decides last place
+
+/**
+ * Returns the NFL weeks a bracket round is played over, based on the league's playoff settings.
+ * @param {number} round The 1-based bracket round (`r` in Sleeper's bracket data).
+ * @param {number} finalRound The last round of the bracket.
+ * @param {Object} settings The league `settings` object from Sleeper.
+ * @returns {Array<number>} The week numbers the round spans.
+ */
+export function getWeeksForRound(round, finalRound, settings = {}) {
+  const playoffStartWeek = settings.playoff_week_start || 15;
+  const roundType = settings.playoff_round_type || 0;
+
+  if (roundType === PLAYOFF_ROUND_TYPE_TWO_WEEKS_PER_ROUND) {
+    const firstWeek = playoffStartWeek + (round - 1) * 2;
+    return [firstWeek, firstWeek + 1];
+  }
+  const week = playoffStartWeek + round - 1;
+  if (roundType === PLAYOFF_ROUND_TYPE_TWO_WEEK_CHAMPIONSHIP && round === finalRound) {
+    return [week, week + 1];
+  }
+  return [week];
+}
+
+/**
+ * Maps a bracket game's placement (`p`) to the final place the winner and loser finish in.
+ * @param {Object} game A bracket game with a `p` value.
+ * @param {string} bracket One of BRACKET_TYPES.
+ * @param {Object} context Contains `playoffTeams`, `numTeams` and `loserBracketType`.
+ * @returns {{winnerPlace: number, loserPlace: number}|null} The decided places, or null if the game decides none.
+ */
+const getPlacesDecided = (game, bracket, { playoffTeams, numTeams, loserBracketType }) => {
+  if (!game.p) return null;
+  if (bracket !== BRACKET_TYPES.LOSERS) {
+    return { winnerPlace: game.p, loserPlace: game.p + 1 };
+  }
+  if (loserBracketType === LOSER_BRACKET_TYPE_TOILET_BOWL) {
+    // In a toilet bowl the loser of the p=1 game finishes last, the loser of p=3 third-last, etc.
+    return { winnerPlace: numTeams - game.p, loserPlace: numTeams - game.p + 1 };
+  }
+  return { winnerPlace: playoffTeams + game.p, loserPlace: playoffTeams + game.p + 1 };
+};
+
+/**
+ * Builds an index of every bracket game for a season so weekly matchups can be tagged.
+ * @param {Array<Object>} winnersBracket The result of fetchWinnersBracket.
+ * @param {Array<Object>} losersBracket The result of fetchLosersBracket.
+ * @param {Object} leagueDetails The league details object (uses `settings`).
+ * @param {number} numTeams The number of rosters in the league that season.
+ * @returns {Object} The bracket index, consumed by getBracketGameForMatchup and computeFinalPlacements.
+ */
+export function buildBracketIndex(winnersBracket, losersBracket, leagueDetails, numTeams) {
+  const settings = leagueDetails?.settings || {};
+  const winnersGames = Array.isArray(winnersBracket) ? winnersBracket : [];
+  const losersGames = Array.isArray(losersBracket) ? losersBracket : [];
+
+  const winnersRosterIds = new Set();
+  winnersGames.forEach(game => {
+    if (game.t1 != null) winnersRosterIds.add(game.t1);
+    if (game.t2 != null) winnersRosterIds.add(game.t2);
+  });
+
+  const context = {
+    playoffTeams: settings.playoff_teams || winnersRosterIds.size,
+    numTeams: numTeams || settings.num_teams || 0,
+    loserBracketType: settings.loser_bracket_type || 0,
+  };
+
+  const games = [];
+  const addGames = (bracketGames, bracketName) => {
+    const finalRound = bracketGames.reduce((max, game) => Math.max(max, game.r), 0);
+    bracketGames.forEach(game => {
+      const bracket = bracketName === BRACKET_TYPES.WINNERS && game.p && game.p > 1
+        ? BRACKET_TYPES.CONSOLATION
+        : bracketName;
+      games.push({
+        ...game,
+        bracket,
+        round: game.r,
+        weeks: getWeeksForRound(game.r, finalRound, settings),
+        placesDecided: getPlacesDecided(game, bracketName, context),
+      });
+    });
+  };
+  addGames(winnersGames, BRACKET_TYPES.WINNERS);
+  addGames(losersGames, BRACKET_TYPES.LOSERS);
+
+  const lastWeek = games.reduce((max, game) => Math.max(max, ...game.weeks), 0);
+
+  return { games, winnersRosterIds, lastWeek, ...context };
+}
+
+/**
+ * Finds the bracket game a weekly head-to-head matchup belongs to.
+ * @param {Object} bracketIndex The result of buildBracketIndex.
+ * @param {number} week The week the matchup was played.
+ * @param {number} rosterId1 Roster ID of one side.
+ * @param {number} rosterId2 Roster ID of the other side.
+ * @returns {Object|null} The bracket game, or null if the matchup isn't part of either bracket.
+ */
+export function getBracketGameForMatchup(bracketIndex, week, rosterId1, rosterId2) {
+  if (!bracketIndex) return null;
+  return bracketIndex.games.find(game =>
+    game.weeks.includes(week) &&
+    ((game.t1 === rosterId1 && game.t2 === rosterId2) || (game.t1 === rosterId2 && game.t2 === rosterId1))
+  ) || null;
+}
+
+/**
+ * Finds the rosters sitting out a playoff week on a bye: top seeds placed directly into a later
+ * winners bracket round (no `t1_from`/`t2_from`) who have no bracket game this week.
+ * @param {Object} bracketIndex The result of buildBracketIndex.
+ * @param {number} week The playoff week.
+ * @returns {Set<number>} Roster IDs on a bye that week.
+ */
+export function getPlayoffByeRosterIds(bracketIndex, week) {
+  const byeRosterIds = new Set();
+  if (!bracketIndex) return byeRosterIds;
+
+  const playingThisWeek = new Set();
+  bracketIndex.games.forEach(game => {
+    if (!game.weeks.includes(week)) return;
+    if (game.t1 != null) playingThisWeek.add(game.t1);
+    if (game.t2 != null) playingThisWeek.add(game.t2);
+  });
+
+  bracketIndex.games.forEach(game => {
+    if (game.bracket !== BRACKET_TYPES.WINNERS || game.round === 1 || game.weeks[0] <= week) return;
+    if (game.t1 != null && !game.t1_from && !playingThisWeek.has(game.t1)) byeRosterIds.add(game.t1);
+    if (game.t2 != null && !game.t2_from && !playingThisWeek.has(game.t2)) byeRosterIds.add(game.t2);
+  });
+  return byeRosterIds;
+}
+
+/**
+ * Compares two rosters by regular season record (wins, then ties, then points for).
+ * @param {Object} a A Sleeper roster object.
+ * @param {Object} b A Sleeper roster object.
+ * @returns {number} Sort order, best record first.
+ */
+const compareRegularSeasonRecords = (a, b) => {
+  const aSettings = a.settings || {};
+  const bSettings = b.settings || {};
+  if ((bSettings.wins || 0) !== (aSettings.wins || 0)) return (bSettings.wins || 0) - (aSettings.wins || 0);
+  if ((bSettings.ties || 0) !== (aSettings.ties || 0)) return (bSettings.ties || 0) - (aSettings.ties || 0);
+  const aPoints = (aSettings.fpts || 0) + (aSettings.fpts_decimal || 0) / 100;
+  const bPoints = (bSettings.fpts || 0) + (bSettings.fpts_decimal || 0) / 100;
+  return bPoints - aPoints;
+};
+
+/**
+ * Computes every roster's final place for a season. Places decided by bracket games come first;
+ * any remaining places are filled by how far a team went in the winners bracket, then by
+ * regular season record.
+ * @param {Object} bracketIndex The result of buildBracketIndex.
+ * @param {Array<Object>} rosters The season's Sleeper rosters.
+ * @returns {{placements: Map<number, number>, isComplete: boolean}} Map of roster_id to final place,
+ * and whether the championship has been decided.
+ */
+export function computeFinalPlacements(bracketIndex, rosters) {
+  const placements = new Map();
+  const takenPlaces = new Set();
+
+  bracketIndex.games.forEach(game => {
+    if (!game.placesDecided || game.w == null || game.l == null) return;
+    placements.set(game.w, game.placesDecided.winnerPlace);
+    placements.set(game.l, game.placesDecided.loserPlace);
+    takenPlaces.add(game.placesDecided.winnerPlace);
+    takenPlaces.add(game.placesDecided.loserPlace);
+  });
+
+  const championshipGame = bracketIndex.games.find(game => game.bracket === BRACKET_TYPES.WINNERS && game.p === 1);
+  const isComplete = Boolean(championshipGame && championshipGame.w != null);
+  if (!isComplete) {
+    // Until the title game is played, only the places already decided are final.
+    return { placements, isComplete };
+  }
+
+  // Furthest winners bracket round each roster reached, so eliminated playoff teams rank ahead of the rest.
+  const furthestRound = new Map();
+  bracketIndex.games.forEach(game => {
+    if (game.bracket === BRACKET_TYPES.LOSERS) return;
+    [game.t1, game.t2].forEach(rosterId => {
+      if (rosterId == null) return;
+      furthestRound.set(rosterId, Math.max(furthestRound.get(rosterId) || 0, game.round));
+    });
+  });
+
+  const remainingRosters = rosters
+    .filter(roster => !placements.has(roster.roster_id))
+    .sort((a, b) => {
+      const roundDiff = (furthestRound.get(b.roster_id) || 0) - (furthestRound.get(a.roster_id) || 0);
+      return roundDiff !== 0 ? roundDiff : compareRegularSeasonRecords(a, b);
+    });
+
+  let nextPlace = 1;
+  remainingRosters.forEach(roster => {
+    while (takenPlaces.has(nextPlace)) nextPlace++;
+    placements.set(roster.roster_id, nextPlace);
+    takenPlaces.add(nextPlace);
+  });
+
+  return { placements, isComplete };
+}
+
+/**
+ * Builds a season's final standings table from its placements.
+ * @param {Object} params
+ * @param {number} params.year The season year.
+ * @param {string} params.leagueId The league ID for that season.
+ * @param {Object} params.bracketIndex The result of buildBracketIndex.
+ * @param {Array<Object>} params.rosters The season's Sleeper rosters.
+ * @param {Object} params.managerDirectory The lineage's manager directory (see managerIdentity.js).
+ * @returns {Object} `{ year, leagueId, isComplete, standings, champion, runnerUp, lastPlace }`.
+ */
+export function buildSeasonFinalStandings({ year, leagueId, bracketIndex, rosters, managerDirectory }) {
+  const { placements, isComplete } = computeFinalPlacements(bracketIndex, rosters);
+
+  const standings = rosters
+    .map(roster => {
+      const settings = roster.settings || {};
+      const managerId = getManagerIdForRoster(managerDirectory, year, roster.roster_id);
+      return {
+        place: placements.get(roster.roster_id) || null,
+        rosterId: roster.roster_id,
+        userId: roster.owner_id || null,
+        managerId,
+        team: managerId ? getManagerDisplayName(managerDirectory, managerId) : `Unknown Team (${roster.roster_id})`,
+        wins: settings.wins || 0,
+        losses: settings.losses || 0,
+        ties: settings.ties || 0,
+        pointsFor: (settings.fpts || 0) + (settings.fpts_decimal || 0) / 100,
+        madePlayoffs: bracketIndex.winnersRosterIds.has(roster.roster_id),
+      };
+    })
+    .sort((a, b) => (a.place || Infinity) - (b.place || Infinity));
+
+  const findPlace = place => standings.find(entry => entry.place === place) || null;
+
+  return {
+    year,
+    leagueId,
+    isComplete,
+    standings,
+    champion: isComplete ? findPlace(1) : null,
+    runnerUp: isComplete ? findPlace(2) : null,
+    lastPlace: isComplete ? findPlace(rosters.length) : null,
+  };
+}
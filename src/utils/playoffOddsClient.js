@@ -0,0 +1,33 @@
+// src/utils/playoffOddsClient.js
+
+// Runs the playoff simulation in a Web Worker so thousands of simulated seasons don't block the UI.
+// Falls back to running on the main thread where workers aren't available (tests, old browsers).
+
+import { runPlayoffSimulation } from './playoffSimulator';
+
+/**
+ * Simulates the rest of the season.
+ * @param {Object} input The input for runPlayoffSimulation (see fetchPlayoffSimulationInput).
+ * @returns {{promise: Promise<Object>, cancel: Function}} The result of runPlayoffSimulation, and `cancel`, which
+ * stops the worker. A cancelled simulation's promise never settles.
+ */
+export function simulatePlayoffOdds(input) {
+  if (typeof Worker === 'undefined') {
+    return { promise: Promise.resolve().then(() => runPlayoffSimulation(input)), cancel: () => {} };
+  }
+
+  const worker = new Worker(new URL('../workers/playoffOdds.worker.js', import.meta.url));
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      worker.terminate();
+      if (event.data.error) reject(new Error(event.data.error));
+      else resolve(event.data.result);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Playoff simulation worker failed'));
+    };
+    worker.postMessage(input);
+  });
+  return { promise, cancel: () => worker.terminate() };
+}
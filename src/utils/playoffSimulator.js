@@ -0,0 +1,217 @@
+// src/utils/playoffSimulator.js
+
+// Monte Carlo playoff odds for an in-progress season. Each team's weekly score is drawn from a
+// normal distribution fitted to its scores (this season, blended toward the manager's earlier
+// seasons while the sample is small); the rest of the regular season is played out thousands of
+// times and every run is seeded with the same rules as the real standings (see seedTeams).
+// Pure and message-friendly so it can run inside a Web Worker (see playoffOddsClient.js).
+// Pass a `seed` for reproducible results. Only the regular season is simulated: `lastSeedOdds` is the
+// chance of finishing with the worst record, not of losing a toilet bowl, whose bracket Sleeper only
+// builds once the playoffs start.
+
+import { computeMedian } from './matchupModel';
+import { seedTeams, DEFAULT_TIEBREAKERS, TIEBREAKERS } from './standings';
+
+export const DEFAULT_SIMULATION_COUNT = 10000;
+
+// How many games' worth of weight a manager's earlier seasons get in their scoring mean
+const PRIOR_WEIGHT_GAMES = 3;
+// Below this many games this season, a team's spread falls back to the league-wide spread
+const MIN_GAMES_FOR_OWN_SPREAD = 4;
+const MIN_SCORE_SPREAD = 10;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed Any 32-bit integer.
+ * @returns {Function} Returns a number in [0, 1) on each call.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample via Box-Muller
+const sampleNormal = (random) => {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const getMeanAndSpread = (scores) => {
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / Math.max(scores.length - 1, 1);
+  return { mean, spread: Math.sqrt(variance) };
+};
+
+/**
+ * Fits a scoring distribution for each team in the season.
+ * @param {Array<Object>} matchups Normalized matchups for the lineage.
+ * @param {Object} params
+ * @param {number} params.year The season being simulated.
+ * @param {number} params.throughWeek Last completed week of the season.
+ * @param {Array<Object>} params.teams The season's teams (`rosterId`, `managerId`).
+ * @returns {Object} Map of rosterId to `{ mean, spread }`.
+ */
+export function buildScoringModels(matchups, { year, throughWeek, teams }) {
+  const seasonScores = new Map();
+  const priorScores = new Map();
+  matchups.forEach(matchup => {
+    (matchup.teams || []).forEach(side => {
+      if (matchup.year === year && matchup.week <= throughWeek) {
+        if (!seasonScores.has(side.rosterId)) seasonScores.set(side.rosterId, []);
+        seasonScores.get(side.rosterId).push(side.score);
+      } else if (matchup.year < year && side.managerId) {
+        if (!priorScores.has(side.managerId)) priorScores.set(side.managerId, []);
+        priorScores.get(side.managerId).push(side.score);
+      }
+    });
+  });
+
+  const allSeasonScores = Array.from(seasonScores.values()).flat();
+  const allPriorScores = Array.from(priorScores.values()).flat();
+  const league = allSeasonScores.length > 1
+    ? getMeanAndSpread(allSeasonScores)
+    : allPriorScores.length > 1 ? getMeanAndSpread(allPriorScores) : { mean: 100, spread: 25 };
+
+  const models = {};
+  teams.forEach(({ rosterId, managerId }) => {
+    const scores = seasonScores.get(rosterId) || [];
+    const prior = priorScores.get(managerId);
+    const priorMean = prior && prior.length > 0 ? getMeanAndSpread(prior).mean : league.mean;
+    const seasonTotal = scores.reduce((sum, score) => sum + score, 0);
+    const mean = (seasonTotal + priorMean * PRIOR_WEIGHT_GAMES) / (scores.length + PRIOR_WEIGHT_GAMES);
+    const spread = scores.length >= MIN_GAMES_FOR_OWN_SPREAD ? getMeanAndSpread(scores).spread : league.spread;
+    models[rosterId] = { mean, spread: Math.max(spread, MIN_SCORE_SPREAD) };
+  });
+  return models;
+}
+
+/**
+ * Number of first-round byes in a playoff field: the top seeds sit out until the bracket is a power of two.
+ * @param {number} playoffTeams The number of playoff teams.
+ * @returns {number} The number of byes.
+ */
+export function getPlayoffByeCount(playoffTeams) {
+  if (!playoffTeams) return 0;
+  let bracketSize = 1;
+  while (bracketSize < playoffTeams) bracketSize *= 2;
+  return bracketSize - playoffTeams;
+}
+
+const clonePairRecords = (pairRecords) => new Map(Array.from(pairRecords.entries()).map(([rosterId, opponents]) => (
+  [rosterId, new Map(Array.from(opponents.entries()).map(([opponentId, record]) => [opponentId, { ...record }]))]
+)));
+
+/**
+ * Runs the Monte Carlo simulation.
+ * @param {Object} input
+ * @param {Array<Object>} input.teams Current standings (computeStandings through the last completed week).
+ * @param {Map} [input.pairRecords] Head-to-head records so far, from computeStandings.
+ * @param {Array<Object>} input.remainingGames `{ week, rosterIds }` for every unplayed regular season game.
+ * @param {Object} input.scoringModels The result of buildScoringModels.
+ * @param {Object} input.settings `{ playoffTeams, divisions, tiebreakers, usesMedian }`.
+ * @param {number} [input.simulations] Number of seasons to simulate.
+ * @param {number} [input.seed] Seed for reproducible runs. A random seed is chosen (and returned) when omitted.
+ * @returns {Object} `{ seed, simulations, teams }`, where each team has `rosterId`, `managerId`, `team`, `playoffOdds`,
+ * `byeOdds`, `lastSeedOdds`, `seedOdds` (index 0 is the 1 seed), `projectedWins`, `projectedLosses` and
+ * `averageSeed`, ordered by projected finish.
+ */
+export function runPlayoffSimulation({ teams, pairRecords = new Map(), remainingGames, scoringModels, settings, simulations = DEFAULT_SIMULATION_COUNT, seed }) {
+  const runSeed = seed ?? Math.floor(Math.random() * 2 ** 31);
+  const random = createSeededRandom(runSeed);
+  const { playoffTeams = 0, divisions = 0, tiebreakers = DEFAULT_TIEBREAKERS, usesMedian = false } = settings;
+  const byeCount = getPlayoffByeCount(playoffTeams);
+  const tracksHeadToHead = tiebreakers.includes(TIEBREAKERS.HEAD_TO_HEAD);
+
+  const weeks = new Map();
+  remainingGames.forEach(game => {
+    if (!weeks.has(game.week)) weeks.set(game.week, []);
+    weeks.get(game.week).push(game.rosterIds);
+  });
+
+  const totals = new Map(teams.map(team => [team.rosterId, { wins: 0, losses: 0, seedCounts: new Array(teams.length).fill(0) }]));
+
+  for (let run = 0; run < simulations; run++) {
+    const records = new Map(teams.map(team => [team.rosterId, {
+      ...team,
+      divisionRecord: { ...(team.divisionRecord || { wins: 0, losses: 0, ties: 0 }) },
+    }]));
+    const pairs = tracksHeadToHead ? clonePairRecords(pairRecords) : pairRecords;
+
+    weeks.forEach(games => {
+      const weekScores = new Map();
+      games.forEach(rosterIds => rosterIds.forEach(rosterId => {
+        const model = scoringModels[rosterId] || { mean: 100, spread: 25 };
+        weekScores.set(rosterId, Math.max(0, model.mean + sampleNormal(random) * model.spread));
+      }));
+
+      games.forEach(rosterIds => {
+        rosterIds.forEach(rosterId => {
+          const team = records.get(rosterId);
+          if (!team) return;
+          const score = weekScores.get(rosterId);
+          team.pointsFor += score;
+          rosterIds.forEach(opponentId => {
+            if (opponentId === rosterId) return;
+            const opponentScore = weekScores.get(opponentId);
+            const result = score > opponentScore ? 'wins' : score < opponentScore ? 'losses' : 'ties';
+            team[result]++;
+            team.pointsAgainst += opponentScore / (rosterIds.length - 1);
+            if (team.division && records.get(opponentId)?.division === team.division) team.divisionRecord[result]++;
+            if (tracksHeadToHead) {
+              if (!pairs.has(rosterId)) pairs.set(rosterId, new Map());
+              const pair = pairs.get(rosterId).get(opponentId) || { wins: 0, losses: 0, ties: 0 };
+              pair[result]++;
+              pairs.get(rosterId).set(opponentId, pair);
+            }
+          });
+        });
+      });
+
+      if (usesMedian) {
+        const median = computeMedian(Array.from(weekScores.values()));
+        weekScores.forEach((score, rosterId) => {
+          const team = records.get(rosterId);
+          if (team) team[score > median ? 'wins' : score < median ? 'losses' : 'ties']++;
+        });
+      }
+    });
+
+    const seeded = seedTeams(Array.from(records.values()), { tiebreakers, divisions, playoffTeams, pairRecords: pairs });
+    seeded.forEach((team, index) => {
+      const total = totals.get(team.rosterId);
+      total.wins += team.wins;
+      total.losses += team.losses;
+      total.seedCounts[index]++;
+    });
+  }
+
+  const lastSeedIndex = teams.length - 1;
+  const results = teams.map(team => {
+    const total = totals.get(team.rosterId);
+    const seedOdds = total.seedCounts.map(count => count / simulations);
+    return {
+      rosterId: team.rosterId,
+      managerId: team.managerId,
+      team: team.team,
+      wins: team.wins,
+      losses: team.losses,
+      ties: team.ties,
+      playoffOdds: seedOdds.slice(0, playoffTeams).reduce((sum, odds) => sum + odds, 0),
+      byeOdds: seedOdds.slice(0, byeCount).reduce((sum, odds) => sum + odds, 0),
+      lastSeedOdds: seedOdds[lastSeedIndex],
+      seedOdds,
+      projectedWins: total.wins / simulations,
+      projectedLosses: total.losses / simulations,
+      averageSeed: seedOdds.reduce((sum, odds, index) => sum + odds * (index + 1), 0),
+    };
+  }).sort((a, b) => a.averageSeed - b.averageSeed);
+
+  return { seed: runSeed, simulations, teams: results };
+}
@@ -0,0 +1,59 @@
+// src/utils/playoffSimulator.test.js
+import { getPlayoffByeCount, runPlayoffSimulation } from './playoffSimulator';
+
+const team = (rosterId, wins, losses) => ({ rosterId, managerId: `M${rosterId}`, team: `Team ${rosterId}`, wins, losses, ties: 0, pointsFor: wins * 110, pointsAgainst: losses * 110 });
+
+// Six teams with two weeks left, the top four make the playoffs
+const input = {
+  teams: [team(1, 9, 3), team(2, 8, 4), team(3, 7, 5), team(4, 6, 6), team(5, 5, 7), team(6, 1, 11)],
+  remainingGames: [
+    { week: 13, rosterIds: [1, 2] }, { week: 13, rosterIds: [3, 4] }, { week: 13, rosterIds: [5, 6] },
+    { week: 14, rosterIds: [1, 3] }, { week: 14, rosterIds: [2, 5] }, { week: 14, rosterIds: [4, 6] },
+  ],
+  scoringModels: {
+    1: { mean: 120, spread: 20 }, 2: { mean: 115, spread: 20 }, 3: { mean: 110, spread: 20 },
+    4: { mean: 105, spread: 20 }, 5: { mean: 100, spread: 20 }, 6: { mean: 90, spread: 20 },
+  },
+  settings: { playoffTeams: 4 },
+  simulations: 500,
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('runPlayoffSimulation', () => {
+  test('the same seed gives identical results', () => {
+    expect(runPlayoffSimulation({ ...input, seed: 42 })).toEqual(runPlayoffSimulation({ ...input, seed: 42 }));
+  });
+
+  test('returns the seed it chose when none is given', () => {
+    const { seed, teams } = runPlayoffSimulation(input);
+    expect(runPlayoffSimulation({ ...input, seed }).teams).toEqual(teams);
+  });
+
+  test('odds add up across teams and seeds', () => {
+    const { teams } = runPlayoffSimulation({ ...input, seed: 7 });
+
+    teams.forEach(result => expect(sum(result.seedOdds)).toBeCloseTo(1));
+    expect(sum(teams.map(result => result.playoffOdds))).toBeCloseTo(4);
+    expect(sum(teams.map(result => result.lastSeedOdds))).toBeCloseTo(1);
+    input.teams.forEach((_, seedIndex) => expect(sum(teams.map(result => result.seedOdds[seedIndex]))).toBeCloseTo(1));
+    teams.forEach(result => expect(result.projectedWins + result.projectedLosses).toBeCloseTo(14));
+  });
+
+  test('a team that can no longer be caught always makes the playoffs', () => {
+    const { teams } = runPlayoffSimulation({ ...input, seed: 7 });
+    expect(teams.find(result => result.rosterId === 1).playoffOdds).toBe(1);
+    expect(teams.find(result => result.rosterId === 6).playoffOdds).toBe(0);
+  });
+});
+
+describe('getPlayoffByeCount', () => {
+  test('gives byes until the bracket is a power of two', () => {
+    expect(getPlayoffByeCount(0)).toBe(0);
+    expect(getPlayoffByeCount(4)).toBe(0);
+    expect(getPlayoffByeCount(6)).toBe(2);
+    expect(getPlayoffByeCount(7)).toBe(1);
+    expect(getPlayoffByeCount(8)).toBe(0);
+    expect(getPlayoffByeCount(10)).toBe(6);
+  });
+});
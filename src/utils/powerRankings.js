@@ -0,0 +1,200 @@
+// src/utils/powerRankings.js
+
+// Weekly power rankings (a DPR-style rating). After every regular season week, each team gets four
+// indexes where the league average is 1.0 — points per game, win percentage, all-play percentage and
+// recent form — and its rating is their weighted average under the league's weights (config.js).
+// A rating of 1.100 means 10% better than an average team.
+
+import { getMatchupResults, isCompletedWeek } from './matchupModel';
+import { DEFAULT_POWER_RANKING_WEIGHTS, POWER_RANKING_WEIGHTS_BY_LEAGUE } from '../config';
+
+export const RATING_COMPONENTS = ['pointsScored', 'winPct', 'allPlay', 'recentForm'];
+
+/**
+ * Resolves the power ranking weights for a league.
+ * @param {string} [leagueId] The league's ID as added to the app.
+ * @returns {Object} The default weights with the league's overrides applied.
+ */
+export function getPowerRankingWeights(leagueId) {
+  return { ...DEFAULT_POWER_RANKING_WEIGHTS, ...(POWER_RANKING_WEIGHTS_BY_LEAGUE[leagueId] || {}) };
+}
+
+const emptyTotals = () => ({ games: 0, points: 0, wins: 0, losses: 0, ties: 0, allPlayWins: 0, allPlayLosses: 0, allPlayTies: 0, scores: [] });
+
+const winShare = (wins, losses, ties) => {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+};
+
+/**
+ * Groups each season's regular season sides by week.
+ * @returns {Map<number, Map<number, Array<Object>>>} year -> week -> results from getMatchupResults.
+ */
+const groupRegularSeasonWeeks = (matchups, lastRegularSeasonWeeks, inProgressWeek) => {
+  const seasons = new Map();
+  matchups.forEach(matchup => {
+    const lastRegularSeasonWeek = lastRegularSeasonWeeks[matchup.year];
+    if (lastRegularSeasonWeek ? matchup.week > lastRegularSeasonWeek : matchup.bracket) return;
+    if (!isCompletedWeek(matchup, inProgressWeek)) return;
+
+    if (!seasons.has(matchup.year)) seasons.set(matchup.year, new Map());
+    const weeks = seasons.get(matchup.year);
+    if (!weeks.has(matchup.week)) weeks.set(matchup.week, []);
+    getMatchupResults(matchup).forEach(result => {
+      if (result.managerId) weeks.get(matchup.week).push(result);
+    });
+  });
+  return seasons;
+};
+
+/**
+ * Rates every team after one week from its season totals so far.
+ * @returns {Array<Object>} Unranked `{ managerId, team, rating, components, record, pointsPerGame }`.
+ */
+const rateTeams = (totals, teamNames, recentWeeks, weights) => {
+  let leaguePoints = 0;
+  let leagueGames = 0;
+  totals.forEach(total => {
+    leaguePoints += total.points;
+    leagueGames += total.games;
+  });
+  const leaguePerGame = leagueGames > 0 ? leaguePoints / leagueGames : 0;
+  const recentScores = recentWeeks.flat();
+  const recentPerGame = recentScores.length > 0 ? recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length : 0;
+
+  const weightTotal = RATING_COMPONENTS.reduce((sum, component) => sum + (weights[component] || 0), 0) || 1;
+
+  return Array.from(totals.entries()).map(([managerId, total]) => {
+    const pointsPerGame = total.points / total.games;
+    const recent = total.scores.slice(-weights.recentFormWeeks);
+    const recentAverage = recent.reduce((sum, score) => sum + score, 0) / recent.length;
+    const components = {
+      pointsScored: leaguePerGame > 0 ? pointsPerGame / leaguePerGame : 1,
+      winPct: winShare(total.wins, total.losses, total.ties) / 0.5,
+      allPlay: winShare(total.allPlayWins, total.allPlayLosses, total.allPlayTies) / 0.5,
+      recentForm: recentPerGame > 0 ? recentAverage / recentPerGame : 1,
+    };
+    const rating = RATING_COMPONENTS.reduce((sum, component) => sum + components[component] * (weights[component] || 0), 0) / weightTotal;
+    return {
+      managerId,
+      team: teamNames.get(managerId),
+      rating,
+      components,
+      record: { wins: total.wins, losses: total.losses, ties: total.ties },
+      pointsPerGame,
+    };
+  });
+};
+
+/**
+ * Computes the power rankings after every regular season week of every season.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} [options]
+ * @param {Object} [options.weights] Weights from getPowerRankingWeights. Defaults to DEFAULT_POWER_RANKING_WEIGHTS.
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * Seasons without an entry use every game outside the playoff brackets.
+ * @param {{year: number, week: number}} [options.inProgressWeek] A week whose scores aren't final yet; it and later
+ * weeks of that season are skipped.
+ * @returns {{weights: Object, seasons: Array<Object>, latest: Object|null}} `seasons` are `{ year, weeks }` in year order,
+ * each week `{ week, rankings }` with rankings best first: `{ managerId, team, rating, rank, previousRank, movement,
+ * components, record, pointsPerGame }` (`movement` is places gained since last week, null in week 1). `latest` is the
+ * most recent week as `{ year, week, rankings }`.
+ */
+export function buildPowerRankings(matchups, { weights = DEFAULT_POWER_RANKING_WEIGHTS, lastRegularSeasonWeeks = {}, inProgressWeek = null } = {}) {
+  const resolvedWeights = { ...DEFAULT_POWER_RANKING_WEIGHTS, ...weights };
+  const grouped = groupRegularSeasonWeeks(matchups, lastRegularSeasonWeeks, inProgressWeek);
+
+  const seasons = Array.from(grouped.keys()).sort((a, b) => a - b).map(year => {
+    const totals = new Map();
+    const teamNames = new Map();
+    const weekScores = [];
+    let previousRanks = new Map();
+
+    const weeks = Array.from(grouped.get(year).entries()).sort(([a], [b]) => a - b).map(([week, results]) => {
+      results.forEach(result => {
+        if (!totals.has(result.managerId)) totals.set(result.managerId, emptyTotals());
+        const total = totals.get(result.managerId);
+        teamNames.set(result.managerId, result.team);
+        total.games++;
+        total.points += result.score;
+        total.wins += result.wins;
+        total.losses += result.losses;
+        total.ties += result.ties;
+        total.scores.push(result.score);
+        results.forEach(other => {
+          if (other === result) return;
+          if (result.score > other.score) total.allPlayWins++;
+          else if (result.score < other.score) total.allPlayLosses++;
+          else total.allPlayTies++;
+        });
+      });
+      weekScores.push(results.map(result => result.score));
+
+      const rankings = rateTeams(totals, teamNames, weekScores.slice(-resolvedWeights.recentFormWeeks), resolvedWeights)
+        .sort((a, b) => b.rating - a.rating)
+        .map((entry, index) => {
+          const previousRank = previousRanks.get(entry.managerId) ?? null;
+          return { ...entry, rank: index + 1, previousRank, movement: previousRank ? previousRank - (index + 1) : null };
+        });
+      previousRanks = new Map(rankings.map(entry => [entry.managerId, entry.rank]));
+      return { week, rankings };
+    });
+
+    return { year, weeks };
+  });
+
+  const lastSeason = seasons[seasons.length - 1];
+  const lastWeek = lastSeason?.weeks[lastSeason.weeks.length - 1];
+  return {
+    weights: resolvedWeights,
+    seasons,
+    latest: lastWeek ? { year: lastSeason.year, week: lastWeek.week, rankings: lastWeek.rankings } : null,
+  };
+}
+
+/**
+ * Each team's rating week by week through one season, for charting.
+ * @param {Object} season One entry of buildPowerRankings' `seasons`.
+ * @returns {Array<{managerId: string, team: string, points: Array<{week: number, rating: number, rank: number}>}>}
+ */
+export function getRatingHistory(season) {
+  const series = new Map();
+  season.weeks.forEach(({ week, rankings }) => {
+    rankings.forEach(({ managerId, team, rating, rank }) => {
+      if (!series.has(managerId)) series.set(managerId, { managerId, team, points: [] });
+      series.get(managerId).points.push({ week, rating, rank });
+    });
+  });
+  return Array.from(series.values());
+}
+
+/**
+ * Each manager's end-of-regular-season rating per season, and their career average.
+ * @param {Object} powerRankings The result of buildPowerRankings.
+ * @returns {Array<Object>} `{ managerId, team, seasons: {year: rating}, seasonCount, averageRating, bestRating, bestYear }`,
+ * best career average first.
+ */
+export function getCareerRatings(powerRankings) {
+  const careers = new Map();
+  powerRankings.seasons.forEach(({ year, weeks }) => {
+    const finalWeek = weeks[weeks.length - 1];
+    if (!finalWeek) return;
+    finalWeek.rankings.forEach(({ managerId, team, rating }) => {
+      if (!careers.has(managerId)) careers.set(managerId, { managerId, team, seasons: {}, bestRating: -Infinity, bestYear: null });
+      const career = careers.get(managerId);
+      career.team = team;
+      career.seasons[year] = rating;
+      if (rating > career.bestRating) {
+        career.bestRating = rating;
+        career.bestYear = year;
+      }
+    });
+  });
+
+  return Array.from(careers.values())
+    .map(career => {
+      const ratings = Object.values(career.seasons);
+      return { ...career, seasonCount: ratings.length, averageRating: ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length };
+    })
+    .sort((a, b) => b.averageRating - a.averageRating);
+}
@@ -0,0 +1,284 @@
+// src/utils/recordBook.js
+
+// League records from `historicalMatchups`. Games are replayed in order, so besides the current
+// leaderboard for each record we know when every record was set and who it was taken from (the
+// "records broken" feed). Regular season and winners bracket games count; consolation games don't.
+// Season records are only decided once a regular season is over.
+
+import { isCompletedWeek, isHeadToHead } from './matchupModel';
+
+export const RECORD_CATEGORIES = {
+  GAME: 'game',
+  STREAK: 'streak',
+  SEASON: 'season',
+  PLAYOFF: 'playoff',
+  CAREER: 'career',
+};
+
+const HIGH = 'high';
+const LOW = 'low';
+
+// Career win percentage needs a meaningful sample before it counts
+const MIN_CAREER_GAMES = 10;
+const DEFAULT_RUNNERS_UP = 4;
+
+export const RECORD_DEFINITIONS = [
+  { id: 'highestScore', label: 'Highest score', category: RECORD_CATEGORIES.GAME, direction: HIGH },
+  { id: 'lowestScore', label: 'Lowest score', category: RECORD_CATEGORIES.GAME, direction: LOW },
+  { id: 'biggestBlowout', label: 'Biggest blowout', category: RECORD_CATEGORIES.GAME, direction: HIGH },
+  { id: 'narrowestWin', label: 'Narrowest win', category: RECORD_CATEGORIES.GAME, direction: LOW },
+  { id: 'mostPointsInLoss', label: 'Most points in a loss', category: RECORD_CATEGORIES.GAME, direction: HIGH },
+  { id: 'fewestPointsInWin', label: 'Fewest points in a win', category: RECORD_CATEGORIES.GAME, direction: LOW },
+  { id: 'longestWinStreak', label: 'Longest winning streak', category: RECORD_CATEGORIES.STREAK, direction: HIGH },
+  { id: 'longestLossStreak', label: 'Longest losing streak', category: RECORD_CATEGORIES.STREAK, direction: HIGH },
+  { id: 'mostSeasonPoints', label: 'Most points in a season', category: RECORD_CATEGORIES.SEASON, direction: HIGH },
+  { id: 'fewestSeasonPoints', label: 'Fewest points in a season', category: RECORD_CATEGORIES.SEASON, direction: LOW },
+  { id: 'bestSeasonRecord', label: 'Best regular season', category: RECORD_CATEGORIES.SEASON, direction: HIGH },
+  { id: 'worstSeasonRecord', label: 'Worst regular season', category: RECORD_CATEGORIES.SEASON, direction: LOW },
+  { id: 'highestPlayoffScore', label: 'Highest playoff score', category: RECORD_CATEGORIES.PLAYOFF, direction: HIGH },
+  { id: 'biggestPlayoffBlowout', label: 'Biggest playoff blowout', category: RECORD_CATEGORIES.PLAYOFF, direction: HIGH },
+  { id: 'mostPlayoffWins', label: 'Most playoff wins', category: RECORD_CATEGORIES.PLAYOFF, direction: HIGH },
+  { id: 'careerWins', label: 'Most career wins', category: RECORD_CATEGORIES.CAREER, direction: HIGH },
+  { id: 'careerPoints', label: 'Most career points', category: RECORD_CATEGORIES.CAREER, direction: HIGH },
+  { id: 'careerWinPct', label: `Best career win % (${MIN_CAREER_GAMES}+ games)`, category: RECORD_CATEGORIES.CAREER, direction: HIGH },
+];
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0, points: 0 });
+const getWinPct = ({ wins, losses, ties }) => {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+};
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+const formatScore = (score, opponentScore) => `${score.toFixed(2)} - ${opponentScore.toFixed(2)}`;
+
+const isBetter = (direction, value, otherValue) => (direction === HIGH ? value > otherValue : value < otherValue);
+
+/**
+ * Tracks one record: every candidate (a game, streak, season or career, by `key`) and the current holder.
+ * Candidates may be offered again with a new value as a streak or career grows.
+ */
+const createTracker = (definition) => ({ definition, candidates: new Map(), holder: null, history: [] });
+
+const offer = (tracker, entry) => {
+  tracker.candidates.set(entry.key, entry);
+};
+
+// After a week, crowns the best candidate. The holder keeps the record on a tie.
+const settle = (tracker, year, week) => {
+  const { direction } = tracker.definition;
+  const currentHolder = tracker.holder ? tracker.candidates.get(tracker.holder.key) : null;
+  let best = currentHolder;
+  tracker.candidates.forEach(entry => {
+    if (!best || isBetter(direction, entry.value, best.value)) best = entry;
+  });
+  if (!best) return;
+
+  // A holder extending their own record (a longer streak, more career wins) isn't a new break
+  if (!currentHolder || best.key !== currentHolder.key) {
+    tracker.history.push({ recordId: tracker.definition.id, year, week, holder: best, previous: currentHolder });
+  }
+  tracker.holder = best;
+};
+
+const rankCandidates = (tracker, count) => {
+  const { direction } = tracker.definition;
+  return Array.from(tracker.candidates.values())
+    .sort((a, b) => (direction === HIGH ? b.value - a.value : a.value - b.value) || a.year - b.year || (a.week || 0) - (b.week || 0))
+    .slice(0, count + 1);
+};
+
+/**
+ * Groups the counted games by week in chronological order.
+ * @returns {Array<{year: number, week: number, games: Array<Object>}>}
+ */
+const groupCountedWeeks = (matchups, lastRegularSeasonWeeks, inProgressWeek) => {
+  const weeks = new Map();
+  matchups.forEach(matchup => {
+    if (!isHeadToHead(matchup) || !matchup.team1ManagerId || !matchup.team2ManagerId) return;
+    if (!isCompletedWeek(matchup, inProgressWeek)) return;
+    const lastRegularSeasonWeek = lastRegularSeasonWeeks[matchup.year];
+    const isRegularSeason = lastRegularSeasonWeek ? matchup.week <= lastRegularSeasonWeek : !matchup.bracket;
+    if (!isRegularSeason && !matchup.playoffs) return;
+
+    const key = `${matchup.year}-${matchup.week}`;
+    if (!weeks.has(key)) weeks.set(key, { year: matchup.year, week: matchup.week, games: [] });
+    weeks.get(key).games.push({ ...matchup, isRegularSeason });
+  });
+  return Array.from(weeks.values()).sort((a, b) => a.year - b.year || a.week - b.week);
+};
+
+/**
+ * Builds the record book by replaying every counted game.
+ * @param {Array<Object>} matchups Normalized matchups.
+ * @param {Object} [options]
+ * @param {Object} [options.lastRegularSeasonWeeks] Map of year to last regular season week (see getLastRegularSeasonWeeks).
+ * Seasons without an entry treat every game outside the brackets as regular season, and their season records are
+ * decided when the next season starts.
+ * @param {{year: number, week: number}} [options.inProgressWeek] A week whose scores aren't final yet; it and later
+ * weeks of that season are skipped.
+ * @param {number} [options.runnersUp] How many runners-up to keep per record.
+ * @returns {{records: Array<Object>, history: Array<Object>, lastWeek: Object|null}} `records` follow RECORD_DEFINITIONS, each
+ * with `holder` and `runnersUp` entries (`{ key, managerId, team, value, display, year, week, detail }`; `week` is null for
+ * season records and both are null for career records). `history` lists every time a record was set or broken (`{ recordId, year, week, holder,
+ * previous }`, `previous` is null the first time), oldest first. `lastWeek` is the last week replayed.
+ */
+export function buildRecordBook(matchups, { lastRegularSeasonWeeks = {}, inProgressWeek = null, runnersUp = DEFAULT_RUNNERS_UP } = {}) {
+  const trackers = new Map(RECORD_DEFINITIONS.map(definition => [definition.id, createTracker(definition)]));
+  const trackersIn = (category) => Array.from(trackers.values()).filter(tracker => tracker.definition.category === category);
+  const weeks = groupCountedWeeks(matchups, lastRegularSeasonWeeks, inProgressWeek);
+
+  const careers = new Map();
+  const streaks = new Map();
+  const seasons = new Map(); // `${year}-${managerId}` -> regular season totals
+  const lastRegularWeekPlayed = new Map(); // year -> last regular season week replayed
+  const finishedSeasons = new Set();
+  const teamNames = new Map();
+
+  const getCareer = (managerId) => {
+    if (!careers.has(managerId)) careers.set(managerId, { ...emptyRecord(), playoffWins: 0 });
+    return careers.get(managerId);
+  };
+
+  // Season records for a year are decided once its regular season is over
+  const finishSeason = (year) => {
+    if (finishedSeasons.has(year)) return;
+    finishedSeasons.add(year);
+    seasons.forEach((season, key) => {
+      if (season.year !== year) return;
+      const base = { key, managerId: season.managerId, team: season.team, year, week: null };
+      const pointsDisplay = season.points.toFixed(2);
+      const detail = formatRecord(season);
+      offer(trackers.get('mostSeasonPoints'), { ...base, value: season.points, display: pointsDisplay, detail });
+      offer(trackers.get('fewestSeasonPoints'), { ...base, value: season.points, display: pointsDisplay, detail });
+      const winPct = getWinPct(season);
+      offer(trackers.get('bestSeasonRecord'), { ...base, value: winPct, display: detail, detail: `${season.points.toFixed(2)} points` });
+      offer(trackers.get('worstSeasonRecord'), { ...base, value: winPct, display: detail, detail: `${season.points.toFixed(2)} points` });
+    });
+    trackersIn(RECORD_CATEGORIES.SEASON).forEach(tracker => settle(tracker, year, lastRegularWeekPlayed.get(year)));
+  };
+
+  weeks.forEach(({ year, week, games }) => {
+    // A playoff week or a new season closes out any earlier regular season
+    lastRegularWeekPlayed.forEach((_, seasonYear) => {
+      if (seasonYear < year) finishSeason(seasonYear);
+    });
+    if (games.every(game => !game.isRegularSeason)) finishSeason(year);
+    else lastRegularWeekPlayed.set(year, week);
+
+    games.forEach(game => {
+      const sides = [
+        { managerId: game.team1ManagerId, team: game.team1, score: game.team1Score, opponentId: game.team2ManagerId, opponentScore: game.team2Score },
+        { managerId: game.team2ManagerId, team: game.team2, score: game.team2Score, opponentId: game.team1ManagerId, opponentScore: game.team1Score },
+      ];
+      sides.forEach(side => {
+        const { managerId, team, score, opponentId, opponentScore } = side;
+        const result = score > opponentScore ? 'wins' : score < opponentScore ? 'losses' : 'ties';
+        const margin = score - opponentScore;
+        const gameKey = `${year}-${week}-${managerId}`;
+        const base = { key: gameKey, managerId, team, opponentId, year, week, detail: formatScore(score, opponentScore) };
+        teamNames.set(managerId, team);
+
+        offer(trackers.get('highestScore'), { ...base, value: score, display: score.toFixed(2) });
+        offer(trackers.get('lowestScore'), { ...base, value: score, display: score.toFixed(2) });
+        if (result === 'wins') {
+          offer(trackers.get('biggestBlowout'), { ...base, value: margin, display: `+${margin.toFixed(2)}` });
+          offer(trackers.get('narrowestWin'), { ...base, value: margin, display: `+${margin.toFixed(2)}` });
+          offer(trackers.get('fewestPointsInWin'), { ...base, value: score, display: score.toFixed(2) });
+        } else if (result === 'losses') {
+          offer(trackers.get('mostPointsInLoss'), { ...base, value: score, display: score.toFixed(2) });
+        }
+
+        // Streaks run across seasons; a tie ends either kind
+        const streak = streaks.get(managerId);
+        if (result !== 'ties' && streak && streak.result === result) {
+          streak.length++;
+        } else {
+          streaks.set(managerId, result === 'ties' ? null : { result, length: 1, startYear: year, startWeek: week });
+        }
+        const current = streaks.get(managerId);
+        if (current) {
+          const tracker = trackers.get(current.result === 'wins' ? 'longestWinStreak' : 'longestLossStreak');
+          offer(tracker, {
+            key: `${managerId}-${current.startYear}-${current.startWeek}`,
+            managerId,
+            team,
+            value: current.length,
+            display: `${current.length} games`,
+            year: current.startYear,
+            week: current.startWeek,
+            detail: `${current.startYear} week ${current.startWeek} to ${year} week ${week}`,
+          });
+        }
+
+        const career = getCareer(managerId);
+        career[result]++;
+        career.points += score;
+
+        if (game.isRegularSeason) {
+          const seasonKey = `${year}-${managerId}`;
+          if (!seasons.has(seasonKey)) seasons.set(seasonKey, { ...emptyRecord(), year, managerId, team });
+          const season = seasons.get(seasonKey);
+          season[result]++;
+          season.points += score;
+          season.team = team;
+        }
+
+        if (game.playoffs) {
+          offer(trackers.get('highestPlayoffScore'), { ...base, value: score, display: score.toFixed(2) });
+          if (result === 'wins') {
+            career.playoffWins++;
+            offer(trackers.get('biggestPlayoffBlowout'), { ...base, value: margin, display: `+${margin.toFixed(2)}` });
+          }
+        }
+      });
+    });
+
+    careers.forEach((career, managerId) => {
+      const base = { key: managerId, managerId, team: teamNames.get(managerId), year: null, week: null };
+      const games = career.wins + career.losses + career.ties;
+      offer(trackers.get('careerWins'), { ...base, value: career.wins, display: `${career.wins}`, detail: formatRecord(career) });
+      offer(trackers.get('careerPoints'), { ...base, value: career.points, display: career.points.toFixed(2), detail: `${games} games` });
+      if (career.playoffWins > 0) {
+        offer(trackers.get('mostPlayoffWins'), { ...base, value: career.playoffWins, display: `${career.playoffWins}`, detail: formatRecord(career) });
+      }
+      if (games >= MIN_CAREER_GAMES) {
+        offer(trackers.get('careerWinPct'), { ...base, value: getWinPct(career), display: `${(getWinPct(career) * 100).toFixed(1)}%`, detail: formatRecord(career) });
+      }
+    });
+
+    trackers.forEach(tracker => {
+      if (tracker.definition.category !== RECORD_CATEGORIES.SEASON) settle(tracker, year, week);
+    });
+  });
+
+  // The last season's records count once its regular season has been played out
+  const lastWeek = weeks.length > 0 ? weeks[weeks.length - 1] : null;
+  if (lastWeek && lastRegularSeasonWeeks[lastWeek.year] && lastWeek.week >= lastRegularSeasonWeeks[lastWeek.year]) {
+    finishSeason(lastWeek.year);
+  }
+
+  const records = RECORD_DEFINITIONS.map(definition => {
+    const tracker = trackers.get(definition.id);
+    const [holder = null, ...others] = rankCandidates(tracker, runnersUp);
+    return { ...definition, holder, runnersUp: others };
+  });
+  const history = Array.from(trackers.values())
+    .flatMap(tracker => tracker.history)
+    .sort((a, b) => a.year - b.year || a.week - b.week);
+
+  return { records, history, lastWeek: lastWeek ? { year: lastWeek.year, week: lastWeek.week } : null };
+}
+
+/**
+ * Records broken in one week (not counting records set for the first time).
+ * @param {Object} recordBook The result of buildRecordBook.
+ * @param {number} year The season.
+ * @param {number} week The week.
+ * @returns {Array<Object>} History entries with the record's `label` added.
+ */
+export function getRecordsBrokenInWeek(recordBook, year, week) {
+  const labels = new Map(RECORD_DEFINITIONS.map(definition => [definition.id, definition.label]));
+  return recordBook.history
+    .filter(entry => entry.previous && entry.year === year && entry.week === week)
+    .map(entry => ({ ...entry, label: labels.get(entry.recordId) }));
+}
@@ -0,0 +1,97 @@
+// src/utils/router.js
+
+// Hash-based routing, so any view can be linked to and survives a reload without server
+// configuration or a routing library. Routes look like:
+//   #/power-rankings?season=2023&week=5
+//   #/team-detail/<managerId>
+//   #/head-to-head-grid/<managerId>/<opponentId>
+//   #/player-history?player=<playerId>
+// The tab segment is the tab's ID in kebab-case; manager IDs are the stable identities from managerIdentity.js
+// and player IDs are Sleeper's.
+
+import { useState, useEffect, useCallback } from 'react';
+
+const toSlug = (tab) => tab.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+const fromSlug = (slug) => slug.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// What a hash that can't be parsed routes to: the default tab, unfiltered
+const NULL_ROUTE = { tab: null, managerId: null, opponentId: null, season: null, week: null, playerId: null };
+
+const parseNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Parses a location hash into a route.
+ * @param {string} hash E.g. `window.location.hash`.
+ * @returns {{tab: string|null, managerId: string|null, opponentId: string|null, season: number|null, week: number|null, playerId: string|null}}
+ * Every part is null when the path can't be decoded (e.g. a hand-edited link with a stray `%`).
+ */
+export function parseRoute(hash = '') {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  let segments;
+  try {
+    segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    console.warn("Ignoring a route that couldn't be decoded:", hash, error);
+    return { ...NULL_ROUTE };
+  }
+  const [tabSlug, managerId, opponentId] = segments;
+  const params = new URLSearchParams(query);
+  return {
+    tab: tabSlug ? fromSlug(tabSlug) : null,
+    managerId: managerId || null,
+    opponentId: opponentId || null,
+    season: parseNumber(params.get('season')),
+    week: parseNumber(params.get('week')),
+    playerId: params.get('player') || null,
+  };
+}
+
+/**
+ * Builds the location hash for a route. Empty parts are left out.
+ * @param {Object} route `{ tab, managerId, opponentId, season, week, playerId }`; only `tab` is required.
+ * @returns {string} The hash, starting with `#/`.
+ */
+export function buildRouteHash({ tab, managerId, opponentId, season, week, playerId }) {
+  const segments = [toSlug(tab)];
+  if (managerId) segments.push(managerId);
+  if (managerId && opponentId) segments.push(opponentId);
+  const params = new URLSearchParams();
+  if (season != null) params.set('season', season);
+  if (week != null) params.set('week', week);
+  if (playerId) params.set('player', playerId);
+  const query = params.toString();
+  return `#/${segments.map(encodeURIComponent).join('/')}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * The current route, kept in sync with the location hash (including back/forward).
+ * @returns {[Object, Function]} The parsed route and `navigate(route, { replace })`, which updates the hash.
+ * `replace` swaps the current history entry instead of adding one (for filter tweaks that shouldn't
+ * each take a back-button press).
+ */
+export function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const hash = buildRouteHash(nextRoute);
+    if (hash === window.location.hash) return;
+    if (replace) {
+      // replaceState doesn't fire hashchange, so update the route ourselves
+      window.history.replaceState(null, '', hash);
+      setRoute(parseRoute(hash));
+    } else {
+      window.location.hash = hash;
+    }
+  }, []);
+
+  return [route, navigate];
+}
@@ -0,0 +1,17 @@
+// src/utils/router.test.js
+import { buildRouteHash, parseRoute } from './router';
+
+describe('parseRoute', () => {
+  test('reads back what buildRouteHash writes', () => {
+    const route = { tab: 'headToHeadGrid', managerId: 'user 1', opponentId: 'user/2', season: 2023, week: 5, playerId: '4046' };
+    expect(parseRoute(buildRouteHash(route))).toEqual(route);
+  });
+
+  test('falls back to a null route when the path has a malformed escape', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseRoute('#/team-detail/%E0%A4%A')).toEqual({
+      tab: null, managerId: null, opponentId: null, season: null, week: null, playerId: null,
+    });
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,1048 @@
+// src/utils/sleeperApi.js
+
+import {
+  BRACKET_TYPES,
+  buildBracketIndex,
+  getBracketGameForMatchup,
+  buildSeasonFinalStandings,
+  getPlayoffByeRosterIds,
+} from './playoffBrackets';
+import {
+  MATCHUP_TYPES,
+  usesMedianScoring,
+  normalizeWeekMatchups,
+} from './matchupModel';
+import {
+  DEFAULT_TIEBREAKERS,
+  getStandingsSettings,
+  computeStandings,
+  buildStandingsSnapshots,
+  verifyStandingsAgainstRosters,
+} from './standings';
+import { buildLineupEfficiency } from './lineupEfficiency';
+import {
+  computePlayerSeasonPoints,
+  buildDraftBoard,
+  computeDraftGrades,
+  getBestAndWorstPicks,
+} from './draftAnalysis';
+import { buildTransactionLedger } from './transactionLedger';
+import { findKeptPlayers, summarizeKeepersByManager, buildKeeperRosters } from './keepers';
+import { buildScoringModels } from './playoffSimulator';
+import { buildLiveMatchups } from './liveScoreboard';
+import {
+  buildManagerDirectory,
+  getManagerIdForRoster,
+  getManagerDisplayName,
+  isOrphanManagerId,
+} from './managerIdentity';
+import {
+  readCacheRecord,
+  writeCacheRecord,
+  isRecordFresh,
+  isOffline,
+} from './persistentCache';
+import { sleeperRequest, SleeperNotFoundError } from './sleeperClient';
+
+// Re-export the typed request errors so callers can tell failures apart without importing the client
+export {
+  SleeperApiError,
+  SleeperNotFoundError,
+  SleeperNetworkError,
+  SleeperServerError,
+} from './sleeperClient';
+
+// Easily configurable current league ID. This is the default league seeded into the league
+// registry (see leagueRegistry.js); more leagues can be added from the app header.
+export const CURRENT_LEAGUE_ID = '1181984921049018368'; // This is the CURRENT league ID for the 2025 season
+
+// Centralized map linking your internal team names (e.g., last names) to Sleeper User IDs.
+// These are the team-name overrides for the default league; other leagues keep theirs in the registry.
+// YOU MUST POPULATE THIS MAP WITH ALL YOUR TEAM NAMES AND THEIR CORRESPONDING SLEEPER USER IDs.
+export const TEAM_NAME_TO_SLEEPER_ID_MAP = {
+  'Ainsworth': '783790952367169536',
+  'Bjarnar': '783761299275382784',
+  'Blumbergs': '783789717920534528',
+  'Boilard': '783789669597999104',
+  'Dembski': '783767734491127808',
+  'Irwin': '467074573125283840',
+  'Meer': '783778036578418688',
+  'Neufeglise': '783763304463147008',
+  'O\'Donoghue': '783758716272009216',
+  'ODonoghue': '783758716272009216', // Added alias for "ODonoghue"
+  'Randall': '783754997035876352',
+  'Schmitt': '783761892693905408',
+  'Tomczak': '787044291066380288'
+};
+
+// If you have managers who have left the league but you want to reference them, add their Sleeper User IDs here.
+// This set should contain user_ids, not display names.
+export const RETIRED_MANAGERS = new Set([
+  // Example: '783790952367169536', // User ID of a retired manager
+]);
+
+// Cache namespaces for API data to minimize redundant fetches and improve performance.
+// Records are persisted (see persistentCache.js), so they survive reloads and back offline use.
+const leagueDetailsCache = 'leagueDetails';
+const usersCache = 'users';
+const rostersCache = 'rosters';
+const matchupsCache = 'matchups';
+const playersCache = 'players';
+const transactionsCache = 'transactions';
+const draftsCache = 'drafts';
+const draftPicksCache = 'draftPicks';
+const draftTradedPicksCache = 'draftTradedPicks';
+const leagueHistoryCache = 'leagueHistory'; // Cache for league history lineage
+const winnersBracketCache = 'winnersBracket';
+const losersBracketCache = 'losersBracket';
+const nflStateCache = 'nflState';
+const userLookupCache = 'userLookup'; // Sleeper users looked up by username
+const userLeaguesCache = 'userLeagues';
+const projectionsCache = 'projections';
+
+const CACHE_EXPIRATION_MS = 5 * 60 * 1000; // 5 minutes, the default for in-progress data
+const ONE_MINUTE_MS = 60 * 1000;
+const ONE_HOUR_MS = 60 * ONE_MINUTE_MS;
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+const NEVER_EXPIRES = Infinity;
+
+// Helper to get cached data, checking for expiration. While offline any cached copy is returned.
+const getCachedData = async (cache, key, maxAgeMs = CACHE_EXPIRATION_MS) => {
+  const cached = await readCacheRecord(cache, key);
+  if (cached && (isOffline() || isRecordFresh(cached, maxAgeMs))) {
+    console.log(`Returning data for key "${key}" from cache.`);
+    return cached.data;
+  }
+  return null;
+};
+
+// Helper to get cached data of any age, used as a fallback when a request fails
+const getStaleCachedData = async (cache, key) => {
+  const cached = await readCacheRecord(cache, key);
+  if (!cached) return null;
+  console.warn(`Serving stale data for key "${key}" from cache.`);
+  return cached.data;
+};
+
+// Helper to set data in cache with a timestamp
+const setCachedData = (cache, key, data) => writeCacheRecord(cache, key, data);
+
+// Reads a league's details from the cache (any age) to decide how long its other data stays fresh
+const getCachedLeagueDetails = async (leagueId) => (await readCacheRecord(leagueDetailsCache, leagueId))?.data || null;
+
+// Completed seasons never change, so anything belonging to them never expires
+const maxAgeForSeason = (inProgressMaxAgeMs) => async (leagueId) => (
+  (await getCachedLeagueDetails(leagueId))?.status === 'complete' ? NEVER_EXPIRES : inProgressMaxAgeMs
+);
+
+// Weekly data: the current week (`settings.leg`) refreshes every minute, past weeks daily, future weeks hourly
+const maxAgeForWeek = (currentWeekMaxAgeMs) => async (leagueId, week) => {
+  const leagueDetails = await getCachedLeagueDetails(leagueId);
+  if (leagueDetails?.status === 'complete') return NEVER_EXPIRES;
+  const currentWeek = leagueDetails?.settings?.leg;
+  if (!currentWeek || week === currentWeek) return currentWeekMaxAgeMs;
+  return week < currentWeek ? ONE_DAY_MS : ONE_HOUR_MS;
+};
+
+// Per-endpoint staleness rules, each resolving to a max age in milliseconds
+const CACHE_MAX_AGE_RULES = {
+  leagueDetails: maxAgeForSeason(CACHE_EXPIRATION_MS),
+  leagueHistory: async () => ONE_DAY_MS,
+  users: maxAgeForSeason(ONE_HOUR_MS),
+  rosters: maxAgeForSeason(CACHE_EXPIRATION_MS),
+  matchups: maxAgeForWeek(ONE_MINUTE_MS),
+  transactions: maxAgeForWeek(CACHE_EXPIRATION_MS),
+  drafts: maxAgeForSeason(ONE_HOUR_MS),
+  draftPicks: maxAgeForSeason(CACHE_EXPIRATION_MS), // Keyed by the draft's league, so a live draft stays current
+  brackets: maxAgeForSeason(CACHE_EXPIRATION_MS),
+  players: async () => ONE_DAY_MS, // The /players/nfl dump is several megabytes; Sleeper asks for at most one download a day
+  nflState: async () => CACHE_EXPIRATION_MS,
+  userLookup: async () => ONE_DAY_MS,
+  userLeagues: async () => ONE_HOUR_MS,
+  projections: async () => ONE_HOUR_MS,
+};
+
+/**
+ * Shared cache-then-network lookup used by every fetch helper.
+ * A 404 resolves to `notFoundValue`; any other failure falls back to a stale cached copy,
+ * and is rethrown when there is none so callers can tell "no data" apart from "request failed".
+ * @param {Object} options
+ * @param {string} options.cache The cache namespace.
+ * @param {string} options.cacheKey The key within the namespace.
+ * @param {number} options.maxAgeMs How long a cached copy stays fresh.
+ * @param {string} options.path The Sleeper API path to request.
+ * @param {string} options.description Human-readable description used in log messages.
+ * @param {*} options.notFoundValue The value to resolve with when Sleeper returns 404.
+ * @param {Function} [options.transform] Optional transform applied to the response before caching.
+ * @returns {Promise<*>} The cached or freshly fetched data.
+ * @throws {SleeperNetworkError|SleeperServerError} When the request fails and nothing is cached.
+ */
+async function fetchWithCache({ cache, cacheKey, maxAgeMs, path, description, notFoundValue, transform }) {
+  const cached = await getCachedData(cache, cacheKey, maxAgeMs);
+  if (cached !== null) return cached;
+
+  try {
+    console.log(`Fetching ${description}...`);
+    const response = await sleeperRequest(path);
+    const data = transform ? transform(response) : response;
+    await setCachedData(cache, cacheKey, data);
+    console.log(`Successfully fetched ${description}.`);
+    return data;
+  } catch (error) {
+    if (error instanceof SleeperNotFoundError) {
+      console.warn(`No data found for ${description}.`);
+      return notFoundValue;
+    }
+    const stale = await getStaleCachedData(cache, cacheKey);
+    if (stale !== null) return stale;
+    console.error(`Failed to fetch ${description}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches league details for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Object>} A promise that resolves to the league details object.
+ */
+export async function fetchLeagueDetails(leagueId) {
+  return fetchWithCache({
+    cache: leagueDetailsCache,
+    cacheKey: leagueId,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.leagueDetails(leagueId),
+    path: `/league/${leagueId}`,
+    description: `league details for league ID: ${leagueId}`,
+    notFoundValue: null,
+  });
+}
+
+/**
+ * Fetches historical league IDs for a given league lineage (past seasons).
+ * @param {string} leagueId The ID of the Sleeper league (current or past).
+ * @returns {Promise<Array<string>>} A promise that resolves to an array of historical league IDs.
+ */
+export async function fetchLeagueHistory(leagueId) {
+  return fetchWithCache({
+    cache: leagueHistoryCache,
+    cacheKey: leagueId,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.leagueHistory(),
+    path: `/league/${leagueId}/history`,
+    description: `league history for league ID: ${leagueId}`,
+    notFoundValue: [],
+    transform: data => (data || []).map(league => league.league_id),
+  });
+}
+
+/**
+ * Fetches users data for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of user objects.
+ */
+export async function fetchUsersData(leagueId) {
+  return fetchWithCache({
+    cache: usersCache,
+    cacheKey: `users-${leagueId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.users(leagueId),
+    path: `/league/${leagueId}/users`,
+    description: `users for league ID: ${leagueId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches rosters data for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of roster objects.
+ */
+export async function fetchRostersData(leagueId) {
+  return fetchWithCache({
+    cache: rostersCache,
+    cacheKey: `rosters-${leagueId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.rosters(leagueId),
+    path: `/league/${leagueId}/rosters`,
+    description: `rosters for league ID: ${leagueId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches NFL players data.
+ * @returns {Promise<Object>} A promise that resolves to an object of NFL players.
+ */
+export async function fetchNFLPlayers() {
+  return fetchWithCache({
+    cache: playersCache,
+    cacheKey: 'nflPlayers',
+    maxAgeMs: await CACHE_MAX_AGE_RULES.players(),
+    path: '/players/nfl',
+    description: 'NFL players data',
+    notFoundValue: {},
+  });
+}
+
+/**
+ * Fetches matchup data for a given week and league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @param {number} week The week number.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] Overrides how long a cached copy stays fresh, e.g. 0 for live scores.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of matchup objects.
+ */
+export async function fetchMatchupsForWeek(leagueId, week, { maxAgeMs } = {}) {
+  // A 404 means no matchups exist for the week (likely end of season or pre-season)
+  return fetchWithCache({
+    cache: matchupsCache,
+    cacheKey: `matchups-${leagueId}-${week}`,
+    maxAgeMs: maxAgeMs ?? await CACHE_MAX_AGE_RULES.matchups(leagueId, week),
+    path: `/league/${leagueId}/matchups/${week}`,
+    description: `matchups for league ID: ${leagueId}, week: ${week}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches transactions for a given week in a league.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @param {number} week The week number.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of transaction objects.
+ */
+export async function fetchTransactionsForWeek(leagueId, week) {
+  return fetchWithCache({
+    cache: transactionsCache,
+    cacheKey: `transactions-${leagueId}-${week}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.transactions(leagueId, week),
+    path: `/league/${leagueId}/transactions/${week}`,
+    description: `transactions for league ID: ${leagueId}, week: ${week}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches league drafts for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of draft objects.
+ */
+export async function fetchLeagueDrafts(leagueId) {
+  return fetchWithCache({
+    cache: draftsCache,
+    cacheKey: `drafts-${leagueId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.drafts(leagueId),
+    path: `/league/${leagueId}/drafts`,
+    description: `drafts for league ID: ${leagueId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches every pick made in a draft.
+ * @param {string} draftId The ID of the Sleeper draft.
+ * @param {string} [leagueId] The draft's league, used to keep picks from completed seasons cached for good.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of pick objects, in pick order.
+ */
+export async function fetchDraftPicks(draftId, leagueId) {
+  return fetchWithCache({
+    cache: draftPicksCache,
+    cacheKey: `draftPicks-${draftId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.draftPicks(leagueId),
+    path: `/draft/${draftId}/picks`,
+    description: `picks for draft ID: ${draftId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches the picks in a draft that changed hands before it was held.
+ * @param {string} draftId The ID of the Sleeper draft.
+ * @param {string} [leagueId] The draft's league, used to keep completed seasons cached for good.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of traded pick objects
+ * (`round`, `roster_id` of the original owner, `owner_id` of the new owner, `previous_owner_id`).
+ */
+export async function fetchDraftTradedPicks(draftId, leagueId) {
+  return fetchWithCache({
+    cache: draftTradedPicksCache,
+    cacheKey: `draftTradedPicks-${draftId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.draftPicks(leagueId),
+    path: `/draft/${draftId}/traded_picks`,
+    description: `traded picks for draft ID: ${draftId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches the current NFL state (season, week, season type) from Sleeper.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] Overrides how long a cached copy stays fresh.
+ * @returns {Promise<Object|null>} A promise that resolves to the NFL state object.
+ */
+export async function fetchNFLState({ maxAgeMs } = {}) {
+  return fetchWithCache({
+    cache: nflStateCache,
+    cacheKey: 'nfl',
+    maxAgeMs: maxAgeMs ?? await CACHE_MAX_AGE_RULES.nflState(),
+    path: '/state/nfl',
+    description: 'NFL state',
+    notFoundValue: null,
+  });
+}
+
+/**
+ * Fetches Sleeper's projected stats for every player in an NFL week.
+ * @param {string|number} season The season year.
+ * @param {number} week The week number.
+ * @returns {Promise<Object>} A promise that resolves to a map of player ID to projected stats.
+ */
+export async function fetchPlayerProjections(season, week) {
+  return fetchWithCache({
+    cache: projectionsCache,
+    cacheKey: `projections-${season}-${week}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.projections(),
+    path: `/projections/nfl/regular/${season}/${week}`,
+    description: `player projections for season: ${season}, week: ${week}`,
+    notFoundValue: {},
+    transform: data => data || {},
+  });
+}
+
+/**
+ * Looks up a Sleeper user by username.
+ * @param {string} username The Sleeper username (case-insensitive).
+ * @returns {Promise<Object|null>} A promise that resolves to the user object, or null if no such user exists.
+ */
+export async function fetchUserByUsername(username) {
+  const normalizedUsername = username.trim().toLowerCase();
+  return fetchWithCache({
+    cache: userLookupCache,
+    cacheKey: normalizedUsername,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.userLookup(),
+    path: `/user/${encodeURIComponent(normalizedUsername)}`,
+    description: `Sleeper user "${normalizedUsername}"`,
+    notFoundValue: null,
+  });
+}
+
+/**
+ * Fetches all NFL leagues a user belongs to for a season.
+ * @param {string} userId The Sleeper user ID.
+ * @param {string|number} season The season year.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of league objects.
+ */
+export async function fetchUserLeagues(userId, season) {
+  return fetchWithCache({
+    cache: userLeaguesCache,
+    cacheKey: `userLeagues-${userId}-${season}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.userLeagues(),
+    path: `/user/${userId}/leagues/nfl/${season}`,
+    description: `leagues for user ID: ${userId}, season: ${season}`,
+    notFoundValue: [],
+    transform: data => data || [],
+  });
+}
+
+/**
+ * Helper to get the Sleeper player headshot URL.
+ * @param {string} playerId The Sleeper player ID.
+ * @returns {string} The URL to the player's headshot.
+ */
+export function getSleeperPlayerHeadshotUrl(playerId) {
+  if (!playerId) {
+    return 'https://sleeper.app/img/content/default_avatar.jpg'; // Default avatar if no player ID
+  }
+  return `https://sleepercdn.com/content/nfl/players/${playerId}.jpg`;
+}
+
+/**
+ * Helper to get the Sleeper user avatar URL.
+ * @param {string} avatarId The Sleeper avatar ID from user object.
+ * @returns {string} The URL to the user's avatar.
+ */
+export function getSleeperAvatarUrl(avatarId) {
+  if (!avatarId) {
+    return 'https://sleeper.app/img/content/default_avatar.jpg'; // Default avatar if no avatarId
+  }
+  return `https://sleepercdn.com/avatars/thumbs/${avatarId}`;
+}
+
+/**
+ * Fetches league details for every season in a league's lineage, from leagueStartYear onwards.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started. Earlier seasons are ignored.
+ * @returns {Promise<Array<Object>>} League details objects sorted by season, oldest first.
+ */
+export async function fetchLeagueLineage(currentLeagueId, leagueStartYear) {
+  // Sleeper's /history endpoint gives previous seasons. We need to include the current one too.
+  const historicalLeagueIdsResponse = await fetchLeagueHistory(currentLeagueId);
+  const allRelevantLeagueIds = [...new Set([currentLeagueId, ...historicalLeagueIdsResponse])];
+
+  // Fetch details for all relevant leagues to sort them by season
+  const leagueDetailsPromises = allRelevantLeagueIds.map(id => fetchLeagueDetails(id));
+  const allLeagueDetails = (await Promise.all(leagueDetailsPromises)).filter(Boolean); // Filter out nulls
+
+  // Sort leagues by season year in ascending order, dropping anything before the league started
+  return allLeagueDetails
+    .filter(league => !leagueStartYear || parseInt(league.season) >= leagueStartYear)
+    .sort((a, b) => a.season - b.season);
+}
+
+/**
+ * Fetches the users and rosters for every season in a league's lineage.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started. Earlier seasons are ignored.
+ * @returns {Promise<Array<Object>>} `{ year, leagueId, leagueDetails, users, rosters }` per season, oldest first.
+ */
+export async function fetchLineageSeasons(currentLeagueId, leagueStartYear) {
+  const sortedLeagueDetails = await fetchLeagueLineage(currentLeagueId, leagueStartYear);
+  return Promise.all(sortedLeagueDetails.map(async leagueDetails => {
+    const leagueId = leagueDetails.league_id;
+    const [users, rosters] = await Promise.all([fetchUsersData(leagueId), fetchRostersData(leagueId)]);
+    return { year: parseInt(leagueDetails.season), leagueId, leagueDetails, users, rosters };
+  }));
+}
+
+/**
+ * Builds the manager directory (stable identities across seasons) for a league lineage.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Object} [options.teamNameOverrides] The league's map of custom team name to Sleeper user ID.
+ * Defaults to TEAM_NAME_TO_SLEEPER_ID_MAP.
+ * @param {Array<string>} [options.retiredManagers] User IDs of retired managers. Defaults to RETIRED_MANAGERS.
+ * @param {Object} [options.managerLinks] Map of user ID to the user ID whose identity it should share.
+ * @param {Array<Object>} [options.ownershipChanges] Mid-season ownership changes (see buildManagerDirectory).
+ * @returns {Promise<Object>} The directory from buildManagerDirectory.
+ */
+export async function fetchManagerDirectory(currentLeagueId, leagueStartYear, {
+  teamNameOverrides = TEAM_NAME_TO_SLEEPER_ID_MAP,
+  retiredManagers = RETIRED_MANAGERS,
+  managerLinks = {},
+  ownershipChanges = [],
+} = {}) {
+  const seasons = await fetchLineageSeasons(currentLeagueId, leagueStartYear);
+  return buildManagerDirectory(seasons, { teamNameOverrides, retiredManagers, managerLinks, ownershipChanges });
+}
+
+/**
+ * Fetches a season's brackets and indexes them for tagging playoff matchups.
+ * @param {Object} leagueDetails The league details object for the season.
+ * @param {Array<Object>} rosters The season's rosters.
+ * @returns {Promise<Object>} The bracket index from buildBracketIndex.
+ */
+async function fetchBracketIndex(leagueDetails, rosters) {
+  const [winnersBracket, losersBracket] = await Promise.all([
+    fetchWinnersBracket(leagueDetails.league_id),
+    fetchLosersBracket(leagueDetails.league_id),
+  ]);
+  return buildBracketIndex(winnersBracket, losersBracket, leagueDetails, rosters.length);
+}
+
+/**
+ * Fetches and normalizes every matchup for one season: head-to-head games, byes and multi-team
+ * groups, with median results for leagues that play the median (see matchupModel.js).
+ * All weeks are requested at once; the Sleeper client enforces the concurrency cap.
+ * @param {Object} leagueDetails The league details object for the season.
+ * @param {Object} managerDirectory The lineage's manager directory, used to attribute rosters to managers.
+ * @returns {Promise<{matchups: Array<Object>, dataQualityIssues: Array<Object>}>} The season's matchups,
+ * ordered by week, and any games that could not be attributed to a manager.
+ */
+async function fetchSeasonMatchups(leagueDetails, managerDirectory) {
+  const leagueId = leagueDetails.league_id;
+  console.log(`Processing historical data for league ID: ${leagueId} (Season: ${leagueDetails.season})`);
+
+  const season = parseInt(leagueDetails.season);
+  // Sleeper's playoff_week_start is the first week of playoffs.
+  // last_regular_season_week might be present too.
+  const lastRegularSeasonWeek = leagueDetails.settings?.playoff_week_start ? leagueDetails.settings.playoff_week_start - 1 : leagueDetails.settings?.last_regular_season_week || 14;
+  const playoffStartWeek = leagueDetails.settings?.playoff_week_start || (lastRegularSeasonWeek + 1);
+  const usesMedian = usesMedianScoring(leagueDetails.settings);
+
+  // Fetch rosters for this specific season/league ID
+  const rosters = await fetchRostersData(leagueId);
+  const bracketIndex = await fetchBracketIndex(leagueDetails, rosters);
+
+  // Map roster_id to the Sleeper user running it (owner, or a co-owner if the owner slot is empty)
+  const rosterIdToUserId = new Map(rosters.map(r => [r.roster_id, r.owner_id || r.co_owners?.[0] || null]));
+
+  // The user behind a manager for this game: the roster's Sleeper owner unless a mid-season change says otherwise
+  const getUserIdForGame = (managerId, rosterId) => {
+    if (!managerId || isOrphanManagerId(managerId)) return null;
+    const ownerUserId = rosterIdToUserId.get(rosterId);
+    return managerDirectory.userIdToManagerId.get(ownerUserId) === managerId ? ownerUserId : managerId;
+  };
+
+  // Regular season weeks, then playoff weeks through the bracket's last week (or playoffStartWeek + 4 without bracket data).
+  // In-progress seasons stop at the current week (`settings.leg`); later weeks are scheduled but unplayed.
+  const lastPlayoffWeek = bracketIndex.lastWeek || playoffStartWeek + 4;
+  const currentWeek = leagueDetails.status !== 'complete' ? leagueDetails.settings?.leg : null;
+  const lastWeek = currentWeek != null ? Math.min(lastPlayoffWeek, currentWeek) : lastPlayoffWeek;
+  const weeks = [];
+  for (let week = 1; week <= lastWeek; week++) {
+    weeks.push(week);
+  }
+  const weeklyMatchups = await Promise.all(weeks.map(week => fetchMatchupsForWeek(leagueId, week)));
+
+  const seasonMatchups = [];
+  const dataQualityIssues = [];
+
+  weeks.forEach((week, index) => {
+    const isPlayoffWeek = week >= playoffStartWeek;
+    const reportIssue = (matchupId, game, reason, attributed = false) => {
+      dataQualityIssues.push({
+        year: season,
+        leagueId,
+        week,
+        matchupId,
+        rosterIds: game.map(entry => entry.roster_id),
+        points: game.map(entry => entry.points),
+        reason,
+        attributed, // true when the game was kept but credited to a placeholder
+      });
+    };
+
+    // Attribute each side via its roster, so co-owned, orphaned and re-assigned rosters are all credited
+    const resolveSide = (entry) => {
+      const managerId = getManagerIdForRoster(managerDirectory, season, entry.roster_id, week);
+      if (!managerId) return null;
+      return {
+        team: getManagerDisplayName(managerDirectory, managerId),
+        managerId,
+        userId: getUserIdForGame(managerId, entry.roster_id),
+        rosterId: entry.roster_id,
+      };
+    };
+
+    const weekMatchups = normalizeWeekMatchups(weeklyMatchups[index], {
+      year: season,
+      week,
+      isPlayoffWeek,
+      usesMedian,
+      playoffByeRosterIds: isPlayoffWeek ? getPlayoffByeRosterIds(bracketIndex, week) : undefined,
+      resolveSide,
+      reportIssue,
+    });
+
+    weekMatchups.forEach(matchup => {
+      if (matchup.teams.some(side => isOrphanManagerId(side.managerId))) {
+        reportIssue(matchup.matchupId, matchup.teams.map(side => ({ roster_id: side.rosterId, points: side.score })),
+          'Roster had no owner; credited to an orphaned-team placeholder', true);
+      }
+
+      const bracketGame = isPlayoffWeek && matchup.matchupType === MATCHUP_TYPES.HEAD_TO_HEAD
+        ? getBracketGameForMatchup(bracketIndex, week, matchup.team1RosterId, matchup.team2RosterId)
+        : null;
+      seasonMatchups.push({
+        ...matchup,
+        playoffs: bracketGame?.bracket === BRACKET_TYPES.WINNERS, // Only winners bracket games are true playoff games
+        bracket: bracketGame?.bracket || null,
+        playoffRound: bracketGame?.round || null,
+        finalSeedingGame: bracketGame?.placesDecided?.winnerPlace || null, // e.g. 1 = championship, 3 = 3rd place game
+      });
+    });
+  });
+
+  return { matchups: seasonMatchups, dataQualityIssues };
+}
+
+/**
+ * Fetches all historical matchups for a given league lineage from Sleeper API, along with a
+ * data-quality report of any games that could not be attributed to a manager.
+ * Transforms data into a consistent format for the application. Playoff-week games are tagged
+ * with their bracket (winners/losers/consolation), round and the final place they decide;
+ * only winners bracket games count as `playoffs`. Byes and multi-team groups are included with a
+ * `matchupType` (see matchupModel.js); use isHeadToHead to keep only two-team games.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @param {Object} [options.teamNameOverrides] The league's map of custom team name to Sleeper user ID.
+ * @param {Array<string>} [options.retiredManagers] User IDs of retired managers.
+ * @param {Object} [options.managerLinks] Map of user ID to the user ID whose identity it should share.
+ * @param {Array<Object>} [options.ownershipChanges] Mid-season ownership changes (see buildManagerDirectory).
+ * @returns {Promise<{matchups: Array<Object>, dataQualityIssues: Array<Object>}>} The matchups and the report.
+ * @throws {SleeperNetworkError|SleeperServerError} When Sleeper can't be reached and nothing is cached.
+ */
+export async function fetchHistoricalMatchupsWithReport(currentLeagueId, leagueStartYear, { managerDirectory, ...identityOptions } = {}) {
+  try {
+    const sortedLeagueDetails = await fetchLeagueLineage(currentLeagueId, leagueStartYear);
+    const directory = managerDirectory || await fetchManagerDirectory(currentLeagueId, leagueStartYear, identityOptions);
+
+    console.log("All relevant league IDs for historical data (sorted):", sortedLeagueDetails.map(l => `${l.season} (${l.league_id})`));
+
+    const seasons = await Promise.all(sortedLeagueDetails.map(leagueDetails => fetchSeasonMatchups(leagueDetails, directory)));
+    const allHistoricalMatchups = seasons.flatMap(season => season.matchups);
+    const dataQualityIssues = seasons.flatMap(season => season.dataQualityIssues);
+
+    console.log("Finished fetching all historical matchups from Sleeper.", allHistoricalMatchups);
+    return { matchups: allHistoricalMatchups, dataQualityIssues };
+  } catch (error) {
+    console.error("Error fetching historical matchups from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches all historical matchups for a given league lineage from Sleeper API.
+ * See fetchHistoricalMatchupsWithReport for the matchup format and options.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options] Same options as fetchHistoricalMatchupsWithReport.
+ * @returns {Promise<Array<Object>>} An array of historical matchup objects.
+ * @throws {SleeperNetworkError|SleeperServerError} When Sleeper can't be reached and nothing is cached.
+ */
+export async function fetchHistoricalMatchups(currentLeagueId, leagueStartYear, options = {}) {
+  const { matchups } = await fetchHistoricalMatchupsWithReport(currentLeagueId, leagueStartYear, options);
+  return matchups;
+}
+
+/**
+ * Fetches the final standings for every season in a league lineage, resolved from the playoff brackets.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @param {Object} [options.teamNameOverrides] The league's map of custom team name to Sleeper user ID.
+ * @param {Array<string>} [options.retiredManagers] User IDs of retired managers.
+ * @param {Object} [options.managerLinks] Map of user ID to the user ID whose identity it should share.
+ * @returns {Promise<Array<Object>>} One entry per season, oldest first:
+ * `{ year, leagueId, isComplete, standings, champion, runnerUp, lastPlace }`.
+ * @throws {SleeperNetworkError|SleeperServerError} When Sleeper can't be reached and nothing is cached.
+ */
+export async function fetchSeasonFinalStandings(currentLeagueId, leagueStartYear, { managerDirectory, ...identityOptions } = {}) {
+  try {
+    const lineageSeasons = await fetchLineageSeasons(currentLeagueId, leagueStartYear);
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+
+    const seasons = await Promise.all(lineageSeasons.map(async ({ year, leagueId, leagueDetails, rosters }) => {
+      const bracketIndex = await fetchBracketIndex(leagueDetails, rosters);
+      return buildSeasonFinalStandings({ year, leagueId, bracketIndex, rosters, managerDirectory: directory });
+    }));
+
+    console.log("Finished resolving final standings for all seasons.", seasons);
+    return seasons;
+  } catch (error) {
+    console.error("Error resolving season final standings from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Computes regular season standings for every season in a league lineage, with an "as of week N"
+ * snapshot for each week played. Completed seasons are checked against the records Sleeper stores
+ * on its rosters, and any mismatch is logged and returned.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups. Fetched when omitted.
+ * @param {Array<string>} [options.tiebreakers] Tiebreakers applied after win percentage (see standings.js).
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @returns {Promise<Array<Object>>} `{ year, leagueId, lastRegularSeasonWeek, snapshots, standings, discrepancies }`
+ * per season, where `standings` is the latest snapshot (through the last finished week of an in-progress season).
+ */
+export async function fetchStandingsHistory(currentLeagueId, leagueStartYear, { matchups, tiebreakers = DEFAULT_TIEBREAKERS, managerDirectory, ...identityOptions } = {}) {
+  try {
+    const lineageSeasons = await fetchLineageSeasons(currentLeagueId, leagueStartYear);
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear, { managerDirectory: directory });
+
+    const seasons = lineageSeasons.map(({ year, leagueId, leagueDetails, rosters }) => {
+      const params = { year, matchups: allMatchups, rosters, leagueDetails, managerDirectory: directory, tiebreakers };
+      const snapshots = buildStandingsSnapshots(params);
+      const standings = snapshots[snapshots.length - 1] || computeStandings(params);
+
+      const { lastRegularSeasonWeek } = getStandingsSettings(leagueDetails);
+      const regularSeasonComplete = leagueDetails.status === 'complete' || standings.week >= lastRegularSeasonWeek;
+      const discrepancies = regularSeasonComplete ? verifyStandingsAgainstRosters(standings, rosters) : [];
+      if (discrepancies.length > 0) {
+        console.warn(`Computed ${year} standings differ from Sleeper's roster records:`, discrepancies);
+      }
+      return { year, leagueId, lastRegularSeasonWeek, snapshots, standings, discrepancies };
+    });
+
+    console.log("Finished computing standings for all seasons.", seasons);
+    return seasons;
+  } catch (error) {
+    console.error("Error computing standings history from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Computes bench points, optimal lineups and manager efficiency for every season in a league lineage,
+ * using each season's `roster_positions` and the NFL players list for positions.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups. Fetched when omitted.
+ * @returns {Promise<{weeks: Array<Object>, seasons: Array<Object>}>} The result of buildLineupEfficiency.
+ */
+export async function fetchLineupEfficiency(currentLeagueId, leagueStartYear, { matchups } = {}) {
+  try {
+    const [sortedLeagueDetails, playersById] = await Promise.all([
+      fetchLeagueLineage(currentLeagueId, leagueStartYear),
+      fetchNFLPlayers(),
+    ]);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear);
+
+    const rosterPositionsByYear = {};
+    sortedLeagueDetails.forEach(leagueDetails => {
+      rosterPositionsByYear[parseInt(leagueDetails.season)] = leagueDetails.roster_positions || [];
+    });
+
+    return buildLineupEfficiency(allMatchups, rosterPositionsByYear, playersById);
+  } catch (error) {
+    console.error("Error computing lineup efficiency from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Loads every season's draft board for a league lineage and scores each pick against its slot.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups, used for player season
+ * points. Fetched when omitted.
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @returns {Promise<{boards: Array<Object>, grades: Array<Object>, bestPicks: Array<Object>, worstPicks: Array<Object>}>}
+ * Draft boards by season (see draftAnalysis.js), each manager's grade per draft and the best/worst picks all-time.
+ */
+export async function fetchDraftHistory(currentLeagueId, leagueStartYear, { matchups, managerDirectory, ...identityOptions } = {}) {
+  try {
+    const [lineageSeasons, playersById] = await Promise.all([
+      fetchLineageSeasons(currentLeagueId, leagueStartYear),
+      fetchNFLPlayers(),
+    ]);
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear, { managerDirectory: directory });
+
+    const seasonBoards = await Promise.all(lineageSeasons.map(async ({ year, leagueId, leagueDetails }) => {
+      const drafts = (await fetchLeagueDrafts(leagueId)).filter(draft => draft.status === 'complete');
+      const playerSeasonPoints = computePlayerSeasonPoints(allMatchups, year, getStandingsSettings(leagueDetails).lastRegularSeasonWeek);
+
+      return Promise.all(drafts.map(async draft => {
+        const [picks, tradedPicks] = await Promise.all([
+          fetchDraftPicks(draft.draft_id, leagueId),
+          fetchDraftTradedPicks(draft.draft_id, leagueId),
+        ]);
+        return buildDraftBoard({ year, draft, picks, tradedPicks, managerDirectory: directory, playersById, playerSeasonPoints });
+      }));
+    }));
+
+    const boards = seasonBoards.flat();
+    const { best, worst } = getBestAndWorstPicks(boards);
+    console.log("Finished loading draft history.", boards);
+    return { boards, grades: computeDraftGrades(boards), bestPicks: best, worstPicks: worst };
+  } catch (error) {
+    console.error("Error loading draft history from Sleeper:", error);
+    throw error;
+  }
+}
+
+// Sleeper files transactions by week ("leg"); 18 covers the longest NFL regular season plus playoffs
+const LAST_TRANSACTION_WEEK = 18;
+
+/**
+ * Builds the transaction ledger for a league lineage: every week of every season's trades, waiver
+ * claims and free-agent moves, with each trade valued by the points its assets produced for each side.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups. Fetched when omitted.
+ * @param {Array<Object>} [options.draftBoards] Boards from fetchDraftHistory, used to value traded picks.
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @returns {Promise<Object>} The ledger from buildTransactionLedger.
+ */
+export async function fetchTransactionLedger(currentLeagueId, leagueStartYear, { matchups, draftBoards = [], managerDirectory, ...identityOptions } = {}) {
+  try {
+    const [lineageSeasons, playersById] = await Promise.all([
+      fetchLineageSeasons(currentLeagueId, leagueStartYear),
+      fetchNFLPlayers(),
+    ]);
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear, { managerDirectory: directory });
+
+    const weeks = Array.from({ length: LAST_TRANSACTION_WEEK }, (_, index) => index + 1);
+    const seasonTransactions = await Promise.all(lineageSeasons.map(async ({ year, leagueId }) => {
+      const weeklyTransactions = await Promise.all(weeks.map(week => fetchTransactionsForWeek(leagueId, week)));
+      return weeklyTransactions.flatMap((transactions, index) => transactions.map(transaction => ({ year, week: weeks[index], transaction })));
+    }));
+
+    const ledger = buildTransactionLedger(seasonTransactions.flat(), { managerDirectory: directory, playersById, matchups: allMatchups, draftBoards });
+    console.log("Finished building the transaction ledger.", ledger);
+    return ledger;
+  } catch (error) {
+    console.error("Error building the transaction ledger from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Finds the players kept from one season to the next across a league lineage, linking each season's
+ * rosters to the previous season's, and collects the current rosters for projecting next season's keepers.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups. Fetched when omitted.
+ * @param {Array<Object>} [options.draftBoards] Boards from fetchDraftHistory, for keeper costs.
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @returns {Promise<{year: number, keepers: Array<Object>, managerTotals: Array<Object>, currentRosters: Array<Object>}>}
+ * The current season, every keeper from findKeptPlayers, per-manager totals from summarizeKeepersByManager and
+ * the current rosters from buildKeeperRosters, for projectKeeperOptions (see keepers.js).
+ */
+export async function fetchKeeperHistory(currentLeagueId, leagueStartYear, { matchups, draftBoards = [], managerDirectory, ...identityOptions } = {}) {
+  try {
+    const [lineageSeasons, playersById] = await Promise.all([
+      fetchLineageSeasons(currentLeagueId, leagueStartYear),
+      fetchNFLPlayers(),
+    ]);
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear, { managerDirectory: directory });
+
+    const lastRegularSeasonWeeks = {};
+    lineageSeasons.forEach(({ year, leagueDetails }) => {
+      lastRegularSeasonWeeks[year] = getStandingsSettings(leagueDetails).lastRegularSeasonWeek;
+    });
+    const keepers = findKeptPlayers({ seasons: lineageSeasons, draftBoards, matchups: allMatchups, managerDirectory: directory, playersById, lastRegularSeasonWeeks });
+
+    const { year, rosters } = lineageSeasons[lineageSeasons.length - 1];
+    const currentRosters = buildKeeperRosters({ year, rosters, managerDirectory: directory, playersById });
+
+    console.log("Finished loading keeper history.", keepers);
+    return { year, keepers, managerTotals: summarizeKeepersByManager(keepers), currentRosters };
+  } catch (error) {
+    console.error("Error loading keeper history from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Gathers what the playoff simulator needs for the current season: standings through the last completed
+ * week, the unplayed regular season schedule and each team's scoring model.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {number} leagueStartYear The year the league started.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.matchups] Matchups from fetchHistoricalMatchups. Fetched when omitted.
+ * @param {Array<string>} [options.tiebreakers] The league's standings tiebreakers.
+ * @param {Object} [options.managerDirectory] A directory from fetchManagerDirectory. Built from the
+ * remaining options when omitted.
+ * @returns {Promise<Object|null>} Input for runPlayoffSimulation plus `year` and `week`, or null once the
+ * regular season is over.
+ */
+export async function fetchPlayoffSimulationInput(currentLeagueId, leagueStartYear, { matchups, tiebreakers = DEFAULT_TIEBREAKERS, managerDirectory, ...identityOptions } = {}) {
+  try {
+    const lineageSeasons = await fetchLineageSeasons(currentLeagueId, leagueStartYear);
+    const currentSeason = lineageSeasons[lineageSeasons.length - 1];
+    const { year, leagueId, leagueDetails, rosters } = currentSeason;
+    const { lastRegularSeasonWeek, playoffTeams, divisions } = getStandingsSettings(leagueDetails);
+    const currentWeek = leagueDetails.settings?.leg || 1;
+    if (leagueDetails.status === 'complete' || currentWeek > lastRegularSeasonWeek) return null;
+
+    const directory = managerDirectory || buildManagerDirectory(lineageSeasons, identityOptions);
+    const allMatchups = matchups || await fetchHistoricalMatchups(currentLeagueId, leagueStartYear, { managerDirectory: directory });
+    const throughWeek = currentWeek - 1;
+    const { standings, pairRecords } = computeStandings({ year, matchups: allMatchups, rosters, leagueDetails, managerDirectory: directory, throughWeek, tiebreakers });
+
+    // The current week counts as unplayed: its scores are still moving
+    const weeks = [];
+    for (let week = currentWeek; week <= lastRegularSeasonWeek; week++) {
+      weeks.push(week);
+    }
+    const weeklyMatchups = await Promise.all(weeks.map(week => fetchMatchupsForWeek(leagueId, week)));
+    const remainingGames = weeklyMatchups.flatMap((entries, index) => {
+      const games = new Map();
+      entries.forEach(entry => {
+        if (entry.matchup_id == null) return;
+        if (!games.has(entry.matchup_id)) games.set(entry.matchup_id, []);
+        games.get(entry.matchup_id).push(entry.roster_id);
+      });
+      return Array.from(games.values()).map(rosterIds => ({ week: weeks[index], rosterIds }));
+    });
+
+    return {
+      year,
+      week: currentWeek,
+      teams: standings,
+      pairRecords,
+      remainingGames,
+      scoringModels: buildScoringModels(allMatchups, { year, throughWeek, teams: standings }),
+      settings: { playoffTeams, divisions, tiebreakers, usesMedian: usesMedianScoring(leagueDetails.settings) },
+    };
+  } catch (error) {
+    console.error("Error preparing the playoff simulation from Sleeper:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches the current league's matchups for the NFL week being played, bypassing the cache so scores are live.
+ * @param {string} currentLeagueId The current season's league ID.
+ * @param {Object} params
+ * @param {Object} params.managerDirectory A directory from fetchManagerDirectory.
+ * @returns {Promise<Object|null>} `{ year, week, matchups }` with matchups from buildLiveMatchups, or null when
+ * no week of this league is being played (offseason, NFL postseason, or the league's season is over).
+ */
+export async function fetchLiveScoreboard(currentLeagueId, { managerDirectory }) {
+  const [nflState, leagueDetails] = await Promise.all([fetchNFLState({ maxAgeMs: 0 }), fetchLeagueDetails(currentLeagueId)]);
+  if (!nflState || !leagueDetails || leagueDetails.status === 'complete') return null;
+  if (nflState.season_type !== 'regular' || String(nflState.season) !== String(leagueDetails.season)) return null;
+
+  const year = parseInt(leagueDetails.season);
+  const { week } = nflState;
+  const [entries, projections] = await Promise.all([
+    fetchMatchupsForWeek(currentLeagueId, week, { maxAgeMs: 0 }),
+    fetchPlayerProjections(year, week),
+  ]);
+  if (entries.length === 0) return null;
+
+  const { lastRegularSeasonWeek } = getStandingsSettings(leagueDetails);
+  const matchups = normalizeWeekMatchups(entries, {
+    year,
+    week,
+    isPlayoffWeek: week > lastRegularSeasonWeek,
+    usesMedian: false, // The median result is only known once every game is final
+    resolveSide: (entry) => {
+      const managerId = getManagerIdForRoster(managerDirectory, year, entry.roster_id, week);
+      if (!managerId) return null;
+      return { team: getManagerDisplayName(managerDirectory, managerId), managerId, userId: null, rosterId: entry.roster_id };
+    },
+    reportIssue: () => {}, // Already reported by fetchHistoricalMatchupsWithReport for the same week
+  });
+
+  return { year, week, matchups: buildLiveMatchups(matchups, { projections, scoringSettings: leagueDetails.scoring_settings }) };
+}
+
+/**
+ * Fetches the winners bracket data for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of bracket matchup objects, or an empty array if the league has no bracket.
+ */
+export async function fetchWinnersBracket(leagueId) {
+  return fetchWithCache({
+    cache: winnersBracketCache,
+    cacheKey: `winnersBracket-${leagueId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.brackets(leagueId),
+    path: `/league/${leagueId}/winners_bracket`,
+    description: `winners bracket for league ID: ${leagueId}`,
+    notFoundValue: [],
+  });
+}
+
+/**
+ * Fetches the losers bracket data for a given league ID.
+ * @param {string} leagueId The ID of the Sleeper league.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of bracket matchup objects, or an empty array if the league has no bracket.
+ */
+export async function fetchLosersBracket(leagueId) {
+  return fetchWithCache({
+    cache: losersBracketCache,
+    cacheKey: `losersBracket-${leagueId}`,
+    maxAgeMs: await CACHE_MAX_AGE_RULES.brackets(leagueId),
+    path: `/league/${leagueId}/losers_bracket`,
+    description: `losers bracket for league ID: ${leagueId}`,
+    notFoundValue: [],
+  });
+}
@@ -0,0 +1,162 @@
+// src/utils/sleeperClient.js
+
+// Shared HTTP layer for the Sleeper API. Every request goes through here so we get a single
+// concurrency cap, retry with exponential backoff on rate limits (429) and server errors (5xx),
+// de-duplication of identical in-flight requests, and typed errors callers can tell apart.
+
+export const SLEEPER_API_BASE_URL = 'https://api.sleeper.app/v1';
+
+const clientSettings = {
+  maxConcurrentRequests: 6,
+  maxRetries: 3,
+  baseRetryDelayMs: 500,
+  maxRetryDelayMs: 10 * 1000,
+};
+
+/**
+ * Base class for all Sleeper request failures.
+ */
+export class SleeperApiError extends Error {
+  constructor(message, { url, status = null, cause } = {}) {
+    super(message);
+    this.name = 'SleeperApiError';
+    this.url = url;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The requested resource doesn't exist (HTTP 404), e.g. matchups for a week that hasn't been scheduled.
+ */
+export class SleeperNotFoundError extends SleeperApiError {
+  constructor(url) {
+    super(`Sleeper resource not found: ${url}`, { url, status: 404 });
+    this.name = 'SleeperNotFoundError';
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS failure, CORS, aborted connection).
+ */
+export class SleeperNetworkError extends SleeperApiError {
+  constructor(url, cause) {
+    super(`Could not reach Sleeper at ${url}`, { url, cause });
+    this.name = 'SleeperNetworkError';
+  }
+}
+
+/**
+ * Sleeper responded with an error status other than 404, including rate limiting (429)
+ * once retries are exhausted.
+ */
+export class SleeperServerError extends SleeperApiError {
+  constructor(url, status, statusText) {
+    super(`Sleeper returned ${status}${statusText ? ` ${statusText}` : ''} for ${url}`, { url, status });
+    this.name = 'SleeperServerError';
+    this.isRateLimited = status === 429;
+  }
+}
+
+/**
+ * Overrides client settings (concurrency cap, retry count and delays). Mainly useful for tests.
+ * @param {Object} settings Any of `maxConcurrentRequests`, `maxRetries`, `baseRetryDelayMs`, `maxRetryDelayMs`.
+ */
+export function configureSleeperClient(settings) {
+  Object.assign(clientSettings, settings);
+}
+
+// Concurrency limiting: a slot is held only while a request attempt is in flight
+let activeRequests = 0;
+const waitingForSlot = [];
+
+const acquireSlot = () => new Promise(resolve => {
+  if (activeRequests < clientSettings.maxConcurrentRequests) {
+    activeRequests++;
+    resolve();
+  } else {
+    waitingForSlot.push(resolve);
+  }
+});
+
+const releaseSlot = () => {
+  const next = waitingForSlot.shift();
+  if (next) {
+    next(); // Hand the slot straight to the next waiting request
+  } else {
+    activeRequests--;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Exponential backoff with jitter, honoring Retry-After (in seconds) when Sleeper sends one
+const getRetryDelayMs = (attempt, response) => {
+  const retryAfterSeconds = Number(response?.headers?.get?.('Retry-After'));
+  if (retryAfterSeconds > 0) {
+    return Math.min(retryAfterSeconds * 1000, clientSettings.maxRetryDelayMs);
+  }
+  const exponentialDelay = clientSettings.baseRetryDelayMs * 2 ** attempt;
+  return Math.min(exponentialDelay + Math.random() * clientSettings.baseRetryDelayMs, clientSettings.maxRetryDelayMs);
+};
+
+// Runs a single attempt inside a concurrency slot
+const attemptRequest = async (url) => {
+  await acquireSlot();
+  try {
+    return await fetch(url);
+  } finally {
+    releaseSlot();
+  }
+};
+
+const executeRequest = async (url) => {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await attemptRequest(url);
+    } catch (error) {
+      if (attempt >= clientSettings.maxRetries) {
+        throw new SleeperNetworkError(url, error);
+      }
+      const delay = getRetryDelayMs(attempt);
+      console.warn(`Network error requesting ${url}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${clientSettings.maxRetries}).`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+    if (response.status === 404) {
+      throw new SleeperNotFoundError(url);
+    }
+    if (!isRetryableStatus(response.status) || attempt >= clientSettings.maxRetries) {
+      throw new SleeperServerError(url, response.status, response.statusText);
+    }
+    const delay = getRetryDelayMs(attempt, response);
+    console.warn(`Sleeper returned ${response.status} for ${url}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${clientSettings.maxRetries}).`);
+    await sleep(delay);
+  }
+};
+
+const inFlightRequests = new Map();
+
+/**
+ * Performs a GET request against the Sleeper API and resolves with the parsed JSON body.
+ * Identical requests made while one is already in flight share the same promise.
+ * @param {string} path The API path, e.g. `/league/123/users`.
+ * @returns {Promise<*>} The parsed response body.
+ * @throws {SleeperNotFoundError|SleeperNetworkError|SleeperServerError} When the request fails.
+ */
+export function sleeperRequest(path) {
+  const url = `${SLEEPER_API_BASE_URL}${path}`;
+  if (inFlightRequests.has(url)) {
+    return inFlightRequests.get(url);
+  }
+  const request = executeRequest(url).finally(() => inFlightRequests.delete(url));
+  inFlightRequests.set(url, request);
+  return request;
+}
@@ -0,0 +1,312 @@
+// src/utils/standings.js
+
+// Regular season standings for a single season, computed from normalized matchups (see
+// matchupModel.js) so they can be taken "as of" any week. Teams are keyed by roster, which is
+// how Sleeper tracks a team within a season. Records include median results, matching the
+// wins/losses Sleeper stores on its rosters; verifyStandingsAgainstRosters checks that.
+
+import { getMatchupResults } from './matchupModel';
+import { getManagerIdForRoster, getManagerDisplayName } from './managerIdentity';
+
+export const TIEBREAKERS = {
+  HEAD_TO_HEAD: 'headToHead', // Win percentage in games between the tied teams
+  DIVISION_RECORD: 'divisionRecord', // Win percentage in division games
+  POINTS_FOR: 'pointsFor',
+  POINTS_AGAINST: 'pointsAgainst', // Fewer points against ranks higher
+};
+
+// Sleeper ranks by record, then points for
+export const DEFAULT_TIEBREAKERS = [TIEBREAKERS.POINTS_FOR];
+
+/**
+ * Reads the standings-related settings for a season from its Sleeper league details.
+ * @param {Object} leagueDetails The league details object for the season.
+ * @returns {{lastRegularSeasonWeek: number, lastCompletedWeek: number, playoffTeams: number, divisions: number, divisionNames: Object}}
+ * `lastCompletedWeek` is the week before the current one (`settings.leg`) while the season is in progress, and
+ * Infinity once it's complete.
+ */
+export function getStandingsSettings(leagueDetails = {}) {
+  const settings = leagueDetails.settings || {};
+  const lastRegularSeasonWeek = settings.playoff_week_start ? settings.playoff_week_start - 1 : settings.last_regular_season_week || 14;
+  const divisions = settings.divisions || 0;
+  const divisionNames = {};
+  for (let division = 1; division <= divisions; division++) {
+    divisionNames[division] = leagueDetails.metadata?.[`division_${division}`] || `Division ${division}`;
+  }
+  const lastCompletedWeek = leagueDetails.status !== 'complete' && settings.leg ? settings.leg - 1 : Infinity;
+  return { lastRegularSeasonWeek, lastCompletedWeek, playoffTeams: settings.playoff_teams || 0, divisions, divisionNames };
+}
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+
+const getWinPct = ({ wins, losses, ties }) => {
+  const games = wins + losses + ties;
+  return games === 0 ? 0 : (wins + ties / 2) / games;
+};
+
+const formatStreak = (results) => {
+  if (results.length === 0) return '';
+  const last = results[results.length - 1];
+  let length = 0;
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) length++;
+  return `${last}${length}`;
+};
+
+/**
+ * Ranks a group of teams with identical win percentages by applying tiebreakers in order.
+ * Each tiebreaker splits the group into smaller tied groups that the next tiebreaker resolves.
+ */
+const breakTies = (group, tiebreakers, headToHeadPct) => {
+  if (group.length <= 1 || tiebreakers.length === 0) {
+    return [...group].sort((a, b) => a.rosterId - b.rosterId);
+  }
+
+  const [tiebreaker, ...remaining] = tiebreakers;
+  const groupRosterIds = group.map(team => team.rosterId);
+  const metric = (team) => {
+    switch (tiebreaker) {
+      case TIEBREAKERS.HEAD_TO_HEAD: return headToHeadPct(team.rosterId, groupRosterIds);
+      case TIEBREAKERS.DIVISION_RECORD: return getWinPct(team.divisionRecord);
+      case TIEBREAKERS.POINTS_AGAINST: return -team.pointsAgainst;
+      default: return team.pointsFor;
+    }
+  };
+
+  const sorted = group.map(team => ({ team, value: metric(team) })).sort((a, b) => b.value - a.value);
+  const ranked = [];
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && Math.abs(sorted[end].value - sorted[start].value) < 1e-9) end++;
+    ranked.push(...breakTies(sorted.slice(start, end).map(entry => entry.team), remaining, headToHeadPct));
+    start = end;
+  }
+  return ranked;
+};
+
+const rankTeams = (teams, tiebreakers, headToHeadPct) => {
+  const sorted = [...teams].sort((a, b) => b.winPct - a.winPct);
+  const ranked = [];
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && sorted[end].winPct === sorted[start].winPct) end++;
+    ranked.push(...breakTies(sorted.slice(start, end), tiebreakers, headToHeadPct));
+    start = end;
+  }
+  return ranked;
+};
+
+/**
+ * Computes a season's regular season standings through a given week.
+ * @param {Object} params
+ * @param {number} params.year The season year.
+ * @param {Array<Object>} params.matchups Normalized matchups; only this season's regular season games are used.
+ * @param {Array<Object>} params.rosters The season's Sleeper rosters.
+ * @param {Object} params.leagueDetails The league details object for the season.
+ * @param {Object} params.managerDirectory The lineage's manager directory (see managerIdentity.js).
+ * @param {number} [params.throughWeek] Last week to include. Defaults to the end of the regular season. Weeks
+ * that haven't finished (the current week of an in-progress season and later) are never included.
+ * @param {Array<string>} [params.tiebreakers] TIEBREAKERS values applied in order after win percentage.
+ * @returns {Object} `{ year, week, standings, pairRecords }`, where each team has `seed`, `rosterId`, `managerId`, `team`,
+ * `division`, `divisionName`, `wins`, `losses`, `ties`, `winPct`, `pointsFor`, `pointsAgainst`, `streak`,
+ * `divisionRecord`, `headToHead`, `median`, `isDivisionWinner` and `madePlayoffs`, and `pairRecords` holds
+ * the head-to-head record between every pair of rosters (see seedTeams).
+ */
+export function computeStandings({ year, matchups, rosters, leagueDetails, managerDirectory, throughWeek, tiebreakers = DEFAULT_TIEBREAKERS }) {
+  const { lastRegularSeasonWeek, lastCompletedWeek, playoffTeams, divisions, divisionNames } = getStandingsSettings(leagueDetails);
+  const week = Math.min(throughWeek ?? lastRegularSeasonWeek, lastRegularSeasonWeek, lastCompletedWeek);
+
+  const teams = new Map(rosters.map(roster => {
+    const managerId = getManagerIdForRoster(managerDirectory, year, roster.roster_id);
+    const division = divisions > 1 ? roster.settings?.division || null : null;
+    return [roster.roster_id, {
+      rosterId: roster.roster_id,
+      managerId,
+      team: managerId ? getManagerDisplayName(managerDirectory, managerId) : `Unknown Team (${roster.roster_id})`,
+      division,
+      divisionName: division ? divisionNames[division] : null,
+      ...emptyRecord(),
+      pointsFor: 0,
+      pointsAgainst: 0,
+      divisionRecord: emptyRecord(),
+      headToHead: emptyRecord(),
+      median: emptyRecord(),
+      results: [],
+    }];
+  }));
+
+  // rosterId -> opponent rosterId -> head-to-head record, for the head-to-head tiebreaker
+  const pairRecords = new Map();
+  const addPairResult = (rosterId, opponentRosterId, score, opponentScore) => {
+    if (!pairRecords.has(rosterId)) pairRecords.set(rosterId, new Map());
+    const opponents = pairRecords.get(rosterId);
+    if (!opponents.has(opponentRosterId)) opponents.set(opponentRosterId, emptyRecord());
+    const record = opponents.get(opponentRosterId);
+    if (score > opponentScore) record.wins++;
+    else if (score < opponentScore) record.losses++;
+    else record.ties++;
+  };
+
+  matchups
+    .filter(matchup => matchup.year === year && matchup.week <= week)
+    .sort((a, b) => a.week - b.week)
+    .forEach(matchup => {
+      const results = getMatchupResults(matchup);
+      const sides = matchup.teams || [];
+      results.forEach((result, index) => {
+        const team = teams.get(result.rosterId);
+        if (!team) return;
+        const opponents = sides.filter((_, otherIndex) => otherIndex !== index);
+
+        team.wins += result.wins;
+        team.losses += result.losses;
+        team.ties += result.ties;
+        team.pointsFor += result.score || 0;
+        if (opponents.length > 0) {
+          team.pointsAgainst += opponents.reduce((sum, opponent) => sum + (opponent.score || 0), 0) / opponents.length;
+        }
+        ['wins', 'losses', 'ties'].forEach(key => {
+          team.headToHead[key] += result.headToHead[key];
+          team.median[key] += result.median[key];
+        });
+
+        opponents.forEach(opponent => {
+          addPairResult(team.rosterId, opponent.rosterId, result.score, opponent.score);
+          const opponentTeam = teams.get(opponent.rosterId);
+          if (team.division && opponentTeam?.division === team.division) {
+            if (result.score > opponent.score) team.divisionRecord.wins++;
+            else if (result.score < opponent.score) team.divisionRecord.losses++;
+            else team.divisionRecord.ties++;
+          }
+        });
+
+        if (opponents.length > 0) {
+          const { wins, losses } = result.headToHead;
+          team.results.push(wins > losses ? 'W' : wins < losses ? 'L' : 'T');
+        }
+      });
+    });
+
+  const teamList = Array.from(teams.values()).map(({ results, ...team }) => ({
+    ...team,
+    streak: formatStreak(results),
+  }));
+
+  return { year, week, standings: seedTeams(teamList, { tiebreakers, divisions, playoffTeams, pairRecords }), pairRecords };
+}
+
+/**
+ * Orders teams into seeds: by win percentage, then the tiebreakers, with division winners taking
+ * the top seeds when the league has divisions. Shared by computeStandings and the playoff simulator.
+ * @param {Array<Object>} teams Teams with `rosterId`, `wins`, `losses`, `ties`, `pointsFor`, `pointsAgainst`,
+ * `division` and `divisionRecord`.
+ * @param {Object} options
+ * @param {Array<string>} [options.tiebreakers] TIEBREAKERS values applied in order after win percentage.
+ * @param {number} [options.divisions] Number of divisions (0 or 1 for none).
+ * @param {number} [options.playoffTeams] Number of playoff teams.
+ * @param {Map<number, Map<number, Object>>} [options.pairRecords] rosterId -> opponent rosterId -> W-L-T record,
+ * for the head-to-head tiebreaker.
+ * @returns {Array<Object>} The teams in seed order with `winPct`, `seed`, `isDivisionWinner` and `madePlayoffs` added.
+ */
+export function seedTeams(teams, { tiebreakers = DEFAULT_TIEBREAKERS, divisions = 0, playoffTeams = 0, pairRecords = new Map() } = {}) {
+  const headToHeadPct = (rosterId, groupRosterIds) => {
+    const record = emptyRecord();
+    const opponents = pairRecords.get(rosterId) || new Map();
+    groupRosterIds.forEach(opponentRosterId => {
+      const pair = opponents.get(opponentRosterId);
+      if (!pair) return;
+      record.wins += pair.wins;
+      record.losses += pair.losses;
+      record.ties += pair.ties;
+    });
+    return getWinPct(record);
+  };
+
+  const teamList = teams.map(team => ({ ...team, winPct: getWinPct(team), isDivisionWinner: false }));
+
+  // Division winners take the top seeds, ordered among themselves; everyone else follows
+  let ranked = rankTeams(teamList, tiebreakers, headToHeadPct);
+  if (divisions > 1) {
+    const divisionWinners = new Set();
+    ranked.forEach(team => {
+      if (team.division && !Array.from(divisionWinners).some(winner => winner.division === team.division)) {
+        divisionWinners.add(team);
+      }
+    });
+    divisionWinners.forEach(team => { team.isDivisionWinner = true; });
+    ranked = [...ranked.filter(team => team.isDivisionWinner), ...ranked.filter(team => !team.isDivisionWinner)];
+  }
+
+  return ranked.map((team, index) => ({
+    ...team,
+    seed: index + 1,
+    madePlayoffs: playoffTeams > 0 && index < playoffTeams,
+  }));
+}
+
+/**
+ * Computes "as of week N" standings for every regular season week that has finished. The week in progress
+ * is left out: its matchups hold live (or 0-0) scores.
+ * @param {Object} params Same as computeStandings, without `throughWeek`.
+ * @returns {Array<Object>} One computeStandings result per week, in week order.
+ */
+export function buildStandingsSnapshots(params) {
+  const { lastRegularSeasonWeek, lastCompletedWeek } = getStandingsSettings(params.leagueDetails);
+  const lastPlayedWeek = params.matchups
+    .filter(matchup => matchup.year === params.year && matchup.week <= Math.min(lastRegularSeasonWeek, lastCompletedWeek))
+    .reduce((max, matchup) => Math.max(max, matchup.week), 0);
+
+  const snapshots = [];
+  for (let week = 1; week <= lastPlayedWeek; week++) {
+    snapshots.push(computeStandings({ ...params, throughWeek: week }));
+  }
+  return snapshots;
+}
+
+/**
+ * Maps each season to its configured last regular season week, for analyses that should leave out
+ * playoff games. In-progress seasons get the configured week too, not the last one played.
+ * @param {Array<Object>} standingsHistory The result of fetchStandingsHistory.
+ * @returns {Object} Map of year to week.
+ */
+export function getLastRegularSeasonWeeks(standingsHistory = []) {
+  const weeks = {};
+  // Snapshots exported before lastRegularSeasonWeek was stored only have the standings' week
+  standingsHistory.forEach(season => { weeks[season.year] = season.lastRegularSeasonWeek ?? season.standings.week; });
+  return weeks;
+}
+
+/**
+ * Compares computed standings with the season totals Sleeper stores on each roster. Only meaningful
+ * once the regular season is over, since Sleeper's totals cover every game played so far.
+ * @param {Object} standings A computeStandings result for the full regular season.
+ * @param {Array<Object>} rosters The season's Sleeper rosters.
+ * @returns {Array<Object>} `{ rosterId, team, field, computed, sleeper }` for each value that doesn't match.
+ */
+export function verifyStandingsAgainstRosters(standings, rosters) {
+  const discrepancies = [];
+  const rostersById = new Map(rosters.map(roster => [roster.roster_id, roster]));
+
+  standings.standings.forEach(team => {
+    const settings = rostersById.get(team.rosterId)?.settings;
+    if (!settings) return;
+    const sleeperValues = {
+      wins: settings.wins || 0,
+      losses: settings.losses || 0,
+      ties: settings.ties || 0,
+      pointsFor: (settings.fpts || 0) + (settings.fpts_decimal || 0) / 100,
+    };
+    if (settings.fpts_against != null) {
+      sleeperValues.pointsAgainst = settings.fpts_against + (settings.fpts_against_decimal || 0) / 100;
+    }
+    Object.entries(sleeperValues).forEach(([field, sleeper]) => {
+      const computed = team[field];
+      // Sleeper stores points to two decimal places
+      if (Math.abs(computed - sleeper) > 0.011) {
+        discrepancies.push({ rosterId: team.rosterId, team: team.team, field, computed, sleeper });
+      }
+    });
+  });
+  return discrepancies;
+}
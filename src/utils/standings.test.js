@@ -0,0 +1,55 @@
+// src/utils/standings.test.js
+import { buildStandingsSnapshots, computeStandings, getLastRegularSeasonWeeks } from './standings';
+
+const managerDirectory = {
+  managers: new Map([['A', { managerId: 'A', displayName: 'Team A' }], ['B', { managerId: 'B', displayName: 'Team B' }]]),
+  userIdToManagerId: new Map([['A', 'A'], ['B', 'B']]),
+  rosterOwners: new Map([['2023-1', 'A'], ['2023-2', 'B']]),
+  nameIndex: new Map(),
+};
+const rosters = [{ roster_id: 1 }, { roster_id: 2 }];
+const matchup = (week, scoreA, scoreB) => ({
+  year: 2023,
+  week,
+  teams: [{ rosterId: 1, managerId: 'A', score: scoreA }, { rosterId: 2, managerId: 'B', score: scoreB }],
+});
+
+// Week 3 of a 14-week regular season is being played; Sleeper already lists its 0-0 matchup
+const params = {
+  year: 2023,
+  matchups: [matchup(1, 110, 90), matchup(2, 95, 120), matchup(3, 0, 0)],
+  rosters,
+  leagueDetails: { status: 'in_season', settings: { leg: 3, playoff_week_start: 15 } },
+  managerDirectory,
+};
+
+const recordOf = (standings, managerId) => {
+  const { wins, losses, ties } = standings.standings.find(team => team.managerId === managerId);
+  return [wins, losses, ties];
+};
+
+describe('standings for an in-progress season', () => {
+  test('leave out the week being played', () => {
+    const standings = computeStandings(params);
+
+    expect(standings.week).toBe(2);
+    expect(recordOf(standings, 'A')).toEqual([1, 1, 0]);
+    expect(recordOf(standings, 'B')).toEqual([1, 1, 0]);
+  });
+
+  test('have no snapshot for the week being played', () => {
+    expect(buildStandingsSnapshots(params).map(snapshot => snapshot.week)).toEqual([1, 2]);
+  });
+
+  test('still count every week once the season is complete', () => {
+    const complete = { ...params, leagueDetails: { status: 'complete', settings: { leg: 3, playoff_week_start: 15 } } };
+    expect(recordOf(computeStandings(complete), 'A')).toEqual([1, 1, 1]);
+  });
+});
+
+describe('getLastRegularSeasonWeeks', () => {
+  test('gives the configured last regular season week mid-season', () => {
+    const standings = computeStandings(params);
+    expect(getLastRegularSeasonWeeks([{ year: 2023, lastRegularSeasonWeek: 14, standings }])).toEqual({ 2023: 14 });
+  });
+});
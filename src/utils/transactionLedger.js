@@ -0,0 +1,238 @@
+// src/utils/transactionLedger.js
+
+// Transaction ledger for a league lineage: every trade, waiver claim and free-agent move,
+// attributed to managers (see managerIdentity.js). Trades are evaluated by the starting-lineup
+// points each side got from what it received: players from the trade week until that manager
+// drops or trades them away, and draft picks from the draft they were used in (see draftAnalysis.js).
+
+import { getManagerIdForRoster, getManagerDisplayName } from './managerIdentity';
+
+export const TRANSACTION_TYPES = {
+  TRADE: 'trade',
+  WAIVER: 'waiver',
+  FREE_AGENT: 'free_agent',
+  COMMISSIONER: 'commissioner',
+};
+
+// A trade is a wash when the sides' points are within this share of the points changing hands
+const EVEN_TRADE_MARGIN = 0.1;
+
+const getPlayerLabel = (playerId, playersById) => {
+  const player = playersById[playerId];
+  if (!player) return { playerId, name: playerId, position: null };
+  const name = `${player.first_name || ''} ${player.last_name || ''}`.trim() || playerId;
+  return { playerId, name, position: player.position || null };
+};
+
+/**
+ * Normalizes a raw Sleeper transaction into per-manager moves.
+ * @param {Object} transaction A transaction from fetchTransactionsForWeek.
+ * @param {Object} context
+ * @param {number} context.year The season year.
+ * @param {number} context.week The week the transaction was fetched for.
+ * @param {Object} context.managerDirectory The lineage's manager directory.
+ * @param {Object} context.playersById The result of fetchNFLPlayers.
+ * @returns {Object} `{ transactionId, year, week, type, status, createdAt, faabBid, sides }`, where each side is
+ * `{ managerId, rosterId, team, adds, drops, picksReceived, picksSent, faabReceived, faabSent }`.
+ */
+export function normalizeTransaction(transaction, { year, week, managerDirectory, playersById = {} }) {
+  const txWeek = transaction.leg || week;
+  const sidesByRoster = new Map();
+  const getSide = (rosterId) => {
+    if (!sidesByRoster.has(rosterId)) {
+      const managerId = getManagerIdForRoster(managerDirectory, year, rosterId, txWeek);
+      sidesByRoster.set(rosterId, {
+        managerId,
+        rosterId,
+        team: managerId ? getManagerDisplayName(managerDirectory, managerId) : `Unknown Team (${rosterId})`,
+        adds: [],
+        drops: [],
+        picksReceived: [],
+        picksSent: [],
+        faabReceived: 0,
+        faabSent: 0,
+      });
+    }
+    return sidesByRoster.get(rosterId);
+  };
+
+  (transaction.roster_ids || []).forEach(getSide);
+  Object.entries(transaction.adds || {}).forEach(([playerId, rosterId]) => getSide(rosterId).adds.push(getPlayerLabel(playerId, playersById)));
+  Object.entries(transaction.drops || {}).forEach(([playerId, rosterId]) => getSide(rosterId).drops.push(getPlayerLabel(playerId, playersById)));
+
+  (transaction.draft_picks || []).forEach(pick => {
+    const normalizedPick = { season: parseInt(pick.season), round: pick.round, originalRosterId: pick.roster_id };
+    getSide(pick.owner_id).picksReceived.push(normalizedPick);
+    getSide(pick.previous_owner_id).picksSent.push(normalizedPick);
+  });
+  (transaction.waiver_budget || []).forEach(({ sender, receiver, amount }) => {
+    getSide(sender).faabSent += amount;
+    getSide(receiver).faabReceived += amount;
+  });
+
+  return {
+    transactionId: transaction.transaction_id,
+    year,
+    week: txWeek,
+    type: transaction.type,
+    status: transaction.status,
+    createdAt: transaction.created || null,
+    faabBid: transaction.type === TRANSACTION_TYPES.WAIVER ? transaction.settings?.waiver_bid ?? null : null,
+    sides: Array.from(sidesByRoster.values()),
+  };
+}
+
+// Orders two (year, week) points in time
+const compareTime = (yearA, weekA, yearB, weekB) => (yearA !== yearB ? yearA - yearB : weekA - weekB);
+
+/**
+ * Totals the starting-lineup points a player scored for a manager within a window.
+ * @param {Array<Object>} matchups Normalized matchups with player-level data.
+ * @param {string} playerId The player.
+ * @param {string} managerId The manager the player played for.
+ * @param {{year: number, week: number}} from First week counted.
+ * @param {{year: number, week: number}|null} until First week no longer counted, or null for no end.
+ * @returns {number} The points.
+ */
+const getStartedPoints = (matchups, playerId, managerId, from, until) => {
+  let points = 0;
+  matchups.forEach(matchup => {
+    if (compareTime(matchup.year, matchup.week, from.year, from.week) < 0) return;
+    if (until && compareTime(matchup.year, matchup.week, until.year, until.week) >= 0) return;
+    (matchup.teams || []).forEach(side => {
+      if (side.managerId !== managerId || !(side.starters || []).includes(playerId)) return;
+      points += side.playersPoints?.[playerId] || 0;
+    });
+  });
+  return points;
+};
+
+/**
+ * Builds the ledger: normalizes every completed transaction, values each trade and totals each manager's activity.
+ * @param {Array<Object>} rawTransactions `{ year, week, transaction }` for every fetched transaction.
+ * @param {Object} context
+ * @param {Object} context.managerDirectory The lineage's manager directory.
+ * @param {Object} context.playersById The result of fetchNFLPlayers.
+ * @param {Array<Object>} context.matchups Normalized matchups with player-level data.
+ * @param {Array<Object>} [context.draftBoards] Boards from fetchDraftHistory, used to value traded picks.
+ * @returns {{transactions: Array<Object>, trades: Array<Object>, managerTotals: Array<Object>}} Completed
+ * transactions (newest first), evaluated trades, and per-manager `{ managerId, team, trades, waiverClaims,
+ * freeAgentAdds, faabSpent, tradePointsGained }`.
+ */
+export function buildTransactionLedger(rawTransactions, { managerDirectory, playersById = {}, matchups, draftBoards = [] }) {
+  const seen = new Set();
+  const transactions = rawTransactions
+    .filter(({ transaction }) => {
+      // The same transaction can be returned for more than one week
+      if (transaction.status !== 'complete' || seen.has(transaction.transaction_id)) return false;
+      seen.add(transaction.transaction_id);
+      return true;
+    })
+    .map(({ year, week, transaction }) => normalizeTransaction(transaction, { year, week, managerDirectory, playersById }))
+    .sort((a, b) => compareTime(a.year, a.week, b.year, b.week) || (a.createdAt || 0) - (b.createdAt || 0));
+
+  // The first later move that takes a player away from a manager ends that manager's credit for the player
+  const findDeparture = (playerId, managerId, startIndex) => {
+    for (let i = startIndex; i < transactions.length; i++) {
+      const leaving = transactions[i].sides.find(side => side.managerId === managerId && side.drops.some(drop => drop.playerId === playerId));
+      if (leaving) return { year: transactions[i].year, week: transactions[i].week };
+    }
+    return null;
+  };
+
+  const findDraftedPlayer = (pick) => {
+    const board = draftBoards.find(b => b.year === pick.season);
+    return board?.picks.find(boardPick => boardPick.round === pick.round && boardPick.originalRosterId === pick.originalRosterId) || null;
+  };
+
+  const trades = [];
+  transactions.forEach((transaction, index) => {
+    if (transaction.type !== TRANSACTION_TYPES.TRADE) return;
+
+    let hasUnresolvedPicks = false;
+    const sides = transaction.sides.map(side => {
+      const players = side.adds.map(player => {
+        const until = findDeparture(player.playerId, side.managerId, index + 1);
+        const points = getStartedPoints(matchups, player.playerId, side.managerId, transaction, until);
+        return { ...player, points };
+      });
+      const picks = side.picksReceived.map(pick => {
+        const draftedPick = findDraftedPlayer(pick);
+        if (!draftedPick) {
+          hasUnresolvedPicks = true;
+          return { ...pick, playerId: null, playerName: null, points: 0 };
+        }
+        const firstIndexAfterDraft = transactions.findIndex(t => compareTime(t.year, t.week, pick.season, 1) >= 0);
+        const until = findDeparture(draftedPick.playerId, side.managerId, firstIndexAfterDraft === -1 ? transactions.length : firstIndexAfterDraft);
+        const points = getStartedPoints(matchups, draftedPick.playerId, side.managerId, { year: pick.season, week: 1 }, until);
+        return { ...pick, playerId: draftedPick.playerId, playerName: draftedPick.playerName, points };
+      });
+      const points = [...players, ...picks].reduce((sum, asset) => sum + asset.points, 0);
+      return { ...side, players, picks, points };
+    });
+
+    const ranked = [...sides].sort((a, b) => b.points - a.points);
+    const totalPoints = sides.reduce((sum, side) => sum + side.points, 0);
+    const margin = ranked.length > 1 ? ranked[0].points - ranked[1].points : 0;
+    const isEven = totalPoints === 0 || margin <= totalPoints * EVEN_TRADE_MARGIN;
+
+    trades.push({
+      ...transaction,
+      sides,
+      winnerManagerId: isEven ? null : ranked[0].managerId,
+      margin,
+      verdict: isEven ? 'Even' : `${ranked[0].team} won by ${margin.toFixed(1)} points`,
+      hasUnresolvedPicks, // Some picks haven't been drafted yet, so the verdict may change
+    });
+  });
+
+  const totals = new Map();
+  const getTotals = (side) => {
+    if (!totals.has(side.managerId)) {
+      totals.set(side.managerId, { managerId: side.managerId, team: side.team, trades: 0, waiverClaims: 0, freeAgentAdds: 0, faabSpent: 0, tradePointsGained: 0 });
+    }
+    return totals.get(side.managerId);
+  };
+  transactions.forEach(transaction => {
+    transaction.sides.forEach(side => {
+      if (!side.managerId) return;
+      const managerTotals = getTotals(side);
+      if (transaction.type === TRANSACTION_TYPES.WAIVER && side.adds.length > 0) {
+        managerTotals.waiverClaims++;
+        managerTotals.faabSpent += transaction.faabBid || 0;
+      } else if (transaction.type === TRANSACTION_TYPES.FREE_AGENT && side.adds.length > 0) {
+        managerTotals.freeAgentAdds++;
+      }
+    });
+  });
+  trades.forEach(trade => {
+    const opponentPoints = (managerId) => trade.sides.filter(side => side.managerId !== managerId).reduce((sum, side) => sum + side.points, 0);
+    trade.sides.forEach(side => {
+      if (!side.managerId) return;
+      const managerTotals = getTotals(side);
+      managerTotals.trades++;
+      managerTotals.tradePointsGained += side.points - opponentPoints(side.managerId);
+    });
+  });
+
+  return {
+    transactions: [...transactions].reverse(),
+    trades: trades.reverse(),
+    managerTotals: Array.from(totals.values()).sort((a, b) => a.team.localeCompare(b.team)),
+  };
+}
+
+/**
+ * Filters ledger entries by a search string matching a player, manager or type.
+ * @param {Array<Object>} entries Transactions or trades from buildTransactionLedger.
+ * @param {string} query The search text.
+ * @returns {Array<Object>} The matching entries.
+ */
+export function searchTransactions(entries, query) {
+  const text = (query || '').trim().toLowerCase();
+  if (!text) return entries;
+  return entries.filter(entry => entry.type.includes(text) || entry.sides.some(side => (
+    side.team.toLowerCase().includes(text) ||
+    [...side.adds, ...side.drops].some(player => player.name.toLowerCase().includes(text))
+  )));
+}
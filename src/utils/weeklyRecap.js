@@ -0,0 +1,237 @@
+// src/utils/weeklyRecap.js
+
+// The weekly recap: one week's results, top and bottom scores, the biggest upset, records broken,
+// notable transactions and standings movement, gathered from data the app already has. The recap
+// is plain data so the app can render it and it can be written out as Markdown or HTML for the
+// league's group chat or email.
+
+import { getMatchupResults, isHeadToHead } from './matchupModel';
+import { getRecordsBrokenInWeek } from './recordBook';
+import { TRANSACTION_TYPES } from './transactionLedger';
+
+const NOTABLE_WAIVER_CLAIMS = 3; // The biggest FAAB bids of the week
+
+const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+const formatPoints = (points) => points.toFixed(2);
+
+// Each manager's points per game this season before the week, from regular season and winners bracket games
+const getSeasonAverages = (matchups, year, week) => {
+  const totals = new Map();
+  matchups.forEach(matchup => {
+    if (matchup.year !== year || matchup.week >= week || (matchup.bracket && !matchup.playoffs)) return;
+    getMatchupResults(matchup).forEach(({ managerId, score }) => {
+      const total = totals.get(managerId) || { points: 0, games: 0 };
+      totals.set(managerId, { points: total.points + score, games: total.games + 1 });
+    });
+  });
+  return new Map(Array.from(totals, ([managerId, { points, games }]) => [managerId, points / games]));
+};
+
+const getPlayerNames = (players) => players.map(player => player.name);
+const formatPick = (pick) => `${pick.season} round ${pick.round} pick`;
+
+const getNotableTransactions = (transactionLedger, year, week) => {
+  const weekTransactions = (transactionLedger?.transactions || []).filter(transaction => transaction.year === year && transaction.week === week);
+  const trades = weekTransactions
+    .filter(transaction => transaction.type === TRANSACTION_TYPES.TRADE)
+    .map(trade => ({
+      transactionId: trade.transactionId,
+      sides: trade.sides.map(side => ({
+        managerId: side.managerId,
+        received: [...getPlayerNames(side.adds), ...side.picksReceived.map(formatPick)],
+      })),
+    }));
+  const waiverClaims = weekTransactions
+    .filter(transaction => transaction.type === TRANSACTION_TYPES.WAIVER && transaction.faabBid)
+    .flatMap(transaction => transaction.sides
+      .filter(side => side.adds.length > 0)
+      .map(side => ({ managerId: side.managerId, players: getPlayerNames(side.adds), bid: transaction.faabBid })))
+    .sort((a, b) => b.bid - a.bid)
+    .slice(0, NOTABLE_WAIVER_CLAIMS);
+  return { trades, waiverClaims };
+};
+
+// Seeds after this week against seeds after the previous week; regular season weeks only
+const getStandingsMovement = (standingsHistory, year, week) => {
+  const snapshots = standingsHistory.find(season => season.year === year)?.snapshots || [];
+  const current = snapshots.find(snapshot => snapshot.week === week);
+  if (!current) return null;
+  const previousSeeds = new Map((snapshots.find(snapshot => snapshot.week === week - 1)?.standings || [])
+    .map(team => [team.managerId, team.seed]));
+  return current.standings.map(team => {
+    const previousSeed = previousSeeds.get(team.managerId) ?? null;
+    return {
+      managerId: team.managerId,
+      seed: team.seed,
+      record: formatRecord(team),
+      pointsFor: team.pointsFor,
+      movement: previousSeed == null ? null : previousSeed - team.seed,
+    };
+  });
+};
+
+/**
+ * Gathers everything in one week's recap.
+ * @param {Object} params
+ * @param {number} params.year The season.
+ * @param {number} params.week The week.
+ * @param {Array<Object>} params.matchups Normalized matchups (all seasons, for season averages).
+ * @param {Array<Object>} params.standingsHistory The result of fetchStandingsHistory, for standings movement.
+ * @param {Object} params.recordBook The result of buildRecordBook, for records broken.
+ * @param {Object} [params.transactionLedger] The result of buildTransactionLedger, whose entries come from
+ * fetchTransactionsForWeek for every week.
+ * @returns {Object} `{ year, week, results, highScore, lowScore, biggestUpset, recordsBroken, transactions,
+ * standings }`. Teams are identified by `managerId`; `biggestUpset` is null when no favorite lost (or it's week 1),
+ * and `standings` is null outside the regular season.
+ */
+export function buildWeeklyRecap({ year, week, matchups, standingsHistory, recordBook, transactionLedger }) {
+  const weekMatchups = matchups.filter(matchup => matchup.year === year && matchup.week === week);
+  const averages = getSeasonAverages(matchups, year, week);
+
+  const results = weekMatchups.filter(isHeadToHead).map(matchup => {
+    const [first, second] = getMatchupResults(matchup);
+    const [winner, loser] = first.score >= second.score ? [first, second] : [second, first];
+    return {
+      winner: { managerId: winner.managerId, score: winner.score },
+      loser: { managerId: loser.managerId, score: loser.score },
+      isTie: winner.score === loser.score,
+      margin: winner.score - loser.score,
+      bracket: matchup.bracket || null,
+      finalSeedingGame: matchup.finalSeedingGame || null,
+    };
+  }).sort((a, b) => b.winner.score - a.winner.score);
+
+  const scores = weekMatchups.flatMap(getMatchupResults).map(({ managerId, score }) => ({ managerId, score }));
+  const byScore = [...scores].sort((a, b) => b.score - a.score);
+
+  // The upset is judged on points per game coming into the week: the bigger the underdog's gap, the bigger the upset
+  const biggestUpset = results
+    .filter(result => !result.isTie && averages.has(result.winner.managerId) && averages.has(result.loser.managerId))
+    .map(result => ({
+      ...result,
+      winnerAverage: averages.get(result.winner.managerId),
+      loserAverage: averages.get(result.loser.managerId),
+    }))
+    .filter(result => result.loserAverage > result.winnerAverage)
+    .sort((a, b) => (b.loserAverage - b.winnerAverage) - (a.loserAverage - a.winnerAverage))[0] || null;
+
+  return {
+    year,
+    week,
+    results,
+    highScore: byScore[0] || null,
+    lowScore: byScore[byScore.length - 1] || null,
+    biggestUpset,
+    recordsBroken: recordBook ? getRecordsBrokenInWeek(recordBook, year, week).map(entry => ({
+      label: entry.label,
+      holder: { managerId: entry.holder.managerId, display: entry.holder.display },
+      previous: { managerId: entry.previous.managerId, display: entry.previous.display },
+    })) : [],
+    transactions: getNotableTransactions(transactionLedger, year, week),
+    standings: getStandingsMovement(standingsHistory, year, week),
+  };
+}
+
+const describeResult = (result, getTeamName) => (
+  `${getTeamName(result.winner.managerId)} ${formatPoints(result.winner.score)} ${result.isTie ? 'tied' : 'def.'} `
+  + `${getTeamName(result.loser.managerId)} ${formatPoints(result.loser.score)}`
+  + `${result.finalSeedingGame === 1 ? ' (Championship)' : ''}`
+);
+
+const describeMovement = (movement) => {
+  if (!movement) return '';
+  return movement > 0 ? ` ▲${movement}` : ` ▼${-movement}`;
+};
+
+/**
+ * The recap's template: titled sections of plain-text lines, shared by the in-app view and the Markdown
+ * and HTML renderers. Sections with nothing to report are left out.
+ * @param {Object} recap The result of buildWeeklyRecap.
+ * @param {Function} getTeamName Maps a managerId to the name to show.
+ * @returns {Array<Object>} `{ title, lines, ordered }` per section.
+ */
+export function getRecapSections(recap, getTeamName) {
+  const sections = [];
+  if (recap.results.length > 0) {
+    sections.push({ title: 'Results', lines: recap.results.map(result => describeResult(result, getTeamName)) });
+  }
+
+  const performers = [];
+  if (recap.highScore) performers.push(`High score: ${getTeamName(recap.highScore.managerId)} (${formatPoints(recap.highScore.score)})`);
+  if (recap.lowScore) performers.push(`Low score: ${getTeamName(recap.lowScore.managerId)} (${formatPoints(recap.lowScore.score)})`);
+  if (performers.length > 0) sections.push({ title: 'Top and Bottom', lines: performers });
+
+  if (recap.biggestUpset) {
+    const upset = recap.biggestUpset;
+    sections.push({
+      title: 'Upset of the Week',
+      lines: [`${getTeamName(upset.winner.managerId)} (${formatPoints(upset.winnerAverage)} PPG) beat ${getTeamName(upset.loser.managerId)} `
+        + `(${formatPoints(upset.loserAverage)} PPG), ${formatPoints(upset.winner.score)} to ${formatPoints(upset.loser.score)}`],
+    });
+  }
+
+  if (recap.recordsBroken.length > 0) {
+    sections.push({
+      title: 'Records Broken',
+      lines: recap.recordsBroken.map(entry => `${entry.label}: ${getTeamName(entry.holder.managerId)} (${entry.holder.display}), `
+        + `previously ${getTeamName(entry.previous.managerId)} (${entry.previous.display})`),
+    });
+  }
+
+  const { trades, waiverClaims } = recap.transactions;
+  const transactionLines = [
+    ...trades.map(trade => `Trade: ${trade.sides.map(side => `${getTeamName(side.managerId)} gets ${side.received.join(', ') || 'nothing'}`).join('; ')}`),
+    ...waiverClaims.map(claim => `Waivers: ${getTeamName(claim.managerId)} claims ${claim.players.join(', ')} for $${claim.bid}`),
+  ];
+  if (transactionLines.length > 0) sections.push({ title: 'Transactions', lines: transactionLines });
+
+  if (recap.standings) {
+    sections.push({
+      title: 'Standings',
+      ordered: true,
+      lines: recap.standings.map(team => `${getTeamName(team.managerId)} (${team.record})${describeMovement(team.movement)}`),
+    });
+  }
+  return sections;
+}
+
+/**
+ * Writes a recap as Markdown.
+ * @param {Object} recap The result of buildWeeklyRecap.
+ * @param {Object} params
+ * @param {string} params.leagueName The league's name, for the title.
+ * @param {Function} params.getTeamName Maps a managerId to the name to show.
+ * @returns {string} The Markdown text.
+ */
+export function renderRecapMarkdown(recap, { leagueName, getTeamName }) {
+  const lines = [`# ${leagueName}: ${recap.year} Week ${recap.week} Recap`];
+  getRecapSections(recap, getTeamName).forEach(section => {
+    lines.push('', `## ${section.title}`, '');
+    section.lines.forEach((line, index) => lines.push(section.ordered ? `${index + 1}. ${line}` : `- ${line}`));
+  });
+  return lines.join('\n');
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes a recap as a standalone HTML document, for email.
+ * @param {Object} recap The result of buildWeeklyRecap.
+ * @param {Object} params
+ * @param {string} params.leagueName The league's name, for the title.
+ * @param {Function} params.getTeamName Maps a managerId to the name to show.
+ * @returns {string} The HTML text.
+ */
+export function renderRecapHtml(recap, { leagueName, getTeamName }) {
+  const title = escapeHtml(`${leagueName}: ${recap.year} Week ${recap.week} Recap`);
+  const body = getRecapSections(recap, getTeamName).map(section => {
+    const tag = section.ordered ? 'ol' : 'ul';
+    const items = section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('\n');
+    return `<h2>${escapeHtml(section.title)}</h2>\n<${tag}>\n${items}\n</${tag}>`;
+  }).join('\n');
+  return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${title}</title>\n</head>\n<body>\n<h1>${title}</h1>\n${body}\n</body>\n</html>\n`;
+}
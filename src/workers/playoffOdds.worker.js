@@ -0,0 +1,15 @@
+// src/workers/playoffOdds.worker.js
+
+// Runs the playoff simulation off the main thread. Receives runPlayoffSimulation's input and posts back
+// `{ result }` or `{ error }`.
+
+/* eslint-env worker */
+import { runPlayoffSimulation } from '../utils/playoffSimulator';
+
+onmessage = (event) => {
+  try {
+    postMessage({ result: runPlayoffSimulation(event.data) });
+  } catch (error) {
+    postMessage({ error: error.message });
+  }
+};